@@ -13,15 +13,23 @@ import {
   ZombieTypes,
   HouseUpgrades,
   TurretTypes,
+  StructureTypes,
   AbilityTypes
 } from './engine/GameEngine.js';
-import { Achievements } from './engine/GameConfig.js';
+import { Achievements, AchievementTiers, SpawnPoints, DifficultyPresets, Mutators } from './engine/GameConfig.js';
+import { validateReplay } from './engine/replay/ReplayPlayer.js';
+import campaignWaves from './engine/waves/campaign.json';
+import { StatsTracker } from './engine/StatsTracker.js';
+import { ProfileStore } from './persistence/ProfileStore.js';
+import { createProfileExport, downloadProfileExport, parseProfileFile } from './persistence/profileFile.js';
 import { SettingsModal } from './components/settings';
-import { getDefaultSettings, GameEngineSettings } from './config/SettingsConfig';
+import { GameEngineSettings } from './config/SettingsConfig';
 import { InputBindings, StartScreenHint, ControlHelp, AbilityHelp } from './config/InputConfig';
 import { useGameSnapshot } from './ui/hooks/useGameSnapshot';
 import { Hud } from './ui/Hud/Hud';
 import { ActionBar } from './ui/Hud/ActionBar';
+import { BossHealthBar } from './ui/Hud/BossHealthBar';
+import { ObjectiveBar } from './ui/Hud/ObjectiveBar';
 import { PerformanceHud } from './ui/Hud/PerformanceHud';
 import { StatusOverlays } from './ui/Overlays/StatusOverlays';
 import { StartScreen } from './ui/Overlays/StartScreen';
@@ -29,10 +37,13 @@ import { CrashOverlay } from './ui/Overlays/CrashOverlay';
 import { PauseOverlay } from './ui/Overlays/PauseOverlay';
 import { GameOverOverlay } from './ui/Overlays/GameOverOverlay';
 import { PlacementFeedback } from './ui/Overlays/PlacementFeedback';
+import { AchievementToast } from './ui/Overlays/AchievementToast';
 import { ShopMenu } from './ui/Menus/ShopMenu';
-import { TurretMenu } from './ui/Menus/TurretMenu';
+import { BuildMenu } from './ui/Menus/BuildMenu';
+import { TurretInspector } from './ui/Menus/TurretInspector';
 import { AchievementsModal } from './ui/Menus/AchievementsModal';
 import { HelpModal } from './ui/Menus/HelpModal';
+import { ProfileImportModal } from './ui/Menus/ProfileImportModal';
 
 // =========================
 // AUDIO MANAGER
@@ -123,6 +134,7 @@ class AudioManager {
         case 'ability': this.synths.ability.triggerAttackRelease(['C4', 'E4', 'G4'], '8n', t); break;
         case 'freeze': this.synths.freeze.triggerAttackRelease('C6', '4n', t); break;
         case 'airstrike': this.synths.explosion.triggerAttackRelease('4n', t); break;
+        case 'denied': this.synths.ui.triggerAttackRelease('C3', '16n', t); break;
         case 'achievement': this.synths.achievement.triggerAttackRelease(['C4', 'E4', 'G4', 'C5'], '4n', t); break;
       }
     } catch (e) { /* Ignore audio errors */ }
@@ -140,46 +152,15 @@ const audioManager = new AudioManager();
 // =========================
 // SAVE/LOAD SYSTEM
 // =========================
-const SAVE_KEY = 'homesteadSiege_saveData';
-
-const getDefaultSaveData = () => ({
-  playerStats: {
-    totalKills: 0, bossKills: 0, highestWave: 0, maxCurrency: 0,
-    turretsPlaced: 0, abilitiesUsed: 0, clutchWins: 0, fastWave10: false,
-    endlessHighWave: 0, perfectWaves: 0, gamesPlayed: 0, highScore: 0
-  },
-  unlockedAchievements: [],
-  settings: getDefaultSettings(),
-  version: 2
-});
-
-const loadSaveData = () => {
-  try {
-    const saved = localStorage.getItem(SAVE_KEY);
-    if (saved) {
-      const data = JSON.parse(saved);
-      const defaults = getDefaultSaveData();
-      return {
-        playerStats: { ...defaults.playerStats, ...data.playerStats },
-        unlockedAchievements: data.unlockedAchievements || [],
-        settings: { ...defaults.settings, ...data.settings },
-        version: data.version || 2
-      };
-    }
-  } catch (e) {
-    console.warn('Failed to load save data:', e);
-  }
-  return getDefaultSaveData();
-};
-
-const saveGameData = (playerStats, unlockedAchievements, settings) => {
-  try {
-    const data = { playerStats, unlockedAchievements, settings, version: 2 };
-    localStorage.setItem(SAVE_KEY, JSON.stringify(data));
-  } catch (e) {
-    console.warn('Failed to save data:', e);
-  }
-};
+// Stats, settings and the saved run are kept per profile
+const profileStore = new ProfileStore();
+
+const RECOVERY_MESSAGE = 'Some save data was unreadable and has been reset. A backup copy was kept.';
+
+// Hotkey letter shown on each ability button, e.g. AIRSTRIKE -> 'Q'
+const ABILITY_HOTKEYS = Object.fromEntries(
+  Object.entries(InputBindings.ability).map(([name, codes]) => [name.toUpperCase(), codes[0].replace('Key', '')])
+);
 
 // =========================
 // MAIN COMPONENT
@@ -190,14 +171,20 @@ export default function HomesteadSiege() {
   const engineRef = useRef(null);
   const [engineInstance, setEngineInstance] = useState(null);
 
-  // Load persistent data
-  const saveData = useRef(loadSaveData());
+  // Load persistent data for the active profile
+  const saveData = useRef(null);
+  saveData.current ??= profileStore.loadProfileData();
+  const [profiles, setProfiles] = useState(() => profileStore.listProfiles());
+  const [activeProfileId, setActiveProfileId] = useState(() => profileStore.getActiveProfile().id);
 
   // UI State
   const [started, setStarted] = useState(false);
   const [gameOver, setGameOver] = useState(false);
   const [paused, setPaused] = useState(false);
   const [endlessMode, setEndlessMode] = useState(false);
+  const [difficulty, setDifficulty] = useState('NORMAL');
+  const [runMutators, setRunMutators] = useState([]);
+  const [gameOverMutators, setGameOverMutators] = useState([]);
 
   // Game stats (now derived from engine snapshot)
   const [weapon, setWeapon] = useState(WeaponTypes.PITCHFORK);
@@ -208,6 +195,10 @@ export default function HomesteadSiege() {
   const [fps, setFps] = useState(60);
   const [perfMetrics, setPerfMetrics] = useState(null);
   const [runtimeError, setRuntimeError] = useState(null);
+  const [savedRun, setSavedRun] = useState(() => profileStore.loadRun());
+  const [menuError, setMenuError] = useState(() => (
+    profileStore.consumeRecoveries().length > 0 ? RECOVERY_MESSAGE : null
+  ));
   const snapshot = useGameSnapshot(engineInstance);
   const uiSnapshot = snapshot ?? {
     health: 100,
@@ -234,16 +225,35 @@ export default function HomesteadSiege() {
   const score = uiSnapshot.score ?? 0;
   const houseIntegrity = uiSnapshot.houseIntegrity ?? 100;
   const isInside = uiSnapshot.isInside ?? false;
+  const barnHealth = uiSnapshot.barnHealth ?? 0;
+  const barnMaxHealth = uiSnapshot.barnMaxHealth ?? 0;
+  const breaches = uiSnapshot.breaches ?? 0;
+  const incomingGates = uiSnapshot.incomingGates ?? [];
+  const wavePreview = uiSnapshot.wavePreview ?? null;
+  const activeMutators = uiSnapshot.mutators ?? [];
   const placementFeedback = uiSnapshot.placementFeedback ?? null;
   const placementCursor = uiSnapshot.placementCursor ?? null;
   const activePlacingTurret = uiSnapshot.placingTurret ?? placingTurret;
+  const selectedTurret = uiSnapshot.selectedTurret ?? null;
+  const movingTurretId = uiSnapshot.movingTurretId ?? null;
+  const placingStructure = uiSnapshot.placingStructure ?? null;
+  const targetingAbility = uiSnapshot.targetingAbility ?? null;
+  const targetingFeedback = uiSnapshot.targetingFeedback ?? null;
+  const isReplay = Boolean(uiSnapshot.isReplay);
+  const boss = uiSnapshot.boss ?? null;
 
   // Menu states
   const [shopOpen, setShopOpen] = useState(false);
-  const [turretMenuOpen, setTurretMenuOpen] = useState(false);
+  const [buildMenuOpen, setBuildMenuOpen] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [achievementsOpen, setAchievementsOpen] = useState(false);
   const [helpOpen, setHelpOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [achievementToasts, setAchievementToasts] = useState([]);
+  const [abilities, setAbilities] = useState(null);
+  const [abilityFeedback, setAbilityFeedback] = useState(null);
+  const [notice, setNotice] = useState('');
+  const statsTrackerRef = useRef(null);
   const [cameraMode, setCameraModeState] = useState('SHOULDER');
   const cameraModeRef = useRef('SHOULDER');
 
@@ -256,7 +266,10 @@ export default function HomesteadSiege() {
   // Persistent stats
   const [playerStats, setPlayerStats] = useState(saveData.current.playerStats);
   const [unlockedAchievements, setUnlockedAchievements] = useState(saveData.current.unlockedAchievements);
+  const [achievementDates, setAchievementDates] = useState(saveData.current.achievementDates);
   const [settings, setSettings] = useState(saveData.current.settings);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
   const highScore = playerStats.highScore;
   const uiScale = Math.min(1.3, Math.max(0.85, settings.uiScale ?? 1));
   const uiLayerStyle = {
@@ -279,10 +292,10 @@ export default function HomesteadSiege() {
       if (GameEngineSettings.includes(key)) {
         engineRef.current?.updateSettings({ [key]: value });
       }
-      saveGameData(playerStats, unlockedAchievements, newSettings);
+      profileStore.saveProfileData({ settings: newSettings });
       return newSettings;
     });
-  }, [playerStats, unlockedAchievements]);
+  }, []);
 
   // Batch update settings (for presets)
   const updateBatchSettings = useCallback((newSettings) => {
@@ -305,10 +318,10 @@ export default function HomesteadSiege() {
       if (Object.keys(engineSettings).length > 0) {
         engineRef.current?.updateSettings(engineSettings);
       }
-      saveGameData(playerStats, unlockedAchievements, merged);
+      profileStore.saveProfileData({ settings: merged });
       return merged;
     });
-  }, [playerStats, unlockedAchievements]);
+  }, []);
 
   // Initialize engine
   useEffect(() => {
@@ -316,11 +329,12 @@ export default function HomesteadSiege() {
 
     // Initialize audio on first interaction
     const initAudio = () => {
+      const current = settingsRef.current;
       audioManager.init();
-      audioManager.setMasterVolume(settings.masterVolume);
-      audioManager.setSfxVolume(settings.sfxVolume);
-      audioManager.setMusicVolume(settings.musicVolume);
-      audioManager.setMuted(settings.muted);
+      audioManager.setMasterVolume(current.masterVolume);
+      audioManager.setSfxVolume(current.sfxVolume);
+      audioManager.setMusicVolume(current.musicVolume);
+      audioManager.setMuted(current.muted);
       window.removeEventListener('click', initAudio);
       window.removeEventListener('keydown', initAudio);
     };
@@ -328,7 +342,7 @@ export default function HomesteadSiege() {
     window.addEventListener('keydown', initAudio);
 
     // Create and initialize game engine
-    const engine = new GameEngine();
+    const engine = new GameEngine({ waveScript: campaignWaves });
     engineRef.current = engine;
     setEngineInstance(engine);
     engine.init(containerRef.current, audioManager);
@@ -350,34 +364,75 @@ export default function HomesteadSiege() {
     engine.on('onFpsUpdate', setFps);
     engine.on('onPauseChange', setPaused);
     engine.on('onRuntimeError', setRuntimeError);
+    engine.on('onAbilitiesUpdate', setAbilities);
+    let feedbackTimer = null;
+    engine.on('onAbilityRejected', (feedback) => {
+      setAbilityFeedback(feedback);
+      clearTimeout(feedbackTimer);
+      feedbackTimer = setTimeout(() => setAbilityFeedback(null), 1500);
+    });
     const offPerf = engine.onEvent?.('PERF_UPDATED', setPerfMetrics);
+    let noticeTimer = null;
+    const offHealed = engine.onEvent?.('ZOMBIES_HEALED', () => {
+      setNotice('Necromancer healing');
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(() => setNotice(''), 2000);
+    });
+    const offGates = engine.onEvent?.('SPAWN_GATES_PLANNED', ({ opened }) => {
+      if (opened.length === 0) return;
+      setNotice(`New spawn gate: ${opened.map(key => SpawnPoints[key].name).join(', ')}`);
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(() => setNotice(''), 4000);
+    });
+
+    // Lifetime stats and achievements (the tracker skips replays itself)
+    let toastKey = 0;
+    const statsTracker = new StatsTracker({
+      playerStats: saveData.current.playerStats,
+      unlockedAchievements: saveData.current.unlockedAchievements,
+      achievementDates: saveData.current.achievementDates,
+      achievements: Achievements,
+      onUnlock: (id) => {
+        const toast = { key: ++toastKey, id };
+        audioManager.playSound('achievement');
+        setAchievementToasts(prev => [...prev, toast]);
+        setTimeout(() => setAchievementToasts(prev => prev.filter(t => t !== toast)), 4000);
+      },
+      onSave: ({ playerStats, unlockedAchievements, achievementDates }) => {
+        profileStore.saveProfileData({ playerStats, unlockedAchievements, achievementDates });
+        setPlayerStats(playerStats);
+        setUnlockedAchievements(unlockedAchievements);
+        setAchievementDates(achievementDates);
+      }
+    });
+    statsTrackerRef.current = statsTracker;
+    statsTracker.attach(engine);
+    const flushStats = () => statsTracker.flush();
+    window.addEventListener('beforeunload', flushStats);
 
-    engine.on('onGameOver', (data) => {
+    engine.on('onGameOver', ({ mutatorHistory } = {}) => {
+      setGameOverMutators(mutatorHistory ?? []);
       setGameOver(true);
-      setPlayerStats(prev => {
-        const newStats = {
-          ...prev,
-          gamesPlayed: prev.gamesPlayed + 1,
-          highScore: Math.max(prev.highScore, data.score),
-          highestWave: Math.max(prev.highestWave, data.wave)
-        };
-        saveGameData(newStats, unlockedAchievements, settings);
-        return newStats;
-      });
+      // Replays re-run someone else's game; leave the saved run alone
+      if (engine.isReplaying) return;
+      profileStore.clearRun();
+      setSavedRun(null);
     });
 
-    engine.on('onWaveComplete', (wave) => {
-      setPlayerStats(prev => {
-        const newStats = { ...prev, highestWave: Math.max(prev.highestWave, wave) };
-        saveGameData(newStats, unlockedAchievements, settings);
-        return newStats;
-      });
+    engine.on('onWaveComplete', () => {
+      if (engine.isReplaying) return;
+      // Autosave so the run can be continued from the start screen
+      const run = engine.serializeRun?.();
+      if (run) {
+        profileStore.saveRun(run);
+        setSavedRun(run);
+      }
     });
 
     // Add keyboard shortcuts for UI menus
     const handleKeyDown = (e) => {
-      if (InputBindings.menu.shop.includes(e.code)) { setShopOpen(p => !p); setTurretMenuOpen(false); audioManager.playSound('click'); }
-      if (InputBindings.menu.turrets.includes(e.code)) { setTurretMenuOpen(p => !p); setShopOpen(false); audioManager.playSound('click'); }
+      if (InputBindings.menu.shop.includes(e.code)) { setShopOpen(p => !p); setBuildMenuOpen(false); audioManager.playSound('click'); }
+      if (InputBindings.menu.build.includes(e.code)) { setBuildMenuOpen(p => !p); setShopOpen(false); audioManager.playSound('click'); }
       if (InputBindings.menu.help.includes(e.code)) { setHelpOpen(p => !p); audioManager.playSound('click'); }
       if (InputBindings.ability.airstrike.includes(e.code)) engine.useAbility('AIRSTRIKE');
       if (InputBindings.ability.freeze.includes(e.code)) engine.useAbility('FREEZE');
@@ -393,9 +448,13 @@ export default function HomesteadSiege() {
       }
       if (InputBindings.menu.pause.includes(e.code)) {
         if (placingTurret) { setPlacingTurret(null); engine.cancelTurretPlacement(); }
+        else if (engine.getSnapshot()?.targetingAbility) engine.cancelAbilityTargeting();
+        else if (engine.getSnapshot()?.placingStructure) engine.cancelStructurePlacement();
+        else if (engine.getSnapshot()?.movingTurretId) engine.cancelTurretPlacement();
+        else if (engine.getSnapshot()?.selectedTurret) engine.selectTurret(null);
         else if (settingsOpen) setSettingsOpen(false);
         else if (shopOpen) setShopOpen(false);
-        else if (turretMenuOpen) setTurretMenuOpen(false);
+        else if (buildMenuOpen) setBuildMenuOpen(false);
         else if (helpOpen) setHelpOpen(false);
         else if (achievementsOpen) setAchievementsOpen(false);
         else { engine.togglePause(); }
@@ -413,7 +472,14 @@ export default function HomesteadSiege() {
       window.removeEventListener('click', initAudio);
       window.removeEventListener('keydown', initAudio);
       window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('beforeunload', flushStats);
+      statsTracker.flush();
+      statsTracker.detach();
+      clearTimeout(feedbackTimer);
+      clearTimeout(noticeTimer);
       offPerf?.();
+      offHealed?.();
+      offGates?.();
       engine.dispose();
       audioManager.dispose();
       setEngineInstance(null);
@@ -431,6 +497,7 @@ export default function HomesteadSiege() {
   ];
 
   const placingTurretName = activePlacingTurret ? TurretTypes[activePlacingTurret]?.name : null;
+  const placingStructureName = placingStructure ? StructureTypes[placingStructure]?.name : null;
   const handleCycleCamera = useCallback(() => {
     const modes = ['SHOULDER', 'ISOMETRIC', 'TOPDOWN', 'FIRST_PERSON'];
     const currentMode = cameraModeRef.current;
@@ -455,8 +522,8 @@ export default function HomesteadSiege() {
     setShopOpen(true);
     audioManager.playSound('click');
   };
-  const handleOpenTurretMenu = () => {
-    setTurretMenuOpen(true);
+  const handleOpenBuildMenu = () => {
+    setBuildMenuOpen(true);
     audioManager.playSound('click');
   };
   const handleOpenAchievements = () => {
@@ -467,8 +534,8 @@ export default function HomesteadSiege() {
     setShopOpen(false);
     audioManager.playSound('click');
   };
-  const handleCloseTurretMenu = () => {
-    setTurretMenuOpen(false);
+  const handleCloseBuildMenu = () => {
+    setBuildMenuOpen(false);
     audioManager.playSound('click');
   };
   const handleCloseHelp = () => {
@@ -482,19 +549,178 @@ export default function HomesteadSiege() {
   const handleSelectTurret = (key) => {
     engineRef.current?.startTurretPlacement(key);
     setPlacingTurret(key);
-    setTurretMenuOpen(false);
+    setBuildMenuOpen(false);
+  };
+  const handleSelectStructure = (key) => {
+    engineRef.current?.startStructurePlacement(key);
+    setBuildMenuOpen(false);
   };
 
   // Start game handler
   const startGame = (endless) => {
+    profileStore.clearRun();
+    setSavedRun(null);
     setEndlessMode(endless);
     setStarted(true);
     setGameOver(false);
     setRuntimeError(null);
     engineRef.current?.clearRuntimeError?.();
+    engineRef.current?.setDifficulty(difficulty);
+    engineRef.current?.setRunMutators(runMutators);
     engineRef.current?.startGame(endless);
   };
 
+  const handleToggleMutator = (key) => {
+    setRunMutators(keys => (keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]));
+  };
+
+  // Continue a saved run
+  const continueGame = () => {
+    if (!savedRun || !engineRef.current?.restoreRun?.(savedRun)) {
+      profileStore.clearRun();
+      setSavedRun(null);
+      setMenuError('Saved run could not be restored');
+      return;
+    }
+
+    setMenuError(null);
+    setEndlessMode(Boolean(savedRun.endless));
+    setStarted(true);
+    setGameOver(false);
+    setPaused(false);
+    setRuntimeError(null);
+  };
+
+  const handleQuitToMenu = () => {
+    statsTrackerRef.current?.flush();
+    const run = engineRef.current?.serializeRun?.();
+    if (run) {
+      profileStore.saveRun(run);
+      setSavedRun(run);
+    }
+    engineRef.current?.stopReplay?.();
+    setStarted(false);
+    setPaused(false);
+    audioManager.stopMusic();
+    audioManager.playSound('click');
+  };
+
+  // Replay handlers
+  const handleLoadReplay = async (file) => {
+    let replay;
+    try {
+      replay = JSON.parse(await file.text());
+    } catch (err) {
+      setMenuError('Replay file is not valid JSON');
+      return;
+    }
+
+    const validation = validateReplay(replay);
+    if (!validation.ok) {
+      setMenuError(validation.reasons[0].message);
+      return;
+    }
+    if (!engineRef.current?.playReplay?.(replay)) {
+      setMenuError('Replay could not be started');
+      return;
+    }
+
+    setMenuError(null);
+    setEndlessMode(Boolean(replay.endless));
+    setStarted(true);
+    setGameOver(false);
+    setRuntimeError(null);
+    audioManager.playSound('click');
+  };
+
+  const handleExportReplay = () => {
+    engineRef.current?.downloadReplay?.();
+  };
+
+  // Profile handlers
+  const loadActiveProfile = () => {
+    const data = profileStore.loadProfileData();
+    statsTrackerRef.current?.load(data.playerStats, data.unlockedAchievements, data.achievementDates);
+    setPlayerStats(data.playerStats);
+    setUnlockedAchievements(data.unlockedAchievements);
+    setAchievementDates(data.achievementDates);
+    setSettings(data.settings);
+    audioManager.setMasterVolume(data.settings.masterVolume);
+    audioManager.setSfxVolume(data.settings.sfxVolume);
+    audioManager.setMusicVolume(data.settings.musicVolume);
+    if (data.settings.muted !== audioManager.muted) audioManager.setMuted(data.settings.muted);
+    const engineSettings = {};
+    GameEngineSettings.forEach(key => {
+      engineSettings[key] = data.settings[key];
+    });
+    engineRef.current?.updateSettings(engineSettings);
+
+    setSavedRun(profileStore.loadRun());
+    setProfiles(profileStore.listProfiles());
+    setActiveProfileId(profileStore.getActiveProfile().id);
+    setMenuError(profileStore.consumeRecoveries().length > 0 ? RECOVERY_MESSAGE : null);
+  };
+
+  const handleSelectProfile = (id) => {
+    if (profileStore.setActiveProfile(id)) loadActiveProfile();
+    audioManager.playSound('click');
+  };
+
+  const handleCreateProfile = (name) => {
+    const result = profileStore.createProfile(name);
+    if (!result.ok) {
+      setMenuError(result.reasons[0].message);
+      return false;
+    }
+    loadActiveProfile();
+    audioManager.playSound('click');
+    return true;
+  };
+
+  const handleDeleteProfile = (id) => {
+    if (profileStore.deleteProfile(id)) loadActiveProfile();
+    audioManager.playSound('click');
+  };
+
+  const handleExportProfile = () => {
+    const exportData = createProfileExport(profileStore.getActiveProfile(), profileStore.loadProfileData());
+    if (!downloadProfileExport(exportData)) setMenuError('Profile could not be exported');
+    audioManager.playSound('click');
+  };
+
+  const handleImportProfile = async (file) => {
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      setMenuError('Profile file could not be read');
+      return;
+    }
+
+    const result = parseProfileFile(text);
+    if (!result.ok) {
+      setMenuError(`Import failed: ${result.reasons[0].message}`);
+      return;
+    }
+    setMenuError(null);
+    setPendingImport({
+      current: profileStore.loadProfileData(),
+      data: result.data,
+      profileName: result.profileName
+    });
+  };
+
+  const handleConfirmImport = (data) => {
+    const { playerStats, unlockedAchievements, achievementDates, settings } = data;
+    if (profileStore.saveProfileData({ playerStats, unlockedAchievements, achievementDates, settings })) {
+      loadActiveProfile();
+    } else {
+      setMenuError('Imported profile could not be saved');
+    }
+    setPendingImport(null);
+    audioManager.playSound('click');
+  };
+
   // Restart handler
   const restartGame = () => {
     setGameOver(false);
@@ -532,6 +758,7 @@ export default function HomesteadSiege() {
             endlessMode={endlessMode}
             enemies={enemies}
             score={score}
+            mutators={activeMutators}
             showFps={settings.showFps}
             fps={fps}
             cameraMode={cameraMode}
@@ -543,6 +770,12 @@ export default function HomesteadSiege() {
           />
         )}
 
+        {started && !gameOver && barnMaxHealth > 0 && (
+          <ObjectiveBar health={barnHealth} maxHealth={barnMaxHealth} breaches={breaches} />
+        )}
+
+        {started && !gameOver && boss && <BossHealthBar boss={boss} />}
+
         <PerformanceHud
           metrics={perfMetrics}
           isVisible={Boolean(settings.showPerfHud)}
@@ -554,26 +787,42 @@ export default function HomesteadSiege() {
             weaponTypes={WeaponTypes}
             weapon={weapon}
             onSelectWeapon={(key) => engineRef.current?.setWeapon(key)}
-            onOpenTurretMenu={handleOpenTurretMenu}
+            onOpenBuildMenu={handleOpenBuildMenu}
             onOpenShop={handleOpenShop}
             placingTurretName={placingTurretName}
+            movingTurret={Boolean(movingTurretId)}
+            placingStructureName={placingStructureName}
+            abilityTypes={AbilityTypes}
+            abilities={abilities}
+            abilityHotkeys={ABILITY_HOTKEYS}
+            abilityFeedback={abilityFeedback}
+            targetingAbilityName={targetingAbility ? AbilityTypes[targetingAbility]?.name : null}
+            targetingFeedback={targetingFeedback}
+            onUseAbility={(key) => engineRef.current?.useAbility(key)}
           />
         )}
 
         <PlacementFeedback
           feedback={placementFeedback}
           cursor={placementCursor}
-          isVisible={Boolean(activePlacingTurret) && started && !gameOver}
+          isVisible={Boolean(activePlacingTurret || placingStructure) && started && !gameOver}
           uiScale={uiScale}
         />
 
         <StatusOverlays
           banner={banner}
-          showStartWave={canStartWave && !gameOver && started}
+          notice={notice}
+          showStartWave={canStartWave && !gameOver && started && !isReplay}
           startWaveLabel={startWaveLabel}
+          incomingGates={incomingGates}
+          wavePreview={wavePreview}
+          zombieTypes={ZombieTypes}
+          isReplay={isReplay && started}
           onStartWave={() => engineRef.current?.startWave()}
         />
 
+        <AchievementToast toasts={achievementToasts} achievements={Achievements} />
+
         {/* Start screen */}
         {!started && (
           <StartScreen
@@ -583,7 +832,24 @@ export default function HomesteadSiege() {
             achievementCount={Object.keys(Achievements).length}
             controlsHint={StartScreenHint}
             onStartGame={startGame}
+            difficulties={DifficultyPresets}
+            difficulty={difficulty}
+            onSelectDifficulty={setDifficulty}
+            mutators={Mutators}
+            runMutators={runMutators}
+            onToggleMutator={handleToggleMutator}
+            savedRun={savedRun ? { wave: savedRun.wave?.active ?? 0, endless: Boolean(savedRun.endless) } : null}
+            onContinue={continueGame}
             onOpenAchievements={handleOpenAchievements}
+            onLoadReplay={handleLoadReplay}
+            errorMessage={menuError}
+            profiles={profiles}
+            activeProfileId={activeProfileId}
+            onSelectProfile={handleSelectProfile}
+            onCreateProfile={handleCreateProfile}
+            onDeleteProfile={handleDeleteProfile}
+            onExportProfile={handleExportProfile}
+            onImportProfile={handleImportProfile}
           />
         )}
 
@@ -596,13 +862,29 @@ export default function HomesteadSiege() {
           />
         )}
 
-        {/* Turret menu */}
-        {turretMenuOpen && (
-          <TurretMenu
+        {/* Inspector for the turret clicked in the world */}
+        {selectedTurret && !gameOver && (
+          <TurretInspector
+            turret={selectedTurret}
+            onUpgrade={(track) => engineRef.current?.upgradeTurret(selectedTurret.id, track)}
+            onSpecialize={(branch) => engineRef.current?.specializeTurret(selectedTurret.id, branch)}
+            onSetTargeting={(mode) => engineRef.current?.setTurretTargeting(selectedTurret.id, mode)}
+            onSetSkipSlowed={(skip) => engineRef.current?.setTurretSkipSlowed(selectedTurret.id, skip)}
+            onMove={() => engineRef.current?.startTurretMove(selectedTurret.id)}
+            onSell={() => engineRef.current?.sellTurret(selectedTurret.id)}
+            onClose={() => engineRef.current?.selectTurret(null)}
+          />
+        )}
+
+        {/* Build menu */}
+        {buildMenuOpen && (
+          <BuildMenu
             currency={currency}
             turretTypes={TurretTypes}
+            structureTypes={StructureTypes}
             onSelectTurret={handleSelectTurret}
-            onClose={handleCloseTurretMenu}
+            onSelectStructure={handleSelectStructure}
+            onClose={handleCloseBuildMenu}
           />
         )}
 
@@ -621,10 +903,26 @@ export default function HomesteadSiege() {
           <AchievementsModal
             achievements={Achievements}
             unlockedAchievements={unlockedAchievements}
+            achievementDates={achievementDates}
+            playerStats={playerStats}
+            tiers={AchievementTiers}
             onClose={handleCloseAchievements}
           />
         )}
 
+        {/* Profile import preview */}
+        {pendingImport && (
+          <ProfileImportModal
+            profileName={profiles.find(p => p.id === activeProfileId)?.name}
+            sourceName={pendingImport.profileName}
+            currentData={pendingImport.current}
+            importedData={pendingImport.data}
+            achievements={Achievements}
+            onConfirm={handleConfirmImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
         {/* Help modal */}
         {helpOpen && (
           <HelpModal
@@ -641,11 +939,12 @@ export default function HomesteadSiege() {
         />
 
         <PauseOverlay
-          isVisible={paused && !settingsOpen && !shopOpen && !turretMenuOpen && !helpOpen && !achievementsOpen}
+          isVisible={paused && !settingsOpen && !shopOpen && !buildMenuOpen && !helpOpen && !achievementsOpen}
           onResume={() => engineRef.current?.togglePause()}
           onOpenSettings={handleOpenSettings}
           onOpenHelp={handleOpenHelp}
-          onQuitToMenu={() => { setStarted(false); setPaused(false); audioManager.stopMusic(); audioManager.playSound('click'); }}
+          onExportReplay={handleExportReplay}
+          onQuitToMenu={handleQuitToMenu}
         />
 
         <GameOverOverlay
@@ -654,9 +953,12 @@ export default function HomesteadSiege() {
           highScore={highScore}
           activeWaveNumber={activeWaveNumber}
           endlessMode={endlessMode}
+          mutatorHistory={gameOverMutators}
+          mutators={Mutators}
           onRestart={restartGame}
           onOpenAchievements={handleOpenAchievements}
-          onMainMenu={() => { setGameOver(false); setStarted(false); audioManager.playSound('click'); }}
+          onExportReplay={handleExportReplay}
+          onMainMenu={() => { engineRef.current?.stopReplay?.(); setGameOver(false); setStarted(false); audioManager.playSound('click'); }}
         />
       </div>
     </div>
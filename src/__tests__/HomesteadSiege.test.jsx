@@ -10,7 +10,7 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import React from 'react';
 
@@ -66,6 +66,8 @@ const createMockEngine = () => ({
     };
   }),
   getSnapshot: vi.fn(() => mockEngineSnapshot),
+  setDifficulty: vi.fn(() => true),
+  setRunMutators: vi.fn(() => true),
   startGame: vi.fn(),
   startWave: vi.fn(),
   togglePause: vi.fn(),
@@ -76,14 +78,36 @@ const createMockEngine = () => ({
   useAbility: vi.fn(),
   startTurretPlacement: vi.fn(),
   cancelTurretPlacement: vi.fn(),
+  startStructurePlacement: vi.fn(),
+  cancelStructurePlacement: vi.fn(),
+  selectTurret: vi.fn(() => true),
+  upgradeTurret: vi.fn(() => true),
+  specializeTurret: vi.fn(() => true),
+  startTurretMove: vi.fn(() => true),
+  sellTurret: vi.fn(() => 0),
+  setTurretTargeting: vi.fn(() => true),
+  setTurretSkipSlowed: vi.fn(() => true),
+  cancelAbilityTargeting: vi.fn(),
   setCameraMode: vi.fn(),
   takeScreenshot: vi.fn(),
   getUpgrades: vi.fn(() => ({ weaponDamage: 0, fireRate: 0, playerHealth: 0, houseArmor: 0, houseLevel: 0 })),
-  updateSettings: vi.fn()
+  updateSettings: vi.fn(),
+  serializeRun: vi.fn(() => ({ version: 1, endless: false, wave: { active: 2 } })),
+  restoreRun: vi.fn(() => true),
+  playReplay: vi.fn(() => true),
+  stopReplay: vi.fn(),
+  downloadReplay: vi.fn()
 });
 
 let mockEngine;
 
+// jsdom's File has no text(); replay loading reads files through it
+const makeJsonFile = (contents, name = 'replay.json') => {
+  const file = new File([contents], name, { type: 'application/json' });
+  file.text = () => Promise.resolve(contents);
+  return file;
+};
+
 vi.mock('../engine/GameEngine.js', () => ({
   GameEngine: function() {
     mockEngine = createMockEngine();
@@ -96,7 +120,9 @@ vi.mock('../engine/GameEngine.js', () => ({
     HAY_BALE_CATAPULT: { name: 'Hay Bale Catapult', icon: '🌾', damage: 90, description: 'Heavy splash damage' }
   },
   ZombieTypes: {
-    STANDARD: { hp: 35, speed: 1, damage: 8, value: 10 }
+    STANDARD: { name: 'Walker', hp: 35, speed: 1, damage: 8, value: 10, body: 0x2ECC71 },
+    TANK: { name: 'Brute', hp: 120, speed: 0.6, damage: 20, value: 30, body: 0x1A7A3A },
+    BOSS: { name: 'Overlord', hp: 800, speed: 0.5, damage: 40, value: 200, body: 0x8E44AD }
   },
   HouseUpgrades: {
     LEVEL_1: { cost: 200 }
@@ -106,6 +132,11 @@ vi.mock('../engine/GameEngine.js', () => ({
     SLOW: { name: 'Slow Turret', icon: '❄️', damage: 5, range: 6, fireRate: 2, cost: 150, description: 'Slows enemies' },
     EXPLOSIVE: { name: 'Explosive Turret', icon: '💥', damage: 40, range: 10, fireRate: 0.5, cost: 250, description: 'Area damage' }
   },
+  StructureTypes: {
+    WALL: { name: 'Stone Wall', icon: '🧱', cost: 30, health: 220, stackable: true, maxCourses: 3, description: 'Blocks zombies' },
+    SPIKES: { name: 'Spike Barricade', icon: '🌵', cost: 35, health: 110, damage: 6, damageInterval: 0.5, description: 'Hurts zombies' },
+    GATE: { name: 'Farm Gate', icon: '🚪', cost: 40, health: 180, passable: true, description: 'Lets zombies path through' }
+  },
   AbilityTypes: {
     AIRSTRIKE: { name: 'Artillery Strike', cost: 75 },
     FREEZE: { name: 'Frost Nova', cost: 50 },
@@ -116,14 +147,37 @@ vi.mock('../engine/GameEngine.js', () => ({
 
 vi.mock('../engine/GameConfig.js', () => ({
   Achievements: {
-    FIRST_BLOOD: { name: 'First Blood', description: 'Kill your first zombie', icon: '🩸' },
-    WAVE_5: { name: 'Wave 5 Survivor', description: 'Reach wave 5', icon: '⭐' },
-    BOSS_SLAYER: { name: 'Boss Slayer', description: 'Defeat a boss zombie', icon: '👑' }
+    FIRST_BLOOD: { name: 'First Blood', description: 'Kill your first zombie', icon: '🩸', check: (s) => s.totalKills >= 1 },
+    WAVE_5: {
+      name: 'Wave 5 Survivor', description: 'Reach wave 5', icon: '⭐', tier: 'BRONZE',
+      check: (s) => s.highestWave >= 5,
+      progress: (s) => ({ current: Math.min(s.highestWave, 5), target: 5 })
+    },
+    BOSS_SLAYER: { name: 'Boss Slayer', description: 'Defeat a boss zombie', icon: '👑', hidden: true, check: (s) => s.bossKills >= 1 }
+  },
+  AchievementTiers: {
+    BRONZE: { name: 'Bronze', color: '#cd7f32' }
+  },
+  SpawnPoints: {
+    EAST: { name: 'East Treeline', side: 'east' },
+    NORTH: { name: 'North Road', side: 'north' }
+  }
+,
+  DifficultyPresets: {
+    CASUAL: { name: 'Casual', description: 'Slower waves' },
+    NORMAL: { name: 'Normal', description: 'The intended challenge' },
+    HARD: { name: 'Hard', description: 'Faster waves' }
+  }
+,
+  Mutators: {
+    FOG: { name: 'Fog', icon: 'FG', description: 'Thick fog' },
+    BOUNTY: { name: 'Bounty', icon: 'BY', description: 'Kills drop double corn' }
   }
 }));
 
 // Import after mocks
 import HomesteadSiege from '../HomesteadSiege.jsx';
+import { createProfileExport } from '../persistence/profileFile.js';
 
 describe('HomesteadSiege Component', () => {
   beforeEach(() => {
@@ -209,6 +263,70 @@ describe('HomesteadSiege Component', () => {
 
       expect(mockEngine.startGame).toHaveBeenCalledWith(true);
     });
+
+    it('should offer the difficulty presets with Normal selected', () => {
+      render(<HomesteadSiege />);
+      const picker = screen.getByRole('radiogroup', { name: 'Difficulty' });
+
+      expect(within(picker).getAllByRole('radio').map(radio => radio.textContent)).toEqual(['Casual', 'Normal', 'Hard']);
+      expect(within(picker).getByRole('radio', { name: 'Normal' })).toHaveAttribute('aria-checked', 'true');
+      expect(screen.getByText('The intended challenge')).toBeInTheDocument();
+    });
+
+    it('should start a game on the chosen difficulty', () => {
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByRole('radio', { name: 'Hard' }));
+      expect(screen.getByRole('radio', { name: 'Hard' })).toHaveAttribute('aria-checked', 'true');
+      expect(screen.getByText('Faster waves')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Endless Mode'));
+      expect(mockEngine.setDifficulty).toHaveBeenCalledWith('HARD');
+      expect(mockEngine.setDifficulty.mock.invocationCallOrder[0])
+        .toBeLessThan(mockEngine.startGame.mock.invocationCallOrder[0]);
+    });
+
+    it('should start a game with the mutators toggled on', () => {
+      render(<HomesteadSiege />);
+      const fog = screen.getByRole('button', { name: /Fog/ });
+
+      expect(fog).toHaveAttribute('aria-pressed', 'false');
+      fireEvent.click(fog);
+      fireEvent.click(screen.getByRole('button', { name: /Bounty/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Bounty/ }));
+      expect(fog).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(screen.getByText('Normal Mode'));
+      expect(mockEngine.setRunMutators).toHaveBeenCalledWith(['FOG']);
+      expect(mockEngine.setRunMutators.mock.invocationCallOrder[0])
+        .toBeLessThan(mockEngine.startGame.mock.invocationCallOrder[0]);
+    });
+
+    it('should play a replay file chosen from Watch Replay', async () => {
+      render(<HomesteadSiege />);
+      const replay = { version: 1, seed: 5, durationTicks: 60, endless: false, inputs: [] };
+      const file = makeJsonFile(JSON.stringify(replay));
+
+      expect(screen.getByText('Watch Replay')).toBeInTheDocument();
+      fireEvent.change(screen.getByTestId('replay-file-input'), { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(mockEngine.playReplay).toHaveBeenCalledWith(replay);
+      });
+      expect(screen.queryByText('Normal Mode')).not.toBeInTheDocument();
+    });
+
+    it('should show an error for an invalid replay file', async () => {
+      render(<HomesteadSiege />);
+      const file = makeJsonFile('{"version": 99}');
+
+      fireEvent.change(screen.getByTestId('replay-file-input'), { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(screen.getByText(/Unsupported replay version/)).toBeInTheDocument();
+      });
+      expect(mockEngine.playReplay).not.toHaveBeenCalled();
+    });
   });
 
   describe('Game HUD', () => {
@@ -250,6 +368,162 @@ describe('HomesteadSiege Component', () => {
     });
   });
 
+  describe('Boss Health Bar', () => {
+    const boss = (overrides = {}) => ({ name: 'Overlord', hp: 800, maxHp: 800, phase: 3, phases: 3, ...overrides });
+
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+    });
+
+    it('should only show while a boss is alive', () => {
+      expect(screen.queryByRole('progressbar', { name: 'Overlord health' })).not.toBeInTheDocument();
+
+      updateSnapshot({ boss: boss() });
+      expect(screen.getByRole('progressbar', { name: 'Overlord health' })).toBeInTheDocument();
+
+      updateSnapshot({ boss: null });
+      expect(screen.queryByRole('progressbar', { name: 'Overlord health' })).not.toBeInTheDocument();
+    });
+
+    it('should show health and a marker per phase threshold', () => {
+      updateSnapshot({ boss: boss({ hp: 400 }) });
+
+      expect(screen.getByRole('progressbar', { name: 'Overlord health' })).toHaveAttribute('aria-valuenow', '400');
+      expect(screen.getAllByTestId('boss-phase-marker')).toHaveLength(2);
+    });
+
+    it('should count phases up as the boss weakens', () => {
+      updateSnapshot({ boss: boss() });
+      expect(screen.getByText('Phase 1/3')).toBeInTheDocument();
+
+      updateSnapshot({ boss: boss({ hp: 200, phase: 1 }) });
+      expect(screen.getByText('Phase 3/3')).toBeInTheDocument();
+    });
+  });
+
+  describe('Objective Bar', () => {
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+    });
+
+    it('should show the barn core health', () => {
+      updateSnapshot({ barnHealth: 120.4, barnMaxHealth: 175, breaches: 0 });
+
+      const bar = screen.getByRole('progressbar', { name: 'Barn core health' });
+      expect(bar).toHaveAttribute('aria-valuenow', '121');
+      expect(bar).toHaveAttribute('aria-valuemax', '175');
+      expect(screen.queryByText(/breach/)).not.toBeInTheDocument();
+    });
+
+    it('should count broken doors and windows', () => {
+      updateSnapshot({ barnHealth: 175, barnMaxHealth: 175, breaches: 1 });
+      expect(screen.getByText('1 breach')).toBeInTheDocument();
+
+      updateSnapshot({ breaches: 3 });
+      expect(screen.getByText('3 breaches')).toBeInTheDocument();
+    });
+
+    it('should hide once the game is over', () => {
+      updateSnapshot({ barnHealth: 0, barnMaxHealth: 175 });
+      mockEngineCallbacks.onGameOver({ score: 500, wave: 3 });
+
+      expect(screen.queryByRole('progressbar', { name: 'Barn core health' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Wave Preview', () => {
+    const wavePreview = {
+      wave: 5,
+      total: 7,
+      counts: { STANDARD: 4, TANK: 2, BOSS: 1 },
+      hasBoss: true,
+      modifiers: [{ type: 'TANK', count: 2, hp: 1.5, value: 2 }],
+      threat: { score: 320, level: 'High', color: '#fb923c' }
+    };
+
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+    });
+
+    it('should list the upcoming zombies with their names and colors', () => {
+      updateSnapshot({ canStartWave: true, wavePreview });
+
+      const panel = screen.getByRole('region', { name: 'Wave preview' });
+      expect(panel).toHaveTextContent('Wave 5');
+      expect(within(panel).getByText('Walker').closest('li')).toHaveTextContent('×4');
+      expect(within(panel).getByText('Overlord').closest('li')).toHaveTextContent('×1');
+      expect(within(panel).getByText('Walker').querySelector('span')).toHaveStyle({ backgroundColor: '#2ecc71' });
+      expect(panel).toHaveTextContent('7 zombies');
+    });
+
+    it('should show the threat rating, boss and modifiers', () => {
+      updateSnapshot({ canStartWave: true, wavePreview });
+
+      const panel = screen.getByRole('region', { name: 'Wave preview' });
+      expect(within(panel).getByText('High threat')).toHaveStyle({ color: '#fb923c' });
+      expect(panel).toHaveTextContent('Boss wave');
+      expect(panel).toHaveTextContent('2 Brute: HP ×1.5, Bounty ×2');
+    });
+
+    it('should hide while a wave is running', () => {
+      updateSnapshot({ canStartWave: false, wavePreview: null });
+
+      expect(screen.queryByRole('region', { name: 'Wave preview' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Spawn Gate Warning', () => {
+    const incomingGates = [
+      { key: 'EAST', name: 'East Treeline', side: 'east', isNew: false },
+      { key: 'NORTH', name: 'North Road', side: 'north', isNew: true }
+    ];
+
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+    });
+
+    it('should list the next wave\'s gates beside Start Wave', () => {
+      updateSnapshot({ canStartWave: true, incomingGates });
+
+      const warning = screen.getByRole('status', { name: 'Incoming spawn gates' });
+      expect(warning).toHaveTextContent('East Treeline');
+      expect(warning).toHaveTextContent('North Road');
+      expect(within(warning).getAllByText('NEW')).toHaveLength(1);
+    });
+
+    it('should hide once the wave starts', () => {
+      updateSnapshot({ canStartWave: true, incomingGates });
+      updateSnapshot({ canStartWave: false, incomingGates: [] });
+
+      expect(screen.queryByRole('status', { name: 'Incoming spawn gates' })).not.toBeInTheDocument();
+    });
+
+    it('should announce a newly opened gate', () => {
+      act(() => emitMockEvent('SPAWN_GATES_PLANNED', { wave: 4, gates: ['EAST', 'NORTH'], opened: ['NORTH'] }));
+      expect(screen.getByText('New spawn gate: North Road')).toBeInTheDocument();
+
+      act(() => emitMockEvent('SPAWN_GATES_PLANNED', { wave: 5, gates: ['EAST'], opened: [] }));
+      expect(screen.getByText('New spawn gate: North Road')).toBeInTheDocument();
+    });
+  });
+
+  describe('Mutator Chips', () => {
+    it('should show the active mutators with their descriptions', () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+      expect(screen.queryByRole('list', { name: 'Active mutators' })).not.toBeInTheDocument();
+
+      updateSnapshot({ mutators: [{ key: 'FOG', name: 'Fog', icon: 'FG', description: 'Thick fog' }] });
+
+      const chips = screen.getByRole('list', { name: 'Active mutators' });
+      expect(within(chips).getByText('FG Fog')).toHaveAttribute('title', 'Thick fog');
+    });
+  });
+
   describe('Shop Modal', () => {
     beforeEach(() => {
       render(<HomesteadSiege />);
@@ -276,7 +550,7 @@ describe('HomesteadSiege Component', () => {
     });
   });
 
-  describe('Turret Menu Modal', () => {
+  describe('Build Menu Modal', () => {
     beforeEach(() => {
       render(<HomesteadSiege />);
       fireEvent.click(screen.getByText('Normal Mode'));
@@ -285,8 +559,9 @@ describe('HomesteadSiege Component', () => {
       fireEvent.click(turretButtons[turretButtons.length - 1]); // Click the menu button
     });
 
-    it('should open turret menu', () => {
-      expect(screen.getByText('Turrets')).toBeInTheDocument();
+    it('should open the build menu on the turrets tab', () => {
+      expect(screen.getByText('Build')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Turrets' })).toHaveAttribute('aria-pressed', 'true');
     });
 
     it('should display turret types', () => {
@@ -299,6 +574,121 @@ describe('HomesteadSiege Component', () => {
       expect(screen.getByText(/DMG: 15/)).toBeInTheDocument();
       expect(screen.getByText(/Range: 8/)).toBeInTheDocument();
     });
+
+    it('should list barricades on their own tab', () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Barricades' }));
+
+      expect(screen.queryByText('Basic Turret')).not.toBeInTheDocument();
+      expect(screen.getByText('HP: 220 - Stacks 3 high')).toBeInTheDocument();
+      expect(screen.getByText('HP: 110 - Spikes: 6 every 0.5s')).toBeInTheDocument();
+      expect(screen.getByText('HP: 180 - Zombies path through')).toBeInTheDocument();
+    });
+
+    it('should start building the barricade picked', () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Barricades' }));
+      fireEvent.click(screen.getByText('Stone Wall'));
+
+      expect(mockEngine.startStructurePlacement).toHaveBeenCalledWith('WALL');
+      expect(screen.queryByText('Build')).not.toBeInTheDocument();
+    });
+
+    it('should prompt to build and stop building on Escape', () => {
+      fireEvent.click(screen.getByText('Close (T or ESC)'));
+      updateSnapshot({ placingStructure: 'WALL' });
+      expect(screen.getByText(/Click to build Stone Wall/)).toBeInTheDocument();
+
+      fireEvent.keyDown(window, { code: 'Escape' });
+
+      expect(mockEngine.cancelStructurePlacement).toHaveBeenCalled();
+      expect(mockEngine.togglePause).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Turret Inspector', () => {
+    const selectedTurret = {
+      id: 'turret-1', type: 'BASIC', name: 'Basic Turret', icon: '🗼', tier: 2, branch: null,
+      health: 60, maxHealth: 80, kills: 12, damageDealt: 340, shots: 40, hits: 30, sellValue: 112,
+      targeting: 'NEAREST', skipSlowed: null,
+      targetingModes: [
+        { key: 'NEAREST', name: 'Nearest', icon: '📍', description: 'Closest to the turret' },
+        { key: 'STRONGEST', name: 'Strongest', icon: '💪', description: 'Most health left' }
+      ],
+      stats: { damage: 18.75, range: 8, fireRate: 1.5, slow: 0, splash: 0, projectileSpeed: 25 },
+      upgrades: [
+        { key: 'damage', name: 'Damage', icon: '⚔️', level: 3, maxLevel: 3, cost: null, canBuy: false, reason: 'Damage is maxed out' },
+        { key: 'range', name: 'Range', icon: '🎯', level: 0, maxLevel: 3, cost: 40, canBuy: true, reason: null }
+      ],
+      branches: [
+        { key: 'SNIPER', name: 'Sniper Scarecrow', icon: '🎯', description: 'Long shots', cost: 200, canBuy: true, reason: null },
+        { key: 'GATLING', name: 'Gatling Scarecrow', icon: '🌀', description: 'Fast shots', cost: 200, canBuy: false, reason: 'Not enough corn!' }
+      ]
+    };
+
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+      updateSnapshot({ selectedTurret });
+    });
+
+    it('should show the selected turret\'s tier, stats and upgrades', () => {
+      const inspector = screen.getByRole('dialog', { name: 'Basic Turret inspector' });
+
+      expect(within(inspector).getByText('Tier II')).toBeInTheDocument();
+      expect(within(inspector).getByText(/DMG: 18.8/)).toBeInTheDocument();
+      expect(within(inspector).getByText('MAX')).toBeInTheDocument();
+      expect(within(inspector).getByRole('button', { name: /Gatling Scarecrow/ })).toBeDisabled();
+    });
+
+    it('should buy upgrades and specializations for the selected turret', () => {
+      fireEvent.click(screen.getByRole('button', { name: /Range/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Sniper Scarecrow/ }));
+
+      expect(mockEngine.upgradeTurret).toHaveBeenCalledWith('turret-1', 'range');
+      expect(mockEngine.specializeTurret).toHaveBeenCalledWith('turret-1', 'SNIPER');
+    });
+
+    it('should switch the turret\'s targeting mode', () => {
+      expect(screen.getByRole('button', { name: /Nearest/ })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.queryByLabelText('Skip already-slowed zombies')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /Strongest/ }));
+      expect(mockEngine.setTurretTargeting).toHaveBeenCalledWith('turret-1', 'STRONGEST');
+    });
+
+    it('should let slowing turrets skip slowed zombies', () => {
+      updateSnapshot({ selectedTurret: { ...selectedTurret, skipSlowed: false } });
+
+      fireEvent.click(screen.getByLabelText('Skip already-slowed zombies'));
+      expect(mockEngine.setTurretSkipSlowed).toHaveBeenCalledWith('turret-1', true);
+    });
+
+    it('should show the turret\'s record and sell or move it', () => {
+      expect(screen.getByText('Kills: 12 - Damage dealt: 340')).toBeInTheDocument();
+      expect(screen.getByText('Accuracy: 75% (30/40)')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Sell +112' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Move' }));
+
+      expect(mockEngine.sellTurret).toHaveBeenCalledWith('turret-1');
+      expect(mockEngine.startTurretMove).toHaveBeenCalledWith('turret-1');
+    });
+
+    it('should prompt to move and cancel the move on Escape', () => {
+      updateSnapshot({ selectedTurret: null, placingTurret: 'BASIC', movingTurretId: 'turret-1' });
+      expect(screen.getByText(/Click to move Basic Turret/)).toBeInTheDocument();
+
+      fireEvent.keyDown(window, { code: 'Escape' });
+
+      expect(mockEngine.cancelTurretPlacement).toHaveBeenCalled();
+      expect(mockEngine.togglePause).not.toHaveBeenCalled();
+    });
+
+    it('should close on Escape', () => {
+      fireEvent.keyDown(window, { code: 'Escape' });
+
+      expect(mockEngine.selectTurret).toHaveBeenCalledWith(null);
+      expect(mockEngine.togglePause).not.toHaveBeenCalled();
+    });
   });
 
   describe('Placement Feedback', () => {
@@ -397,6 +787,66 @@ describe('HomesteadSiege Component', () => {
     });
   });
 
+  describe('Achievement Details', () => {
+    const unlockedAt = new Date(2026, 2, 14).getTime();
+
+    const openAchievements = (stats = {}, unlocked = [], dates = {}) => {
+      localStorageMock.setItem('homesteadSiege_profile_default', JSON.stringify({
+        playerStats: stats,
+        unlockedAchievements: unlocked,
+        achievementDates: dates,
+        version: 4
+      }));
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getAllByText(/Achievements/)[0]);
+    };
+
+    it('should show progress towards locked achievements', () => {
+      openAchievements({ highestWave: 3 });
+
+      const bar = screen.getByRole('progressbar', { name: 'Wave 5 Survivor progress' });
+      expect(bar).toHaveAttribute('aria-valuenow', '3');
+      expect(bar).toHaveAttribute('aria-valuemax', '5');
+      expect(screen.getByText('3/5')).toBeInTheDocument();
+    });
+
+    it('should drop the progress bar once unlocked', () => {
+      openAchievements({ highestWave: 6 }, ['WAVE_5']);
+      expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+    });
+
+    it('should show tier badges', () => {
+      openAchievements();
+      expect(screen.getByText('Bronze')).toBeInTheDocument();
+    });
+
+    it('should mask hidden achievements until unlocked', () => {
+      openAchievements();
+      expect(screen.queryByText('Defeat a boss zombie')).not.toBeInTheDocument();
+      expect(screen.getByText(/Hidden achievement/)).toBeInTheDocument();
+    });
+
+    it('should reveal hidden achievements once unlocked', () => {
+      openAchievements({ bossKills: 1 }, ['BOSS_SLAYER']);
+      expect(screen.getByText('Defeat a boss zombie')).toBeInTheDocument();
+    });
+
+    it('should show when an achievement was unlocked', () => {
+      openAchievements({ totalKills: 1 }, ['FIRST_BLOOD'], { FIRST_BLOOD: unlockedAt });
+
+      const expected = new Date(unlockedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+      expect(screen.getByText(`Unlocked ${expected}`)).toBeInTheDocument();
+    });
+
+    it('should record the unlock date of new achievements', () => {
+      render(<HomesteadSiege />);
+      emitMockEvent('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      const stored = JSON.parse(localStorageMock.getItem('homesteadSiege_profile_default'));
+      expect(stored.achievementDates.FIRST_BLOOD).toBeTypeOf('number');
+    });
+  });
+
   describe('Weapon Selection', () => {
     it('should allow weapon button clicks without error', () => {
       render(<HomesteadSiege />);
@@ -458,6 +908,22 @@ describe('HomesteadSiege Component', () => {
         expect(screen.getByText('Wave 1 Starting!')).toBeInTheDocument();
       });
     });
+
+    it('should announce necromancer healing briefly', () => {
+      vi.useFakeTimers();
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      act(() => emitMockEvent('ZOMBIES_HEALED', { type: 'HEALER', healed: 2, amount: 15 }));
+      expect(screen.getByRole('status')).toHaveTextContent('Necromancer healing');
+
+      act(() => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(screen.queryByText('Necromancer healing')).not.toBeInTheDocument();
+      vi.useRealTimers();
+    });
   });
 
   describe('Keyboard Navigation', () => {
@@ -481,18 +947,84 @@ describe('HomesteadSiege Component', () => {
       });
     });
 
-    it('should open turret menu on T key', async () => {
+    it('should open the build menu on T key', async () => {
       render(<HomesteadSiege />);
       fireEvent.click(screen.getByText('Normal Mode'));
 
       fireEvent.keyDown(window, { code: 'KeyT' });
 
       await waitFor(() => {
-        expect(screen.getByText('Turrets')).toBeInTheDocument();
+        expect(screen.getByText('Build')).toBeInTheDocument();
       });
     });
   });
 
+  describe('Ability Bar', () => {
+    const abilityState = (overrides = {}) => ({
+      phase: 'READY', charges: 1, maxCharges: 1, cooldown: 30, cooldownRemaining: 0,
+      duration: 5, activeRemaining: 0, ...overrides
+    });
+
+    beforeEach(() => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+    });
+
+    it('should show a button per ability with its hotkey', () => {
+      expect(screen.getByRole('button', { name: 'Artillery Strike (Q)' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Frost Nova (X)' })).toBeInTheDocument();
+    });
+
+    it('should use an ability on click', () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Frost Nova (X)' }));
+      expect(mockEngine.useAbility).toHaveBeenCalledWith('FREEZE');
+    });
+
+    it('should show the cooldown left from ability updates', () => {
+      mockEngineCallbacks.onAbilitiesUpdate({
+        FREEZE: abilityState({ phase: 'COOLDOWN', charges: 0, cooldownRemaining: 12.3 })
+      });
+
+      const button = screen.getByRole('button', { name: 'Frost Nova (X)' });
+      expect(button).toHaveAttribute('data-phase', 'COOLDOWN');
+      expect(button).toHaveTextContent('13');
+    });
+
+    it('should show charges for multi-charge abilities', () => {
+      mockEngineCallbacks.onAbilitiesUpdate({ AIRSTRIKE: abilityState({ charges: 1, maxCharges: 3 }) });
+      expect(screen.getByRole('button', { name: 'Artillery Strike (Q)' })).toHaveTextContent('1');
+    });
+
+    it('should prompt for a target while targeting', () => {
+      updateSnapshot({ targetingAbility: 'AIRSTRIKE', targetingFeedback: { ok: true, reasons: [] } });
+      expect(screen.getByText('Click to target Artillery Strike - Right-click or ESC to cancel')).toBeInTheDocument();
+
+      updateSnapshot({ targetingFeedback: { ok: false, reasons: [{ message: 'Target is out of range' }] } });
+      expect(screen.getByText('Target is out of range')).toBeInTheDocument();
+    });
+
+    it('should cancel targeting on Escape instead of pausing', () => {
+      updateSnapshot({ targetingAbility: 'AIRSTRIKE' });
+      fireEvent.keyDown(window, { code: 'Escape' });
+
+      expect(mockEngine.cancelAbilityTargeting).toHaveBeenCalled();
+      expect(mockEngine.togglePause).not.toHaveBeenCalled();
+    });
+
+    it('should show why an ability was rejected, then clear it', () => {
+      vi.useFakeTimers();
+      mockEngineCallbacks.onAbilityRejected({ abilityKey: 'FREEZE', reason: 'Frost Nova is on cooldown (12s)' });
+      expect(screen.getByRole('alert')).toHaveTextContent('Frost Nova is on cooldown (12s)');
+
+      act(() => {
+        vi.advanceTimersByTime(1500);
+      });
+
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      vi.useRealTimers();
+    });
+  });
+
   describe('Save Data Loading', () => {
     it('should load save data from localStorage', () => {
       const savedData = {
@@ -507,13 +1039,344 @@ describe('HomesteadSiege Component', () => {
         version: 2
       };
 
-      localStorageMock.getItem.mockReturnValueOnce(JSON.stringify(savedData));
+      // Single-slot save from before profiles existed
+      localStorageMock.setItem('homesteadSiege_saveData', JSON.stringify(savedData));
 
       render(<HomesteadSiege />);
 
       expect(screen.getByText('5000')).toBeInTheDocument(); // High score
       expect(screen.getByText('100')).toBeInTheDocument(); // Total kills
     });
+
+    it('should reset corrupt save data and keep a backup', () => {
+      localStorageMock.setItem('homesteadSiege_saveData', '{"playerStats": {');
+
+      render(<HomesteadSiege />);
+
+      expect(screen.getByText(/unreadable and has been reset/)).toBeInTheDocument();
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('homesteadSiege_profile_default_backup', '{"playerStats": {');
+    });
+  });
+
+  describe('Profiles', () => {
+    const saveProfile = (id, playerStats) => {
+      localStorageMock.setItem(`homesteadSiege_profile_${id}`, JSON.stringify({ playerStats, version: 3 }));
+    };
+
+    beforeEach(() => {
+      localStorageMock.setItem('homesteadSiege_profiles', JSON.stringify({
+        version: 1,
+        activeProfileId: 'alice',
+        profiles: [
+          { id: 'alice', name: 'Alice', createdAt: 1 },
+          { id: 'bob', name: 'Bob', createdAt: 2 }
+        ]
+      }));
+      saveProfile('alice', { highScore: 1111 });
+      saveProfile('bob', { highScore: 2222 });
+    });
+
+    it('should show the active profile stats', () => {
+      render(<HomesteadSiege />);
+
+      expect(screen.getByLabelText('Profile')).toHaveValue('alice');
+      expect(screen.getByText('1111')).toBeInTheDocument();
+    });
+
+    it('should switch profiles from the start screen', () => {
+      render(<HomesteadSiege />);
+
+      fireEvent.change(screen.getByLabelText('Profile'), { target: { value: 'bob' } });
+
+      expect(screen.getByText('2222')).toBeInTheDocument();
+      expect(JSON.parse(localStorageMock.getItem('homesteadSiege_profiles')).activeProfileId).toBe('bob');
+    });
+
+    it('should save stats to the active profile only', () => {
+      render(<HomesteadSiege />);
+      fireEvent.change(screen.getByLabelText('Profile'), { target: { value: 'bob' } });
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      mockEngineCallbacks.onGameOver({ score: 3000, wave: 2 });
+      emitMockEvent('GAME_OVER', { score: 3000, activeWaveNumber: 2 });
+
+      expect(JSON.parse(localStorageMock.getItem('homesteadSiege_profile_bob')).playerStats.highScore).toBe(3000);
+      expect(JSON.parse(localStorageMock.getItem('homesteadSiege_profile_alice')).playerStats.highScore).toBe(1111);
+    });
+
+    it('should create a new profile with fresh stats', () => {
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('New Profile'));
+      fireEvent.change(screen.getByLabelText('Profile name'), { target: { value: 'Carol' } });
+      fireEvent.click(screen.getByText('Create'));
+
+      expect(screen.getByRole('option', { name: 'Carol' }).selected).toBe(true);
+      expect(screen.queryByText('1111')).not.toBeInTheDocument();
+    });
+
+    it('should reject a duplicate profile name', () => {
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('New Profile'));
+      fireEvent.change(screen.getByLabelText('Profile name'), { target: { value: 'bob' } });
+      fireEvent.click(screen.getByText('Create'));
+
+      expect(screen.getByText('A profile named "bob" already exists')).toBeInTheDocument();
+    });
+
+    it('should delete the active profile after confirmation', () => {
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('Delete Profile'));
+      expect(screen.getByText('Delete Alice?')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Delete'));
+
+      expect(screen.getByLabelText('Profile')).toHaveValue('bob');
+      expect(screen.queryByRole('option', { name: 'Alice' })).not.toBeInTheDocument();
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith('homesteadSiege_profile_alice');
+    });
+
+    it('should export the active profile as a JSON file', () => {
+      URL.createObjectURL = vi.fn(() => 'blob:profile');
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('Export'));
+
+      expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+      expect(click).toHaveBeenCalled();
+      expect(click.mock.contexts[0].download).toBe('HomesteadSiege_profile_Alice.json');
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    describe('import', () => {
+      const exportFor = (playerStats, unlockedAchievements = []) => createProfileExport({ name: 'Laptop' }, {
+        playerStats: { highScore: 0, gamesPlayed: 0, ...playerStats },
+        unlockedAchievements,
+        settings: { masterVolume: 0.4 }
+      });
+
+      const importFile = async (contents) => {
+        fireEvent.change(screen.getByTestId('profile-import-input'), {
+          target: { files: [makeJsonFile(contents, 'profile.json')] }
+        });
+      };
+
+      it('should preview and merge an imported profile', async () => {
+        render(<HomesteadSiege />);
+
+        await importFile(JSON.stringify(exportFor({ highScore: 9999 }, ['WAVE_5'])));
+
+        await waitFor(() => {
+          expect(screen.getByText('Import Profile')).toBeInTheDocument();
+        });
+        expect(screen.getByText('Importing "Laptop" into Alice')).toBeInTheDocument();
+        expect(screen.getByText('highScore')).toBeInTheDocument();
+        expect(screen.getByText('Wave 5 Survivor')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText(/^Import \(/));
+
+        expect(screen.queryByText('Import Profile')).not.toBeInTheDocument();
+        expect(screen.getByText('9999')).toBeInTheDocument();
+        const saved = JSON.parse(localStorageMock.getItem('homesteadSiege_profile_alice'));
+        expect(saved.unlockedAchievements).toEqual(['WAVE_5']);
+        expect(saved.settings.masterVolume).toBe(0.4);
+      });
+
+      it('should keep higher current stats when merging', async () => {
+        render(<HomesteadSiege />);
+
+        await importFile(JSON.stringify(exportFor({ highScore: 5 })));
+        await waitFor(() => screen.getByText('Import Profile'));
+        fireEvent.click(screen.getByText(/^Import \(/));
+
+        expect(screen.getByText('1111')).toBeInTheDocument();
+      });
+
+      it('should replace the profile when chosen', async () => {
+        render(<HomesteadSiege />);
+
+        await importFile(JSON.stringify(exportFor({ highScore: 5 })));
+        await waitFor(() => screen.getByText('Import Profile'));
+        fireEvent.click(screen.getByText('Replace'));
+        fireEvent.click(screen.getByText(/^Import \(/));
+
+        expect(JSON.parse(localStorageMock.getItem('homesteadSiege_profile_alice')).playerStats.highScore).toBe(5);
+      });
+
+      it('should leave the profile untouched when cancelled', async () => {
+        render(<HomesteadSiege />);
+
+        await importFile(JSON.stringify(exportFor({ highScore: 9999 })));
+        await waitFor(() => screen.getByText('Import Profile'));
+        fireEvent.click(screen.getByText('Cancel'));
+
+        expect(screen.getByText('1111')).toBeInTheDocument();
+        expect(JSON.parse(localStorageMock.getItem('homesteadSiege_profile_alice')).playerStats.highScore).toBe(1111);
+      });
+
+      it('should reject a tampered file', async () => {
+        render(<HomesteadSiege />);
+        const file = exportFor({ highScore: 10 });
+        file.data.playerStats.highScore = 999999;
+
+        await importFile(JSON.stringify(file));
+
+        await waitFor(() => {
+          expect(screen.getByText('Import failed: Profile file has been modified or is damaged')).toBeInTheDocument();
+        });
+        expect(screen.queryByText('Import Profile')).not.toBeInTheDocument();
+      });
+
+      it('should reject a file that is not JSON', async () => {
+        render(<HomesteadSiege />);
+
+        await importFile('not json');
+
+        await waitFor(() => {
+          expect(screen.getByText('Import failed: Profile file is not valid JSON')).toBeInTheDocument();
+        });
+      });
+    });
+  });
+
+  describe('Achievement Tracking', () => {
+    const storedProfile = () => JSON.parse(localStorageMock.getItem('homesteadSiege_profile_default'));
+
+    it('should unlock an achievement from engine events and show a toast', () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      emitMockEvent('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(screen.getByRole('status')).toHaveTextContent('First Blood');
+      expect(storedProfile().unlockedAchievements).toEqual(['FIRST_BLOOD']);
+      expect(storedProfile().playerStats.totalKills).toBe(1);
+    });
+
+    it('should reflect unlocks in the achievements modal', () => {
+      render(<HomesteadSiege />);
+      emitMockEvent('ZOMBIE_KILLED', { type: 'BOSS', isBoss: true });
+
+      expect(screen.getByText('Achievements (2/3)')).toBeInTheDocument();
+    });
+
+    it('should hide the toast after a few seconds', () => {
+      vi.useFakeTimers();
+      render(<HomesteadSiege />);
+      emitMockEvent('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      expect(screen.getByRole('status')).toBeInTheDocument();
+
+      act(() => {
+        vi.advanceTimersByTime(4000);
+      });
+
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      vi.useRealTimers();
+    });
+
+    it('should not count replays', () => {
+      render(<HomesteadSiege />);
+      mockEngine.isReplaying = true;
+
+      emitMockEvent('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      emitMockEvent('GAME_OVER', { score: 500, activeWaveNumber: 3 });
+
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      expect(localStorageMock.getItem('homesteadSiege_profile_default')).toBeNull();
+    });
+
+    it('should save kills made before quitting mid-wave', async () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+      emitMockEvent('TURRET_PLACED', { type: 'BASIC' });
+      mockEngineCallbacks.onPauseChange(true);
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Quit to Menu'));
+      });
+
+      expect(storedProfile().playerStats.turretsPlaced).toBe(1);
+    });
+
+    it('should count games played on game over', () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      emitMockEvent('GAME_OVER', { score: 700, activeWaveNumber: 3 });
+
+      expect(storedProfile().playerStats).toMatchObject({ gamesPlayed: 1, highScore: 700 });
+    });
+  });
+
+  describe('Saved Runs', () => {
+    const RUN_SAVE_KEY = 'homesteadSiege_profile_default_run';
+    const savedRun = { version: 1, endless: true, wave: { active: 4 } };
+
+    it('should not offer Continue without a saved run', () => {
+      render(<HomesteadSiege />);
+
+      expect(screen.queryByText(/Continue/)).not.toBeInTheDocument();
+    });
+
+    it('should continue a saved run from the start screen', () => {
+      localStorageMock.setItem(RUN_SAVE_KEY, JSON.stringify(savedRun));
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('Continue - Wave 4 (Endless)'));
+
+      expect(mockEngine.restoreRun).toHaveBeenCalledWith(savedRun);
+      expect(screen.queryByText('Normal Mode')).not.toBeInTheDocument();
+    });
+
+    it('should drop a saved run that cannot be restored', async () => {
+      localStorageMock.setItem(RUN_SAVE_KEY, JSON.stringify(savedRun));
+      render(<HomesteadSiege />);
+      mockEngine.restoreRun.mockReturnValue(false);
+
+      fireEvent.click(screen.getByText(/Continue/));
+
+      await waitFor(() => {
+        expect(screen.getByText('Saved run could not be restored')).toBeInTheDocument();
+      });
+      expect(screen.queryByText(/Continue/)).not.toBeInTheDocument();
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith(RUN_SAVE_KEY);
+    });
+
+    it('should save the run when quitting to the menu', async () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+      mockEngineCallbacks.onPauseChange(true);
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Quit to Menu'));
+      });
+
+      expect(mockEngine.serializeRun).toHaveBeenCalled();
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(RUN_SAVE_KEY, expect.any(String));
+      expect(screen.getByText('Continue - Wave 2')).toBeInTheDocument();
+    });
+
+    it('should autosave when a wave completes', () => {
+      render(<HomesteadSiege />);
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      mockEngineCallbacks.onWaveComplete(2);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(RUN_SAVE_KEY, expect.any(String));
+    });
+
+    it('should discard the saved run when starting a new game', () => {
+      localStorageMock.setItem(RUN_SAVE_KEY, JSON.stringify(savedRun));
+      render(<HomesteadSiege />);
+
+      fireEvent.click(screen.getByText('Normal Mode'));
+
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith(RUN_SAVE_KEY);
+    });
   });
 });
 
@@ -582,6 +1445,21 @@ describe('Game Over Screen', () => {
     });
   });
 
+  it('should list the mutators faced on game over', async () => {
+    render(<HomesteadSiege />);
+    fireEvent.click(screen.getByText('Normal Mode'));
+
+    mockEngineCallbacks.onGameOver({
+      score: 1000,
+      wave: 5,
+      mutatorHistory: [{ wave: 3, mutators: ['FOG'] }, { wave: 4, mutators: ['FOG', 'BOUNTY'] }]
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Mutators faced: Fog, Bounty (2 waves)')).toBeInTheDocument();
+    });
+  });
+
   it('should show main menu button on game over', async () => {
     render(<HomesteadSiege />);
     fireEvent.click(screen.getByText('Normal Mode'));
@@ -637,6 +1515,21 @@ describe('Pause Screen', () => {
 
     expect(mockEngine.togglePause).toHaveBeenCalled();
   });
+
+  it('should export a replay from the pause screen', async () => {
+    render(<HomesteadSiege />);
+    fireEvent.click(screen.getByText('Normal Mode'));
+
+    if (mockEngineCallbacks.onPauseChange) {
+      mockEngineCallbacks.onPauseChange(true);
+    }
+
+    await waitFor(() => {
+      fireEvent.click(screen.getByText('Export Replay'));
+    });
+
+    expect(mockEngine.downloadReplay).toHaveBeenCalled();
+  });
 });
 
 describe('Wave Label Consistency (Single Source of Truth)', () => {
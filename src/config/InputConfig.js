@@ -23,7 +23,7 @@ export const InputBindings = {
   },
   menu: {
     shop: ['KeyB'],
-    turrets: ['KeyT'],
+    build: ['KeyT'],
     help: ['KeyH'],
     pause: ['Escape']
   },
@@ -50,13 +50,13 @@ export const ControlHelp = [
   { key: 'E', label: 'Enter/Exit house' },
   { key: '1-4', label: 'Switch weapons' },
   { key: 'Q/X/R/F', label: 'Use abilities' },
-  { key: 'T', label: 'Turret menu' },
+  { key: 'T', label: 'Build menu' },
   { key: 'B', label: 'Shop' },
   { key: 'C', label: 'Cycle camera mode' }
 ];
 
 export const AbilityHelp = [
-  { key: 'Q', label: 'Artillery Strike', description: 'Airstrike at cursor' },
+  { key: 'Q', label: 'Artillery Strike', description: 'Target an airstrike' },
   { key: 'X', label: 'Frost Nova', description: 'Freeze all enemies' },
   { key: 'R', label: 'Survival Fury', description: '2x damage & fire rate' },
   { key: 'F', label: 'Emergency Repair', description: 'Repair doors/windows' }
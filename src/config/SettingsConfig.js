@@ -339,6 +339,21 @@ export const validateSetting = (key, value) => {
   return true;
 };
 
+/**
+ * Coerce a stored setting into a valid value. Out-of-range sliders are
+ * clamped, anything else that fails validateSetting falls back to the default.
+ */
+export const sanitizeSetting = (key, value) => {
+  const def = SettingsDefinitions[key];
+  if (!def) return undefined;
+  if (validateSetting(key, value)) return value;
+
+  if (def.type === 'slider' && Number.isFinite(value)) {
+    return Math.min(def.max, Math.max(def.min, value));
+  }
+  return def.default;
+};
+
 /**
  * Apply a graphics preset and return the new settings
  */
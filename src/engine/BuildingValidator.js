@@ -1,8 +1,9 @@
 /**
- * BuildingValidator - Structural validation for turret placement
+ * BuildingValidator - Structural validation for turret and barricade placement
  * 
  * Adapted from the skills blueprint (HeuristicValidator) for Homestead Siege.
- * Validates turret placement based on distance rules and optional structural support.
+ * Validates placement based on distance rules and, for stacked barricades,
+ * structural support.
  */
 
 import * as THREE from 'three';
@@ -12,7 +13,7 @@ import * as THREE from 'three';
  */
 export const ValidationMode = {
   SIMPLE: 'simple',       // Distance-based only (current game)
-  HEURISTIC: 'heuristic'  // Full structural validation (future expansion)
+  HEURISTIC: 'heuristic'  // Full structural validation (stacked barricades)
 };
 
 /**
@@ -23,9 +24,17 @@ export const ValidationCode = Object.freeze({
   TOO_CLOSE: 'TOO_CLOSE',
   TOO_FAR: 'TOO_FAR',
   BLOCKED: 'BLOCKED',
-  NO_SUPPORT: 'NO_SUPPORT'
+  NO_SUPPORT: 'NO_SUPPORT',
+  PATH_BLOCKED: 'PATH_BLOCKED'
 });
 
+/**
+ * Whether two {minX, maxX, minZ, maxZ} rects overlap (sharing an edge doesn't count)
+ */
+function rectsOverlap(a, b) {
+  return a.minX < b.maxX && b.minX < a.maxX && a.minZ < b.maxZ && b.minZ < a.maxZ;
+}
+
 /**
  * Support graph for tracking piece relationships
  */
@@ -49,13 +58,15 @@ class SupportGraph {
 
   removePiece(piece) {
     const id = piece.id;
+    // Callers may pass their own object for the piece; the links hold the one added
+    const added = this.pieces.get(id) ?? piece;
 
     for (const supporter of this.supportedBy.get(id) || []) {
-      this.supports.get(supporter.id)?.delete(piece);
+      this.supports.get(supporter.id)?.delete(added);
     }
 
     for (const supported of this.supports.get(id) || []) {
-      this.supportedBy.get(supported.id)?.delete(piece);
+      this.supportedBy.get(supported.id)?.delete(added);
     }
 
     this.pieces.delete(id);
@@ -303,13 +314,22 @@ export class BuildingValidator {
       });
     }
 
-    // Check for overlapping pieces
-    const minSpacing = 1.5; // Minimum spacing between turrets
+    // Check for overlapping pieces (a piece being moved doesn't block itself,
+    // and a stacked piece isn't blocked by the pieces it rests on). Pieces
+    // that both carry a footprint rect clash when the rects overlap; any
+    // other pair must keep minSpacing apart
+    const minSpacing = 1.5;
+    const restsOn = this.mode === ValidationMode.HEURISTIC && !piece.isGrounded
+      ? new Set(this.findPotentialSupports(piece))
+      : null;
     const offenders = [];
     for (const existing of this.graph.getAllPieces()) {
-      if (existing.position) {
+      if (existing.position && existing.id !== piece.id && !restsOn?.has(existing)) {
         const dist = position.distanceTo(existing.position);
-        if (dist < minSpacing) {
+        const clashes = piece.footprint && existing.footprint
+          ? rectsOverlap(piece.footprint, existing.footprint)
+          : dist < minSpacing;
+        if (clashes) {
           offenders.push({
             id: existing.id,
             distance: dist
@@ -363,6 +383,21 @@ export class BuildingValidator {
     return supports;
   }
 
+  /**
+   * Rest a placed piece on the pieces below it, so it collapses once none of
+   * them are left
+   * @param {Object} piece - Piece already added with addPiece()
+   * @param {Object[]} [supports] - Defaults to findPotentialSupports(piece)
+   * @returns {Object[]} The supports linked
+   */
+  addSupports(piece, supports = this.findPotentialSupports(piece)) {
+    for (const support of supports) {
+      this.graph.addSupportRelation(support, piece);
+    }
+    this.stabilityCache.delete(piece.id);
+    return supports;
+  }
+
   /**
    * Get stability of a piece (always 1.0 in simple mode)
    */
@@ -100,7 +100,7 @@ class CollapseAnimation {
   constructor(piece, options = {}) {
     this.piece = piece;
     this.mesh = piece.mesh || piece;
-    this.startTime = performance.now();
+    this.elapsed = 0;
     this.delay = options.delay ?? 0;
     this.duration = options.duration ?? 800 + Math.random() * 400;
     
@@ -126,17 +126,17 @@ class CollapseAnimation {
   }
 
   update(deltaTime) {
-    const elapsed = performance.now() - this.startTime;
+    this.elapsed += deltaTime * 1000;
 
     if (this.phase === 'waiting') {
-      if (elapsed >= this.delay) {
+      if (this.elapsed >= this.delay) {
         this.phase = 'falling';
-        this.fallStart = performance.now();
+        this.fallStart = this.elapsed;
       }
       return false;
     }
 
-    const fallElapsed = performance.now() - this.fallStart;
+    const fallElapsed = this.elapsed - this.fallStart;
     this.progress = Math.min(fallElapsed / this.duration, 1);
     const t = this.progress;
 
@@ -265,14 +265,7 @@ export class DamageManager {
     const unstable = this.validator.removePiece(piece);
     
     for (let i = 0; i < unstable.length; i++) {
-      const unstablePiece = unstable[i];
-      
-      this.pendingDestructions.push({
-        piece: unstablePiece,
-        delay: (i + 1) * this.collapseDelay,
-        timestamp: performance.now(),
-        cause: 'structural'
-      });
+      this.scheduleDestruction(unstable[i], (i + 1) * this.collapseDelay);
     }
 
     result.collapsed = unstable;
@@ -298,6 +291,15 @@ export class DamageManager {
     return result;
   }
 
+  // Delays are milliseconds of simulation time, counted down by update()
+  scheduleDestruction(piece, delay, cause = 'structural') {
+    this.pendingDestructions.push({ piece, delay, cause });
+  }
+
+  getPendingDelay(piece) {
+    return this.pendingDestructions.find(pending => pending.piece.id === piece.id)?.delay ?? null;
+  }
+
   findNeighbors(piece, radius) {
     const neighbors = [];
     const position = piece.pos || piece.position || piece.mesh?.position;
@@ -318,13 +320,13 @@ export class DamageManager {
     return neighbors;
   }
 
+  // deltaTime is the simulation step in seconds, so collapses pause and replay with the game
   update(deltaTime) {
-    const now = performance.now();
-
     for (let i = this.pendingDestructions.length - 1; i >= 0; i--) {
       const pending = this.pendingDestructions[i];
-      
-      if (now - pending.timestamp >= pending.delay) {
+      pending.delay -= deltaTime * 1000;
+
+      if (pending.delay <= 0) {
         this.pendingDestructions.splice(i, 1);
         
         const piece = pending.piece;
@@ -407,21 +409,34 @@ export class DamageVisualizer {
   }
 
   updateVisuals(piece, damageable) {
-    const mesh = piece.mesh || piece;
-    if (!mesh.material) return;
-
-    switch (damageable.damageState) {
-      case DamageState.DAMAGED:
-        this.applyDamageColor(mesh, this.colors.damaged, 0.3);
-        break;
-      case DamageState.CRITICAL:
-        this.applyDamageColor(mesh, this.colors.critical, 0.6);
-        break;
-      default:
-        this.restoreOriginalColor(mesh);
+    for (const mesh of this.collectMeshes(piece.mesh || piece)) {
+      switch (damageable.damageState) {
+        case DamageState.DAMAGED:
+          this.applyDamageColor(mesh, this.colors.damaged, 0.3);
+          break;
+        case DamageState.CRITICAL:
+          this.applyDamageColor(mesh, this.colors.critical, 0.6);
+          break;
+        default:
+          this.restoreOriginalColor(mesh);
+      }
     }
   }
 
+  /**
+   * Meshes to tint: the object itself, or every child of a group that has a
+   * material. Children with userData.keepColor (e.g. health bars) are left alone.
+   */
+  collectMeshes(object) {
+    if (object.material) return [object];
+
+    const meshes = [];
+    object.traverse?.((child) => {
+      if (child.material && !child.userData?.keepColor) meshes.push(child);
+    });
+    return meshes;
+  }
+
   applyDamageColor(mesh, color, intensity) {
     if (!mesh._originalColor) {
       mesh._originalColor = mesh.material.color.clone();
@@ -28,12 +28,169 @@ export const WeaponTypes = {
 export const ZombieTypes = {
   STANDARD: { name: 'Walker', hp: 35, speed: 1.0, damage: 8, value: 10, scale: 1.0, body: 0x2ECC71, head: 0x27AE60 },
   RUNNER: { name: 'Sprinter', hp: 22, speed: 1.8, damage: 6, value: 12, scale: 0.8, body: 0x25A25A, head: 0x1E8C4E },
-  TANK: { name: 'Brute', hp: 120, speed: 0.6, damage: 20, value: 30, scale: 1.4, body: 0x1A7A3A, head: 0x2ECC71 },
-  HEALER: { name: 'Necromancer', hp: 40, speed: 0.9, damage: 5, value: 20, scale: 0.9, body: 0x8E44AD, head: 0xAB69C6, heals: true },
+  TANK: { name: 'Brute', hp: 120, speed: 0.6, damage: 20, value: 30, scale: 1.4, body: 0x1A7A3A, head: 0x2ECC71,
+    prefersStructures: true },
+  HEALER: { name: 'Necromancer', hp: 40, speed: 0.9, damage: 5, value: 20, scale: 0.9, body: 0x8E44AD, head: 0xAB69C6,
+    heals: true, healRadius: 6, healAmount: 10, healInterval: 2.5 },
   SPLITTER: { name: 'Bloater', hp: 60, speed: 1.0, damage: 12, value: 25, scale: 1.1, body: 0x3DD68C, head: 0x58D68D, splits: true },
   BOSS: { name: 'Overlord', hp: 800, speed: 0.5, damage: 40, value: 200, scale: 2.2, body: 0x8E44AD, head: 0x7D3C98, phases: 3 }
 };
 
+/**
+ * Overlord behavior per phase. bossPhase counts down from ZombieTypes.BOSS.phases
+ * as HP drops through equal shares of maxHp; intervals are seconds between uses.
+ */
+export const BossPhases = {
+  3: {
+    name: 'Awakened',
+    summon: { type: 'STANDARD', count: 2, interval: 10 }
+  },
+  2: {
+    name: 'Rampaging', banner: 'BOSS PHASE 2 - The Overlord charges!',
+    summon: { type: 'STANDARD', count: 2, interval: 12 },
+    charge: { interval: 7, windup: 1, duration: 1.2, speedMult: 6 },
+    slam: { interval: 9, radius: 8, damage: 35 }
+  },
+  1: {
+    name: 'Enraged', banner: 'BOSS ENRAGED!', speedMult: 1.6,
+    summon: { type: 'RUNNER', count: 3, interval: 10 },
+    charge: { interval: 5, windup: 0.7, duration: 1.2, speedMult: 6 },
+    slam: { interval: 6, radius: 10, damage: 45 }
+  }
+};
+
+/**
+ * Map layout shared by the scenery and zombie pathfinding. A forest several
+ * rows deep starts at treelineEdge on every side (mountains ring the map
+ * beyond it), cut by a gap gateWidth wide for each spawn gate. Corridors run
+ * out from the gaps to spawnCorridorEnd, and zombies appear in the spawnArea
+ * part of them (depths are measured outward from the map center).
+ */
+export const WorldLayout = {
+  treelineEdge: 55,
+  gateWidth: 12,
+  spawnCorridorEnd: 72,
+  spawnArea: { halfWidth: 5, near: 60, far: 70 }
+};
+
+/**
+ * Spawn gates zombies come through. side is the map edge a gate cuts through
+ * and offset its center along that edge (x for north/south, z for east/west).
+ * Gates open on unlockWave; weight sets how often procedural waves pick them
+ * and how many of a wave's zombies they get. Wave scripts name gates by key.
+ */
+export const SpawnPoints = {
+  EAST: { name: 'East Treeline', side: 'east', offset: 0, unlockWave: 1, weight: 3 },
+  NORTH: { name: 'North Road', side: 'north', offset: 20, unlockWave: 4, weight: 2 },
+  SOUTH: { name: 'South Creek', side: 'south', offset: 10, unlockWave: 7, weight: 2 },
+  WEST: { name: 'Back Pasture', side: 'west', offset: 25, unlockWave: 12, weight: 1 }
+};
+
+/**
+ * Threat ratings for the upcoming wave preview. A wave's threat score is the
+ * summed value of its zombies, scaled up by any hp, speed and damage
+ * modifiers; it gets the last rating whose min it reaches.
+ */
+export const ThreatLevels = [
+  { name: 'Low', min: 0, color: '#4ade80' },
+  { name: 'Moderate', min: 100, color: '#facc15' },
+  { name: 'High', min: 250, color: '#fb923c' },
+  { name: 'Severe', min: 500, color: '#f87171' },
+  { name: 'Extreme', min: 900, color: '#e879f9' }
+];
+
+/**
+ * Difficulty presets picked on the start screen. The director's pressure
+ * starts at basePressure and drifts within [minPressure, maxPressure] as it
+ * reads how the player is doing. Pressure above 1 shortens spawn intervals,
+ * makes spawns arrive in bursts and lets the director inject up to maxBonus
+ * extra zombies a wave; below 1 it spaces spawns out.
+ */
+export const DifficultyPresets = {
+  CASUAL: {
+    name: 'Casual', description: 'Slower waves that ease off when you struggle',
+    basePressure: 0.75, minPressure: 0.5, maxPressure: 1.0, maxBonus: 0
+  },
+  NORMAL: {
+    name: 'Normal', description: 'The intended challenge',
+    basePressure: 1.0, minPressure: 0.8, maxPressure: 1.3, maxBonus: 3
+  },
+  HARD: {
+    name: 'Hard', description: 'Faster waves that punish a comfortable defense',
+    basePressure: 1.2, minPressure: 1.0, maxPressure: 1.6, maxBonus: 5
+  },
+  NIGHTMARE: {
+    name: 'Nightmare', description: 'Relentless hordes that never let up',
+    basePressure: 1.5, minPressure: 1.3, maxPressure: 2.0, maxBonus: 8
+  }
+};
+
+/**
+ * How the difficulty director reads the player and turns pressure into
+ * spawning. Each signal scores -1 (struggling) to 1 (comfortable) and the
+ * weighted sum picks a pressure between the preset's bounds.
+ */
+export const DirectorTuning = {
+  evaluateInterval: 3, // Seconds between assessments during a wave
+  maxStep: 0.08, // Most pressure can move per assessment
+  weights: { health: 0.35, integrity: 0.2, killSpeed: 0.3, hoarding: 0.15 },
+  healthFloor: 0.3, // Health ratio scoring -1; full health scores 1
+  integrityFloor: 0.4, // House integrity (0-1) scoring -1; intact scores 1
+  targetKillTime: 12, // Seconds from spawn to kill that score 0; instant kills score 1
+  hoardBase: 100, // Corn counted as hoarding starts at hoardBase + wave * hoardPerWave
+  hoardPerWave: 40,
+  burstPerPressure: 0.6, // Burst chance per point of pressure over 1
+  maxBurstChance: 0.5,
+  maxBurstSize: 3,
+  bonusThreshold: 0.5, // Assessment a wave must reach before bonus zombies
+  bonusMinProgress: 0.3, // Share of the wave spawned before bonus zombies
+  logSize: 12 // Decisions kept for the performance HUD
+};
+
+/**
+ * Mutators change the rules for a whole run (picked on the start screen) or
+ * a single wave (from a wave script, or rolled in endless mode). Effects are
+ * multipliers; when several mutators are active their effects multiply.
+ *   zombieSpeed - Zombie move speed
+ *   zombieDamageTaken - Damage zombies take from every source
+ *   corn - Corn dropped by kills
+ *   playerDamage - Damage of the player's weapons
+ *   playerDamageTaken - Damage zombies deal to the player
+ *   fogDensity - Scene fog density (visual only)
+ */
+export const Mutators = {
+  FOG: {
+    name: 'Fog', icon: '🌫️', description: 'Thick fog hides the horde until it is close',
+    effects: { fogDensity: 2.5 }
+  },
+  FAST_DEAD: {
+    name: 'Fast Dead', icon: '💨', description: 'Zombies move 30% faster',
+    effects: { zombieSpeed: 1.3 }
+  },
+  ARMORED: {
+    name: 'Armored', icon: '🛡️', description: 'Zombies take 30% less damage',
+    effects: { zombieDamageTaken: 0.7 }
+  },
+  BOUNTY: {
+    name: 'Bounty', icon: '💰', description: 'Kills drop double corn',
+    effects: { corn: 2 }
+  },
+  GLASS_CANNON: {
+    name: 'Glass Cannon', icon: '🔮', description: 'You deal and take double damage',
+    effects: { playerDamage: 2, playerDamageTaken: 2 }
+  }
+};
+
+/**
+ * Endless mode rolls wave mutators every few waves, more of them later on
+ */
+export const MutatorSchedule = {
+  endlessEvery: 3, // Every 3rd wave gets mutators
+  endlessCount: 1, // Mutators rolled per wave
+  endlessLateFrom: 15, // Wave from which endlessLateCount are rolled instead
+  endlessLateCount: 2
+};
+
 export const HouseUpgrades = {
   BASIC: {
     level: 0, name: 'Starter Cabin', cost: 0,
@@ -67,29 +224,146 @@ export const HouseUpgrades = {
   }
 };
 
+/**
+ * Turrets the player can place. projectileSpeed is how fast shots cover
+ * ground; arc turrets lob shells arcHeight high that burst where they land.
+ */
 export const TurretTypes = {
   BASIC: {
     name: 'Scarecrow Turret', icon: '🧑‍🌾', cost: 100,
-    damage: 15, fireRate: 1.5, range: 8, color: 0xdaa520, health: 80,
+    damage: 15, fireRate: 1.5, range: 8, projectileSpeed: 25, color: 0xdaa520, health: 80,
     description: 'Basic auto-targeting turret'
   },
   SLOW: {
     name: 'Frost Sprinkler', icon: '❄️', cost: 150,
-    damage: 5, fireRate: 2.0, range: 6, slow: 0.5, slowDuration: 2, color: 0x88ccff, health: 60,
+    damage: 5, fireRate: 2.0, range: 6, projectileSpeed: 20, slow: 0.5, slowDuration: 2, color: 0x88ccff, health: 60,
     description: 'Slows enemies in range'
   },
   EXPLOSIVE: {
     name: 'Corn Silo', icon: '🌾', cost: 200,
-    damage: 40, fireRate: 0.5, range: 10, splash: 3, color: 0xffd700, health: 100,
+    damage: 40, fireRate: 0.5, range: 10, projectileSpeed: 14, arc: true, arcHeight: 4, splash: 3, color: 0xffd700, health: 100,
     description: 'Explosive area damage'
   }
 };
 
+/**
+ * Upgrades bought for a single placed turret from its inspector. Each level
+ * adds perLevel of the turret's base stat (for fireRate, the seconds between
+ * shots shrink by that much). Level n of a track costs
+ * cost × costFactor × n of the turret's purchase price.
+ */
+export const TurretUpgradeTracks = {
+  damage: { name: 'Damage', icon: '⚔️', maxLevel: 3, perLevel: 0.25, costFactor: 0.5 },
+  range: { name: 'Range', icon: '🎯', maxLevel: 3, perLevel: 0.15, costFactor: 0.4 },
+  fireRate: { name: 'Fire Rate', icon: '⚡', maxLevel: 3, perLevel: 0.2, costFactor: 0.5 }
+};
+
+/**
+ * Tier 3 specializations per turret type, open once a turret reaches
+ * tier 2. A branch's stats multiply the upgraded turret's; fireRate is
+ * seconds between shots, so below 1 fires faster. Only one branch can be
+ * chosen and it can't be changed.
+ */
+export const TurretBranches = {
+  BASIC: {
+    SNIPER: {
+      name: 'Sniper Scarecrow', icon: '🎯', cost: 200, color: 0x8b1a1a,
+      description: 'Slow, long-range shots that hit hard',
+      stats: { damage: 3, range: 1.6, fireRate: 2, projectileSpeed: 1.6 }
+    },
+    GATLING: {
+      name: 'Gatling Scarecrow', icon: '🌀', cost: 200, color: 0xcd853f,
+      description: 'A hail of light shots at close range',
+      stats: { damage: 0.5, range: 0.85, fireRate: 0.25 }
+    }
+  },
+  SLOW: {
+    BLIZZARD: {
+      name: 'Blizzard', icon: '🌨️', cost: 250, color: 0xe0f4ff,
+      description: 'Chills everything in a wide ring, twice as often',
+      stats: { range: 1.5, fireRate: 0.5, slowDuration: 1.5 }
+    },
+    CRYO_LANCE: {
+      name: 'Cryo Lance', icon: '🧊', cost: 250, color: 0x3a7bd5,
+      description: 'Piercing cold that nearly stops one target',
+      stats: { damage: 6, range: 1.3, fireRate: 1.5, slow: 1.6, slowDuration: 2 }
+    }
+  },
+  EXPLOSIVE: {
+    MORTAR: {
+      name: 'Mortar Silo', icon: '🎆', cost: 300, color: 0x8b5a2b,
+      description: 'Lobs bigger blasts from across the farm',
+      stats: { damage: 1.5, range: 1.5, fireRate: 1.3, splash: 1.3 }
+    },
+    POPCORN: {
+      name: 'Popcorn Silo', icon: '🍿', cost: 300, color: 0xfff5cc,
+      description: 'Rapid small pops that keep crowds busy',
+      stats: { damage: 0.6, fireRate: 0.4, splash: 0.8, projectileSpeed: 1.3 }
+    }
+  }
+};
+
+/**
+ * Targeting priorities a turret can be set to from its inspector. Turrets
+ * start on NEAREST. "Along the path" is the zombie's walking distance to the
+ * house; it also breaks ties for the modes that rank by stats or type.
+ */
+export const TurretTargetingModes = {
+  NEAREST: { name: 'Nearest', icon: '📍', description: 'Closest to the turret' },
+  FIRST: { name: 'First', icon: '🏠', description: 'Closest to the house along the path' },
+  LAST: { name: 'Last', icon: '🐢', description: 'Furthest from the house along the path' },
+  STRONGEST: { name: 'Strongest', icon: '💪', description: 'Most health left' },
+  WEAKEST: { name: 'Weakest', icon: '🩸', description: 'Least health left' },
+  FASTEST: { name: 'Fastest', icon: '💨', description: 'Moving fastest right now' },
+  BOSSES: { name: 'Bosses First', icon: '👑', description: 'Overlords before anything else' },
+  HEALERS: { name: 'Healers First', icon: '💜', description: 'Necromancers before anything else' }
+};
+
+/**
+ * Selling a placed turret refunds this fraction of the corn spent on it and
+ * its upgrades, scaled down by its damage state (DamageState values)
+ */
+export const TurretSale = {
+  refund: 0.75,
+  damageStates: { pristine: 1, damaged: 0.75, critical: 0.5 }
+};
+
+/**
+ * Barricades built from the Build menu alongside turrets. Each piece fills
+ * one build grid cell and blocks zombies until they tear it down. Gates
+ * leave the zombies' route open, so walls may ring the house around one,
+ * but zombies still have to break through. Stackable pieces take up to
+ * maxCourses courses on top of each other; spikes hurt zombies within reach.
+ */
+export const StructureTypes = {
+  WALL: {
+    name: 'Stone Wall', icon: '🧱', cost: 30, health: 220, height: 1.2, color: 0x8a8580,
+    stackable: true, maxCourses: 3,
+    description: 'Sturdy wall that stacks up to three courses high'
+  },
+  FENCE: {
+    name: 'Picket Fence', icon: '🪵', cost: 10, health: 70, height: 0.9, color: 0xd9c7a0,
+    description: 'Cheap fence segment to steer the horde'
+  },
+  SPIKES: {
+    name: 'Spike Barricade', icon: '🌵', cost: 35, health: 110, height: 0.8, color: 0x6b4a2b,
+    damage: 6, damageInterval: 0.5, reach: 1.6,
+    description: 'Hurts zombies that crowd against it'
+  },
+  GATE: {
+    name: 'Farm Gate', icon: '🚪', cost: 40, health: 180, height: 1.4, color: 0x8b5a2b,
+    passable: true,
+    description: 'Closes a ring of walls; zombies must break it down'
+  }
+};
+
 export const AbilityTypes = {
   AIRSTRIKE: {
     name: 'Artillery Strike', icon: '💣', cooldown: 45, duration: 0,
-    description: 'Call in an explosive airstrike at cursor position',
-    damage: 150, radius: 8
+    description: 'Call in an explosive airstrike on a targeted spot',
+    damage: 150, radius: 8,
+    // Targeted: picked on the ground within castRange, lands after delay seconds
+    targeted: true, castRange: 40, delay: 1.5
   },
   FREEZE: {
     name: 'Frost Nova', icon: '❄️', cooldown: 30, duration: 5,
@@ -108,29 +382,62 @@ export const AbilityTypes = {
   }
 };
 
+export const AchievementTiers = {
+  BRONZE: { name: 'Bronze', color: '#cd7f32' },
+  SILVER: { name: 'Silver', color: '#c0c0c0' },
+  GOLD: { name: 'Gold', color: '#ffd700' }
+};
+
+/**
+ * Achievement unlocked once playerStats[stat] reaches target. Boolean stats
+ * count as 0 or 1. progress() caps current at target for display.
+ */
+const statAchievement = (stat, target, def) => ({
+  ...def,
+  stat,
+  target,
+  progress: (s) => ({ current: Math.min(Number(s[stat] ?? 0), target), target }),
+  check: (s) => Number(s[stat] ?? 0) >= target
+});
+
 export const Achievements = {
-  FIRST_BLOOD: { name: 'First Blood', icon: '🩸', description: 'Kill your first zombie', check: (s) => s.totalKills >= 1 },
-  ZOMBIE_HUNTER: { name: 'Zombie Hunter', icon: '🎯', description: 'Kill 100 zombies', check: (s) => s.totalKills >= 100 },
-  ZOMBIE_SLAYER: { name: 'Zombie Slayer', icon: '⚔️', description: 'Kill 500 zombies', check: (s) => s.totalKills >= 500 },
-  WAVE_5: { name: 'Getting Started', icon: '🌊', description: 'Reach wave 5', check: (s) => s.highestWave >= 5 },
-  WAVE_10: { name: 'Veteran Defender', icon: '🛡️', description: 'Reach wave 10', check: (s) => s.highestWave >= 10 },
-  WAVE_20: { name: 'Master Defender', icon: '👑', description: 'Reach wave 20', check: (s) => s.highestWave >= 20 },
-  BOSS_KILLER: { name: 'Boss Slayer', icon: '💀', description: 'Kill a boss zombie', check: (s) => s.bossKills >= 1 },
-  BOSS_MASTER: { name: 'Boss Master', icon: '🏆', description: 'Kill 5 boss zombies', check: (s) => s.bossKills >= 5 },
-  RICH_FARMER: { name: 'Rich Farmer', icon: '💰', description: 'Have 500 corn at once', check: (s) => s.maxCurrency >= 500 },
-  TURRET_MASTER: { name: 'Turret Master', icon: '🗼', description: 'Place 10 turrets', check: (s) => s.turretsPlaced >= 10 },
-  ABILITY_USER: { name: 'Ability User', icon: '✨', description: 'Use 20 abilities', check: (s) => s.abilitiesUsed >= 20 },
-  SURVIVOR: { name: 'Survivor', icon: '❤️', description: 'Win with less than 10% health', check: (s) => s.clutchWins >= 1 },
-  SPEEDRUNNER: { name: 'Speedrunner', icon: '⚡', description: 'Complete wave 10 in under 5 minutes', check: (s) => s.fastWave10 },
-  ENDLESS_10: { name: 'Endless Warrior', icon: '♾️', description: 'Reach wave 10 in endless mode', check: (s) => s.endlessHighWave >= 10 },
-  PERFECTIONIST: { name: 'Perfectionist', icon: '💯', description: 'Complete a wave without taking damage', check: (s) => s.perfectWaves >= 1 }
+  FIRST_BLOOD: statAchievement('totalKills', 1, { name: 'First Blood', icon: '🩸', description: 'Kill your first zombie' }),
+  ZOMBIE_HUNTER: statAchievement('totalKills', 100, { name: 'Zombie Hunter', icon: '🎯', description: 'Kill 100 zombies', tier: 'BRONZE' }),
+  ZOMBIE_SLAYER: statAchievement('totalKills', 500, { name: 'Zombie Slayer', icon: '⚔️', description: 'Kill 500 zombies', tier: 'SILVER' }),
+  ZOMBIE_LEGEND: statAchievement('totalKills', 1000, { name: 'Zombie Legend', icon: '🧟', description: 'Kill 1000 zombies', tier: 'GOLD' }),
+  WAVE_5: statAchievement('highestWave', 5, { name: 'Getting Started', icon: '🌊', description: 'Reach wave 5', tier: 'BRONZE' }),
+  WAVE_10: statAchievement('highestWave', 10, { name: 'Veteran Defender', icon: '🛡️', description: 'Reach wave 10', tier: 'SILVER' }),
+  WAVE_20: statAchievement('highestWave', 20, { name: 'Master Defender', icon: '👑', description: 'Reach wave 20', tier: 'GOLD' }),
+  BOSS_KILLER: statAchievement('bossKills', 1, { name: 'Boss Slayer', icon: '💀', description: 'Kill a boss zombie' }),
+  BOSS_MASTER: statAchievement('bossKills', 5, { name: 'Boss Master', icon: '🏆', description: 'Kill 5 boss zombies' }),
+  RICH_FARMER: statAchievement('maxCurrency', 500, { name: 'Rich Farmer', icon: '💰', description: 'Have 500 corn at once' }),
+  TURRET_MASTER: statAchievement('turretsPlaced', 10, { name: 'Turret Master', icon: '🗼', description: 'Place 10 turrets' }),
+  ABILITY_USER: statAchievement('abilitiesUsed', 20, { name: 'Ability User', icon: '✨', description: 'Use 20 abilities' }),
+  SURVIVOR: statAchievement('clutchWins', 1, { name: 'Survivor', icon: '❤️', description: 'Win with less than 10% health', hidden: true }),
+  SPEEDRUNNER: statAchievement('fastWave10', 1, { name: 'Speedrunner', icon: '⚡', description: 'Complete wave 10 in under 5 minutes', hidden: true }),
+  ENDLESS_10: statAchievement('endlessHighWave', 10, { name: 'Endless Warrior', icon: '♾️', description: 'Reach wave 10 in endless mode' }),
+  PERFECTIONIST: statAchievement('perfectWaves', 1, { name: 'Perfectionist', icon: '💯', description: 'Complete a wave without taking damage' })
 };
 
 export default {
   WeaponTypes,
   ZombieTypes,
+  BossPhases,
+  WorldLayout,
+  SpawnPoints,
+  ThreatLevels,
+  DifficultyPresets,
+  DirectorTuning,
+  Mutators,
+  MutatorSchedule,
   HouseUpgrades,
   TurretTypes,
+  TurretUpgradeTracks,
+  TurretBranches,
+  TurretTargetingModes,
+  TurretSale,
+  StructureTypes,
   AbilityTypes,
+  AchievementTiers,
   Achievements
 };
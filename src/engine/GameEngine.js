@@ -3,18 +3,42 @@
  *
  * This class manages all game state and rendering independently of React.
  * The React component only handles UI overlay and instantiates this engine.
+ *
+ * Rendering is an optional view layer: init() attaches a scene and render
+ * loop, while initHeadless() runs the same simulation driven by step(dt).
  */
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { SpatialHashGrid2D } from './SpatialHashGrid2D.js';
-import { BuildingValidator } from './BuildingValidator.js';
-import { DamageManager, DamageVisualizer, DamageType } from './DamageManager.js';
+import { BuildingValidator, ValidationMode, ValidationCode } from './BuildingValidator.js';
+import { DamageManager, DamageVisualizer, DamageType, DamageState } from './DamageManager.js';
 import { StabilityOptimizer } from './StabilityOptimizer.js';
 import { RuntimeDiagnostics } from './RuntimeDiagnostics.js';
 import { GamePhase, GamePhaseTransitions } from './GamePhase.js';
 import { WaveManager } from './waves/WaveManager.js';
+import { getGateLayout, sidePoint, isNewGate } from './waves/SpawnGates.js';
+import { AbilitySystem } from './abilities/AbilitySystem.js';
+import { BossController, BossAction } from './bosses/BossController.js';
+import { DifficultyDirector, DEFAULT_DIFFICULTY } from './director/DifficultyDirector.js';
+import { NO_MUTATOR_EFFECTS, getMutatorEffects, mergeMutators } from './mutators/Mutators.js';
+import {
+  createTurretUpgrades,
+  getTurretTier,
+  getTurretStats,
+  getTurretSellValue,
+  checkTrackUpgrade,
+  checkBranchUpgrade
+} from './turrets/TurretUpgrades.js';
+import { DEFAULT_TARGETING, pickTarget } from './turrets/TurretTargeting.js';
+import { MAX_LEAD_TIME, findIntercept, createAccuracyTally } from './turrets/TurretAiming.js';
+import { snapToCell, findStackTop, planCourse } from './structures/StructureLayout.js';
+import { NavGrid, FlowField } from './navigation/FlowField.js';
 import { EventBus } from './EventBus.js';
+import { SeededRandom } from './SeededRandom.js';
+import { InputRecorder, REPLAY_VERSION } from './replay/InputRecorder.js';
+import { ReplayPlayer, validateReplay } from './replay/ReplayPlayer.js';
+import { RUN_SAVE_VERSION, validateRunSave } from './save/RunSave.js';
 import { disposeObject, disposeScene } from './graphics/disposeThree.js';
 import { InputBindings } from '../config/InputConfig.js';
 import {
@@ -22,14 +46,31 @@ import {
   ZombieTypes,
   HouseUpgrades,
   TurretTypes,
-  AbilityTypes
+  TurretUpgradeTracks,
+  TurretBranches,
+  TurretTargetingModes,
+  StructureTypes,
+  AbilityTypes,
+  WorldLayout,
+  SpawnPoints,
+  DifficultyPresets,
+  Mutators
 } from './GameConfig.js';
 
 // Re-export config for convenience
-export { WeaponTypes, ZombieTypes, HouseUpgrades, TurretTypes, AbilityTypes };
+export { WeaponTypes, ZombieTypes, HouseUpgrades, TurretTypes, StructureTypes, AbilityTypes };
 
 export { GamePhase };
 
+// Player input flags captured in replay control samples
+const CONTROL_FLAGS = ['w', 'a', 's', 'd', 'jump', 'firing'];
+
+// Settings that change simulation results (restored after a replay)
+const REPLAY_SETTINGS = ['playerSpeed', 'jumpForce', 'cameraRelativeMovement'];
+
+// Scene fog before mutators such as Fog thicken it
+const BASE_FOG_DENSITY = 0.035;
+
 /**
  * Game state snapshot for serialization
  */
@@ -62,6 +103,16 @@ export class GameEngine {
       collisionRadius: 2.0,
       turretMinDistance: 5,
       turretMaxDistance: 35,
+      navCellSize: 1,
+      playerGoalSize: 4, // Zombies path to the block this wide around the player; the field rebuilds when the player leaves it
+      turretFootprint: 0.75, // Half-width of the cells a turret blocks for pathfinding
+      structureAttackRange: 1.6, // Zombies hit turrets and barricades within this distance
+      structureSeekRadius: 10, // Brutes walk over to turrets within this distance
+      structureCellSize: 2, // Barricades fill build grid squares this wide
+      breachEntryRadius: 1.2, // Zombies this close to a broken door or window climb in
+      coreAttackRange: 1.5, // Zombies inside hit the barn core within this distance
+      seed: null, // Fixed run seed; null picks a new seed per game
+      waveScript: null, // Wave script for normal mode (see waves/WaveScript.js); null keeps waves procedural
       ...options
     };
 
@@ -72,6 +123,26 @@ export class GameEngine {
     this.renderer = null;
     this.animationId = null;
 
+    // Headless mode: simulation only, no scene/renderer/physics (see initHeadless())
+    this.headless = false;
+    this.simTime = 0;
+
+    // Fixed-timestep simulation (render frames accumulate time, see _animate())
+    this.fixedTimestep = 1 / 60;
+    this.maxStepsPerFrame = 5;
+    this.tick = 0;
+    this._accumulator = 0;
+
+    // Gameplay randomness - reseeded at the start of every game
+    this.seed = this.config.seed ?? SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.seed);
+
+    // Input recording and replay playback (see replay/)
+    this.inputRecorder = new InputRecorder();
+    this.replayPlayer = null;
+    this._applyingReplayInput = false;
+    this._replayRestore = null;
+
     // Crash diagnostics
     this.runtimeDiagnostics = new RuntimeDiagnostics();
     this.phase = GamePhase.READY;
@@ -82,6 +153,8 @@ export class GameEngine {
     this.playerGroup = null;
     this.houseGroup = null;
     this.turretPreview = null;
+    this.structurePreview = null;
+    this.abilityReticle = null;
     this.houseDoors = [];
     this.houseWindows = [];
 
@@ -90,6 +163,7 @@ export class GameEngine {
     this.maxParticles = 500;
     this.particleGeo = null;
     this.particleSystem = null;
+    this.healBeams = [];
 
     // Voxel terrain
     this.terrainMesh = null;
@@ -163,6 +237,8 @@ export class GameEngine {
 
       house: {
         pos: new THREE.Vector3(0, 0, 0),
+        width: HouseUpgrades.BASIC.width,
+        depth: HouseUpgrades.BASIC.depth,
         doors: [],
         windows: []
       },
@@ -171,12 +247,20 @@ export class GameEngine {
       projectiles: [],
       turretProjectiles: [],
       turrets: [],
+      structures: [], // Barricades (see StructureTypes), lowest course first
+      turretAccuracy: createAccuracyTally(), // {shots, hits} per turret type this run
 
       activeWaveNumber: 0,
       toSpawn: 0,
       totalSpawnedThisWave: 0,
       expectedThisWave: 0,
       spawnTimer: 0,
+      waveGates: [], // SpawnPoints keys the active wave comes through
+      nextWaveGates: [], // Gates planned for the upcoming wave
+      runMutators: [], // Mutators keys active for the whole run
+      waveMutators: [], // Mutators keys active for the current wave only
+      nextWaveMutators: [], // Wave mutators planned for the upcoming wave
+      mutatorHistory: [], // {wave, mutators} for each wave played with mutators
       currency: 100,
       score: 0,
 
@@ -199,7 +283,9 @@ export class GameEngine {
       waveStartHealth: 175,
       globalFreeze: 0,
       rageActive: 0,
-      pendingAirstrike: null,
+      pendingStrikes: [],
+      targetingAbility: null,
+      targetingFeedback: null,
 
       upgrades: {
         houseArmor: 0,
@@ -211,13 +297,31 @@ export class GameEngine {
 
       placingTurret: null,
       placementFeedback: null,
-      placementCursor: null
+      placementCursor: null,
+      movingTurretId: null, // Placed turret the placement preview is moving
+      selectedTurretId: null, // Turret open in the inspector
+      placingStructure: null // StructureTypes key being built from the Build menu
     };
 
     this._nextStructureId = 1;
 
     // Spawn tracking
-    this.waveManager = new WaveManager(this.state);
+    this.waveManager = new WaveManager(this.state, this.rng);
+    if (this.config.waveScript) this.loadWaveScript(this.config.waveScript);
+
+    // Ability cooldowns and charges
+    this.abilitySystem = new AbilitySystem();
+
+    // Overlord phases and attacks
+    this.bossController = new BossController();
+
+    // Adaptive spawn pacing; difficulty is the preset new games start with
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.director = new DifficultyDirector(this.difficulty);
+
+    // Rule changes: runMutators are the ones new games start with (see mutators/)
+    this.runMutators = [];
+    this.mutatorEffects = NO_MUTATOR_EFFECTS;
 
     // Event bus for UI/system observers
     this.eventBus = new EventBus();
@@ -225,14 +329,25 @@ export class GameEngine {
     // Spatial indexing
     this.zombieGrid = new SpatialHashGrid2D(this.config.spatialCellSize);
     this.turretGrid = new SpatialHashGrid2D(this.config.spatialCellSize);
+    this.structureGrid = new SpatialHashGrid2D(this.config.spatialCellSize);
+
+    // Zombie pathfinding: one grid, one field per thing zombies chase
+    this.navGrid = this._createNavGrid();
+    this.playerFlowField = new FlowField(this.navGrid);
+    this.houseFlowField = new FlowField(this.navGrid);
 
-    // Building systems
+    // Building systems (heuristic so stacked walls rest on the courses below)
     this.buildingValidator = new BuildingValidator({
+      mode: ValidationMode.HEURISTIC,
       minDistanceFromBarn: this.config.turretMinDistance,
       maxDistanceFromBarn: this.config.turretMaxDistance,
       barnPosition: this.state.house.pos
     });
-    this.damageManager = new DamageManager(this.buildingValidator);
+    this.damageManager = new DamageManager(this.buildingValidator, {
+      onPieceDamaged: (piece) => this._onPieceDamaged(piece),
+      onPieceDestroyed: (piece) => this._onPieceDestroyed(piece),
+      onCollapseComplete: (piece) => this._removeFromView(piece.mesh)
+    });
     this.damageVisualizer = null;
     this.stabilityOptimizer = null;
 
@@ -269,7 +384,8 @@ export class GameEngine {
       lookDir: new THREE.Vector3(),
       lookTarget: new THREE.Vector3(),
       mouseNdc: new THREE.Vector2(),
-      intersection: new THREE.Vector3()
+      intersection: new THREE.Vector3(),
+      structureProbe: new THREE.Vector3()
     };
     this._raycaster = new THREE.Raycaster();
     this._groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
@@ -286,6 +402,7 @@ export class GameEngine {
       onPauseChange: null,
       onTurretsChange: null,
       onAbilitiesUpdate: null,
+      onAbilityRejected: null,
       onFpsUpdate: null,
       onWaitingForWave: null,
       onPointerLockChange: null,
@@ -318,6 +435,20 @@ export class GameEngine {
     return this.state.activeWaveNumber + 1;
   }
 
+  /**
+   * Whether a recorded replay is driving the simulation
+   */
+  get isReplaying() {
+    return this.replayPlayer !== null;
+  }
+
+  /**
+   * Mutators in effect right now: the run's plus the active wave's
+   */
+  get activeMutators() {
+    return mergeMutators(this.state.runMutators, this.state.waveMutators);
+  }
+
   /**
    * Get a snapshot of the current game state for UI rendering.
    * This provides a single source of truth for all UI wave-related displays.
@@ -329,6 +460,7 @@ export class GameEngine {
 
     const activeWaveNumber = this.activeWaveNumber;
     const upcomingWaveNumber = this.upcomingWaveNumber;
+    const boss = this.state.zombies.find(tk => tk.bossState && !tk.dead);
 
     return {
       phase: this.phase,
@@ -345,12 +477,38 @@ export class GameEngine {
       score: this.state.score,
       enemies: this.state.zombies.length,
       houseIntegrity,
+      barnHealth: this.state.barn.health,
+      barnMaxHealth: this.state.barn.maxHealth,
+      breaches: this._houseBreaches().length,
+      incomingGates: canStartWave ? this.state.nextWaveGates.map(key => ({
+        key,
+        name: SpawnPoints[key].name,
+        side: SpawnPoints[key].side,
+        isNew: isNewGate(key, upcomingWaveNumber)
+      })) : [],
+      wavePreview: canStartWave ? this.waveManager.getWavePreview(upcomingWaveNumber, this.state.endlessMode) : null,
+      // Between waves, the mutators the next wave will bring
+      mutators: (canStartWave ? mergeMutators(this.state.runMutators, this.state.nextWaveMutators) : this.activeMutators)
+        .map(key => ({ key, name: Mutators[key].name, icon: Mutators[key].icon, description: Mutators[key].description })),
       isInside: this.state.player.isInside,
       paused: this.state.paused,
       gameOver: this.state.gameOver,
       placingTurret: this.state.placingTurret,
       placementFeedback: this.state.placementFeedback,
-      placementCursor: this.state.placementCursor
+      placementCursor: this.state.placementCursor,
+      movingTurretId: this.state.movingTurretId,
+      placingStructure: this.state.placingStructure,
+      selectedTurret: this._getTurretInspector(),
+      targetingAbility: this.state.targetingAbility,
+      targetingFeedback: this.state.targetingFeedback,
+      boss: boss ? {
+        name: ZombieTypes[boss.type].name,
+        hp: Math.max(0, boss.hp),
+        maxHp: boss.maxHp,
+        phase: boss.bossPhase,
+        phases: this.bossController.phaseCount
+      } : null,
+      isReplay: this.isReplaying
     };
   }
 
@@ -403,13 +561,17 @@ export class GameEngine {
     if (this.state.player.health <= 0 || this.state.barn.health <= 0) {
       this.state.gameOver = true;
       this._setPhase(GamePhase.GAME_OVER);
+      const mutatorHistory = this.state.mutatorHistory.map(entry => ({ wave: entry.wave, mutators: [...entry.mutators] }));
       this._emitCallback('onGameOver', {
         score: this.state.score,
-        wave: this.activeWaveNumber
+        wave: this.activeWaveNumber,
+        mutatorHistory
       });
       this._emitEvent('GAME_OVER', {
         score: this.state.score,
-        activeWaveNumber: this.activeWaveNumber
+        activeWaveNumber: this.activeWaveNumber,
+        endless: this.state.endlessMode,
+        mutatorHistory
       });
       this.audioManager?.playSound('gameover');
     }
@@ -425,7 +587,7 @@ export class GameEngine {
    * @param {Object} audioManager - The audio manager instance
    */
   init(container, audioManager) {
-    if (this.scene) return; // Already initialized
+    if (this.scene || this.headless) return; // Already initialized
 
     this.container = container;
     this.audioManager = audioManager;
@@ -439,7 +601,10 @@ export class GameEngine {
     this._initPlayer();
     this._initHouse();
     this._initTurretPreview();
+    this._initStructurePreview();
+    this._initAbilityReticle();
     this._initTrees();
+    this._initGateMarkers();
     this._initMountains();
     this._initInputHandlers();
     this._initDamageSystems();
@@ -452,10 +617,27 @@ export class GameEngine {
     window.addEventListener('resize', this._boundHandlers.resize);
   }
 
+  /**
+   * Initialize the simulation without any rendering (Node, tests, balancing).
+   * Nothing advances on its own - drive the game with step(dt).
+   * @param {Object} [audioManager] - Optional audio manager instance
+   */
+  initHeadless(audioManager = null) {
+    if (this.scene || this.headless) return; // Already initialized
+
+    this.headless = true;
+    this.audioManager = audioManager;
+
+    this._initTerrainHeights();
+    this.state.player.pos.set(-40, 0, -25);
+    this._buildHouse(0);
+    this.stabilityOptimizer = new StabilityOptimizer(this.buildingValidator);
+  }
+
   _initScene() {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x2C3E50);  // Deep blue-grey twilight
-    this.scene.fog = new THREE.FogExp2(0x2C3E50, 0.035);
+    this.scene.fog = new THREE.FogExp2(0x2C3E50, BASE_FOG_DENSITY * this.mutatorEffects.fogDensity);
 
     this.camera = new THREE.PerspectiveCamera(
       75,
@@ -492,33 +674,38 @@ export class GameEngine {
     this.scene.add(sun);
   }
 
-  _initGround() {
+  _initTerrainHeights() {
     const worldSize = 50;
     const halfSize = worldSize / 2;
+
+    this.terrainHeights = new Map();
+
+    for (let x = -halfSize; x < halfSize; x++) {
+      for (let z = -halfSize; z < halfSize; z++) {
+        const h = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 3;
+        this.terrainHeights.set(`${x},${z}`, Math.floor(h));
+      }
+    }
+  }
+
+  _initGround() {
+    this._initTerrainHeights();
+
     const geometry = new THREE.BoxGeometry(1, 1, 1);
     const material = new THREE.MeshStandardMaterial({ color: 0xE8F1FF, roughness: 1.0 });
 
-    const count = worldSize * worldSize;
-    this.terrainMesh = new THREE.InstancedMesh(geometry, material, count);
+    this.terrainMesh = new THREE.InstancedMesh(geometry, material, this.terrainHeights.size);
     this.terrainMesh.receiveShadow = true;
     this.terrainMesh.castShadow = true;
 
-    this.terrainHeights = new Map();
-
     let i = 0;
     const dummy = new THREE.Object3D();
 
-    for (let x = -halfSize; x < halfSize; x++) {
-      for (let z = -halfSize; z < halfSize; z++) {
-        const h = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 3;
-        const y = Math.floor(h);
-
-        dummy.position.set(x, y, z);
-        dummy.updateMatrix();
-        this.terrainMesh.setMatrixAt(i++, dummy.matrix);
-
-        this.terrainHeights.set(`${x},${z}`, y);
-      }
+    for (const [key, y] of this.terrainHeights) {
+      const [x, z] = key.split(',').map(Number);
+      dummy.position.set(x, y, z);
+      dummy.updateMatrix();
+      this.terrainMesh.setMatrixAt(i++, dummy.matrix);
     }
 
     this.terrainMesh.instanceMatrix.needsUpdate = true;
@@ -752,20 +939,54 @@ export class GameEngine {
   _buildHouse(level) {
     // Remove old house if exists
     if (this.houseGroup) {
-      this.scene.remove(this.houseGroup);
-      disposeObject(this.houseGroup);
+      this._removeFromView(this.houseGroup);
+      this.houseGroup = null;
     }
 
     const houseKey = Object.keys(HouseUpgrades)[level] || 'BASIC';
     const house = HouseUpgrades[houseKey];
-    const { width, depth, height, roofHeight, doors, windows, doorHealth, windowHealth } = house;
+    const { width, depth, height, doors, windows, doorHealth, windowHealth } = house;
 
-    this.houseGroup = new THREE.Group();
     this.houseDoors = [];
     this.houseWindows = [];
 
+    // Position house in corner (back-left)
+    const houseCornerX = -40;
+    const houseCornerZ = -40;
+    this.state.house.pos.set(houseCornerX, 0, houseCornerZ);
+    this.state.house.width = width;
+    this.state.house.depth = depth;
+    this.state.house.level = houseKey;
+
+    if (this.scene) {
+      this.houseGroup = this._createHouseMesh(house, houseKey);
+      this.houseGroup.position.copy(this.state.house.pos);
+      this.scene.add(this.houseGroup);
+    }
+
+    // Create door panels (interactive)
+    this._createDoor(new THREE.Vector3(0, 1.25 + 0.3, depth / 2 + 0.16), doorHealth, 'front');
+    if (doors >= 2) {
+      this._createDoor(new THREE.Vector3(0, 1.25 + 0.3, -depth / 2 - 0.16), doorHealth, 'back');
+    }
+
+    // Create windows (interactive)
+    const windowsPerSide = Math.ceil(windows / 2);
+    this._createWindowsOnWalls(windowsPerSide, depth, height, width, windowHealth);
+
+    this.buildingValidator.barnPosition = this.state.house.pos;
+    this.navGrid.setObstacle('house', this._houseRect());
+    this.state.barn.pos.copy(this.state.house.pos);
+    this.state.house.doors = this.houseDoors;
+    this.state.house.windows = this.houseWindows;
+  }
+
+  _createHouseMesh(house, houseKey) {
+    const { width, depth, height, roofHeight, doors, windows } = house;
+    const group = new THREE.Group();
+
     // Store dimensions in userData
-    this.houseGroup.userData = { width, depth, height, roofHeight, level: houseKey };
+    group.userData = { width, depth, height, roofHeight, level: houseKey };
 
     // Foundation
     const foundation = new THREE.Mesh(
@@ -774,7 +995,7 @@ export class GameEngine {
     );
     foundation.position.y = 0.15;
     foundation.receiveShadow = true;
-    this.houseGroup.add(foundation);
+    group.add(foundation);
 
     // Main walls - DoubleSide so walls are visible from inside
     const wallMat = new THREE.MeshStandardMaterial({ color: 0x5D4037, roughness: 0.85, side: THREE.DoubleSide });
@@ -782,14 +1003,14 @@ export class GameEngine {
     // Front wall with door hole
     const frontWall = this._createWallWithOpening(width, height, 1.8, 2.5, 'door');
     frontWall.position.set(0, height / 2 + 0.3, depth / 2);
-    this.houseGroup.add(frontWall);
+    group.add(frontWall);
 
     // Back wall (with door if level > 1)
     if (doors >= 2) {
       const backWall = this._createWallWithOpening(width, height, 1.8, 2.5, 'door');
       backWall.position.set(0, height / 2 + 0.3, -depth / 2);
       backWall.rotation.y = Math.PI;
-      this.houseGroup.add(backWall);
+      group.add(backWall);
     } else {
       const backWall = new THREE.Mesh(
         new THREE.BoxGeometry(width, height, 0.3),
@@ -798,7 +1019,7 @@ export class GameEngine {
       backWall.position.set(0, height / 2 + 0.3, -depth / 2);
       backWall.castShadow = true;
       backWall.receiveShadow = true;
-      this.houseGroup.add(backWall);
+      group.add(backWall);
     }
 
     // Side walls with windows
@@ -806,12 +1027,12 @@ export class GameEngine {
     const leftWall = this._createWallWithWindows(depth, height, windowsPerSide);
     leftWall.position.set(-width / 2, height / 2 + 0.3, 0);
     leftWall.rotation.y = Math.PI / 2;
-    this.houseGroup.add(leftWall);
+    group.add(leftWall);
 
     const rightWall = this._createWallWithWindows(depth, height, windowsPerSide);
     rightWall.position.set(width / 2, height / 2 + 0.3, 0);
     rightWall.rotation.y = -Math.PI / 2;
-    this.houseGroup.add(rightWall);
+    group.add(rightWall);
 
     // Third door on side (if level >= 3)
     if (doors >= 3) {
@@ -827,26 +1048,9 @@ export class GameEngine {
     );
     roof.position.y = height + roofHeight / 2;
     roof.castShadow = true;
-    this.houseGroup.add(roof);
-
-    // Create door panels (interactive)
-    this._createDoor(new THREE.Vector3(0, 1.25 + 0.3, depth / 2 + 0.16), doorHealth, 'front');
-    if (doors >= 2) {
-      this._createDoor(new THREE.Vector3(0, 1.25 + 0.3, -depth / 2 - 0.16), doorHealth, 'back');
-    }
-
-    // Create windows (interactive)
-    this._createWindowsOnWalls(windowsPerSide, depth, height, width, windowHealth);
+    group.add(roof);
 
-    // Position house in corner (back-left)
-    const houseCornerX = -40;
-    const houseCornerZ = -40;
-    this.houseGroup.position.set(houseCornerX, 0, houseCornerZ);
-    this.scene.add(this.houseGroup);
-    this.state.house.pos.set(houseCornerX, 0, houseCornerZ);
-    this.buildingValidator.barnPosition = this.state.house.pos;
-    this.state.house.doors = this.houseDoors;
-    this.state.house.windows = this.houseWindows;
+    return group;
   }
 
   _createWallWithOpening(width, height, openingWidth, openingHeight, type) {
@@ -909,6 +1113,19 @@ export class GameEngine {
   }
 
   _createDoor(position, health, name) {
+    const doorData = {
+      mesh: null,
+      panel: null,
+      pos: position.clone().add(this.state.house.pos),
+      health,
+      maxHealth: health,
+      destroyed: false,
+      name
+    };
+    this.houseDoors.push(doorData);
+
+    if (!this.houseGroup) return;
+
     const doorGroup = new THREE.Group();
     doorGroup.position.copy(position);
 
@@ -929,16 +1146,8 @@ export class GameEngine {
     doorGroup.add(panel);
 
     this.houseGroup.add(doorGroup);
-
-    const doorData = {
-      mesh: doorGroup,
-      panel,
-      health,
-      maxHealth: health,
-      destroyed: false,
-      name
-    };
-    this.houseDoors.push(doorData);
+    doorData.mesh = doorGroup;
+    doorData.panel = panel;
   }
 
   _createWindowsOnWalls(countPerSide, depth, height, width, windowHealth) {
@@ -965,6 +1174,19 @@ export class GameEngine {
   }
 
   _createWindow(position, health, name) {
+    const windowData = {
+      mesh: null,
+      glass: null,
+      pos: position.clone().add(this.state.house.pos),
+      health,
+      maxHealth: health,
+      destroyed: false,
+      name
+    };
+    this.houseWindows.push(windowData);
+
+    if (!this.houseGroup) return;
+
     const windowGroup = new THREE.Group();
     windowGroup.position.copy(position);
 
@@ -995,16 +1217,8 @@ export class GameEngine {
     }
 
     this.houseGroup.add(windowGroup);
-
-    const windowData = {
-      mesh: windowGroup,
-      glass,
-      health,
-      maxHealth: health,
-      destroyed: false,
-      name
-    };
-    this.houseWindows.push(windowData);
+    windowData.mesh = windowGroup;
+    windowData.glass = glass;
   }
 
   _initTurretPreview() {
@@ -1030,79 +1244,217 @@ export class GameEngine {
     this.scene.add(this.turretPreview);
   }
 
+  /**
+   * Ghost of the barricade being built, resized for each StructureTypes piece
+   */
+  _initStructurePreview() {
+    const size = this.config.structureCellSize;
+    this.structurePreview = new THREE.Mesh(
+      new THREE.BoxGeometry(size, 1, size),
+      new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.4 })
+    );
+    this.structurePreview.visible = false;
+    this.scene.add(this.structurePreview);
+  }
+
+  /**
+   * Ground decal for targeted abilities, built at unit radius and scaled to
+   * the ability's radius when targeting starts
+   */
+  _initAbilityReticle() {
+    this.abilityReticle = new THREE.Group();
+
+    const area = new THREE.Mesh(
+      new THREE.RingGeometry(0, 1, 48),
+      new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.15, side: THREE.DoubleSide })
+    );
+    const edge = new THREE.Mesh(
+      new THREE.RingGeometry(0.92, 1, 48),
+      new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.7, side: THREE.DoubleSide })
+    );
+    for (const mesh of [area, edge]) {
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.position.y = 0.02;
+      this.abilityReticle.add(mesh);
+    }
+
+    this.abilityReticle.visible = false;
+    this.scene.add(this.abilityReticle);
+  }
+
+  /**
+   * Pathfinding grid over the play area and the spawn gate corridors. The
+   * treeline (and the mountains past it) are blocked terrain; the house and
+   * turrets are added as obstacles when they are built.
+   */
+  _createNavGrid() {
+    const inner = WorldLayout.treelineEdge - 1; // Keep clear of the tree trunks
+    const walkable = [
+      { minX: -inner, maxX: inner, minZ: -inner, maxZ: inner },
+      ...Object.keys(SpawnPoints).map(key => getGateLayout(key).corridor)
+    ];
+
+    return new NavGrid({
+      bounds: {
+        minX: Math.min(...walkable.map(rect => rect.minX)),
+        maxX: Math.max(...walkable.map(rect => rect.maxX)),
+        minZ: Math.min(...walkable.map(rect => rect.minZ)),
+        maxZ: Math.max(...walkable.map(rect => rect.maxZ))
+      },
+      cellSize: this.config.navCellSize,
+      walkable
+    });
+  }
+
+  _houseRect() {
+    const { pos, width, depth } = this.state.house;
+    return { minX: pos.x - width / 2, maxX: pos.x + width / 2, minZ: pos.z - depth / 2, maxZ: pos.z + depth / 2 };
+  }
+
+  /**
+   * Where zombies head while the player hides inside: any broken doors and
+   * windows, or the house walls while it's still sealed
+   * @returns {Object|Object[]} Goal rect(s) for the house flow field
+   */
+  _houseGoal() {
+    const breaches = this._houseBreaches();
+    if (breaches.length === 0) return this._houseRect();
+    return breaches.map(({ pos }) => ({ minX: pos.x - 0.5, maxX: pos.x + 0.5, minZ: pos.z - 0.5, maxZ: pos.z + 0.5 }));
+  }
+
+  _playerGoal() {
+    const size = this.config.playerGoalSize;
+    const minX = Math.floor(this.state.player.pos.x / size) * size;
+    const minZ = Math.floor(this.state.player.pos.z / size) * size;
+    // Pull the far edges in so the block doesn't spill into the next row of cells
+    const edge = this.config.navCellSize / 2;
+    return { minX, maxX: minX + size - edge, minZ, maxZ: minZ + size - edge };
+  }
+
+  _houseBreaches() {
+    return [...this.houseDoors, ...this.houseWindows].filter(opening => opening.destroyed);
+  }
+
+  _isAtBreach(pos) {
+    const radius = this.config.breachEntryRadius;
+    return this._houseBreaches().some(opening => Math.hypot(opening.pos.x - pos.x, opening.pos.z - pos.z) <= radius);
+  }
+
+  _isInsideRect(pos, rect) {
+    return pos.x > rect.minX && pos.x < rect.maxX && pos.z > rect.minZ && pos.z < rect.maxZ;
+  }
+
+  _turretRect(pos) {
+    const r = this.config.turretFootprint;
+    return { minX: pos.x - r, maxX: pos.x + r, minZ: pos.z - r, maxZ: pos.z + r };
+  }
+
+  _structureRect(pos) {
+    const r = this.config.structureCellSize / 2;
+    return { minX: pos.x - r, maxX: pos.x + r, minZ: pos.z - r, maxZ: pos.z + r };
+  }
+
   _initTrees() {
     // Place trees around the entire perimeter of the map - very dense treeline
-    const mapEdge = 55; // Position trees closer to create tighter perimeter
+    const mapEdge = WorldLayout.treelineEdge;
     const treeSpacing = 1.5; // Very dense spacing
     const treeVariation = 0.8; // Less variation for more uniform wall
 
     // Create multiple rows of trees for an impenetrable forest edge
     const treeRows = [0, 3, 6, 9, 12]; // Five rows at different depths
 
-    // Opening configuration - single gap on the east side for zombie path
-    const openingCenterZ = 0; // Opening centered at Z=0
-    const openingWidth = 12; // Width of the opening (path)
-    const openingMinZ = openingCenterZ - openingWidth / 2;
-    const openingMaxZ = openingCenterZ + openingWidth / 2;
+    // Gaps for the spawn gates (zombie paths)
+    const gates = Object.keys(SpawnPoints);
+    const inGap = (side, along) => gates.some(key => {
+      if (SpawnPoints[key].side !== side) return false;
+      const { gap } = getGateLayout(key);
+      return along > gap.min && along < gap.max;
+    });
 
     treeRows.forEach(rowOffset => {
       const edgePos = mapEdge + rowOffset;
 
-      // North edge - full coverage
-      for (let x = -edgePos; x <= edgePos; x += treeSpacing) {
-        const xPos = x + (Math.random() - 0.5) * treeVariation;
-        const zPos = -edgePos + (Math.random() - 0.5) * treeVariation;
-        this._createTree(xPos, zPos);
-      }
-
-      // South edge - full coverage
+      // North and south edges - full width
       for (let x = -edgePos; x <= edgePos; x += treeSpacing) {
-        const xPos = x + (Math.random() - 0.5) * treeVariation;
-        const zPos = edgePos + (Math.random() - 0.5) * treeVariation;
-        this._createTree(xPos, zPos);
-      }
-
-      // East edge - WITH OPENING (zombie path)
-      for (let z = -edgePos + treeSpacing; z < edgePos; z += treeSpacing) {
-        // Skip trees in the opening zone
-        if (z > openingMinZ && z < openingMaxZ) continue;
-
-        const xPos = edgePos + (Math.random() - 0.5) * treeVariation;
-        const zPos = z + (Math.random() - 0.5) * treeVariation;
-        this._createTree(xPos, zPos);
+        if (!inGap('north', x)) {
+          this._createTree(x + (Math.random() - 0.5) * treeVariation, -edgePos + (Math.random() - 0.5) * treeVariation);
+        }
+        if (!inGap('south', x)) {
+          this._createTree(x + (Math.random() - 0.5) * treeVariation, edgePos + (Math.random() - 0.5) * treeVariation);
+        }
       }
 
-      // West edge - full coverage (house side, behind the player)
+      // East and west edges - between the corners
       for (let z = -edgePos + treeSpacing; z < edgePos; z += treeSpacing) {
-        const xPos = -edgePos + (Math.random() - 0.5) * treeVariation;
-        const zPos = z + (Math.random() - 0.5) * treeVariation;
-        this._createTree(xPos, zPos);
+        if (!inGap('east', z)) {
+          this._createTree(edgePos + (Math.random() - 0.5) * treeVariation, z + (Math.random() - 0.5) * treeVariation);
+        }
+        if (!inGap('west', z)) {
+          this._createTree(-edgePos + (Math.random() - 0.5) * treeVariation, z + (Math.random() - 0.5) * treeVariation);
+        }
       }
     });
 
-    // Add extra dense trees around the opening to make it more defined
-    this._createPathBorderTrees(mapEdge, openingMinZ, openingMaxZ);
+    // Add extra dense trees around each gate to make it more defined
+    gates.forEach(key => this._createPathBorderTrees(key));
   }
 
-  _createPathBorderTrees(mapEdge, openingMinZ, openingMaxZ) {
-    // Create dense tree borders on both sides of the opening path
+  _createPathBorderTrees(gateKey) {
+    // Create dense tree borders on both sides of the gate's path
+    const { side } = SpawnPoints[gateKey];
+    const { gap } = getGateLayout(gateKey);
     const pathBorderRows = 4;
     const borderSpacing = 1.2;
 
     for (let row = 0; row < pathBorderRows; row++) {
-      const xPos = mapEdge + row * 3;
+      const out = WorldLayout.treelineEdge + row * 3;
 
-      // North side of path
       for (let i = 0; i < 5; i++) {
-        const z = openingMinZ - 1 - i * borderSpacing;
-        this._createTree(xPos + (Math.random() - 0.5), z + (Math.random() - 0.5) * 0.5);
+        for (const along of [gap.min - 1 - i * borderSpacing, gap.max + 1 + i * borderSpacing]) {
+          const { x, z } = sidePoint(side, along + (Math.random() - 0.5) * 0.5, out + (Math.random() - 0.5));
+          this._createTree(x, z);
+        }
       }
+    }
+  }
 
-      // South side of path
-      for (let i = 0; i < 5; i++) {
-        const z = openingMaxZ + 1 + i * borderSpacing;
-        this._createTree(xPos + (Math.random() - 0.5), z + (Math.random() - 0.5) * 0.5);
-      }
+  /**
+   * Warning beacons at each gate's mouth, shown while the next wave's gates
+   * are known and it hasn't started yet
+   */
+  _initGateMarkers() {
+    this.gateMarkers = new Map();
+
+    for (const key of Object.keys(SpawnPoints)) {
+      const { mouth } = getGateLayout(key);
+      const marker = new THREE.Group();
+      marker.position.set(mouth.x, 0, mouth.z);
+
+      const beam = new THREE.Mesh(
+        new THREE.CylinderGeometry(1.2, 1.2, 16, 16, 1, true),
+        new THREE.MeshBasicMaterial({ color: 0xff3322, transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide })
+      );
+      beam.position.y = 8;
+      marker.add(beam);
+
+      const ring = new THREE.Mesh(
+        new THREE.RingGeometry(WorldLayout.gateWidth / 2 - 0.6, WorldLayout.gateWidth / 2, 48),
+        new THREE.MeshBasicMaterial({ color: 0xff3322, transparent: true, opacity: 0.5, depthWrite: false, side: THREE.DoubleSide })
+      );
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.y = 0.1;
+      marker.add(ring);
+
+      marker.visible = false;
+      this.scene.add(marker);
+      this.gateMarkers.set(key, marker);
+    }
+  }
+
+  _updateGateMarkers() {
+    if (!this.gateMarkers) return;
+    for (const [key, marker] of this.gateMarkers) {
+      marker.visible = this.state.nextWaveGates.includes(key);
     }
   }
 
@@ -1304,6 +1656,8 @@ export class GameEngine {
 
   _initDamageSystems() {
     this.damageVisualizer = new DamageVisualizer(this.scene);
+    // Destroyed turrets stay in the scene until their collapse finishes
+    this.damageManager.scene = this.scene;
     this.stabilityOptimizer = new StabilityOptimizer(this.buildingValidator);
   }
 
@@ -1338,6 +1692,7 @@ export class GameEngine {
   }
 
   _handleKey(e, down) {
+    if (this.replayPlayer) return;
     const { movement, pan, wave, camera, weapons } = InputBindings;
 
     if (movement.forward.includes(e.code)) this.state.input.w = down;
@@ -1384,11 +1739,21 @@ export class GameEngine {
   }
 
   _onMouseDown(e) {
+    if (this.replayPlayer) return;
     if (e.button === 0) {
       // Left click
-      if (this.state.placingTurret && this.turretPreview.visible) {
+      if (this.state.targetingAbility && this.abilityReticle.visible) {
+        this.castAbility(this.abilityReticle.position);
+      } else if (this.state.placingTurret && this.turretPreview.visible) {
         this._placeTurretAtPreview();
+      } else if (this.state.placingStructure && this.structurePreview.visible) {
+        this.placeStructure(this.state.placingStructure, this.structurePreview.position);
       } else {
+        // Clicking a turret opens its inspector instead of firing
+        const picked = this.pointerLocked ? null : this._pickTurret(e);
+        this.selectTurret(picked?.id ?? null);
+        if (picked) return;
+
         this.state.input.firing = true;
 
         // Request pointer lock in FPS mode
@@ -1397,20 +1762,26 @@ export class GameEngine {
         }
       }
     } else if (e.button === 2) {
-      // Right click - cancel turret placement
-      if (this.state.placingTurret) {
+      // Right click - cancel ability targeting, turret placement or building
+      if (this.state.targetingAbility) {
+        this.cancelAbilityTargeting();
+      } else if (this.state.placingTurret) {
         this.cancelTurretPlacement();
+      } else if (this.state.placingStructure) {
+        this.cancelStructurePlacement();
       }
     }
   }
 
   _onMouseUp(e) {
+    if (this.replayPlayer) return;
     if (e.button === 0) {
       this.state.input.firing = false;
     }
   }
 
   _onMouseMove(e) {
+    if (this.replayPlayer) return;
     if (this.cameraMode === 'FIRST_PERSON' && this.pointerLocked) {
       // FPS mouse look with sensitivity and invert settings
       const sens = this.settings.mouseSensitivity * 0.002;
@@ -1428,6 +1799,14 @@ export class GameEngine {
     if (this.state.placingTurret) {
       this._updateTurretPreview(e);
     }
+
+    if (this.state.placingStructure) {
+      this._updateStructurePreview(e);
+    }
+
+    if (this.state.targetingAbility) {
+      this._updateAbilityReticle(e);
+    }
   }
 
   _updateAimFromMouse(e) {
@@ -1459,7 +1838,7 @@ export class GameEngine {
       this.turretPreview.position.copy(intersection);
 
       // Validate placement
-      const validation = this._validateTurretPlacement(intersection);
+      const validation = this._validateTurretPlacement(intersection, this.state.movingTurretId);
       this.state.placementFeedback = validation;
       this.state.placementCursor = {
         x: e.clientX - rect.left,
@@ -1479,6 +1858,89 @@ export class GameEngine {
     }
   }
 
+  _updateStructurePreview(e) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = this._scratch.mouseNdc.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this._raycaster.setFromCamera(mouse, this.camera);
+    const intersection = this._scratch.intersection;
+
+    if (this._raycaster.ray.intersectPlane(this._groundPlane, intersection)) {
+      const type = this.state.placingStructure;
+      const plan = this._planStructure(type, intersection);
+      const validation = this._validateStructurePlacement(type, plan);
+      this.state.placementFeedback = validation;
+      this.state.placementCursor = {
+        x: e.clientX - rect.left,
+        y: e.clientY - rect.top
+      };
+
+      // Sit the ghost on its course, snapped to the build grid
+      const { height } = StructureTypes[type];
+      this.structurePreview.position.copy(plan.pos).setY(plan.pos.y + height / 2);
+      this.structurePreview.scale.y = height;
+      this.structurePreview.material.color.setHex(validation.ok ? 0x00ff00 : 0xff0000);
+      this.structurePreview.visible = true;
+    }
+  }
+
+  /**
+   * Placed turret under the cursor, ignoring the flat range rings
+   * @returns {Object|null}
+   */
+  _pickTurret(e) {
+    const meshes = this.state.turrets.map(turret => turret.mesh).filter(Boolean);
+    if (meshes.length === 0 || !this.camera) return null;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = this._scratch.mouseNdc.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this._raycaster.setFromCamera(mouse, this.camera);
+
+    for (const hit of this._raycaster.intersectObjects(meshes, true)) {
+      let object = hit.object;
+      while (object && object.userData.turretId === undefined) object = object.parent;
+      const turret = this.state.turrets.find(t => t.id === object?.userData.turretId);
+      if (turret && hit.object !== turret.range) return turret;
+    }
+    return null;
+  }
+
+  _updateAbilityReticle(e) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = this._scratch.mouseNdc.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this._raycaster.setFromCamera(mouse, this.camera);
+    const intersection = this._scratch.intersection;
+
+    if (this._raycaster.ray.intersectPlane(this._groundPlane, intersection)) {
+      this._setAbilityTarget(intersection);
+    }
+  }
+
+  /**
+   * Move the reticle to a ground position and color it by whether the
+   * ability can land there
+   */
+  _setAbilityTarget(pos) {
+    const validation = this._validateAbilityTarget(this.state.targetingAbility, pos);
+    this.state.targetingFeedback = validation;
+    if (!this.abilityReticle) return;
+
+    this.abilityReticle.position.set(pos.x, 0, pos.z);
+    const color = validation.ok ? 0x00ff00 : 0xff0000;
+    this.abilityReticle.children.forEach(child => child.material?.color.setHex(color));
+    this.abilityReticle.visible = true;
+  }
+
   _onWheel(e) {
     // Zoom control with settings
     const zoomDelta = e.deltaY * 0.001 * this.settings.zoomSensitivity;
@@ -1568,13 +2030,16 @@ export class GameEngine {
 
     if (!this._hasCrashed) {
       try {
-        // Step physics world
-        if (this.physicsWorld && !this.state.paused && !this.state.gameOver) {
-          this.physicsWorld.step(this.physicsStep, dt, 3);
+        // Run whole simulation ticks for the elapsed frame time
+        this._accumulator += dt;
+        let steps = 0;
+        while (this._accumulator >= this.fixedTimestep && steps < this.maxStepsPerFrame) {
+          this.step(this.fixedTimestep);
+          this._accumulator -= this.fixedTimestep;
+          steps++;
         }
-
-        if (!this.state.paused && !this.state.gameOver) {
-          this._updateGame(dt, now / 1000);
+        if (steps === this.maxStepsPerFrame) {
+          this._accumulator = 0; // Drop backlog rather than spiral
         }
 
         this._updateCamera(dt);
@@ -1629,6 +2094,37 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Advance the simulation by dt seconds (physics, entities, spawning, waves).
+   * The render loop calls this once per fixed tick; in headless mode call it
+   * directly, ideally with fixedTimestep for reproducible runs.
+   * @param {number} dt - Time step in seconds
+   */
+  step(dt) {
+    if (this._hasCrashed || this.state.paused || this.state.gameOver) return;
+
+    // Step physics world
+    if (this.physicsWorld) {
+      this.physicsWorld.step(this.physicsStep, dt, 3);
+    }
+
+    if (!this.state.started) return;
+
+    if (this.replayPlayer) {
+      this._applyReplayInputs();
+    } else {
+      this.inputRecorder.sampleControls(this.tick, this._getControlState());
+    }
+
+    this.tick++;
+    this.simTime += dt;
+    this._updateGame(dt, this.simTime);
+
+    if (this.replayPlayer?.isComplete(this.tick)) {
+      this._finishReplay();
+    }
+  }
+
   _getRendererInfo() {
     const info = this.renderer?.info;
     if (!info) return null;
@@ -1648,7 +2144,9 @@ export class GameEngine {
       avgFrameTime: this.metrics.avgFrameTime,
       lastFrameTime: this.metrics.lastFrameTime,
       entities: { ...this.metrics.entities },
-      renderer: this.metrics.renderer
+      renderer: this.metrics.renderer,
+      director: this.director.getSnapshot(),
+      turretAccuracy: structuredClone(this.state.turretAccuracy)
     };
   }
 
@@ -1659,6 +2157,8 @@ export class GameEngine {
     this._updateZombies(dt, t);
     this._updateProjectiles(dt);
     this._updateTurrets(dt);
+    this._updateStructures(dt);
+    this._updateDirector(dt);
     this._updateSpawning(dt);
     this._updateAbilities(dt);
     this._updateDamageSystem(dt);
@@ -1707,9 +2207,11 @@ export class GameEngine {
         this.playerBody.velocity.z = move.z;
 
         // Rotate player mesh to face movement direction
-        const angle = Math.atan2(move.x, move.z);
-        const q = new THREE.Quaternion().setFromAxisAngle(this._scratch.yAxis, angle);
-        this.playerGroup.quaternion.slerp(q, 0.2);
+        if (this.playerGroup) {
+          const angle = Math.atan2(move.x, move.z);
+          const q = new THREE.Quaternion().setFromAxisAngle(this._scratch.yAxis, angle);
+          this.playerGroup.quaternion.slerp(q, 0.2);
+        }
       } else {
         // Stop horizontal movement instantly (snappy feel)
         this.playerBody.velocity.x = 0;
@@ -1733,7 +2235,7 @@ export class GameEngine {
         this.playerBody.position.y - 0.5,
         this.playerBody.position.z
       );
-      this.playerGroup.position.copy(this.state.player.pos);
+      this.playerGroup?.position.copy(this.state.player.pos);
 
       // World bounds - clamp physics body
       if (this.playerBody.position.x < -55 || this.playerBody.position.x > 55) {
@@ -1752,7 +2254,7 @@ export class GameEngine {
       }
 
       // Bobbing only when grounded
-      if (this.canJump && move.lengthSq() > 0) {
+      if (this.playerGroup && this.canJump && move.lengthSq() > 0) {
         this.playerGroup.position.y += Math.abs(Math.sin(t * 12)) * 0.03;
       }
     } else {
@@ -1776,10 +2278,12 @@ export class GameEngine {
         newPos.y = terrainY + 0.5;
 
         this.state.player.pos.copy(newPos);
-        this.playerGroup.position.copy(this.state.player.pos);
+        this.playerGroup?.position.copy(this.state.player.pos);
       }
 
-      this.playerGroup.position.y += Math.abs(Math.sin(t * 12)) * 0.05;
+      if (this.playerGroup) {
+        this.playerGroup.position.y += Math.abs(Math.sin(t * 12)) * 0.05;
+      }
     }
 
     // Rotation (aiming) - non-FPS/SHOULDER modes
@@ -1787,9 +2291,9 @@ export class GameEngine {
       const dir = this._scratch.dir.subVectors(this.state.aim, this.state.player.pos).setY(0);
       if (dir.lengthSq() > 0.01) {
         this.state.player.rot = Math.atan2(dir.x, dir.z);
-        this.playerGroup.rotation.y = this.state.player.rot;
+        if (this.playerGroup) this.playerGroup.rotation.y = this.state.player.rot;
       }
-    } else if (this.cameraMode === 'FIRST_PERSON') {
+    } else if (this.cameraMode === 'FIRST_PERSON' && this.playerGroup) {
       this.playerGroup.rotation.y = this.state.player.rot;
     }
 
@@ -1806,9 +2310,8 @@ export class GameEngine {
   }
 
   _handleHouseCollision(newPos) {
-    const houseData = this.houseGroup.userData;
-    const halfW = houseData.width / 2;
-    const halfD = houseData.depth / 2;
+    const halfW = this.state.house.width / 2;
+    const halfD = this.state.house.depth / 2;
     const wallBuffer = 0.5;
     const doorHalfWidth = 0.9; // Door opening is 1.8 wide, so half is 0.9
 
@@ -1936,7 +2439,7 @@ export class GameEngine {
     const spread = weapon.spread || 0;
 
     for (let i = 0; i < count; i++) {
-      const spreadAngle = (Math.random() - 0.5) * spread;
+      const spreadAngle = (this.rng.next() - 0.5) * spread;
       const pDir = dir.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), spreadAngle);
       const proj = this._createProjectile(pDir, this.state.currentWeapon, false);
       this.state.projectiles.push(proj);
@@ -1948,11 +2451,63 @@ export class GameEngine {
   }
 
   _createProjectile(dir, weaponKey, fromTurret = false) {
-    const wp = fromTurret ? TurretTypes[weaponKey] : WeaponTypes[weaponKey];
+    // Turret shots carry their turret so its upgraded stats reach the projectile
+    const wp = fromTurret ? (dir.turret ?? TurretTypes[weaponKey]) : WeaponTypes[weaponKey];
     const damageBonus = fromTurret ? 1 : (1 + (this.state.upgrades.weaponDamage || 0) * 0.15);
     const rageBonus = fromTurret ? 1 : (this.state.rageActive > 0 ? AbilityTypes.RAGE.damageMultiplier : 1);
-    const finalDamage = wp.damage * damageBonus * rageBonus;
+    const mutatorBonus = fromTurret ? 1 : this.mutatorEffects.playerDamage;
+    const finalDamage = wp.damage * damageBonus * rageBonus * mutatorBonus;
+
+    const pos = new THREE.Vector3();
+    let heading;
+    if (fromTurret) {
+      pos.copy(dir.origin);
+      pos.y = 1.2;
+      heading = dir.direction;
+    } else {
+      pos.copy(this.state.player.pos).setY(0.9);
+      pos.addScaledVector(dir, 0.7);
+      heading = dir;
+    }
+
+    const mesh = this.scene ? this._createProjectileMesh(wp, weaponKey, fromTurret, pos, heading) : null;
+
+    if (!fromTurret) {
+      this._emitParticles(pos.clone(), 5, 0xffffaa, { x: 2, y: 2, z: 2 }, 0.15);
+      this.audioManager?.playSound(wp.sound);
+    } else {
+      this.audioManager?.playSound('turret');
+    }
+
+    const vel = fromTurret
+      ? dir.direction.clone().multiplyScalar(wp.projectileSpeed)
+      : dir.clone().multiplyScalar(wp.speed);
+    // Turret shells land after the aimed flight time; the player's mortar keeps its fixed arc
+    const arc = Boolean(wp.arc);
+    const arcRate = fromTurret ? 1 / (dir.flightTime ?? MAX_LEAD_TIME) : 0.85;
 
+    return {
+      mesh,
+      pos,
+      vel,
+      dmg: finalDamage,
+      life: 0,
+      hits: new Set(),
+      pierce: fromTurret ? 0 : (wp.pierce || 0),
+      splash: fromTurret ? (wp.splash || 0) : (wp.splash || 0),
+      slow: fromTurret ? (wp.slow || 0) : (wp.slow || 0),
+      slowDuration: fromTurret ? (wp.slowDuration || 2) : 2.5,
+      arc,
+      arcRate,
+      arcHeight: fromTurret ? (wp.arcHeight || 0) : 6,
+      startY: pos.y,
+      arcProg: 0,
+      fromTurret,
+      turret: fromTurret ? (dir.turret ?? null) : null
+    };
+  }
+
+  _createProjectileMesh(wp, weaponKey, fromTurret, pos, heading) {
     let geo;
     if (fromTurret) {
       geo = new THREE.SphereGeometry(0.12, 8, 6);
@@ -1978,48 +2533,12 @@ export class GameEngine {
     });
     const mesh = new THREE.Mesh(geo, mat);
 
-    if (fromTurret) {
-      mesh.position.copy(dir.origin);
-      mesh.position.y = 1.2;
-      // Orient turret projectile toward target
-      const targetPoint = mesh.position.clone().add(dir.direction);
-      mesh.lookAt(targetPoint);
-    } else {
-      mesh.position.copy(this.state.player.pos).setY(0.9);
-      mesh.position.addScaledVector(dir, 0.7);
-      // Orient player projectile toward aim direction
-      const targetPoint = mesh.position.clone().add(dir);
-      mesh.lookAt(targetPoint);
-    }
+    // Orient projectile along its heading
+    mesh.position.copy(pos);
+    mesh.lookAt(pos.clone().add(heading));
     mesh.castShadow = true;
     this.scene.add(mesh);
-
-    if (!fromTurret) {
-      this._emitParticles(mesh.position.clone(), 5, 0xffffaa, { x: 2, y: 2, z: 2 }, 0.15);
-      this.audioManager?.playSound(wp.sound);
-    } else {
-      this.audioManager?.playSound('turret');
-    }
-
-    const vel = fromTurret
-      ? dir.direction.clone().multiplyScalar(25)
-      : dir.clone().multiplyScalar(wp.speed);
-
-    return {
-      mesh,
-      vel,
-      dmg: finalDamage,
-      life: 0,
-      hits: new Set(),
-      pierce: fromTurret ? 0 : (wp.pierce || 0),
-      splash: fromTurret ? (wp.splash || 0) : (wp.splash || 0),
-      slow: fromTurret ? (wp.slow || 0) : (wp.slow || 0),
-      slowDuration: fromTurret ? (wp.slowDuration || 2) : 2.5,
-      arc: !fromTurret && wp.arc,
-      startY: mesh.position.y,
-      arcProg: 0,
-      fromTurret
-    };
+    return mesh;
   }
 
   _updateZombies(dt, t) {
@@ -2031,43 +2550,44 @@ export class GameEngine {
       }
     }
 
-    // Path waypoints - zombies follow these through the opening
-    // Waypoint 1: Inside the opening (guides zombies through the gap)
-    // Waypoint 2: Center of the play area (distributes zombies)
-    const pathWaypoints = [
-      new THREE.Vector3(40, 0, 0),   // First waypoint - entrance to the path
-      new THREE.Vector3(15, 0, -10), // Second waypoint - guide toward house area
-    ];
+    // Everyone chases the same target this tick, so one flow field serves all
+    const targetIsHouse = this.state.player.isInside;
+    const flowField = targetIsHouse ? this.houseFlowField : this.playerFlowField;
+    if (targetIsHouse) {
+      this.houseFlowField.setGoal(this._houseGoal());
+    } else {
+      this.playerFlowField.setGoal(this._playerGoal());
+    }
+    flowField.update();
+    const houseRect = this._houseRect();
 
     for (const tk of this.state.zombies) {
       if (tk.dead) continue;
 
-      // Target selection
-      let finalTarget;
-      let targetIsHouse = false;
+      // Climb in through a broken door or window while the player hides inside
+      if (targetIsHouse && !tk.inHouse && this._isAtBreach(tk.pos)) tk.inHouse = true;
 
-      if (this.state.player.isInside) {
-        finalTarget = this.state.house.pos.clone();
-        targetIsHouse = true;
-      } else {
-        finalTarget = this.state.player.pos.clone();
-      }
+      // Zombies inside go for the barn core whoever they were chasing
+      const finalTarget = tk.inHouse ? this.state.barn.pos.clone()
+        : targetIsHouse ? this.state.house.pos.clone() : this.state.player.pos.clone();
 
-      // Pathfinding: Check if zombie needs to follow waypoints
-      let targetPos = finalTarget;
+      // Follow the flow field around obstacles; head straight for the target
+      // once in its cell (or when off the grid with no route)
+      const flow = tk.inHouse ? null : flowField.sample(tk.pos.x, tk.pos.z);
+      const dir = flow
+        ? new THREE.Vector3(flow.x, 0, flow.z)
+        : new THREE.Vector3().subVectors(finalTarget, tk.pos).setY(0).normalize();
+      let speed = tk.spd * (tk.slowMult || 1);
 
-      // If zombie is still in the spawn/path area (X > 35), guide through waypoints
-      if (tk.pos.x > 35) {
-        // Still in the path corridor - head toward first waypoint
-        targetPos = pathWaypoints[0];
-      } else if (tk.pos.x > 10 && tk.pos.z > 5) {
-        // In transition zone, guide toward second waypoint
-        targetPos = pathWaypoints[1];
+      // Turrets and barricades in the way (or any nearby, for Brutes) get torn down first
+      const structure = tk.inHouse ? null : this._findStructureTarget(tk, dir);
+      if (tk.inHouse) {
+        if (Math.hypot(finalTarget.x - tk.pos.x, finalTarget.z - tk.pos.z) <= this.config.coreAttackRange) speed = 0;
+      } else if (structure) {
+        dir.subVectors(structure.pos, tk.pos).setY(0);
+        if (this._distanceToStructure(structure, tk.pos) <= this.config.structureAttackRange) speed = 0;
+        dir.normalize();
       }
-      // Otherwise, go directly to final target
-
-      const dir = new THREE.Vector3().subVectors(targetPos, tk.pos).normalize();
-      let speed = tk.spd * (tk.slowMult || 1);
 
       // Slow timer
       if (tk.slowTimer > 0) {
@@ -2079,30 +2599,261 @@ export class GameEngine {
       if (this.state.globalFreeze > 0) {
         this.state.globalFreeze -= dt;
         speed = 0;
+      } else if (tk.bossState) {
+        speed *= this._updateBoss(tk, dt, finalTarget, dir);
       }
 
-      // Move zombie
+      // Move zombie; the walls keep it out of the house until it finds a breach
+      const prevX = tk.pos.x;
+      const prevZ = tk.pos.z;
       tk.pos.addScaledVector(dir, speed * dt);
+      if (!tk.inHouse && this._isInsideRect(tk.pos, houseRect)) {
+        tk.pos.x = prevX;
+        tk.pos.z = prevZ;
+      }
+      if (!tk.inHouse) this._blockOnStructures(tk.pos, prevX, prevZ);
+      tk.vel.set((tk.pos.x - prevX) / dt, 0, (tk.pos.z - prevZ) / dt);
 
       // Terrain height adjustment
       const terrainY = this._getTerrainHeight(tk.pos.x, tk.pos.z);
       tk.pos.y = terrainY + 0.5;
 
-      tk.mesh.position.copy(tk.pos);
-      tk.mesh.lookAt(targetPos);
-      tk.mesh.position.y = tk.pos.y + Math.abs(Math.sin(t * 10)) * 0.5;
+      if (tk.mesh) {
+        tk.mesh.position.copy(tk.pos);
+        tk.mesh.lookAt(tk.pos.clone().add(dir));
+        tk.mesh.position.y = tk.pos.y + Math.abs(Math.sin(t * 10)) * 0.5;
+      }
 
       // Attack logic (use final target for attack checks)
-      this._handleZombieAttack(tk, finalTarget, targetIsHouse, dt);
+      this._handleZombieAttack(tk, finalTarget, targetIsHouse, dt, structure);
+
+      if (ZombieTypes[tk.type].heals) this._updateZombieHealing(tk, dt);
+    }
+  }
+
+  /**
+   * Necromancer pulse heal: every healInterval seconds, restore HP to wounded
+   * zombies within healRadius (never itself). The timer holds at zero until
+   * someone nearby is hurt, so the next wounded zombie is healed at once.
+   */
+  _updateZombieHealing(tk, dt) {
+    if (this.state.globalFreeze > 0) return;
+    if (tk.healTimer > 0) {
+      tk.healTimer -= dt;
+      return;
+    }
+
+    const stats = ZombieTypes[tk.type];
+    const nearby = this.zombieGrid.queryRadius(tk.pos, stats.healRadius);
+    let healed = 0;
+    let amount = 0;
+
+    for (const other of nearby) {
+      if (other === tk || other.dead || other.hp >= other.maxHp) continue;
+      const restored = Math.min(stats.healAmount, other.maxHp - other.hp);
+      other.hp += restored;
+      healed++;
+      amount += restored;
+      if (this.scene) this._createHealBeam(tk.pos, other.pos);
+    }
+
+    if (healed === 0) return;
+
+    tk.healTimer = stats.healInterval;
+    this._emitParticles(tk.pos.clone().setY(1.5), 8, 0xab69c6, { x: 1, y: 2, z: 1 }, 0.5);
+    this._emitEvent('ZOMBIES_HEALED', { type: tk.type, healed, amount });
+  }
+
+  _createHealBeam(from, to) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+      from.clone().setY(from.y + 1), to.clone().setY(to.y + 1)
+    ]);
+    const line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: 0x7dff9a, transparent: true, opacity: 0.9 })
+    );
+    this.scene.add(line);
+    this.healBeams.push({ line, life: 0.4, maxLife: 0.4 });
+    this._emitParticles(to.clone().setY(to.y + 1), 4, 0x7dff9a, { x: 0.5, y: 2, z: 0.5 }, 0.4);
+  }
+
+  _clearHealBeams() {
+    for (const beam of this.healBeams) {
+      this._removeFromView(beam.line);
+    }
+    this.healBeams = [];
+  }
+
+  /**
+   * Run the boss controller for one tick and carry out its actions
+   * @param {THREE.Vector3} dir - Movement direction, replaced by the dash direction while charging
+   * @returns {number} Speed multiplier for this tick
+   */
+  _updateBoss(tk, dt, targetPos, dir) {
+    for (const action of this.bossController.update(tk, dt, targetPos)) {
+      this._applyBossAction(tk, action);
+    }
+
+    const chargeDir = this.bossController.getChargeDirection(tk);
+    if (chargeDir) dir.set(chargeDir.x, 0, chargeDir.z);
+    return this.bossController.getSpeedMultiplier(tk);
+  }
+
+  _applyBossAction(tk, action) {
+    switch (action.type) {
+      case BossAction.PHASE:
+        this._emitEvent('BOSS_PHASE_CHANGED', { phase: action.phase, name: action.name });
+        if (action.banner) {
+          this._emitCallback('onBannerChange', action.banner);
+          setTimeout(() => this._emitCallback('onBannerChange', ''), 2500);
+        }
+        this.audioManager?.playSound('groan');
+        this.state.shakeIntensity = 0.6;
+        this.state.shakeDuration = 0.4;
+        break;
+      case BossAction.SUMMON:
+        this._summonZombies(tk, action.zombieType, action.count);
+        break;
+      case BossAction.CHARGE:
+        this.audioManager?.playSound('groan');
+        this._emitParticles(tk.pos.clone().setY(1), 12, 0xff3300, { x: 2, y: 2, z: 2 }, action.windup);
+        break;
+      case BossAction.SLAM:
+        this._bossGroundSlam(tk, action.radius, action.damage);
+        break;
+      default:
+        console.warn('[GameEngine] Unknown boss action:', action.type);
+    }
+  }
+
+  /**
+   * Spawn minions in a ring around the boss. Summons are extra enemies: they
+   * must die for the wave to end but don't count against the wave's spawns.
+   */
+  _summonZombies(boss, type, count) {
+    for (let i = 0; i < count; i++) {
+      const angle = this.rng.next() * Math.PI * 2;
+      const pos = boss.pos.clone().add(new THREE.Vector3(Math.cos(angle) * 2.5, 0, Math.sin(angle) * 2.5));
+      const zombie = this._createZombie(pos, type);
+      this.state.zombies.push(zombie);
+      this.zombieGrid.insert(zombie, zombie.pos);
+      this._emitParticles(pos.clone().setY(0.5), 8, 0x8e44ad, { x: 1, y: 3, z: 1 }, 0.5);
+    }
+  }
+
+  _bossGroundSlam(boss, radius, damage) {
+    for (const turret of this.turretGrid.queryRadius(boss.pos, radius)) {
+      this.damageManager.applyDamage(turret, damage, DamageType.EXPLOSIVE, boss);
+    }
+    for (const structure of this.structureGrid.queryRadius(boss.pos, radius)) {
+      this.damageManager.applyDamage(structure, damage, DamageType.EXPLOSIVE, boss);
+    }
+
+    this.audioManager?.playSound('explosion');
+    this._emitParticles(boss.pos.clone().setY(0.2), 30, 0x8b4513, { x: radius, y: 2, z: radius }, 0.6);
+    this.state.shakeIntensity = 0.8;
+    this.state.shakeDuration = 0.3;
+  }
+
+  /**
+   * Turret or barricade a zombie should attack before its usual target.
+   * Brutes go for the nearest one within structureSeekRadius; everyone else
+   * only attacks one within reach that stands ahead of them, i.e. one
+   * blocking their way. Of a stack, the top course comes down first.
+   * @param {THREE.Vector3} dir - The zombie's movement direction this tick
+   * @returns {Object|null}
+   */
+  _findStructureTarget(tk, dir) {
+    const seeksStructures = ZombieTypes[tk.type].prefersStructures;
+    const radius = seeksStructures ? this.config.structureSeekRadius : this.config.structureAttackRange;
+    // Barricades are measured from their edge, so reach past their centre
+    const structureRadius = radius + this.config.structureCellSize / 2;
+    let target = null;
+    let nearest = Infinity;
+
+    const consider = (structure) => {
+      const closest = this._closestStructurePoint(structure, tk.pos);
+      const dx = closest.x - tk.pos.x;
+      const dz = closest.z - tk.pos.z;
+      const dist = Math.hypot(dx, dz);
+      if (dist > radius) return;
+      // Within ~25 degrees of the heading: skirting past a corner doesn't count
+      if (!seeksStructures && dist > 0 && (dx * dir.x + dz * dir.z) / dist < 0.9) return;
+      if (dist < nearest || (dist === nearest && structure.course > target.course)) {
+        nearest = dist;
+        target = structure;
+      }
+    };
+
+    for (const turret of this.turretGrid.queryRadius(tk.pos, radius)) consider(turret);
+    for (const structure of this.structureGrid.queryRadius(tk.pos, structureRadius)) consider(structure);
+    return target;
+  }
+
+  /**
+   * Nearest point of a turret (its centre) or barricade (its cell) to a position
+   * @returns {{x: number, z: number}}
+   */
+  _closestStructurePoint(structure, pos) {
+    const { rect } = structure;
+    if (!rect) return structure.pos;
+    return {
+      x: Math.min(Math.max(pos.x, rect.minX), rect.maxX),
+      z: Math.min(Math.max(pos.z, rect.minZ), rect.maxZ)
+    };
+  }
+
+  _distanceToStructure(structure, pos) {
+    const closest = this._closestStructurePoint(structure, pos);
+    return Math.hypot(closest.x - pos.x, closest.z - pos.z);
+  }
+
+  /**
+   * Keep a zombie that just moved out of barricade cells, sliding it along
+   * the side it walked into
+   * @param {THREE.Vector3} pos - The zombie's new position, corrected in place
+   */
+  _blockOnStructures(pos, prevX, prevZ) {
+    if (!this._isInsideStructure(pos.x, pos.z)) return;
+
+    if (!this._isInsideStructure(prevX, pos.z)) {
+      pos.x = prevX;
+    } else if (!this._isInsideStructure(pos.x, prevZ)) {
+      pos.z = prevZ;
+    } else {
+      pos.x = prevX;
+      pos.z = prevZ;
+    }
+  }
+
+  _isInsideStructure(x, z) {
+    const pos = this._scratch.structureProbe.set(x, 0, z);
+    for (const structure of this.structureGrid.queryRadius(pos, this.config.structureCellSize)) {
+      if (this._isInsideRect(pos, structure.rect)) return true;
     }
+    return false;
   }
 
-  _handleZombieAttack(tk, targetPos, targetIsHouse, dt) {
+  _handleZombieAttack(tk, targetPos, targetIsHouse, dt, structure = null) {
     if (tk.attackCooldown > 0) tk.attackCooldown -= dt;
 
-    if (targetIsHouse) {
+    if (tk.inHouse) {
+      const distToCore = Math.hypot(targetPos.x - tk.pos.x, targetPos.z - tk.pos.z);
+
+      if (distToCore <= this.config.coreAttackRange && (!tk.attackCooldown || tk.attackCooldown <= 0)) {
+        tk.attackCooldown = 1.0;
+        this._zombieAttackCore(tk);
+      }
+    } else if (structure) {
+      const distToStructure = this._distanceToStructure(structure, tk.pos);
+
+      if (distToStructure <= this.config.structureAttackRange && (!tk.attackCooldown || tk.attackCooldown <= 0)) {
+        tk.attackCooldown = 1.0;
+        this._zombieAttackPiece(tk, structure);
+      }
+    } else if (targetIsHouse) {
       const distToHouse = tk.pos.distanceTo(this.state.house.pos);
-      const houseRadius = Math.max(this.houseGroup.userData.width, this.houseGroup.userData.depth) / 2 + 1.5;
+      const houseRadius = Math.max(this.state.house.width, this.state.house.depth) / 2 + 1.5;
 
       if (distToHouse < houseRadius && (!tk.attackCooldown || tk.attackCooldown <= 0)) {
         tk.attackCooldown = 1.0;
@@ -2118,6 +2869,32 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Hit the barn core; the run is lost when it runs out
+   */
+  _zombieAttackCore(tk) {
+    const { barn } = this.state;
+    if (barn.health <= 0) return;
+
+    const dmg = tk.dmg * (1 - (this.state.upgrades.houseArmor || 0) * 0.1);
+    barn.health = Math.max(0, barn.health - dmg);
+    this.audioManager?.playSound('hurt');
+    this._emitParticles(barn.pos.clone().setY(1.5), 8, 0xff6600, { x: 1, y: 2, z: 1 }, 0.4);
+    this._emitEvent('BARN_DAMAGED', { amount: dmg, health: barn.health, maxHealth: barn.maxHealth });
+
+    this._checkGameOver();
+  }
+
+  /**
+   * Hit a turret or barricade; the damage manager reports back through
+   * _onPieceDamaged and _onPieceDestroyed
+   */
+  _zombieAttackPiece(tk, piece) {
+    this.damageManager.applyDamage(piece, tk.dmg, DamageType.PHYSICAL, tk);
+    this.audioManager?.playSound('hurt');
+    this._emitParticles(piece.pos.clone().setY(1), 5, 0x8b4513, { x: 1, y: 2, z: 1 }, 0.3);
+  }
+
   _zombieAttackHouse(tk) {
     // Find nearest door or window
     let nearestEntry = null;
@@ -2125,9 +2902,7 @@ export class GameEngine {
 
     for (const door of this.houseDoors) {
       if (!door.destroyed) {
-        const doorPos = new THREE.Vector3();
-        door.mesh.getWorldPosition(doorPos);
-        const dist = tk.pos.distanceTo(doorPos);
+        const dist = tk.pos.distanceTo(door.pos);
         if (dist < nearestDist) {
           nearestDist = dist;
           nearestEntry = { type: 'door', obj: door };
@@ -2137,9 +2912,7 @@ export class GameEngine {
 
     for (const win of this.houseWindows) {
       if (!win.destroyed) {
-        const winPos = new THREE.Vector3();
-        win.mesh.getWorldPosition(winPos);
-        const dist = tk.pos.distanceTo(winPos);
+        const dist = tk.pos.distanceTo(win.pos);
         if (dist < nearestDist) {
           nearestDist = dist;
           nearestEntry = { type: 'window', obj: win };
@@ -2159,8 +2932,8 @@ export class GameEngine {
         nearestEntry.obj.health = 0;
 
         if (nearestEntry.type === 'door') {
-          nearestEntry.obj.panel.visible = false;
-        } else {
+          if (nearestEntry.obj.panel) nearestEntry.obj.panel.visible = false;
+        } else if (nearestEntry.obj.glass) {
           nearestEntry.obj.glass.visible = false;
         }
 
@@ -2174,7 +2947,7 @@ export class GameEngine {
   _zombieAttackPlayer(tk) {
     if (this.state.player.invulnTimer > 0) return;
 
-    const dmg = tk.dmg;
+    const dmg = tk.dmg * this.mutatorEffects.playerDamageTaken;
     this.state.player.health -= dmg;
     this.state.player.invulnTimer = 0.5;
 
@@ -2185,6 +2958,7 @@ export class GameEngine {
     this.state.shakeDuration = 0.2;
 
     this._emitCallback('onLowHealth', this.state.player.health < 25);
+    this._emitEvent('PLAYER_DAMAGED', { amount: dmg, health: Math.max(0, this.state.player.health) });
 
     if (this.state.player.health <= 0) {
       this.state.player.health = 0;
@@ -2200,12 +2974,13 @@ export class GameEngine {
 
       // Arc trajectory for mortar
       if (p.arc) {
-        p.arcProg += dt * 0.85;
-        p.mesh.position.y = p.startY + Math.sin(p.arcProg * Math.PI) * 6;
+        p.arcProg += dt * p.arcRate;
+        p.pos.y = p.startY + Math.sin(p.arcProg * Math.PI) * p.arcHeight;
       }
 
       // Move projectile
-      p.mesh.position.addScaledVector(p.vel, dt);
+      p.pos.addScaledVector(p.vel, dt);
+      if (p.mesh) p.mesh.position.copy(p.pos);
 
       // Check collisions
       const hits = this._checkProjectileCollisions(p);
@@ -2225,25 +3000,25 @@ export class GameEngine {
 
       // Splash damage
       if (p.splash > 0 && (hits.length > 0 || p.life > 2)) {
-        this._createExplosion(p.mesh.position.clone(), p.splash);
-        this._applySplashDamage(p.mesh.position, p.splash, p.dmg * 0.5);
+        this._createExplosion(p.pos.clone(), p.splash);
+        this._applySplashDamage(p.pos, p.splash, p.dmg * 0.5);
         this._removeProjectile(p, false);
         continue;
       }
 
       // Terrain collision check
-      const pTerrainY = this._getTerrainHeight(p.mesh.position.x, p.mesh.position.z);
-      if (p.mesh.position.y < pTerrainY + 0.5) {
+      const pTerrainY = this._getTerrainHeight(p.pos.x, p.pos.z);
+      if (p.pos.y < pTerrainY + 0.5) {
         if (p.splash > 0) {
-          this._createExplosion(p.mesh.position.clone(), p.splash);
-          this._applySplashDamage(p.mesh.position, p.splash, p.dmg * 0.5);
+          this._createExplosion(p.pos.clone(), p.splash);
+          this._applySplashDamage(p.pos, p.splash, p.dmg * 0.5);
         }
         this._removeProjectile(p, false);
         continue;
       }
 
       // Remove if too old or out of bounds
-      if (p.life > 5 || p.mesh.position.length() > 70) {
+      if (p.life > 5 || p.pos.length() > 70) {
         this._removeProjectile(p, false);
       }
     }
@@ -2252,36 +3027,70 @@ export class GameEngine {
     for (let i = this.state.turretProjectiles.length - 1; i >= 0; i--) {
       const p = this.state.turretProjectiles[i];
       p.life += dt;
-      p.mesh.position.addScaledVector(p.vel, dt);
+      p.pos.addScaledVector(p.vel, dt);
 
-      const hits = this._checkProjectileCollisions(p);
-      for (const tk of hits) {
+      // Lobbed shells fly over zombies and burst where they land
+      if (p.arc) {
+        p.arcProg = Math.min(p.arcProg + dt * p.arcRate, 1);
+        p.pos.y = p.startY + Math.sin(p.arcProg * Math.PI) * p.arcHeight;
+        if (p.mesh) p.mesh.position.copy(p.pos);
+        if (p.arcProg >= 1) this._landTurretShell(p);
+        continue;
+      }
+      if (p.mesh) p.mesh.position.copy(p.pos);
+
+      const [tk] = this._checkProjectileCollisions(p);
+      if (tk) {
         this._damageZombie(tk, p.dmg, p);
 
         if (p.splash > 0) {
-          this._createExplosion(p.mesh.position.clone(), p.splash);
-          this._applySplashDamage(p.mesh.position, p.splash, p.dmg * 0.5);
+          this._createExplosion(p.pos.clone(), p.splash);
+          this._applySplashDamage(p.pos, p.splash, p.dmg * 0.5, p.turret);
         }
 
+        this._recordTurretHit(p);
         this._removeProjectile(p, true);
-        break;
+        continue;
       }
 
-      if (p.life > 3 || p.mesh.position.length() > 60) {
+      if (p.life > MAX_LEAD_TIME || p.pos.length() > 60) {
         this._removeProjectile(p, true);
       }
     }
   }
 
+  _landTurretShell(p) {
+    const direct = this._checkProjectileCollisions(p);
+    for (const tk of direct) this._damageZombie(tk, p.dmg, p);
+
+    let splashed = 0;
+    if (p.splash > 0) {
+      this._createExplosion(p.pos.clone(), p.splash);
+      splashed = this._applySplashDamage(p.pos, p.splash, p.dmg * 0.5, p.turret);
+    }
+
+    if (direct.length + splashed > 0) this._recordTurretHit(p);
+    this._removeProjectile(p, true);
+  }
+
+  /**
+   * Count a shot that damaged a zombie toward its turret's accuracy (shots are counted when fired)
+   */
+  _recordTurretHit(p) {
+    if (!p.turret) return;
+    p.turret.hits++;
+    this.state.turretAccuracy[p.turret.type].hits++;
+  }
+
   _checkProjectileCollisions(projectile) {
-    const nearby = this.zombieGrid.queryRadius(projectile.mesh.position, this.config.collisionRadius);
+    const nearby = this.zombieGrid.queryRadius(projectile.pos, this.config.collisionRadius);
     const hits = [];
 
     for (const tk of nearby) {
       if (projectile.hits.has(tk) || tk.dead) continue;
 
-      const dx = projectile.mesh.position.x - tk.pos.x;
-      const dz = projectile.mesh.position.z - tk.pos.z;
+      const dx = projectile.pos.x - tk.pos.x;
+      const dz = projectile.pos.z - tk.pos.z;
       const distSq = dx * dx + dz * dz;
       const hitRadius = 0.7 * tk.scale;
 
@@ -2294,7 +3103,9 @@ export class GameEngine {
   }
 
   _damageZombie(tk, damage, projectile) {
-    tk.hp -= damage;
+    const hpBefore = tk.hp;
+    tk.hp -= damage * this.mutatorEffects.zombieDamageTaken;
+    if (projectile.turret) this._creditTurret(projectile.turret, tk, hpBefore);
 
     // Apply slow
     if (projectile.slow > 0) {
@@ -2320,12 +3131,22 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Count a turret's hit toward the damage dealt and kills in its inspector
+   */
+  _creditTurret(turret, tk, hpBefore) {
+    turret.damageDealt += Math.max(0, Math.min(hpBefore, hpBefore - tk.hp));
+    if (tk.hp <= 0) turret.kills++;
+  }
+
   _killZombie(tk) {
     tk.dead = true;
-    tk.mesh.visible = false;
+    if (tk.mesh) tk.mesh.visible = false;
 
     this.state.score += tk.val;
-    this.state.currency += Math.ceil(tk.val / 2);
+    this.state.currency += Math.ceil(tk.val / 2 * this.mutatorEffects.corn);
+    this.director.recordKill(this.simTime - tk.spawnedAt);
+    this._emitEvent('ZOMBIE_KILLED', { type: tk.type, isBoss: tk.type === 'BOSS' });
 
     this.audioManager?.playSound('kill');
     const bodyColor = tk.body?.material?.color?.getHex() || ZombieTypes[tk.type]?.body || 0x8b4513;
@@ -2334,7 +3155,7 @@ export class GameEngine {
     // Bloater spawns mini zombies
     if (tk.type === 'SPLITTER') {
       for (let i = 0; i < 2; i++) {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const offset = new THREE.Vector3(Math.cos(angle) * 2, 0, Math.sin(angle) * 2);
         const mini = this._createZombie(tk.pos.clone().add(offset), 'SPLITTER', tk.scale * 0.6);
         mini.val = Math.floor(tk.val * 0.3);
@@ -2343,10 +3164,14 @@ export class GameEngine {
     }
   }
 
+  _removeFromView(obj) {
+    if (!obj) return;
+    this.scene?.remove(obj);
+    disposeObject(obj);
+  }
+
   _removeProjectile(p, fromTurret) {
-    this.scene.remove(p.mesh);
-    p.mesh.geometry.dispose();
-    p.mesh.material.dispose();
+    this._removeFromView(p.mesh);
 
     const arr = fromTurret ? this.state.turretProjectiles : this.state.projectiles;
     const idx = arr.indexOf(p);
@@ -2354,87 +3179,243 @@ export class GameEngine {
   }
 
   _updateTurrets(dt) {
+    const pathField = this.state.turrets.some(turret => turret.targeting !== DEFAULT_TARGETING)
+      ? this._getHousePathField()
+      : null;
+    const pathCost = pathField ? (tk) => pathField.getCost(tk.pos.x, tk.pos.z) : undefined;
+
     for (const turret of this.state.turrets) {
       if (turret.cooldown > 0) turret.cooldown -= dt;
 
       // Update health bar
-      if (turret.healthBar && turret.healthBar.visible) {
+      if (turret.healthBar && turret.healthBar.visible && this.camera) {
         turret.healthBar.lookAt(this.camera.position);
       }
 
-      // Find target
-      const range = TurretTypes[turret.type].range;
-      const nearby = this.zombieGrid.queryRadius(turret.mesh.position, range);
-
-      let target = null;
-      let minDist = range;
-
-      for (const tk of nearby) {
-        if (tk.dead) continue;
-        const dist = tk.pos.distanceTo(turret.mesh.position);
-        if (dist < minDist) {
-          minDist = dist;
-          target = tk;
-        }
-      }
+      // Find target by the turret's targeting mode (see turrets/TurretTargeting.js)
+      const range = turret.turretRange;
+      const target = pickTarget(this.zombieGrid.queryRadius(turret.pos, range), turret.pos, range, {
+        mode: turret.targeting,
+        skipSlowed: turret.skipSlowed,
+        pathCost
+      });
+      turret.target = target;
 
       if (target) {
-        turret.mesh.lookAt(target.pos);
+        turret.mesh?.lookAt(target.pos);
 
         if (turret.cooldown <= 0) {
-          turret.cooldown = TurretTypes[turret.type].fireRate;
-          const dir = new THREE.Vector3().subVectors(target.pos, turret.mesh.position).normalize();
-          const proj = this._createProjectile({ origin: turret.mesh.position.clone(), direction: dir }, turret.type, true);
-          this.state.turretProjectiles.push(proj);
+          turret.cooldown = turret.fireRate;
+          this._fireTurret(turret, target);
         }
       }
     }
   }
 
+  /**
+   * Fire at where the target will be when the shot arrives (see turrets/TurretAiming.js)
+   */
+  _fireTurret(turret, target) {
+    const { point, time } = findIntercept(turret.pos, target, turret.projectileSpeed, new THREE.Vector3());
+    const direction = new THREE.Vector3().subVectors(point, turret.pos);
+    // Shells leave the height to the arc; straight shots climb or dip to the target
+    if (turret.arc) direction.setY(0);
+    // Scaled to a unit step over the ground, since the intercept is timed by ground speed
+    const ground = Math.hypot(direction.x, direction.z);
+    if (ground > 0) direction.divideScalar(ground);
+    else direction.normalize();
+
+    const shot = { origin: turret.pos.clone(), direction, turret, flightTime: Math.max(time, this.fixedTimestep) };
+    this.state.turretProjectiles.push(this._createProjectile(shot, turret.type, true));
+    turret.shots++;
+    this.state.turretAccuracy[turret.type].shots++;
+  }
+
+  /**
+   * Walking distances to the house, for turrets ranking zombies along the path
+   */
+  _getHousePathField() {
+    // While the player hides inside, _updateZombies has already set this field up for the tick
+    if (!this.state.player.isInside) {
+      this.houseFlowField.setGoal(this._houseGoal());
+      this.houseFlowField.update();
+    }
+    return this.houseFlowField;
+  }
+
   _updateSpawning(dt) {
     if (this.state.toSpawn <= 0 || this.state.gameOver || this.state.paused) return;
 
+    // Scripted waves run their own group timers, sped up or slowed by the director
+    if (this.waveManager.isScripted) {
+      for (const spawn of this.waveManager.update(dt / this.director.intervalMult)) {
+        this._spawnWaveZombie(spawn.type, spawn.spawn, spawn.modifiers);
+      }
+      return;
+    }
+
     this.state.spawnTimer -= dt;
 
     if (this.state.spawnTimer <= 0) {
       const type = this._getNextSpawnType();
       if (type) {
-        // Spawn from the opening on the east side
-        // Opening is at X=55-67, Z=-6 to 6 (12 unit wide opening)
-        const spawnX = 60 + Math.random() * 10; // Spawn outside the treeline opening
-        const spawnZ = (Math.random() - 0.5) * 10; // Within the opening width
-        const pos = new THREE.Vector3(spawnX, 0, spawnZ);
-        const zombie = this._createZombie(pos, type);
-        this.state.zombies.push(zombie);
-        this.zombieGrid.insert(zombie, zombie.pos);
-        this.waveManager.recordSpawn(type);
+        const gate = this.waveManager.pickGate();
+        this._spawnWaveZombie(type, gate);
+        // Under pressure the director sends a few more through the same gate
+        for (let extra = this.director.rollBurst(this.rng) - 1; extra > 0; extra--) {
+          const next = this._getNextSpawnType();
+          if (!next) break;
+          this._spawnWaveZombie(next, gate);
+        }
 
         const baseDelay = Math.max(0.5, 2.5 - this.state.activeWaveNumber * 0.15);
-        this.state.spawnTimer = baseDelay * (0.8 + Math.random() * 0.4);
+        this.state.spawnTimer = baseDelay * this.director.intervalMult * (0.8 + this.rng.next() * 0.4);
       }
     }
   }
 
+  /**
+   * Let the director assess the player during a wave and apply its decision
+   */
+  _updateDirector(dt) {
+    if (this.phase !== GamePhase.WAVE_ACTIVE || this.state.gameOver || this.state.paused) return;
+
+    const { player } = this.state;
+    const expected = this.state.expectedThisWave;
+    const decision = this.director.update(dt, {
+      healthRatio: player.health / player.maxHealth,
+      integrity: this._calculateHouseIntegrity() / 100,
+      currency: this.state.currency,
+      wave: this.state.activeWaveNumber,
+      progress: expected > 0 ? this.state.totalSpawnedThisWave / expected : 1,
+      simTime: this.simTime
+    });
+    if (!decision) return;
+
+    if (decision.bonus) {
+      const { type, count } = decision.bonus;
+      this.waveManager.addBonus(type, count);
+      const gate = this.waveManager.pickGate();
+      for (let i = 0; i < count; i++) this._spawnWaveZombie(type, gate);
+    }
+    this._emitEvent('DIRECTOR_DECISION', decision);
+  }
+
+  /**
+   * Choose the difficulty preset for new games. A run in progress keeps the
+   * preset it started with.
+   * @param {string} difficulty - DifficultyPresets key
+   * @returns {boolean} False for an unknown preset
+   */
+  setDifficulty(difficulty) {
+    if (!DifficultyPresets[difficulty]) {
+      console.warn('[GameEngine] Unknown difficulty:', difficulty);
+      return false;
+    }
+    this.difficulty = difficulty;
+    if (!this.state.started) this.director.setDifficulty(difficulty);
+    return true;
+  }
+
   _getNextSpawnType() {
     return this.waveManager.getNextSpawnType();
   }
 
+  /**
+   * Spawn one of the wave's zombies somewhere inside a gate's spawn area
+   * @param {string} type - ZombieTypes key
+   * @param {string} gate - SpawnPoints key
+   * @param {Object|null} [modifiers] - Stat multipliers from a wave script group
+   */
+  _spawnWaveZombie(type, gate, modifiers = null) {
+    const area = getGateLayout(gate).spawnArea;
+    const x = area.minX + this.rng.next() * (area.maxX - area.minX);
+    const z = area.minZ + this.rng.next() * (area.maxZ - area.minZ);
+    const zombie = this._createZombie(new THREE.Vector3(x, 0, z), type);
+
+    if (modifiers) {
+      zombie.hp *= modifiers.hp ?? 1;
+      zombie.maxHp *= modifiers.hp ?? 1;
+      zombie.spd *= modifiers.speed ?? 1;
+      zombie.dmg *= modifiers.damage ?? 1;
+      zombie.val = Math.round(zombie.val * (modifiers.value ?? 1));
+    }
+
+    this.state.zombies.push(zombie);
+    this.zombieGrid.insert(zombie, zombie.pos);
+    this.waveManager.recordSpawn(type);
+    return zombie;
+  }
+
+  /**
+   * Use a wave script for normal mode waves (see waves/WaveScript.js). Waves
+   * past its end, and all endless waves, stay procedural.
+   * @param {Object|null} script - Parsed wave script, or null to go back to procedural waves
+   * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+   */
+  loadWaveScript(script) {
+    if (script === null) {
+      this.waveManager.clearScript();
+      return { ok: true, reasons: [] };
+    }
+
+    const validation = this.waveManager.loadScript(script);
+    if (!validation.ok) {
+      console.warn('[GameEngine] Wave script rejected:', validation.reasons.map(reason => reason.message).join('; '));
+    }
+    return validation;
+  }
+
   _createZombie(pos, type, customScale = null) {
     const stats = ZombieTypes[type];
     const s = customScale || stats.scale;
 
-    const group = new THREE.Group();
-
-    // Humanoid torso
-    const bodyGeo = new THREE.CylinderGeometry(0.25, 0.3, 0.7, 10);
-    const bodyMesh = new THREE.Mesh(
-      bodyGeo,
-      new THREE.MeshStandardMaterial({ color: stats.body, emissive: 0x003300, roughness: 0.95 })
-    );
-    bodyMesh.position.y = 0.65;
-    bodyMesh.scale.setScalar(s);
-    bodyMesh.castShadow = true;
-    group.add(bodyMesh);
+    const view = this.scene ? this._createZombieMesh(pos, type, s) : null;
+
+    // Sound effect - zombie groan (cosmetic, kept off the gameplay RNG)
+    if (Math.random() < 0.3) {
+      setTimeout(() => this.audioManager?.playSound('groan'), Math.random() * 1000);
+    }
+
+    return {
+      mesh: view?.group ?? null,
+      body: view?.bodyMesh ?? null,
+      tail: null,  // Zombies don't have tails
+      pos: pos.clone(),
+      vel: new THREE.Vector3(), // Ground covered per second last tick, for turrets leading their shots
+      hp: stats.hp * (customScale ? customScale / stats.scale : 1),
+      maxHp: stats.hp * (customScale ? customScale / stats.scale : 1),
+      spd: stats.speed * this.mutatorEffects.zombieSpeed,
+      dmg: stats.damage,
+      val: stats.value,
+      type,
+      scale: s,
+      bob: this.rng.next() * 6.28,
+      spawnedAt: this.simTime,
+      slowMult: 1,
+      slowTimer: 0,
+      dead: false,
+      healTimer: 0,
+      inHouse: false,
+      bossPhase: type === 'BOSS' ? this.bossController.phaseCount : 0,
+      bossState: type === 'BOSS' ? this.bossController.createState() : null
+    };
+  }
+
+  _createZombieMesh(pos, type, s) {
+    const stats = ZombieTypes[type];
+    const group = new THREE.Group();
+
+    // Humanoid torso
+    const bodyGeo = new THREE.CylinderGeometry(0.25, 0.3, 0.7, 10);
+    const bodyMesh = new THREE.Mesh(
+      bodyGeo,
+      new THREE.MeshStandardMaterial({ color: stats.body, emissive: 0x003300, roughness: 0.95 })
+    );
+    bodyMesh.position.y = 0.65;
+    bodyMesh.scale.setScalar(s);
+    bodyMesh.castShadow = true;
+    group.add(bodyMesh);
 
     // Legs
     const legMat = new THREE.MeshStandardMaterial({ color: stats.body, emissive: 0x003300, roughness: 0.95 });
@@ -2527,44 +3508,73 @@ export class GameEngine {
     group.position.copy(pos);
     this.scene.add(group);
 
-    // Sound effect - zombie groan
-    if (Math.random() < 0.3) {
-      setTimeout(() => this.audioManager?.playSound('groan'), Math.random() * 1000);
-    }
-
-    return {
-      mesh: group,
-      body: bodyMesh,
-      tail: null,  // Zombies don't have tails
-      pos: pos.clone(),
-      hp: stats.hp * (customScale ? customScale / stats.scale : 1),
-      maxHp: stats.hp * (customScale ? customScale / stats.scale : 1),
-      spd: stats.speed,
-      dmg: stats.damage,
-      val: stats.value,
-      type,
-      scale: s,
-      bob: Math.random() * 6.28,
-      slowMult: 1,
-      slowTimer: 0,
-      dead: false,
-      healTimer: 0,
-      bossPhase: type === 'BOSS' ? 3 : 0
-    };
+    return { group, bodyMesh };
   }
 
   _updateAbilities(dt) {
+    if (this.abilitySystem.update(dt)) this._emitAbilitiesUpdate();
+
     // Update rage timer
     if (this.state.rageActive > 0) {
       this.state.rageActive -= dt;
     }
 
-    // Handle pending airstrike
-    if (this.state.pendingAirstrike) {
-      this._createExplosion(this.state.pendingAirstrike, AbilityTypes.AIRSTRIKE.radius, AbilityTypes.AIRSTRIKE.damage);
-      this._applySplashDamage(this.state.pendingAirstrike, AbilityTypes.AIRSTRIKE.radius, AbilityTypes.AIRSTRIKE.damage);
-      this.state.pendingAirstrike = null;
+    // Land targeted abilities once their delay runs out
+    const strikes = this.state.pendingStrikes;
+    if (strikes.length === 0) return;
+    for (const strike of strikes) strike.timer -= dt;
+    const landed = strikes.filter(strike => strike.timer <= 0);
+    if (landed.length === 0) return;
+    this.state.pendingStrikes = strikes.filter(strike => strike.timer > 0);
+    landed.forEach(strike => this._resolveStrike(strike));
+  }
+
+  /**
+   * Queue a targeted ability to land at pos, with a warning marker on the
+   * ground until it does
+   * @param {string} abilityKey - AbilityTypes key
+   * @param {THREE.Vector3} pos - Ground position
+   * @param {number} [timer] - Seconds until it lands (defaults to the ability's delay)
+   */
+  _scheduleStrike(abilityKey, pos, timer = AbilityTypes[abilityKey].delay ?? 0) {
+    const strike = { abilityKey, pos: pos.clone(), timer, marker: null };
+    if (this.scene && timer > 0) {
+      strike.marker = this._createStrikeMarker(strike.pos, AbilityTypes[abilityKey].radius);
+    }
+    this.state.pendingStrikes.push(strike);
+    return strike;
+  }
+
+  _resolveStrike(strike) {
+    this._removeFromView(strike.marker);
+    const ability = AbilityTypes[strike.abilityKey];
+
+    switch (strike.abilityKey) {
+      case 'AIRSTRIKE':
+        this._createExplosion(strike.pos, ability.radius, ability.damage);
+        this._applySplashDamage(strike.pos, ability.radius, ability.damage);
+        break;
+      default:
+        console.warn('[GameEngine] No effect for targeted ability:', strike.abilityKey);
+    }
+  }
+
+  _createStrikeMarker(pos, radius) {
+    const marker = new THREE.Mesh(
+      new THREE.RingGeometry(radius * 0.85, radius, 48),
+      new THREE.MeshBasicMaterial({ color: 0xff2200, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+    );
+    marker.rotation.x = -Math.PI / 2;
+    marker.position.set(pos.x, 0.03, pos.z);
+    this.scene.add(marker);
+    return marker;
+  }
+
+  _clearPendingStrikes() {
+    for (const strike of this.state.pendingStrikes) {
+      this._removeFromView(strike.marker);
     }
+    this.state.pendingStrikes = [];
   }
 
   _updateDamageSystem(dt) {
@@ -2576,18 +3586,113 @@ export class GameEngine {
       const damageable = this.damageManager.getDamageable(turret);
 
       if (damageable && damageable.health <= 0) {
-        this.scene.remove(turret.mesh);
-        disposeObject(turret.mesh);
-        if (turret._placementPiece) {
-          this.buildingValidator.removePiece(turret._placementPiece);
-        }
-        this.state.turrets.splice(i, 1);
-        this.turretGrid.remove(turret);
-        this._emitCallback('onTurretsChange', [...this.state.turrets]);
+        this._removeTurret(turret);
+      }
+    }
+
+    // Barricades left without support have already collapsed out of the damage system
+    for (let i = this.state.structures.length - 1; i >= 0; i--) {
+      const structure = this.state.structures[i];
+      const damageable = this.damageManager.getDamageable(structure);
+
+      if (!damageable || damageable.health <= 0) {
+        this._onStructureDestroyed(structure);
       }
     }
   }
 
+  /**
+   * Take a turret out of play
+   * @param {Object} turret
+   * @param {Object} [options]
+   * @param {boolean} [options.keepView] - Leave the mesh in the scene (a collapse animation removes it)
+   */
+  _removeTurret(turret, { keepView = false } = {}) {
+    const idx = this.state.turrets.indexOf(turret);
+    if (idx === -1) return;
+
+    if (!keepView) this._removeFromView(turret.mesh);
+    if (turret._placementPiece) {
+      this.buildingValidator.removePiece(turret._placementPiece);
+    }
+    this.state.turrets.splice(idx, 1);
+    this.turretGrid.remove(turret);
+    this.navGrid.removeObstacle(turret.id);
+    this.damageManager.unregisterPiece(turret);
+    if (this.state.selectedTurretId === turret.id) this.state.selectedTurretId = null;
+    if (this.state.movingTurretId === turret.id) this._clearTurretPlacement();
+    this._emitCallback('onTurretsChange', [...this.state.turrets]);
+  }
+
+  /**
+   * Keep a turret's or barricade's look and health bar in step with its damageable health
+   */
+  _onPieceDamaged(piece) {
+    const damageable = this.damageManager.getDamageable(piece);
+    if (!damageable) return;
+
+    piece.health = damageable.health;
+    this.damageVisualizer?.updateVisuals(piece, damageable);
+
+    if (piece.healthBar) {
+      const percent = damageable.getHealthPercent();
+      piece.healthBar.visible = percent < 1;
+      piece.healthBarFill.scale.x = Math.max(percent, 0.001);
+      piece.healthBarFill.position.x = -0.48 * (1 - percent);
+      piece.healthBarFill.material.color.setHex(percent > 0.6 ? 0x44ff44 : percent > 0.25 ? 0xffcc00 : 0xff4444);
+    }
+  }
+
+  _onPieceDestroyed(piece) {
+    if (this.state.structures.includes(piece)) this._onStructureDestroyed(piece);
+    else this._onTurretDestroyed(piece);
+  }
+
+  _onTurretDestroyed(turret) {
+    if (!this.state.turrets.includes(turret)) return;
+
+    // The damage manager plays a collapse on the mesh and removes it afterwards
+    if (turret.healthBar) turret.healthBar.visible = false;
+    if (turret.range) turret.range.visible = false;
+    this._removeTurret(turret, { keepView: Boolean(turret.mesh && this.damageManager.scene) });
+
+    this._emitEvent('TURRET_DESTROYED', { type: turret.type });
+    this.audioManager?.playSound('explosion');
+    this._emitParticles(turret.pos.clone().setY(1), 15, 0x4a3528, { x: 2, y: 3, z: 2 }, 0.6);
+    this._emitCallback('onBannerChange', `${TurretTypes[turret.type].name} destroyed!`);
+    setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+  }
+
+  /**
+   * Take a barricade out of play
+   * @param {Object} structure
+   * @param {Object} [options]
+   * @param {boolean} [options.keepView] - Leave the mesh in the scene (a collapse animation removes it)
+   */
+  _removeStructure(structure, { keepView = false } = {}) {
+    const idx = this.state.structures.indexOf(structure);
+    if (idx === -1) return;
+
+    if (!keepView) this._removeFromView(structure.mesh);
+    this.buildingValidator.removePiece(structure._placementPiece);
+    this.state.structures.splice(idx, 1);
+    this.structureGrid.remove(structure);
+    this.navGrid.removeObstacle(structure.id);
+    this.damageManager.unregisterPiece(structure);
+  }
+
+  _onStructureDestroyed(structure) {
+    if (!this.state.structures.includes(structure)) return;
+
+    // Knocked down or collapsed: the damage manager animates the mesh away
+    if (structure.healthBar) structure.healthBar.visible = false;
+    this._removeStructure(structure, { keepView: Boolean(structure.mesh && this.damageManager.scene) });
+
+    this._emitEvent('STRUCTURE_DESTROYED', { type: structure.type });
+    this.audioManager?.playSound('explosion');
+    this._emitParticles(structure.pos.clone().setY(0.5), 10, StructureTypes[structure.type].color, { x: 2, y: 2, z: 2 }, 0.5);
+  }
+
   _updateCamera(dt) {
     const pan = this.panOffset;
 
@@ -2703,6 +3808,11 @@ export class GameEngine {
   }
 
   _updateVisuals(dt, t) {
+    // Pulse the warning beams at the next wave's gates
+    for (const marker of this.gateMarkers?.values() ?? []) {
+      if (marker.visible) marker.children[0].material.opacity = 0.25 + Math.sin(t * 4) * 0.1;
+    }
+
     // Update leaves
     const leafPos = this.leafGeo.attributes.position.array;
     for (let i = 0; i < this.leafCount; i++) {
@@ -2749,9 +3859,30 @@ export class GameEngine {
     this.particleGeo.attributes.position.needsUpdate = true;
     this.particleGeo.attributes.color.needsUpdate = true;
     this.particleGeo.attributes.size.needsUpdate = true;
+
+    // Fade out necromancer heal beams
+    for (let i = this.healBeams.length - 1; i >= 0; i--) {
+      const beam = this.healBeams[i];
+      beam.life -= dt;
+      if (beam.life <= 0) {
+        this._removeFromView(beam.line);
+        this.healBeams.splice(i, 1);
+        continue;
+      }
+      beam.line.material.opacity = 0.9 * (beam.life / beam.maxLife);
+    }
+
+    // Pulse incoming strike markers faster as they get close
+    for (const strike of this.state.pendingStrikes) {
+      if (!strike.marker) continue;
+      const rate = strike.timer < 0.5 ? 20 : 8;
+      strike.marker.material.opacity = 0.35 + 0.3 * Math.abs(Math.sin(t * rate));
+    }
   }
 
   _emitParticles(pos, count, colorHex, spread, lifetime) {
+    if (!this.scene) return; // Particles are purely visual
+
     const color = new THREE.Color(colorHex);
     for (let i = 0; i < count && this.particles.length < this.maxParticles; i++) {
       this.particles.push({
@@ -2782,7 +3913,12 @@ export class GameEngine {
     this.state.shakeDuration = 0.35;
   }
 
-  _applySplashDamage(pos, radius, damage) {
+  /**
+   * @param {Object} [turret] - Turret to credit with the damage and kills
+   * @returns {number} Zombies damaged
+   */
+  _applySplashDamage(pos, radius, damage, turret = null) {
+    let damaged = 0;
     for (const tk of this.state.zombies) {
       if (tk.dead) continue;
       const dx = tk.pos.x - pos.x;
@@ -2790,7 +3926,10 @@ export class GameEngine {
       const d = Math.sqrt(dx * dx + dz * dz);
       if (d < radius) {
         const falloff = 1 - d / radius;
-        tk.hp -= damage * falloff;
+        const hpBefore = tk.hp;
+        tk.hp -= damage * falloff * this.mutatorEffects.zombieDamageTaken;
+        if (turret) this._creditTurret(turret, tk, hpBefore);
+        damaged++;
 
         // Flash red on damage
         if (tk.body && tk.body.material) {
@@ -2805,6 +3944,7 @@ export class GameEngine {
         if (tk.hp <= 0) this._killZombie(tk);
       }
     }
+    return damaged;
   }
 
   // ========================================
@@ -2813,14 +3953,20 @@ export class GameEngine {
 
   /**
    * Start a new game
+   * @param {boolean} [endless] - Endless mode
+   * @param {number} [seed] - Run seed (defaults to config.seed, else random)
    */
-  startGame(endless = false) {
+  startGame(endless = false, seed = this.config.seed) {
     // Guard: cannot start game if wave is already active (must reset first)
     if (this.phase === GamePhase.WAVE_ACTIVE) {
       console.log('[GameEngine] startGame blocked: wave is active');
       return;
     }
 
+    if (this.replayPlayer) this._endReplay(false);
+    this.seed = seed ?? SeededRandom.randomSeed();
+    this.rng.setSeed(this.seed);
+    this.inputRecorder.start();
     this.reset();
     this.state.started = true;
     this.state.endlessMode = endless;
@@ -2828,6 +3974,8 @@ export class GameEngine {
 
     // Transition to WAVE_PREP phase
     this._setPhase(GamePhase.WAVE_PREP);
+    this._planSpawnGates();
+    this._planWaveMutators();
 
     this._emitCallback('onWaitingForWave', true);
     this._emitCallback('onBannerChange', `Press SPACE to start Wave ${this.upcomingWaveNumber}`);
@@ -2838,6 +3986,8 @@ export class GameEngine {
    * Start the next wave
    */
   startWave() {
+    if (!this._acceptInput('startWave')) return;
+
     // Guard: can only start wave from WAVE_PREP or WAVE_COMPLETE phase
     const canStart = this.phase === GamePhase.WAVE_PREP ||
                      this.phase === GamePhase.WAVE_COMPLETE;
@@ -2858,6 +4008,11 @@ export class GameEngine {
 
     this.state.activeWaveNumber += 1;
     this.waveManager.startWave(this.state.activeWaveNumber, this.state.endlessMode);
+    this.director.startWave();
+    this._applyMutators();
+    const mutators = this.activeMutators;
+    if (mutators.length > 0) this.state.mutatorHistory.push({ wave: this.state.activeWaveNumber, mutators });
+    this._updateGateMarkers();
 
     console.log('[GameEngine] Starting wave', this.state.activeWaveNumber, 'with', this.state.toSpawn, 'enemies');
     this.state.waveStartHealth = this.state.player.health;
@@ -2865,7 +4020,10 @@ export class GameEngine {
     // Transition to WAVE_ACTIVE phase
     this._setPhase(GamePhase.WAVE_ACTIVE);
     this._emitEvent('WAVE_STARTED', {
-      activeWaveNumber: this.state.activeWaveNumber
+      activeWaveNumber: this.state.activeWaveNumber,
+      endless: this.state.endlessMode,
+      simTime: this.simTime,
+      mutators
     });
 
     this._emitCallback('onBannerChange', `Wave ${this.state.activeWaveNumber}`);
@@ -2877,23 +4035,81 @@ export class GameEngine {
     return this.waveManager.getWaveComposition(wave, endless);
   }
 
+  /**
+   * Pick the upcoming wave's gates and put up their warning markers.
+   * SPAWN_GATES_PLANNED lists the gates, and any opening for the first time.
+   */
+  _planSpawnGates() {
+    const wave = this.upcomingWaveNumber;
+    const gates = this.waveManager.planGates(wave, this.state.endlessMode);
+    this._updateGateMarkers();
+    this._emitEvent('SPAWN_GATES_PLANNED', {
+      wave,
+      gates: [...gates],
+      opened: gates.filter(key => isNewGate(key, wave))
+    });
+  }
+
+  _planWaveMutators() {
+    const wave = this.upcomingWaveNumber;
+    const mutators = this.waveManager.planMutators(wave, this.state.endlessMode, this.state.runMutators);
+    this._emitEvent('MUTATORS_PLANNED', { wave, mutators: [...mutators] });
+  }
+
+  /**
+   * Recombine the active mutators' effects. Zombies already on the field keep
+   * the speed they spawned with.
+   */
+  _applyMutators() {
+    this.mutatorEffects = getMutatorEffects(this.activeMutators);
+    if (this.scene?.fog) this.scene.fog.density = BASE_FOG_DENSITY * this.mutatorEffects.fogDensity;
+  }
+
+  /**
+   * Choose the mutators new games run with. A run in progress keeps the ones
+   * it started with.
+   * @param {string[]} mutators - Mutators keys
+   * @returns {boolean} False if any key is unknown
+   */
+  setRunMutators(mutators) {
+    const unknown = mutators.filter(key => !Mutators[key]);
+    if (unknown.length > 0) {
+      console.warn('[GameEngine] Unknown mutators:', unknown);
+      return false;
+    }
+    this.runMutators = mergeMutators(mutators);
+    return true;
+  }
+
   _onWaveComplete() {
     console.log('[GameEngine] Wave', this.state.activeWaveNumber, 'complete! Setting waveComplete=true');
     this.state.waveComplete = true;
 
+    // Bonus currency (before callbacks so listeners such as autosave see it)
+    this.state.currency += 20 + this.state.activeWaveNumber * 5;
+
+    // Wave mutators end with their wave
+    const mutators = this.activeMutators;
+    this.state.waveMutators = [];
+    this._applyMutators();
+
     // Transition to WAVE_COMPLETE phase
     this._setPhase(GamePhase.WAVE_COMPLETE);
+    this._planSpawnGates();
+    this._planWaveMutators();
     this._emitEvent('WAVE_COMPLETED', {
-      activeWaveNumber: this.state.activeWaveNumber
+      activeWaveNumber: this.state.activeWaveNumber,
+      endless: this.state.endlessMode,
+      simTime: this.simTime,
+      playerHealth: this.state.player.health,
+      maxHealth: this.state.player.maxHealth,
+      mutators
     });
 
     this._emitCallback('onWaveComplete', this.state.activeWaveNumber);
     this._emitCallback('onWaitingForWave', true);
     this._emitCallback('onBannerChange', `Wave ${this.state.activeWaveNumber} Complete!`);
     this.audioManager?.playSound('wave');
-
-    // Bonus currency
-    this.state.currency += 20 + this.state.activeWaveNumber * 5;
   }
 
   _handleRuntimeError(error, context) {
@@ -2910,6 +4126,7 @@ export class GameEngine {
    * Set the current weapon
    */
   setWeapon(weaponKey) {
+    if (!this._acceptInput('setWeapon', { weaponKey })) return;
     if (WeaponTypes[weaponKey]) {
       this.state.currentWeapon = weaponKey;
       this._emitCallback('onWeaponChange', WeaponTypes[weaponKey]);
@@ -2943,19 +4160,44 @@ export class GameEngine {
     console.log('[GameEngine] Camera mode:', mode);
   }
 
-  _validateTurretPlacement(position) {
-    return this.buildingValidator.validatePlacement({
-      id: 'preview',
+  /**
+   * @param {THREE.Vector3} position
+   * @param {string|null} [movingId] - Placed turret being moved, which doesn't block its own new spot
+   */
+  _validateTurretPlacement(position, movingId = null) {
+    const result = this.buildingValidator.validatePlacement({
+      id: movingId ?? 'preview',
       position,
+      footprint: this._turretRect(position),
       isGrounded: true,
       type: 'TURRET'
     });
+
+    // Turrets may funnel zombies into mazes but never wall the house off
+    if (result.ok && !this._keepsZombiePath(position, movingId)) {
+      result.reasons.push({ code: ValidationCode.PATH_BLOCKED, message: 'Would block the zombie path' });
+      result.ok = false;
+    }
+    return result;
+  }
+
+  /**
+   * @param {THREE.Vector3} position
+   * @param {string|null} [movingId] - Obstacle that doesn't count (a turret being moved)
+   * @param {Object} [footprint] - Rect the new piece would fill
+   */
+  _keepsZombiePath(position, movingId = null, footprint = this._turretRect(position)) {
+    // Every gate counts, locked or not, so a later wave can't find its gate walled off
+    return Object.keys(SpawnPoints).every(key =>
+      this.navGrid.isReachable(getGateLayout(key).spawnCenter, this._houseRect(), footprint, movingId)
+    );
   }
 
   /**
    * Start placing a turret
    */
   startTurretPlacement(turretType) {
+    if (!this._acceptInput('startTurretPlacement', { turretType })) return;
     if (!TurretTypes[turretType]) return;
     if (this.state.currency < TurretTypes[turretType].cost) {
       this._emitCallback('onBannerChange', 'Not enough corn!');
@@ -2963,13 +4205,39 @@ export class GameEngine {
       return;
     }
 
+    this._clearAbilityTargeting();
+    this._clearStructurePlacement();
+    this.state.movingTurretId = null;
+    this._showTurretPreview(turretType, TurretTypes[turretType].range);
+  }
+
+  /**
+   * Pick a placed turret up to move it with the placement preview
+   * @param {string} turretId
+   * @returns {boolean} Whether the turret exists
+   */
+  startTurretMove(turretId) {
+    if (!this._acceptInput('startTurretMove', { turretId })) return false;
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return false;
+
+    this._clearAbilityTargeting();
+    this._clearStructurePlacement();
+    this.selectTurret(null);
+    this.state.movingTurretId = turret.id;
+    this._showTurretPreview(turret.type, turret.turretRange);
+    return true;
+  }
+
+  _showTurretPreview(turretType, range) {
     this.state.placingTurret = turretType;
     this.state.placementFeedback = null;
     this.state.placementCursor = null;
+    if (!this.turretPreview) return;
     this.turretPreview.visible = true;
 
     // Update range indicator
-    const range = TurretTypes[turretType].range;
     const rangeIndicator = this.turretPreview.userData.rangeIndicator;
     if (rangeIndicator) {
       rangeIndicator.geometry.dispose();
@@ -2981,16 +4249,40 @@ export class GameEngine {
    * Cancel turret placement
    */
   cancelTurretPlacement() {
+    if (!this._acceptInput('cancelTurretPlacement')) return;
+    this._clearTurretPlacement();
+  }
+
+  _clearTurretPlacement() {
     this.state.placingTurret = null;
+    this.state.movingTurretId = null;
     this.state.placementFeedback = null;
     this.state.placementCursor = null;
-    this.turretPreview.visible = false;
+    if (this.turretPreview) this.turretPreview.visible = false;
   }
 
   _placeTurretAtPreview() {
-    const type = this.state.placingTurret;
+    if (this.state.movingTurretId) {
+      return this.moveTurret(this.state.movingTurretId, this.turretPreview.position);
+    }
+    return this.placeTurret(this.state.placingTurret, this.turretPreview.position);
+  }
+
+  /**
+   * Place a turret at a world position (validates placement and cost)
+   * @param {string} type - TurretTypes key
+   * @param {THREE.Vector3} position - Ground position for the turret
+   * @returns {Object|null} The placed turret, or null if placement failed
+   */
+  placeTurret(type, position) {
+    if (!this._acceptInput('placeTurret', { turretType: type, x: position.x, y: position.y, z: position.z })) {
+      return null;
+    }
+
     const stats = TurretTypes[type];
-    const pos = this.turretPreview.position.clone();
+    if (!stats) return null;
+
+    const pos = position.clone();
     // Adjust turret Y to sit on terrain
     pos.y = this._getTerrainHeight(pos.x, pos.z) + 0.5;
 
@@ -3001,22 +4293,109 @@ export class GameEngine {
       const message = validation.reasons[0]?.message || 'Invalid placement position';
       this._emitCallback('onBannerChange', message);
       setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
-      return;
+      return null;
     }
 
     // Check cost
     if (this.state.currency < stats.cost) {
       this._emitCallback('onBannerChange', 'Not enough corn!');
       setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
-      return;
+      return null;
+    }
+
+    const turret = this._addTurret(type, pos);
+    this.state.currency -= stats.cost;
+    this._clearTurretPlacement();
+
+    this._emitCallback('onTurretsChange', [...this.state.turrets]);
+    this._emitEvent('TURRET_PLACED', { type });
+    this.audioManager?.playSound('purchase');
+    return turret;
+  }
+
+  /**
+   * Move a placed turret to a world position, keeping its health, upgrades and stats
+   * @param {string} turretId
+   * @param {THREE.Vector3} position - Ground position for the turret
+   * @returns {Object|null} The moved turret, or null if the move failed
+   */
+  moveTurret(turretId, position) {
+    if (!this._acceptInput('moveTurret', { turretId, x: position.x, y: position.y, z: position.z })) {
+      return null;
+    }
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return null;
+
+    const pos = position.clone();
+    pos.y = this._getTerrainHeight(pos.x, pos.z) + 0.5;
+
+    const validation = this._validateTurretPlacement(pos, turret.id);
+    this.state.placementFeedback = validation;
+    if (!validation.ok) {
+      const message = validation.reasons[0]?.message || 'Invalid placement position';
+      this._emitCallback('onBannerChange', message);
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return null;
     }
 
-    // Create turret
-    const turret = this._createTurretMesh(type, pos);
+    // Re-add the validator piece (it shares turret.pos) so no support links carry over from the old spot
+    this.buildingValidator.removePiece(turret._placementPiece);
+    turret.pos.copy(pos);
+    turret._placementPiece.footprint = this._turretRect(pos);
+    this.buildingValidator.addPiece(turret._placementPiece);
+    this.turretGrid.update(turret, pos);
+    this.navGrid.setObstacle(turret.id, this._turretRect(pos));
+    turret.mesh?.position.copy(pos);
+    turret.target = null;
+    this._clearTurretPlacement();
+    this.selectTurret(turret.id);
+
+    this._emitCallback('onTurretsChange', [...this.state.turrets]);
+    this._emitEvent('TURRET_MOVED', { id: turret.id, type: turret.type });
+    this.audioManager?.playSound('click');
+    return turret;
+  }
+
+  /**
+   * Sell a placed turret for part of the corn spent on it (see TurretSale)
+   * @param {string} turretId
+   * @returns {number|null} Corn refunded, or null if there's no such turret
+   */
+  sellTurret(turretId) {
+    if (!this._acceptInput('sellTurret', { turretId })) return null;
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return null;
+
+    const refund = this._getTurretSellValue(turret);
+    this._removeTurret(turret);
+    this.state.currency += refund;
+
+    this._emitEvent('TURRET_SOLD', { id: turret.id, type: turret.type, refund });
+    this.audioManager?.playSound('purchase');
+    this._emitCallback('onBannerChange', `Sold for ${refund} corn`);
+    setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+    this._updateStats();
+    return refund;
+  }
+
+  _getTurretSellValue(turret) {
+    const damageState = this.damageManager.getDamageable(turret)?.damageState ?? DamageState.PRISTINE;
+    return getTurretSellValue(turret.type, turret.upgrades, damageState);
+  }
+
+  /**
+   * Create a turret and register it with the grid, validator and damage system
+   */
+  _addTurret(type, pos, upgrades = createTurretUpgrades()) {
+    const turret = this._createTurret(type, pos, upgrades);
     turret.id = `turret-${this._nextStructureId++}`;
+    if (turret.mesh) turret.mesh.userData.turretId = turret.id;
     const placementPiece = {
       id: turret.id,
       position: turret.pos,
+      footprint: this._turretRect(pos),
       type: 'TURRET',
       isGrounded: true
     };
@@ -3024,17 +4403,84 @@ export class GameEngine {
     turret._placementPiece = placementPiece;
     this.state.turrets.push(turret);
     this.turretGrid.insert(turret, pos);
-    this.state.currency -= stats.cost;
+    this.navGrid.setObstacle(turret.id, this._turretRect(pos));
 
-    this.damageManager.registerPiece(turret, { maxHealth: stats.health });
-    this.cancelTurretPlacement();
-
-    this._emitCallback('onTurretsChange', [...this.state.turrets]);
-    this.audioManager?.playSound('purchase');
+    this.damageManager.registerPiece(turret, { maxHealth: TurretTypes[type].health });
+    return turret;
   }
 
-  _createTurretMesh(type, pos) {
+  _createTurret(type, pos, upgrades) {
     const stats = TurretTypes[type];
+    const turret = {
+      mesh: null,
+      range: null,
+      pos: pos.clone(),
+      type,
+      upgrades,
+      lastFire: 0,
+      target: null,
+      health: stats.health,
+      maxHealth: stats.health,
+      cooldown: 0,
+      targeting: DEFAULT_TARGETING,
+      skipSlowed: false,
+      kills: 0,
+      damageDealt: 0,
+      shots: 0,
+      hits: 0,
+      healthBar: null,
+      healthBarFill: null
+    };
+    this._applyTurretStats(turret);
+    if (this.scene) this._setTurretView(turret, this._createTurretMesh(type, pos, turret));
+    return turret;
+  }
+
+  /**
+   * Copy a turret's upgraded stats (see turrets/TurretUpgrades.js) onto it
+   */
+  _applyTurretStats(turret) {
+    const stats = getTurretStats(turret.type, turret.upgrades);
+    turret.tier = getTurretTier(turret.upgrades);
+    turret.color = stats.color;
+    turret.damage = stats.damage;
+    turret.fireRate = stats.fireRate;
+    turret.projectileSpeed = stats.projectileSpeed;
+    turret.arc = stats.arc;
+    turret.arcHeight = stats.arcHeight;
+    turret.turretRange = stats.range;
+    turret.slow = stats.slow;
+    turret.slowDuration = stats.slowDuration;
+    turret.splash = stats.splash;
+  }
+
+  _setTurretView(turret, view) {
+    turret.mesh = view.group;
+    turret.range = view.rangeIndicator;
+    turret.healthBar = view.healthBarGroup;
+    turret.healthBarFill = view.healthBarFill;
+  }
+
+  /**
+   * Swap a turret's mesh for one matching its current tier and range
+   */
+  _rebuildTurretView(turret) {
+    if (!this.scene || !turret.mesh) return;
+
+    const rangeVisible = turret.range.visible;
+    this._removeFromView(turret.mesh);
+    this._setTurretView(turret, this._createTurretMesh(turret.type, turret.pos, turret));
+    turret.mesh.userData.turretId = turret.id;
+    turret.range.visible = rangeVisible;
+    this._onPieceDamaged(turret);
+  }
+
+  /**
+   * @param {string} type - TurretTypes key
+   * @param {THREE.Vector3} pos
+   * @param {Object} turret - Turret whose color, range and tier to show
+   */
+  _createTurretMesh(type, pos, turret) {
     const group = new THREE.Group();
 
     const base = new THREE.Mesh(
@@ -3047,12 +4493,33 @@ export class GameEngine {
 
     const body = new THREE.Mesh(
       new THREE.CylinderGeometry(0.4, 0.5, 0.8, 10),
-      new THREE.MeshStandardMaterial({ color: stats.color, roughness: 0.7 })
+      new THREE.MeshStandardMaterial({ color: turret.color, roughness: 0.7 })
     );
     body.position.y = 0.7;
     body.castShadow = true;
     group.add(body);
 
+    // Brass bands for each tier above the first
+    for (let tier = 2; tier <= turret.tier; tier++) {
+      const band = new THREE.Mesh(
+        new THREE.TorusGeometry(0.47, 0.05, 6, 16),
+        new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.6, roughness: 0.4 })
+      );
+      band.rotation.x = Math.PI / 2;
+      band.position.y = 0.45 + (tier - 2) * 0.45;
+      group.add(band);
+    }
+
+    // Specialized turrets wear their branch's emblem
+    if (turret.tier >= 3) {
+      const emblem = new THREE.Mesh(
+        new THREE.OctahedronGeometry(0.16),
+        new THREE.MeshStandardMaterial({ color: turret.color, emissive: turret.color, emissiveIntensity: 0.5 })
+      );
+      emblem.position.y = 2.35;
+      group.add(emblem);
+    }
+
     // Type-specific decorations
     if (type === 'BASIC') {
       // Scarecrow head
@@ -3089,59 +4556,481 @@ export class GameEngine {
 
     // Range indicator (hidden by default)
     const rangeIndicator = new THREE.Mesh(
-      new THREE.RingGeometry(0, stats.range, 32),
-      new THREE.MeshBasicMaterial({ color: stats.color, transparent: true, opacity: 0.1, side: THREE.DoubleSide })
+      new THREE.RingGeometry(0, turret.turretRange, 32),
+      new THREE.MeshBasicMaterial({ color: turret.color, transparent: true, opacity: 0.1, side: THREE.DoubleSide })
     );
     rangeIndicator.rotation.x = -Math.PI / 2;
     rangeIndicator.position.y = 0.02;
     rangeIndicator.visible = false;
+    rangeIndicator.userData.keepColor = true;
     group.add(rangeIndicator);
 
-    // Health bar
+    const { healthBarGroup, healthBarFill } = this._createHealthBar(2.0);
+    group.add(healthBarGroup);
+
+    group.position.copy(pos);
+    this.scene.add(group);
+
+    return { group, rangeIndicator, healthBarGroup, healthBarFill };
+  }
+
+  /**
+   * Hidden health bar for a turret or barricade (left out of the damage tint)
+   * @param {number} height - Height above the piece's base
+   */
+  _createHealthBar(height) {
     const healthBarGroup = new THREE.Group();
-    healthBarGroup.position.y = 2.0;
+    healthBarGroup.position.y = height;
     const healthBarBg = new THREE.Mesh(
       new THREE.PlaneGeometry(1, 0.12),
       new THREE.MeshBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
     );
+    healthBarBg.userData.keepColor = true;
     healthBarGroup.add(healthBarBg);
     const healthBarFill = new THREE.Mesh(
       new THREE.PlaneGeometry(0.96, 0.08),
       new THREE.MeshBasicMaterial({ color: 0x44ff44, side: THREE.DoubleSide })
     );
     healthBarFill.position.z = 0.001;
+    healthBarFill.userData.keepColor = true;
     healthBarGroup.add(healthBarFill);
     healthBarGroup.visible = false;
-    group.add(healthBarGroup);
-
-    group.position.copy(pos);
-    this.scene.add(group);
+    return { healthBarGroup, healthBarFill };
+  }
 
-    return {
-      mesh: group,
-      range: rangeIndicator,
+  /**
+   * Open a placed turret in the inspector, showing its range ring
+   * @param {string|null} turretId - Turret id, or null to close the inspector
+   * @returns {boolean} Whether the turret exists (always true when closing)
+   */
+  selectTurret(turretId) {
+    const turret = turretId === null ? null : this._getTurret(turretId);
+    if (turretId !== null && !turret) return false;
+
+    const previous = this._getTurret(this.state.selectedTurretId);
+    if (previous?.range) previous.range.visible = false;
+    if (turret?.range) turret.range.visible = true;
+    this.state.selectedTurretId = turret?.id ?? null;
+    this._updateStats();
+    return true;
+  }
+
+  _getTurret(turretId) {
+    return this.state.turrets.find(turret => turret.id === turretId) ?? null;
+  }
+
+  /**
+   * Choose how a turret picks its target
+   * @param {string} turretId
+   * @param {string} mode - TurretTargetingModes key
+   * @returns {boolean} Whether the mode was set
+   */
+  setTurretTargeting(turretId, mode) {
+    if (!this._acceptInput('setTurretTargeting', { turretId, mode })) return false;
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return false;
+    if (!TurretTargetingModes[mode]) {
+      console.warn('[GameEngine] Unknown targeting mode:', mode);
+      return false;
+    }
+
+    turret.targeting = mode;
+    this._updateStats();
+    return true;
+  }
+
+  /**
+   * Let a slowing turret pass over zombies that are already slowed
+   * @param {string} turretId
+   * @param {boolean} skip
+   * @returns {boolean} Whether the setting was changed (only turrets that slow have it)
+   */
+  setTurretSkipSlowed(turretId, skip) {
+    if (!this._acceptInput('setTurretSkipSlowed', { turretId, skip })) return false;
+
+    const turret = this._getTurret(turretId);
+    if (!turret || !(turret.slow > 0)) return false;
+
+    turret.skipSlowed = Boolean(skip);
+    this._updateStats();
+    return true;
+  }
+
+  /**
+   * Buy the next level of a turret's damage, range or fire rate
+   * @param {string} turretId
+   * @param {string} track - TurretUpgradeTracks key
+   * @returns {boolean} Whether the upgrade was bought
+   */
+  upgradeTurret(turretId, track) {
+    if (!this._acceptInput('upgradeTurret', { turretId, track })) return false;
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return false;
+    return this._buyTurretUpgrade(turret, checkTrackUpgrade(turret.type, turret.upgrades, track), () => {
+      turret.upgrades.levels[track] += 1;
+    });
+  }
+
+  /**
+   * Specialize a tier 2 turret into one of its TurretBranches
+   * @param {string} turretId
+   * @param {string} branch - TurretBranches[type] key
+   * @returns {boolean} Whether the specialization was bought
+   */
+  specializeTurret(turretId, branch) {
+    if (!this._acceptInput('specializeTurret', { turretId, branch })) return false;
+
+    const turret = this._getTurret(turretId);
+    if (!turret) return false;
+    return this._buyTurretUpgrade(turret, checkBranchUpgrade(turret.type, turret.upgrades, branch), () => {
+      turret.upgrades.branch = branch;
+    });
+  }
+
+  _buyTurretUpgrade(turret, check, apply) {
+    const message = !check.ok ? check.reasons[0].message
+      : this.state.currency < check.cost ? 'Not enough corn!' : null;
+    if (message) {
+      this._emitCallback('onBannerChange', message);
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return false;
+    }
+
+    this.state.currency -= check.cost;
+    apply();
+    this._applyTurretStats(turret);
+    this._rebuildTurretView(turret);
+
+    this._emitCallback('onTurretsChange', [...this.state.turrets]);
+    this._emitEvent('TURRET_UPGRADED', {
+      id: turret.id,
+      type: turret.type,
+      tier: turret.tier,
+      levels: { ...turret.upgrades.levels },
+      branch: turret.upgrades.branch
+    });
+    this.audioManager?.playSound('purchase');
+    this._updateStats();
+    return true;
+  }
+
+  /**
+   * The selected turret's stats and upgrade options for the inspector
+   */
+  _getTurretInspector() {
+    const turret = this._getTurret(this.state.selectedTurretId);
+    if (!turret) return null;
+
+    const { type, upgrades } = turret;
+    const branch = upgrades.branch ? TurretBranches[type][upgrades.branch] : null;
+    const option = (check) => ({
+      cost: check.cost,
+      canBuy: check.ok && this.state.currency >= check.cost,
+      reason: check.reasons[0]?.message ?? null
+    });
+
+    return {
+      id: turret.id,
+      type,
+      name: branch?.name ?? TurretTypes[type].name,
+      icon: branch?.icon ?? TurretTypes[type].icon,
+      tier: turret.tier,
+      branch: upgrades.branch,
+      health: Math.round(turret.health),
+      maxHealth: turret.maxHealth,
+      kills: turret.kills,
+      damageDealt: Math.round(turret.damageDealt),
+      shots: turret.shots,
+      hits: turret.hits,
+      sellValue: this._getTurretSellValue(turret),
+      targeting: turret.targeting,
+      // null for turrets that don't slow, which have no such setting
+      skipSlowed: turret.slow > 0 ? turret.skipSlowed : null,
+      targetingModes: Object.entries(TurretTargetingModes).map(([key, mode]) => ({
+        key,
+        name: mode.name,
+        icon: mode.icon,
+        description: mode.description
+      })),
+      stats: {
+        damage: turret.damage,
+        range: turret.turretRange,
+        fireRate: turret.fireRate,
+        slow: turret.slow,
+        splash: turret.splash,
+        projectileSpeed: turret.projectileSpeed
+      },
+      upgrades: Object.entries(TurretUpgradeTracks).map(([key, track]) => ({
+        key,
+        name: track.name,
+        icon: track.icon,
+        level: upgrades.levels[key],
+        maxLevel: track.maxLevel,
+        ...option(checkTrackUpgrade(type, upgrades, key))
+      })),
+      branches: Object.entries(TurretBranches[type] ?? {}).map(([key, def]) => ({
+        key,
+        name: def.name,
+        icon: def.icon,
+        description: def.description,
+        ...option(checkBranchUpgrade(type, upgrades, key))
+      }))
+    };
+  }
+
+  // ==================== Barricades ====================
+
+  /**
+   * Snap a ground position to its build grid cell and plan the course a
+   * piece would take there (see structures/StructureLayout.js)
+   * @param {string} type - StructureTypes key
+   * @param {THREE.Vector3} position
+   * @returns {{ok: boolean, course: number, reasons: Array, pos: THREE.Vector3, top: Object|null}}
+   */
+  _planStructure(type, position) {
+    const size = this.config.structureCellSize;
+    const pos = snapToCell(position, size, new THREE.Vector3());
+    const top = findStackTop(this.structureGrid.queryRadius(pos, size / 2), pos);
+    const plan = planCourse(type, top);
+    pos.y = top ? top.pos.y + StructureTypes[top.type].height : this._getTerrainHeight(pos.x, pos.z);
+    return { ...plan, pos, top };
+  }
+
+  /**
+   * @param {string} type - StructureTypes key
+   * @param {Object} plan - From _planStructure
+   */
+  _validateStructurePlacement(type, plan) {
+    if (!plan.ok) return { ok: false, reasons: plan.reasons };
+
+    const result = this.buildingValidator.validatePlacement({
+      id: 'preview',
+      position: plan.pos,
+      footprint: this._structureRect(plan.pos),
+      isGrounded: plan.course === 0,
+      type
+    });
+
+    // Gates let zombies through, and a higher course takes no more ground
+    if (result.ok && plan.course === 0 && !StructureTypes[type].passable &&
+        !this._keepsZombiePath(plan.pos, null, this._structureRect(plan.pos))) {
+      result.reasons.push({ code: ValidationCode.PATH_BLOCKED, message: 'Would block the zombie path' });
+      result.ok = false;
+    }
+    return result;
+  }
+
+  /**
+   * Start building barricades of a type from the Build menu
+   * @param {string} structureType - StructureTypes key
+   */
+  startStructurePlacement(structureType) {
+    if (!this._acceptInput('startStructurePlacement', { structureType })) return;
+    if (!StructureTypes[structureType]) return;
+    if (this.state.currency < StructureTypes[structureType].cost) {
+      this._emitCallback('onBannerChange', 'Not enough corn!');
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return;
+    }
+
+    this._clearAbilityTargeting();
+    this._clearTurretPlacement();
+    this.state.placingStructure = structureType;
+  }
+
+  /**
+   * Stop building barricades
+   */
+  cancelStructurePlacement() {
+    if (!this._acceptInput('cancelStructurePlacement')) return;
+    this._clearStructurePlacement();
+  }
+
+  _clearStructurePlacement() {
+    if (!this.state.placingStructure) return;
+    this.state.placingStructure = null;
+    this.state.placementFeedback = null;
+    this.state.placementCursor = null;
+    if (this.structurePreview) this.structurePreview.visible = false;
+  }
+
+  /**
+   * Build a barricade in the grid cell under a world position, on top of
+   * the stack already there if it has one (validates placement and cost)
+   * @param {string} type - StructureTypes key
+   * @param {THREE.Vector3} position - Ground position in the cell
+   * @returns {Object|null} The placed barricade, or null if placement failed
+   */
+  placeStructure(type, position) {
+    if (!this._acceptInput('placeStructure', { structureType: type, x: position.x, y: position.y, z: position.z })) {
+      return null;
+    }
+
+    const stats = StructureTypes[type];
+    if (!stats) return null;
+
+    const plan = this._planStructure(type, position);
+    const validation = this._validateStructurePlacement(type, plan);
+    this.state.placementFeedback = validation;
+    if (!validation.ok) {
+      const message = validation.reasons[0]?.message || 'Invalid placement position';
+      this._emitCallback('onBannerChange', message);
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return null;
+    }
+
+    if (this.state.currency < stats.cost) {
+      this._emitCallback('onBannerChange', 'Not enough corn!');
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return null;
+    }
+
+    const structure = this._addStructure(type, plan.pos, plan.course);
+    this.state.currency -= stats.cost;
+    // Keep building while there's corn for another piece
+    if (this.state.currency < stats.cost) this._clearStructurePlacement();
+
+    this._emitEvent('STRUCTURE_PLACED', { type });
+    this.audioManager?.playSound('purchase');
+    return structure;
+  }
+
+  /**
+   * Create a barricade and register it with the grids, validator and damage
+   * system. Stacked courses rest on the course below them and fall with it.
+   * @param {string} type - StructureTypes key
+   * @param {THREE.Vector3} pos - Cell centre at the base of the piece
+   * @param {number} [course] - 0 on the ground, counting up the stack
+   */
+  _addStructure(type, pos, course = 0) {
+    const below = course > 0 ? findStackTop(this.structureGrid.queryRadius(pos, this.config.structureCellSize / 2), pos) : null;
+    const structure = this._createStructure(type, pos, course);
+    structure.id = `structure-${this._nextStructureId++}`;
+
+    const placementPiece = {
+      id: structure.id,
+      position: structure.pos,
+      footprint: structure.rect,
+      type,
+      isGrounded: course === 0,
+      mesh: structure.mesh
+    };
+    this.buildingValidator.addPiece(placementPiece);
+    if (below) this.buildingValidator.addSupports(placementPiece, [below._placementPiece]);
+    structure._placementPiece = placementPiece;
+
+    this.state.structures.push(structure);
+    this.structureGrid.insert(structure, structure.pos);
+    if (!StructureTypes[type].passable) this.navGrid.setObstacle(structure.id, structure.rect);
+
+    this.damageManager.registerPiece(structure, { maxHealth: StructureTypes[type].health });
+    return structure;
+  }
+
+  _createStructure(type, pos, course) {
+    const stats = StructureTypes[type];
+    const structure = {
+      mesh: null,
       pos: pos.clone(),
+      rect: this._structureRect(pos),
       type,
-      damage: stats.damage,
-      fireRate: stats.fireRate,
-      turretRange: stats.range,
-      slow: stats.slow || 0,
-      slowDuration: stats.slowDuration || 0,
-      splash: stats.splash || 0,
-      lastFire: 0,
-      target: null,
+      course,
       health: stats.health,
       maxHealth: stats.health,
-      cooldown: 0,
-      healthBar: healthBarGroup,
-      healthBarFill
+      spikeCooldown: 0,
+      healthBar: null,
+      healthBarFill: null
     };
+    if (this.scene) {
+      const view = this._createStructureMesh(type, structure.pos);
+      structure.mesh = view.group;
+      structure.healthBar = view.healthBarGroup;
+      structure.healthBarFill = view.healthBarFill;
+    }
+    return structure;
+  }
+
+  /**
+   * @param {string} type - StructureTypes key
+   * @param {THREE.Vector3} pos - Base of the piece
+   */
+  _createStructureMesh(type, pos) {
+    const stats = StructureTypes[type];
+    const size = this.config.structureCellSize;
+    const group = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({ color: stats.color, roughness: 0.9 });
+
+    if (type === 'FENCE') {
+      // Pickets on two rails
+      for (const y of [0.3, 0.7]) {
+        const rail = new THREE.Mesh(new THREE.BoxGeometry(size, 0.1, 0.08), material);
+        rail.position.y = y;
+        group.add(rail);
+      }
+      for (let i = 0; i < 5; i++) {
+        const picket = new THREE.Mesh(new THREE.BoxGeometry(0.15, stats.height, 0.06), material);
+        picket.position.set(-size / 2 + 0.2 + i * (size - 0.4) / 4, stats.height / 2, 0.07);
+        picket.castShadow = true;
+        group.add(picket);
+      }
+    } else {
+      const body = new THREE.Mesh(new THREE.BoxGeometry(size, stats.height, type === 'GATE' ? 0.3 : size), material);
+      body.position.y = stats.height / 2;
+      body.castShadow = true;
+      body.receiveShadow = true;
+      group.add(body);
+    }
+
+    if (type === 'SPIKES') {
+      // Sharpened stakes around the top
+      const stakeMaterial = new THREE.MeshStandardMaterial({ color: 0xc2a878, roughness: 0.8 });
+      for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * Math.PI * 2;
+        const stake = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.7, 6), stakeMaterial);
+        stake.position.set(Math.cos(angle) * size * 0.4, stats.height + 0.35, Math.sin(angle) * size * 0.4);
+        group.add(stake);
+      }
+    }
+
+    const { healthBarGroup, healthBarFill } = this._createHealthBar(stats.height + 0.4);
+    group.add(healthBarGroup);
+
+    group.position.copy(pos);
+    this.scene.add(group);
+
+    return { group, healthBarGroup, healthBarFill };
+  }
+
+  /**
+   * Spike barricades hurt every zombie within reach on a timer
+   */
+  _updateStructures(dt) {
+    for (const structure of this.state.structures) {
+      const stats = StructureTypes[structure.type];
+      if (!stats.damage) continue;
+
+      structure.spikeCooldown -= dt;
+      if (structure.spikeCooldown > 0) continue;
+
+      let hit = false;
+      for (const tk of this.zombieGrid.queryRadius(structure.pos, stats.reach + this.config.structureCellSize / 2)) {
+        if (tk.dead || tk.inHouse || this._distanceToStructure(structure, tk.pos) > stats.reach) continue;
+        this._damageZombie(tk, stats.damage, {});
+        hit = true;
+      }
+      // Stay primed until something walks into the spikes
+      structure.spikeCooldown = hit ? stats.damageInterval : 0;
+    }
   }
 
   /**
    * Purchase an upgrade
    */
   buyUpgrade(upgradeKey, cost) {
+    if (!this._acceptInput('buyUpgrade', { upgradeKey, cost })) return false;
+
     if (this.state.currency < cost) {
       this._emitCallback('onBannerChange', 'Not enough corn!');
       setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
@@ -3166,6 +5055,8 @@ export class GameEngine {
    * Repair house
    */
   repairHouse() {
+    if (!this._acceptInput('repairHouse')) return false;
+
     if (this.state.currency < 50) {
       this._emitCallback('onBannerChange', 'Not enough corn!');
       setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
@@ -3196,6 +5087,8 @@ export class GameEngine {
    * Upgrade house to next level
    */
   upgradeHouse() {
+    if (!this._acceptInput('upgradeHouse')) return false;
+
     const nextLevel = this.state.upgrades.houseLevel + 1;
     const nextKey = Object.keys(HouseUpgrades)[nextLevel];
     if (!nextKey) return false;
@@ -3218,16 +5111,32 @@ export class GameEngine {
   }
 
   /**
-   * Use an ability
+   * Use an ability. Targeted abilities (AbilityTypes[key].targeted) enter
+   * targeting mode instead and fire from castAbility(); using the same one
+   * again while targeting puts it away. Rejected uses (paused, on cooldown,
+   * already active) are reported through onAbilityRejected.
+   * @returns {boolean} Whether the ability fired or targeting started
    */
   useAbility(abilityKey) {
+    if (!this._acceptInput('useAbility', { abilityKey })) return false;
+
     const ability = AbilityTypes[abilityKey];
-    if (!ability) return;
+    if (!ability) return false;
+
+    if (this.state.targetingAbility === abilityKey) {
+      this._clearAbilityTargeting();
+      return false;
+    }
+    if (!this._checkAbilityUsable(abilityKey)) return false;
+
+    if (ability.targeted) {
+      this._startAbilityTargeting(abilityKey);
+      return true;
+    }
+
+    this.abilitySystem.use(abilityKey);
 
     switch (abilityKey) {
-      case 'AIRSTRIKE':
-        this.state.pendingAirstrike = this.state.aim.clone();
-        break;
       case 'FREEZE':
         this.state.globalFreeze = ability.duration;
         this.audioManager?.playSound('freeze');
@@ -3242,7 +5151,7 @@ export class GameEngine {
           } else {
             door.health = door.maxHealth * ability.healPercent;
             door.destroyed = false;
-            door.panel.visible = true;
+            if (door.panel) door.panel.visible = true;
           }
         }
         for (const win of this.houseWindows) {
@@ -3251,15 +5160,121 @@ export class GameEngine {
           } else {
             win.health = win.maxHealth * ability.healPercent;
             win.destroyed = false;
-            win.glass.visible = true;
+            if (win.glass) win.glass.visible = true;
           }
         }
         break;
     }
 
+    this._onAbilityUsed(abilityKey);
+    return true;
+  }
+
+  /**
+   * Fire the ability being targeted at a ground position. A target outside
+   * the ability's castRange from the player is rejected and targeting stays
+   * open for another try.
+   * @param {THREE.Vector3} position - Ground position
+   * @returns {boolean} Whether the ability was cast
+   */
+  castAbility(position) {
+    if (!this._acceptInput('castAbility', { x: position.x, y: position.y, z: position.z })) return false;
+
+    const abilityKey = this.state.targetingAbility;
+    if (!abilityKey) return false;
+    if (!this._checkAbilityUsable(abilityKey)) {
+      this._clearAbilityTargeting();
+      return false;
+    }
+
+    const validation = this._validateAbilityTarget(abilityKey, position);
+    this.state.targetingFeedback = validation;
+    if (!validation.ok) {
+      this._rejectAbility(abilityKey, validation.reasons[0].message);
+      return false;
+    }
+
+    this.abilitySystem.use(abilityKey);
+    this._clearAbilityTargeting();
+    this._scheduleStrike(abilityKey, position);
+    this._onAbilityUsed(abilityKey);
+    return true;
+  }
+
+  /**
+   * Leave targeting mode without casting
+   */
+  cancelAbilityTargeting() {
+    if (!this._acceptInput('cancelAbilityTargeting')) return;
+    this._clearAbilityTargeting();
+  }
+
+  _startAbilityTargeting(abilityKey) {
+    this._clearTurretPlacement();
+    this._clearStructurePlacement();
+    this.state.targetingAbility = abilityKey;
+    this.state.targetingFeedback = null;
+
+    if (this.abilityReticle) {
+      const radius = AbilityTypes[abilityKey].radius ?? 1;
+      this.abilityReticle.scale.set(radius, 1, radius);
+    }
+    this._setAbilityTarget(this.state.aim);
+  }
+
+  _clearAbilityTargeting() {
+    this.state.targetingAbility = null;
+    this.state.targetingFeedback = null;
+    if (this.abilityReticle) this.abilityReticle.visible = false;
+  }
+
+  /**
+   * Check a target against the ability's cast range from the player
+   * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+   */
+  _validateAbilityTarget(abilityKey, pos) {
+    const { castRange } = AbilityTypes[abilityKey];
+    const player = this.state.player.pos;
+    const distance = Math.hypot(pos.x - player.x, pos.z - player.z);
+    if (castRange && distance > castRange) {
+      return { ok: false, reasons: [{ message: 'Target is out of range' }] };
+    }
+    return { ok: true, reasons: [] };
+  }
+
+  /**
+   * Reject the ability if the game can't take it or it isn't ready
+   * @returns {boolean} Whether the ability can be used
+   */
+  _checkAbilityUsable(abilityKey) {
+    if (!this.state.started || this.state.paused || this.state.gameOver) {
+      this._rejectAbility(abilityKey, `${AbilityTypes[abilityKey].name} can't be used right now`);
+      return false;
+    }
+
+    const result = this.abilitySystem.canUse(abilityKey);
+    if (!result.ok) {
+      this._rejectAbility(abilityKey, result.reasons[0].message);
+      return false;
+    }
+    return true;
+  }
+
+  _onAbilityUsed(abilityKey) {
+    this._emitEvent('ABILITY_USED', { abilityKey });
+    this._emitAbilitiesUpdate();
     this.audioManager?.playSound('ability');
   }
 
+  _rejectAbility(abilityKey, reason) {
+    this._emitCallback('onAbilityRejected', { abilityKey, reason });
+    this.audioManager?.playSound('denied');
+  }
+
+  _emitAbilitiesUpdate() {
+    this._emitCallback('onAbilitiesUpdate', this.abilitySystem.getSnapshot());
+  }
+
   /**
    * Toggle pause state
    */
@@ -3305,35 +5320,611 @@ export class GameEngine {
     }
   }
 
+  // ==================== Input Recording & Replay ====================
+
+  /**
+   * Gate and record a gameplay input. Live input is ignored while a replay
+   * plays; otherwise the action is recorded at the current tick.
+   * @returns {boolean} Whether the caller should apply the input
+   */
+  _acceptInput(type, data) {
+    if (this.replayPlayer) return this._applyingReplayInput;
+    // Flush controls first so the action sees the same aim on playback
+    this.inputRecorder.sampleControls(this.tick, this._getControlState());
+    this.inputRecorder.record(this.tick, type, data);
+    return true;
+  }
+
+  _getControlState() {
+    const { input, aim, player } = this.state;
+    const controls = {};
+    for (const key of CONTROL_FLAGS) {
+      controls[key] = input[key];
+    }
+    controls.aimX = aim.x;
+    controls.aimY = aim.y;
+    controls.aimZ = aim.z;
+    controls.rot = player.rot;
+    controls.pitch = player.pitch;
+    controls.cameraMode = this.cameraMode;
+    controls.cameraAngle = this.cameraAngle;
+    return controls;
+  }
+
+  _applyControlState(controls) {
+    const { input, aim, player } = this.state;
+    for (const key of CONTROL_FLAGS) {
+      if (controls[key] !== undefined) input[key] = controls[key];
+    }
+    if (controls.aimX !== undefined) aim.set(controls.aimX, controls.aimY, controls.aimZ);
+    if (controls.rot !== undefined) player.rot = controls.rot;
+    if (controls.pitch !== undefined) player.pitch = controls.pitch;
+    if (controls.cameraMode !== undefined) this.cameraMode = controls.cameraMode;
+    if (controls.cameraAngle !== undefined) this.cameraAngle = controls.cameraAngle;
+  }
+
+  _applyReplayInputs() {
+    const player = this.replayPlayer;
+    this._applyingReplayInput = true;
+    try {
+      player.applyUntil(this.tick, (input) => this._applyReplayInput(input));
+    } finally {
+      this._applyingReplayInput = false;
+    }
+    // Re-apply every tick: the view layer may have moved aim/look since
+    this._applyControlState(player.controls);
+  }
+
+  _applyReplayInput(input) {
+    switch (input.type) {
+      case 'controls':
+        this._applyControlState(this.replayPlayer.controls);
+        break;
+      case 'setWeapon':
+        this.setWeapon(input.weaponKey);
+        break;
+      case 'useAbility':
+        this.useAbility(input.abilityKey);
+        break;
+      case 'castAbility':
+        this.castAbility(new THREE.Vector3(input.x, input.y, input.z));
+        break;
+      case 'cancelAbilityTargeting':
+        this.cancelAbilityTargeting();
+        break;
+      case 'startTurretPlacement':
+        this.startTurretPlacement(input.turretType);
+        break;
+      case 'cancelTurretPlacement':
+        this.cancelTurretPlacement();
+        break;
+      case 'placeTurret':
+        this.placeTurret(input.turretType, new THREE.Vector3(input.x, input.y, input.z));
+        break;
+      case 'startStructurePlacement':
+        this.startStructurePlacement(input.structureType);
+        break;
+      case 'cancelStructurePlacement':
+        this.cancelStructurePlacement();
+        break;
+      case 'placeStructure':
+        this.placeStructure(input.structureType, new THREE.Vector3(input.x, input.y, input.z));
+        break;
+      case 'upgradeTurret':
+        this.upgradeTurret(input.turretId, input.track);
+        break;
+      case 'specializeTurret':
+        this.specializeTurret(input.turretId, input.branch);
+        break;
+      case 'startTurretMove':
+        this.startTurretMove(input.turretId);
+        break;
+      case 'moveTurret':
+        this.moveTurret(input.turretId, new THREE.Vector3(input.x, input.y, input.z));
+        break;
+      case 'sellTurret':
+        this.sellTurret(input.turretId);
+        break;
+      case 'setTurretTargeting':
+        this.setTurretTargeting(input.turretId, input.mode);
+        break;
+      case 'setTurretSkipSlowed':
+        this.setTurretSkipSlowed(input.turretId, input.skip);
+        break;
+      case 'buyUpgrade':
+        this.buyUpgrade(input.upgradeKey, input.cost);
+        break;
+      case 'repairHouse':
+        this.repairHouse();
+        break;
+      case 'upgradeHouse':
+        this.upgradeHouse();
+        break;
+      case 'startWave':
+        this.startWave();
+        break;
+      default:
+        console.warn('[GameEngine] Unknown replay input:', input.type);
+    }
+  }
+
+  /**
+   * Export the current run as a versioned replay (seed, config and inputs)
+   * @returns {Object|null} JSON-serializable replay, or null if not recording
+   */
+  exportReplay() {
+    if (!this.inputRecorder.recording) return null;
+
+    return {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: this.seed,
+      endless: this.state.endlessMode,
+      fixedTimestep: this.fixedTimestep,
+      durationTicks: this.tick,
+      config: { ...this.config, seed: this.seed },
+      difficulty: this.director.difficulty,
+      mutators: [...this.state.runMutators],
+      settings: { ...this.settings },
+      summary: this._getReplaySummary(),
+      inputs: this.inputRecorder.inputs.slice()
+    };
+  }
+
+  /**
+   * Download the current run's replay as a JSON file
+   */
+  downloadReplay() {
+    const replay = this.exportReplay();
+    if (!replay) {
+      this._emitCallback('onBannerChange', 'No replay recorded');
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return false;
+    }
+
+    try {
+      const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      link.download = `HomesteadSiege_replay_${timestamp}.json`;
+      link.href = url;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      this.audioManager?.playSound('click');
+      this._emitCallback('onBannerChange', 'Replay saved!');
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 1500);
+      return true;
+    } catch (e) {
+      console.warn('Replay export failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Restart with a replay's seed and settings and play back its inputs.
+   * Live gameplay input is ignored until the replay ends or stopReplay().
+   * @param {Object} replay - Parsed replay (see exportReplay())
+   * @returns {boolean} Whether playback started
+   */
+  playReplay(replay) {
+    const validation = validateReplay(replay);
+    if (!validation.ok) {
+      console.warn('[GameEngine] Replay rejected:', validation.reasons[0].message);
+      return false;
+    }
+
+    // Compare by value: object options such as waveScript come back from JSON as copies
+    const configDiffs = Object.keys(replay.config || {})
+      .filter(key => key !== 'seed' && JSON.stringify(replay.config[key]) !== JSON.stringify(this.config[key]));
+    if (configDiffs.length > 0) {
+      console.warn('[GameEngine] Replay recorded with different engine config:', configDiffs);
+    }
+
+    // Start with the replay's run mutators without changing the player's choice
+    const runMutators = this.runMutators;
+    this.runMutators = replay.mutators ?? [];
+    this.startGame(!!replay.endless, replay.seed);
+    this.runMutators = runMutators;
+    if (this.phase !== GamePhase.WAVE_PREP) return false;
+    this.inputRecorder.stop();
+    this.director.setDifficulty(replay.difficulty ?? DEFAULT_DIFFICULTY);
+
+    const replaySettings = {};
+    for (const key of REPLAY_SETTINGS) {
+      if (replay.settings?.[key] !== undefined) replaySettings[key] = replay.settings[key];
+    }
+    this._replayRestore = { settings: { ...this.settings }, fixedTimestep: this.fixedTimestep };
+    this.updateSettings(replaySettings);
+    this.fixedTimestep = replay.fixedTimestep ?? this.fixedTimestep;
+
+    this.replayPlayer = new ReplayPlayer(replay);
+    console.log('[GameEngine] Playing replay: seed', replay.seed, 'for', replay.durationTicks, 'ticks');
+    this._emitEvent('REPLAY_STARTED', { seed: replay.seed, durationTicks: replay.durationTicks });
+    this._updateStats();
+    return true;
+  }
+
+  /**
+   * Stop replay playback and hand control back to live input
+   */
+  stopReplay() {
+    this._endReplay(false);
+  }
+
+  _finishReplay() {
+    const expected = this.replayPlayer.replay.summary;
+    this._endReplay(true);
+
+    if (expected) {
+      const actual = this._getReplaySummary();
+      const desynced = Object.keys(expected).filter(key => expected[key] !== actual[key]);
+      if (desynced.length > 0) {
+        console.warn('[GameEngine] Replay desync:', { expected, actual });
+      }
+    }
+
+    this._emitCallback('onBannerChange', 'Replay finished');
+    setTimeout(() => this._emitCallback('onBannerChange', ''), 2000);
+    if (!this.state.gameOver) this.togglePause();
+  }
+
+  _endReplay(completed) {
+    if (!this.replayPlayer) return;
+    this.replayPlayer = null;
+    this.updateSettings(this._replayRestore.settings);
+    this.fixedTimestep = this._replayRestore.fixedTimestep;
+    this._replayRestore = null;
+    for (const key of CONTROL_FLAGS) {
+      this.state.input[key] = false;
+    }
+    this._emitEvent('REPLAY_ENDED', { tick: this.tick, completed });
+    this._updateStats();
+  }
+
+  _getReplaySummary() {
+    return {
+      wave: this.state.activeWaveNumber,
+      score: this.state.score,
+      currency: this.state.currency,
+      gameOver: this.state.gameOver
+    };
+  }
+
+  // ==================== Run Save / Restore ====================
+
+  /**
+   * Serialize the run in progress as plain JSON data (see save/RunSave.js).
+   * Projectiles in flight are not saved; they resolve within a second.
+   * @returns {Object|null} Run save, or null if there is no run to save
+   */
+  serializeRun() {
+    if (!this.state.started || this.state.gameOver || this._hasCrashed || this.replayPlayer) return null;
+
+    const { state } = this;
+    const phase = this.phase === GamePhase.PAUSED ? this._phaseBeforePause : this.phase;
+    const openingData = (opening) => ({ health: opening.health, destroyed: opening.destroyed });
+
+    return {
+      version: RUN_SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      seed: this.seed,
+      rng: this.rng.getState(),
+      tick: this.tick,
+      simTime: this.simTime,
+      endless: state.endlessMode,
+      phase,
+      difficulty: this.director.difficulty,
+      director: this.director.serialize(),
+      runMutators: [...state.runMutators],
+      mutatorHistory: state.mutatorHistory.map(entry => ({ wave: entry.wave, mutators: [...entry.mutators] })),
+      turretAccuracy: structuredClone(state.turretAccuracy),
+      wave: {
+        active: state.activeWaveNumber,
+        toSpawn: state.toSpawn,
+        expected: state.expectedThisWave,
+        totalSpawned: state.totalSpawnedThisWave,
+        composition: { ...state.waveComp },
+        spawnedCounts: { ...this.waveManager.spawnedCounts },
+        groups: this.waveManager.serializeGroups(),
+        gates: [...state.waveGates],
+        nextGates: [...state.nextWaveGates],
+        mutators: [...state.waveMutators],
+        nextMutators: [...state.nextWaveMutators],
+        spawnTimer: state.spawnTimer,
+        startHealth: state.waveStartHealth
+      },
+      currency: state.currency,
+      score: state.score,
+      currentWeapon: state.currentWeapon,
+      shootTimer: state.shootTimer,
+      upgrades: { ...state.upgrades },
+      player: {
+        pos: state.player.pos.toArray(),
+        rot: state.player.rot,
+        pitch: state.player.pitch,
+        health: state.player.health,
+        maxHealth: state.player.maxHealth,
+        invulnTimer: state.player.invulnTimer,
+        isInside: state.player.isInside
+      },
+      barn: { health: state.barn.health, maxHealth: state.barn.maxHealth },
+      abilities: {
+        globalFreeze: state.globalFreeze,
+        rageActive: state.rageActive,
+        pendingStrikes: state.pendingStrikes.map(strike => ({
+          abilityKey: strike.abilityKey,
+          pos: strike.pos.toArray(),
+          timer: strike.timer
+        })),
+        cooldowns: this.abilitySystem.serialize()
+      },
+      house: {
+        level: state.upgrades.houseLevel,
+        doors: this.houseDoors.map(openingData),
+        windows: this.houseWindows.map(openingData)
+      },
+      zombies: state.zombies.filter(tk => !tk.dead).map(tk => ({
+        type: tk.type,
+        scale: tk.scale,
+        pos: tk.pos.toArray(),
+        hp: tk.hp,
+        maxHp: tk.maxHp,
+        spd: tk.spd,
+        dmg: tk.dmg,
+        val: tk.val,
+        bob: tk.bob,
+        spawnedAt: tk.spawnedAt,
+        slowMult: tk.slowMult,
+        slowTimer: tk.slowTimer,
+        healTimer: tk.healTimer,
+        inHouse: tk.inHouse,
+        bossPhase: tk.bossPhase,
+        bossState: tk.bossState ? structuredClone(tk.bossState) : null,
+        attackCooldown: tk.attackCooldown || 0
+      })),
+      turrets: state.turrets.map(t => ({
+        type: t.type,
+        upgrades: structuredClone(t.upgrades),
+        pos: t.pos.toArray(),
+        health: this.damageManager.getDamageable(t)?.health ?? t.health,
+        cooldown: t.cooldown,
+        lastFire: t.lastFire,
+        kills: t.kills,
+        damageDealt: t.damageDealt,
+        shots: t.shots,
+        hits: t.hits,
+        targeting: t.targeting,
+        skipSlowed: t.skipSlowed
+      })),
+      structures: state.structures.map(structure => ({
+        type: structure.type,
+        pos: structure.pos.toArray(),
+        course: structure.course,
+        health: this.damageManager.getDamageable(structure)?.health ?? structure.health,
+        // Courses already coming down after the one below them fell
+        collapseDelay: this.damageManager.getPendingDelay(structure)
+      }))
+    };
+  }
+
+  /**
+   * Start a run from data produced by serializeRun(), rebuilding the house,
+   * turrets, barricades and zombies. A saved WAVE_COMPLETE resumes in WAVE_PREP.
+   * @param {Object} save - Parsed run save
+   * @returns {boolean} Whether the run was restored
+   */
+  restoreRun(save) {
+    const validation = validateRunSave(save);
+    if (!validation.ok) {
+      console.warn('[GameEngine] Run save rejected:', validation.reasons[0].message);
+      return false;
+    }
+
+    this.startGame(save.endless, save.seed);
+    if (this.phase !== GamePhase.WAVE_PREP) return false;
+    // The input history before the save is gone, so this run can't be replayed
+    this.inputRecorder.stop();
+    this.director.setDifficulty(save.difficulty ?? DEFAULT_DIFFICULTY);
+    this.director.restore(save.director);
+
+    const { state } = this;
+    state.activeWaveNumber = save.wave.active;
+    state.toSpawn = save.wave.toSpawn;
+    state.expectedThisWave = save.wave.expected;
+    state.totalSpawnedThisWave = save.wave.totalSpawned;
+    state.waveComp = { ...save.wave.composition };
+    state.spawnTimer = save.wave.spawnTimer;
+    state.waveStartHealth = save.wave.startHealth;
+    this.waveManager.spawnedCounts = { ...save.wave.spawnedCounts };
+    this.waveManager.restoreGroups(save.wave.groups, save.wave.active, save.endless);
+    state.waveGates = [...(save.wave.gates ?? [])];
+    state.nextWaveGates = [...(save.wave.nextGates ?? [])];
+    this._updateGateMarkers();
+    // Saves from before mutators have none
+    state.runMutators = [...(save.runMutators ?? [])];
+    state.mutatorHistory = (save.mutatorHistory ?? []).map(entry => ({ wave: entry.wave, mutators: [...entry.mutators] }));
+    state.waveMutators = [...(save.wave.mutators ?? [])];
+    state.nextWaveMutators = [...(save.wave.nextMutators ?? [])];
+    this._applyMutators();
+    // Saves from before turret accuracy start the tally at zero
+    state.turretAccuracy = { ...createAccuracyTally(), ...structuredClone(save.turretAccuracy ?? {}) };
+
+    state.currency = save.currency;
+    state.score = save.score;
+    state.currentWeapon = save.currentWeapon;
+    state.shootTimer = save.shootTimer;
+    state.upgrades = { ...state.upgrades, ...save.upgrades };
+
+    // Player
+    const player = save.player;
+    state.player.pos.fromArray(player.pos);
+    state.player.rot = player.rot;
+    state.player.pitch = player.pitch;
+    state.player.health = player.health;
+    state.player.maxHealth = player.maxHealth;
+    state.player.invulnTimer = player.invulnTimer;
+    state.player.isInside = player.isInside;
+    if (this.playerBody) {
+      this.playerBody.position.set(state.player.pos.x, state.player.pos.y + 0.5, state.player.pos.z);
+      this.playerBody.velocity.set(0, 0, 0);
+    }
+    this.playerGroup?.position.copy(state.player.pos);
+
+    if (save.barn) {
+      state.barn.health = save.barn.health;
+      state.barn.maxHealth = save.barn.maxHealth;
+    }
+
+    // Abilities
+    state.globalFreeze = save.abilities.globalFreeze;
+    state.rageActive = save.abilities.rageActive;
+    for (const strike of save.abilities.pendingStrikes ?? []) {
+      this._scheduleStrike(strike.abilityKey, new THREE.Vector3().fromArray(strike.pos), strike.timer);
+    }
+    // Saves from before targeting held one airstrike landing next tick
+    if (save.abilities.pendingAirstrike) {
+      this._scheduleStrike('AIRSTRIKE', new THREE.Vector3().fromArray(save.abilities.pendingAirstrike), 0);
+    }
+    // Saves from before cooldowns restore with every ability ready
+    this.abilitySystem.restore(save.abilities.cooldowns);
+    this._emitAbilitiesUpdate();
+
+    // House and openings
+    // reset() built the base house
+    if (save.house.level !== 0) {
+      this._buildHouse(save.house.level);
+    }
+    this._restoreOpenings(this.houseDoors, save.house.doors, 'panel');
+    this._restoreOpenings(this.houseWindows, save.house.windows, 'glass');
+
+    // Turrets
+    for (const data of save.turrets) {
+      // Saves from before turret upgrades have none
+      const upgrades = data.upgrades ? structuredClone(data.upgrades) : createTurretUpgrades();
+      const turret = this._addTurret(data.type, new THREE.Vector3().fromArray(data.pos), upgrades);
+      turret.cooldown = data.cooldown;
+      turret.lastFire = data.lastFire;
+      turret.kills = data.kills ?? 0;
+      turret.damageDealt = data.damageDealt ?? 0;
+      turret.shots = data.shots ?? 0;
+      turret.hits = data.hits ?? 0;
+      turret.targeting = data.targeting ?? DEFAULT_TARGETING;
+      turret.skipSlowed = data.skipSlowed ?? false;
+      turret.health = data.health;
+      const damageable = this.damageManager.getDamageable(turret);
+      damageable.health = data.health;
+      damageable.updateDamageState();
+      this._onPieceDamaged(turret);
+    }
+
+    // Barricades, in build order so each course finds the one below it
+    // (saves from before barricades have none)
+    for (const data of save.structures ?? []) {
+      const structure = this._addStructure(data.type, new THREE.Vector3().fromArray(data.pos), data.course ?? 0);
+      structure.health = data.health;
+      const damageable = this.damageManager.getDamageable(structure);
+      damageable.health = data.health;
+      damageable.updateDamageState();
+      this._onPieceDamaged(structure);
+      if (data.collapseDelay != null) this.damageManager.scheduleDestruction(structure._placementPiece, data.collapseDelay);
+    }
+
+    // Zombies
+    for (const data of save.zombies) {
+      const customScale = data.scale !== ZombieTypes[data.type].scale ? data.scale : null;
+      const zombie = this._createZombie(new THREE.Vector3().fromArray(data.pos), data.type, customScale);
+      Object.assign(zombie, {
+        hp: data.hp,
+        maxHp: data.maxHp,
+        spd: data.spd,
+        dmg: data.dmg,
+        val: data.val,
+        bob: data.bob,
+        // Saves from before the director count zombies as spawned at the save
+        spawnedAt: data.spawnedAt ?? save.simTime,
+        slowMult: data.slowMult,
+        slowTimer: data.slowTimer,
+        healTimer: data.healTimer,
+        inHouse: Boolean(data.inHouse),
+        bossPhase: data.bossPhase,
+        bossState: data.bossState ? structuredClone(data.bossState) : zombie.bossState,
+        attackCooldown: data.attackCooldown
+      });
+      state.zombies.push(zombie);
+      this.zombieGrid.insert(zombie, zombie.pos);
+    }
+
+    // Restore the RNG last: rebuilding entities above draws from it
+    this.rng.setState(save.rng);
+    this.tick = save.tick;
+    this.simTime = save.simTime;
+
+    if (save.phase === GamePhase.WAVE_ACTIVE) {
+      this._setPhase(GamePhase.WAVE_ACTIVE);
+      this._emitCallback('onWaitingForWave', false);
+      this._emitCallback('onBannerChange', `Wave ${state.activeWaveNumber}`);
+      setTimeout(() => this._emitCallback('onBannerChange', ''), 2000);
+    } else {
+      this._emitCallback('onBannerChange', `Press SPACE to start Wave ${this.upcomingWaveNumber}`);
+    }
+
+    this._emitCallback('onWeaponChange', WeaponTypes[state.currentWeapon]);
+    this._emitCallback('onTurretsChange', [...state.turrets]);
+    this._updateStats();
+    console.log('[GameEngine] Restored run at wave', state.activeWaveNumber, 'phase', this.phase);
+    return true;
+  }
+
+  _restoreOpenings(openings, saved, partKey) {
+    openings.forEach((opening, i) => {
+      if (!saved[i]) return;
+      opening.health = Math.min(opening.maxHealth, saved[i].health);
+      opening.destroyed = Boolean(saved[i].destroyed);
+      if (opening[partKey]) opening[partKey].visible = !opening.destroyed;
+    });
+  }
+
   /**
    * Reset game state for a new game
    */
   reset() {
     // Clean up zombies
     for (const tk of this.state.zombies) {
-      this.scene.remove(tk.mesh);
-      disposeObject(tk.mesh);
+      this._removeFromView(tk.mesh);
     }
     this.state.zombies = [];
 
     // Clean up projectiles
     for (const p of this.state.projectiles) {
-      this.scene.remove(p.mesh);
-      disposeObject(p.mesh);
+      this._removeFromView(p.mesh);
     }
     for (const p of this.state.turretProjectiles) {
-      this.scene.remove(p.mesh);
-      disposeObject(p.mesh);
+      this._removeFromView(p.mesh);
     }
     this.state.projectiles = [];
     this.state.turretProjectiles = [];
 
-    // Clean up turrets
+    // Clean up turrets, including any still collapsing
+    for (const collapse of this.damageManager.activeCollapses) {
+      this._removeFromView(collapse.mesh);
+    }
     for (const t of this.state.turrets) {
-      this.scene.remove(t.mesh);
-      disposeObject(t.mesh);
+      this._removeFromView(t.mesh);
+      this.navGrid.removeObstacle(t.id);
     }
     this.state.turrets = [];
+    this.state.selectedTurretId = null;
+    for (const structure of this.state.structures) {
+      this._removeFromView(structure.mesh);
+      this.navGrid.removeObstacle(structure.id);
+    }
+    this.state.structures = [];
+    // Restart turret ids so a replay's turret inputs name the same turrets
+    this._nextStructureId = 1;
 
     // Reset state
     this.state.activeWaveNumber = 0;
@@ -3344,11 +5935,15 @@ export class GameEngine {
     this.state.currency = 100;
     this.state.score = 0;
     this.state.gameOver = false;
+    this.state.paused = false;
+    this._phaseBeforePause = null;
     this.state.waveComplete = false;
     this.state.currentWeapon = 'PITCHFORK';
     this.state.placingTurret = null;
+    this.state.movingTurretId = null;
     this.state.placementFeedback = null;
     this.state.placementCursor = null;
+    this._clearStructurePlacement();
     this.state.player.pos.set(-40, 0, -25);
     // Reset physics body position
     if (this.playerBody) {
@@ -3359,8 +5954,15 @@ export class GameEngine {
     this.state.player.health = 100;
     this.state.player.maxHealth = 100;
     this.state.player.isInside = false;
+    this.state.barn.health = this.state.barn.maxHealth;
     this.state.globalFreeze = 0;
     this.state.rageActive = 0;
+    this._clearPendingStrikes();
+    this._clearAbilityTargeting();
+    this._clearHealBeams();
+    this.state.shootTimer = 0;
+    this.state.spawnTimer = 0;
+    this.state.player.invulnTimer = 0;
     this.state.upgrades = {
       houseArmor: 0,
       weaponDamage: 0,
@@ -3369,8 +5971,13 @@ export class GameEngine {
       houseLevel: 0
     };
 
+    // Reset simulation clock
+    this.tick = 0;
+    this.simTime = 0;
+    this._accumulator = 0;
+
     // Reset player position
-    this.playerGroup.position.copy(this.state.player.pos);
+    this.playerGroup?.position.copy(this.state.player.pos);
 
     // Rebuild house
     this._buildHouse(0);
@@ -3378,9 +5985,18 @@ export class GameEngine {
     // Clear spatial indices
     this.zombieGrid.clear();
     this.turretGrid.clear();
+    this.structureGrid.clear();
     this.buildingValidator.clear();
     this.damageManager.clear();
     this.waveManager.reset();
+    this.director.setDifficulty(this.difficulty);
+    this.state.runMutators = [...this.runMutators];
+    this.state.mutatorHistory = [];
+    this.state.turretAccuracy = createAccuracyTally();
+    this._applyMutators();
+    this._updateGateMarkers();
+    this.abilitySystem.reset();
+    this._emitAbilitiesUpdate();
 
     this._updateStats();
   }
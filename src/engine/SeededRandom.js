@@ -0,0 +1,81 @@
+/**
+ * SeededRandom - Deterministic PRNG for gameplay systems
+ *
+ * Uses mulberry32: a 32-bit state generator that is fast, small and good
+ * enough for game randomness. Every gameplay system draws from the engine's
+ * instance so a run can be reproduced from its seed and input stream.
+ * Purely cosmetic effects (particles, snow, camera shake) keep Math.random.
+ */
+
+/**
+ * Seedable pseudo-random number generator
+ */
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Generate a fresh 32-bit seed (non-deterministic)
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random element of an array (undefined if empty)
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * Capture the generator position (for saves and replays)
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore a position captured with getState()
+   */
+  setState({ seed, state }) {
+    this.seed = seed >>> 0;
+    this.state = state >>> 0;
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,172 @@
+/**
+ * StatsTracker - Lifetime player stats and achievement unlocks
+ *
+ * Listens to GameEngine events, keeps the profile's playerStats up to date
+ * and evaluates each achievement's check() after every change. New unlocks
+ * are reported through onUnlock right away; stats are handed to onSave at
+ * checkpoints (wave complete, game over, unlocks and flush()) rather than on
+ * every kill. Replays are ignored so watching a run doesn't count as playing it.
+ */
+
+import { Achievements } from './GameConfig.js';
+
+/** Wave that must be completed quickly for the fastWave10 stat */
+export const FAST_WAVE_NUMBER = 10;
+/** Simulated seconds allowed to reach the end of FAST_WAVE_NUMBER */
+export const FAST_WAVE_TIME_LIMIT = 300;
+/** Health fraction below which a completed wave counts as a clutch win */
+export const CLUTCH_HEALTH_FRACTION = 0.1;
+
+export class StatsTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.playerStats - Current lifetime stats
+   * @param {string[]} options.unlockedAchievements - Achievement ids already unlocked
+   * @param {Object} [options.achievementDates] - Unlock timestamps keyed by achievement id
+   * @param {Object} [options.achievements] - Achievement definitions with check(stats)
+   * @param {Function} [options.onUnlock] - Called with each newly unlocked id
+   * @param {Function} [options.onSave] - Called with { playerStats, unlockedAchievements, achievementDates }
+   */
+  constructor({ playerStats, unlockedAchievements, achievementDates = {}, achievements = Achievements, onUnlock, onSave }) {
+    this.achievements = achievements;
+    this.onUnlock = onUnlock;
+    this.onSave = onSave;
+    this.engine = null;
+    this._unsubscribers = [];
+    this.load(playerStats, unlockedAchievements, achievementDates);
+  }
+
+  /**
+   * Replace the tracked stats, e.g. after switching profiles
+   */
+  load(playerStats, unlockedAchievements, achievementDates = {}) {
+    this.playerStats = { ...playerStats };
+    this.unlockedAchievements = [...unlockedAchievements];
+    this.achievementDates = { ...achievementDates };
+    this.waveDamageTaken = 0;
+    this.dirty = false;
+  }
+
+  /**
+   * Subscribe to an engine's events
+   * @param {GameEngine} engine
+   * @returns {Function} Detaches from the engine
+   */
+  attach(engine) {
+    this.detach();
+    this.engine = engine;
+
+    const handlers = {
+      WAVE_STARTED: () => { this.waveDamageTaken = 0; },
+      PLAYER_DAMAGED: ({ amount }) => { this.waveDamageTaken += amount; },
+      ZOMBIE_KILLED: (e) => this._onZombieKilled(e),
+      TURRET_PLACED: () => this._update({ turretsPlaced: this.playerStats.turretsPlaced + 1 }),
+      ABILITY_USED: () => this._update({ abilitiesUsed: this.playerStats.abilitiesUsed + 1 }),
+      STATE_CHANGED: ({ currency }) => {
+        if (currency > this.playerStats.maxCurrency) this._update({ maxCurrency: currency });
+      },
+      WAVE_COMPLETED: (e) => this._onWaveCompleted(e),
+      GAME_OVER: (e) => this._onGameOver(e)
+    };
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      this._unsubscribers.push(engine.onEvent(event, (detail) => {
+        if (engine.isReplaying) return;
+        handler(detail ?? {});
+      }));
+    }
+
+    return () => this.detach();
+  }
+
+  detach() {
+    this._unsubscribers.forEach(off => off?.());
+    this._unsubscribers = [];
+    this.engine = null;
+  }
+
+  /**
+   * Save any stats changed since the last checkpoint
+   */
+  flush() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    this.onSave?.({
+      playerStats: { ...this.playerStats },
+      unlockedAchievements: [...this.unlockedAchievements],
+      achievementDates: { ...this.achievementDates }
+    });
+  }
+
+  _onZombieKilled({ type, isBoss }) {
+    const { killsByType } = this.playerStats;
+    this._update({
+      totalKills: this.playerStats.totalKills + 1,
+      bossKills: this.playerStats.bossKills + (isBoss ? 1 : 0),
+      killsByType: { ...killsByType, [type]: (killsByType[type] ?? 0) + 1 }
+    });
+  }
+
+  _onWaveCompleted({ activeWaveNumber, endless, simTime, playerHealth, maxHealth, mutators = [] }) {
+    const stats = this.playerStats;
+    const changes = { highestWave: Math.max(stats.highestWave, activeWaveNumber) };
+
+    if (endless) changes.endlessHighWave = Math.max(stats.endlessHighWave, activeWaveNumber);
+    if (this.waveDamageTaken === 0) changes.perfectWaves = stats.perfectWaves + 1;
+    if (mutators.length > 0) changes.mutatorWaves = stats.mutatorWaves + 1;
+    if (maxHealth > 0 && playerHealth > 0 && playerHealth / maxHealth < CLUTCH_HEALTH_FRACTION) {
+      changes.clutchWins = stats.clutchWins + 1;
+    }
+    if (activeWaveNumber === FAST_WAVE_NUMBER && simTime < FAST_WAVE_TIME_LIMIT) {
+      changes.fastWave10 = true;
+    }
+
+    this._update(changes);
+    this.flush();
+  }
+
+  _onGameOver({ score, activeWaveNumber = 0, endless }) {
+    const stats = this.playerStats;
+    // Dying during a wave still counts as having reached it
+    const changes = {
+      gamesPlayed: stats.gamesPlayed + 1,
+      highScore: Math.max(stats.highScore, score),
+      highestWave: Math.max(stats.highestWave, activeWaveNumber)
+    };
+    if (endless) changes.endlessHighWave = Math.max(stats.endlessHighWave, activeWaveNumber);
+
+    this._update(changes);
+    this.flush();
+  }
+
+  _update(changes) {
+    Object.assign(this.playerStats, changes);
+    this.dirty = true;
+    this._checkAchievements();
+  }
+
+  /**
+   * Unlock every achievement whose check now passes
+   * @returns {string[]} Newly unlocked ids
+   */
+  _checkAchievements() {
+    const unlocked = [];
+    const now = Date.now();
+    for (const [id, achievement] of Object.entries(this.achievements)) {
+      if (this.unlockedAchievements.includes(id)) continue;
+      if (achievement.check?.(this.playerStats)) {
+        this.unlockedAchievements.push(id);
+        this.achievementDates[id] = now;
+        unlocked.push(id);
+      }
+    }
+
+    if (unlocked.length > 0) {
+      unlocked.forEach(id => this.onUnlock?.(id));
+      this.flush();
+    }
+    return unlocked;
+  }
+}
+
+export default StatsTracker;
@@ -0,0 +1,98 @@
+/**
+ * Ability Cooldown Integration Tests
+ *
+ * Drives a headless engine to check that useAbility enforces cooldowns,
+ * reports rejections and UI updates, and that pausing and run saves keep
+ * the timers where they were.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameEngine, AbilityTypes } from '../../GameEngine.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds } from '../../../test-utils/engine.js';
+
+describe('Ability Cooldown Integration', () => {
+  let engine;
+  let onAbilitiesUpdate;
+  let onAbilityRejected;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    onAbilitiesUpdate = vi.fn();
+    onAbilityRejected = vi.fn();
+    engine.on('onAbilitiesUpdate', onAbilitiesUpdate);
+    engine.on('onAbilityRejected', onAbilityRejected);
+    startHeadlessGame(engine, 31, { playerPos: null });
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  it('should reject repeated uses until the cooldown ends', () => {
+    expect(engine.useAbility('REPAIR')).toBe(true);
+    expect(engine.useAbility('REPAIR')).toBe(false);
+    expect(onAbilityRejected).toHaveBeenCalledWith({
+      abilityKey: 'REPAIR',
+      reason: expect.stringContaining('cooldown')
+    });
+
+    stepSeconds(engine, AbilityTypes.REPAIR.cooldown + 0.1);
+    expect(engine.useAbility('REPAIR')).toBe(true);
+  });
+
+  it('should keep an ability active for its duration before cooling down', () => {
+    engine.useAbility('FREEZE');
+    expect(engine.useAbility('FREEZE')).toBe(false);
+    expect(onAbilityRejected.mock.calls[0][0].reason).toContain('already active');
+
+    stepSeconds(engine, AbilityTypes.FREEZE.duration + 0.1);
+    const latest = onAbilitiesUpdate.mock.calls.at(-1)[0];
+    expect(latest.FREEZE.phase).toBe('COOLDOWN');
+    expect(latest.FREEZE.cooldownRemaining).toBeGreaterThan(AbilityTypes.FREEZE.cooldown - 0.2);
+  });
+
+  it('should emit ability updates on use and once a second while timers run', () => {
+    onAbilitiesUpdate.mockClear();
+    engine.useAbility('RAGE');
+    expect(onAbilitiesUpdate.mock.calls.at(-1)[0].RAGE.phase).toBe('ACTIVE');
+
+    const calls = onAbilitiesUpdate.mock.calls.length;
+    stepSeconds(engine, 2.5);
+    expect(onAbilitiesUpdate.mock.calls.length).toBe(calls + 2);
+  });
+
+  it('should hold cooldowns while paused and reject uses', () => {
+    engine.useAbility('REPAIR');
+    stepSeconds(engine, 1);
+    const before = engine.abilitySystem.getSnapshot().REPAIR.cooldownRemaining;
+
+    engine.togglePause();
+    stepSeconds(engine, 10);
+    expect(engine.abilitySystem.getSnapshot().REPAIR.cooldownRemaining).toBe(before);
+    expect(engine.useAbility('FREEZE')).toBe(false);
+
+    engine.togglePause();
+    stepSeconds(engine, 1);
+    expect(engine.abilitySystem.getSnapshot().REPAIR.cooldownRemaining).toBeLessThan(before);
+  });
+
+  it('should reset cooldowns for a new game', () => {
+    engine.useAbility('REPAIR');
+    engine.startGame(false, 32);
+    expect(engine.useAbility('REPAIR')).toBe(true);
+  });
+
+  it('should keep cooldowns in a run save', () => {
+    engine.useAbility('REPAIR');
+    stepSeconds(engine, 5);
+    const save = engine.serializeRun();
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+
+    expect(restored.abilitySystem.getSnapshot().REPAIR).toEqual(engine.abilitySystem.getSnapshot().REPAIR);
+    expect(restored.useAbility('REPAIR')).toBe(false);
+    restored.dispose();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Ability Targeting Integration Tests
+ *
+ * Drives the targeted Artillery Strike through a headless engine: entering
+ * and leaving targeting, cast range, the landing delay, run saves and
+ * replays.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine, AbilityTypes } from '../../GameEngine.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds } from '../../../test-utils/engine.js';
+
+const AIRSTRIKE = AbilityTypes.AIRSTRIKE;
+
+/** Ground point dist units from the player along +x */
+const fromPlayer = (engine, dist) => {
+  const { pos } = engine.state.player;
+  return new THREE.Vector3(pos.x + dist, 0, pos.z);
+};
+
+describe('Ability Targeting Integration', () => {
+  let engine;
+  let onAbilityRejected;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    onAbilityRejected = vi.fn();
+    engine.on('onAbilityRejected', onAbilityRejected);
+    startHeadlessGame(engine, 41, { playerPos: null });
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  describe('targeting mode', () => {
+    it('should enter targeting without spending the ability', () => {
+      expect(engine.useAbility('AIRSTRIKE')).toBe(true);
+
+      expect(engine.getSnapshot().targetingAbility).toBe('AIRSTRIKE');
+      expect(engine.abilitySystem.getSnapshot().AIRSTRIKE.phase).toBe('READY');
+    });
+
+    it('should cancel without spending the ability', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.cancelAbilityTargeting();
+
+      expect(engine.state.targetingAbility).toBeNull();
+      expect(engine.abilitySystem.canUse('AIRSTRIKE').ok).toBe(true);
+    });
+
+    it('should put targeting away when the ability is used again', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.useAbility('AIRSTRIKE');
+      expect(engine.state.targetingAbility).toBeNull();
+    });
+
+    it('should give way to turret placement', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.startTurretPlacement('BASIC');
+
+      expect(engine.state.targetingAbility).toBeNull();
+      expect(engine.state.placingTurret).toBe('BASIC');
+    });
+
+    it('should not enter targeting while on cooldown', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.castAbility(fromPlayer(engine, 10));
+
+      expect(engine.useAbility('AIRSTRIKE')).toBe(false);
+      expect(engine.state.targetingAbility).toBeNull();
+      expect(onAbilityRejected.mock.calls.at(-1)[0].reason).toContain('cooldown');
+    });
+  });
+
+  describe('casting', () => {
+    it('should reject targets beyond the cast range and keep targeting', () => {
+      engine.useAbility('AIRSTRIKE');
+
+      expect(engine.castAbility(fromPlayer(engine, AIRSTRIKE.castRange + 5))).toBe(false);
+      expect(onAbilityRejected).toHaveBeenCalledWith({ abilityKey: 'AIRSTRIKE', reason: 'Target is out of range' });
+      expect(engine.state.targetingAbility).toBe('AIRSTRIKE');
+      expect(engine.state.targetingFeedback.ok).toBe(false);
+
+      expect(engine.castAbility(fromPlayer(engine, AIRSTRIKE.castRange - 5))).toBe(true);
+    });
+
+    it('should do nothing when not targeting', () => {
+      expect(engine.castAbility(fromPlayer(engine, 5))).toBe(false);
+      expect(engine.state.pendingStrikes).toHaveLength(0);
+    });
+
+    it('should land after the delay and damage zombies in the radius', () => {
+      engine.startWave();
+      for (let i = 0; i < 600 && engine.state.zombies.length === 0; i++) {
+        engine.step(engine.fixedTimestep);
+      }
+      const target = engine.state.zombies[0];
+      engine.state.player.pos.set(target.pos.x - 10, 0, target.pos.z);
+      engine.state.globalFreeze = 10;
+      const hp = target.hp;
+
+      engine.useAbility('AIRSTRIKE');
+      engine.castAbility(target.pos.clone());
+      stepSeconds(engine, AIRSTRIKE.delay - 0.5);
+      expect(target.hp).toBe(hp);
+      expect(engine.state.pendingStrikes).toHaveLength(1);
+
+      stepSeconds(engine, 0.6);
+      expect(engine.state.pendingStrikes).toHaveLength(0);
+      expect(target.dead || target.hp < hp).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should keep an incoming strike in a run save', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.castAbility(fromPlayer(engine, 10));
+      stepSeconds(engine, 0.5);
+      const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+      const restored = new GameEngine();
+      restored.initHeadless();
+      expect(restored.restoreRun(save)).toBe(true);
+
+      expect(restored.state.pendingStrikes).toHaveLength(1);
+      expect(restored.state.pendingStrikes[0].timer).toBeCloseTo(engine.state.pendingStrikes[0].timer, 5);
+      restored.dispose();
+    });
+
+    it('should reject malformed strikes in a run save', () => {
+      const save = engine.serializeRun();
+      save.abilities.pendingStrikes = [{ abilityKey: 'FREEZE', pos: [0, 0, 0], timer: 1 }];
+
+      expect(engine.restoreRun(save)).toBe(false);
+    });
+
+    it('should replay a targeted cast', () => {
+      engine.useAbility('AIRSTRIKE');
+      engine.castAbility(fromPlayer(engine, 12));
+      stepSeconds(engine, 0.2);
+      const replay = engine.exportReplay();
+
+      const playback = new GameEngine();
+      playback.initHeadless();
+      playback.playReplay(replay);
+      for (let i = 0; i < replay.durationTicks; i++) playback.step(playback.fixedTimestep);
+
+      expect(playback.state.pendingStrikes.map(s => s.pos.toArray()))
+        .toEqual(engine.state.pendingStrikes.map(s => s.pos.toArray()));
+      playback.dispose();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Barn Defense Integration Tests
+ *
+ * Hides the player in the house of a headless engine and checks that sealed
+ * walls hold zombies outside, broken doors and windows let them in to drain
+ * the barn core, and the run ends when the core falls.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameEngine, GamePhase } from '../../GameEngine.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie } from '../../../test-utils/engine.js';
+
+describe('Barn Defense Integration', () => {
+  let engine;
+  let barn;
+  let frontDoor;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 81, { playerPos: null });
+
+    barn = engine.state.barn;
+    frontDoor = engine.houseDoors.find(door => door.name === 'front');
+    engine.state.player.pos.copy(engine.state.house.pos);
+    engine.state.player.isInside = true;
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  const breakOpening = (opening) => {
+    opening.health = 0;
+    opening.destroyed = true;
+  };
+
+  const insideHouse = (pos) => engine._isInsideRect(pos, engine._houseRect());
+
+  it('should keep zombies outside a sealed house', () => {
+    const tk = addZombie(engine, frontDoor.pos.x + 2, frontDoor.pos.z + 4);
+
+    for (let i = 0; i < 6 * 60; i++) {
+      engine.step(engine.fixedTimestep);
+      expect(insideHouse(tk.pos)).toBe(false);
+    }
+
+    expect(frontDoor.health).toBeLessThan(frontDoor.maxHealth);
+    expect(barn.health).toBe(barn.maxHealth);
+  });
+
+  it('should let zombies in through a broken door to drain the barn core', () => {
+    const onBarnDamaged = vi.fn();
+    engine.onEvent('BARN_DAMAGED', onBarnDamaged);
+    breakOpening(frontDoor);
+    const tk = addZombie(engine, frontDoor.pos.x + 3, frontDoor.pos.z + 4);
+
+    stepSeconds(engine, 15);
+
+    expect(tk.inHouse).toBe(true);
+    expect(insideHouse(tk.pos)).toBe(true);
+    expect(barn.health).toBeLessThan(barn.maxHealth);
+    expect(onBarnDamaged).toHaveBeenCalledWith(expect.objectContaining({ amount: tk.dmg, maxHealth: barn.maxHealth }));
+  });
+
+  it('should send zombies around to a broken window', () => {
+    const win = engine.houseWindows[0];
+    breakOpening(win);
+    const side = Math.sign(win.pos.x - engine.state.house.pos.x);
+    const tk = addZombie(engine, frontDoor.pos.x - side * 3, frontDoor.pos.z + 3);
+
+    stepSeconds(engine, 40);
+
+    expect(tk.inHouse).toBe(true);
+    expect(barn.health).toBeLessThan(barn.maxHealth);
+  });
+
+  it('should keep attacking the core after the player leaves', () => {
+    const tk = addZombie(engine, barn.pos.x + 1, barn.pos.z);
+    tk.inHouse = true;
+    engine.state.player.isInside = false;
+    engine.state.player.pos.set(-30, 0, -30);
+
+    stepSeconds(engine, 1.1);
+
+    expect(barn.health).toBe(barn.maxHealth - 2 * tk.dmg);
+  });
+
+  it('should end the run when the barn core falls', () => {
+    const onGameOver = vi.fn();
+    engine.on('onGameOver', onGameOver);
+    barn.health = 1;
+    for (let i = 0; i < 3; i++) {
+      addZombie(engine, barn.pos.x + i * 0.3, barn.pos.z).inHouse = true;
+    }
+
+    stepSeconds(engine, 0.5);
+
+    expect(barn.health).toBe(0);
+    expect(engine.phase).toBe(GamePhase.GAME_OVER);
+    expect(onGameOver).toHaveBeenCalledTimes(1);
+  });
+
+  it('should soften core hits with house armor', () => {
+    engine.state.upgrades.houseArmor = 2;
+    const tk = addZombie(engine, barn.pos.x, barn.pos.z);
+    tk.inHouse = true;
+
+    engine.step(engine.fixedTimestep);
+
+    expect(barn.health).toBeCloseTo(barn.maxHealth - tk.dmg * 0.8);
+  });
+
+  it('should report the core and breaches in the snapshot', () => {
+    breakOpening(frontDoor);
+    barn.health = 100;
+
+    expect(engine.getSnapshot()).toMatchObject({ barnHealth: 100, barnMaxHealth: barn.maxHealth, breaches: 1 });
+  });
+
+  it('should restore the core on reset and keep zombies inside across a run save', () => {
+    const tk = addZombie(engine, barn.pos.x + 3, barn.pos.z);
+    tk.inHouse = true;
+    barn.health = 90;
+    const save = engine.serializeRun();
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(JSON.parse(JSON.stringify(save)))).toBe(true);
+    expect(restored.state.barn.health).toBe(90);
+    expect(restored.state.zombies[0].inHouse).toBe(true);
+    restored.dispose();
+
+    engine.reset();
+    expect(barn.health).toBe(barn.maxHealth);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Boss Fight Integration Tests
+ *
+ * Puts an Overlord into a headless engine and checks phase announcements,
+ * summons, ground slams against turrets, the boss snapshot for the HUD and
+ * run save round trips.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine, ZombieTypes } from '../../GameEngine.js';
+import { BossPhases } from '../../GameConfig.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Boss Fight Integration', () => {
+  let engine;
+  let boss;
+  let onBannerChange;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    onBannerChange = vi.fn();
+    engine.on('onBannerChange', onBannerChange);
+    startHeadlessGame(engine, 51, { playerPos: null });
+    onBannerChange.mockClear();
+
+    boss = addZombie(engine, 0, 20, 'BOSS');
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  it('should spawn in the highest phase with fresh timers', () => {
+    expect(boss.bossPhase).toBe(ZombieTypes.BOSS.phases);
+    expect(boss.bossState).toMatchObject({ charge: null });
+    expect(engine._createZombie(new THREE.Vector3(), 'STANDARD').bossState).toBeNull();
+  });
+
+  it('should announce each phase through the banner', () => {
+    const onPhase = vi.fn();
+    engine.onEvent('BOSS_PHASE_CHANGED', onPhase);
+
+    boss.hp = boss.maxHp * 0.5;
+    engine.step(engine.fixedTimestep);
+
+    expect(boss.bossPhase).toBe(2);
+    expect(onBannerChange).toHaveBeenCalledWith(BossPhases[2].banner);
+    expect(onPhase).toHaveBeenCalledWith({ phase: 2, name: BossPhases[2].name });
+
+    boss.hp = boss.maxHp * 0.2;
+    engine.step(engine.fixedTimestep);
+    expect(onBannerChange).toHaveBeenCalledWith(BossPhases[1].banner);
+  });
+
+  it('should summon minions without changing the wave spawn count', () => {
+    const toSpawn = engine.state.toSpawn;
+
+    stepSeconds(engine, BossPhases[3].summon.interval + 0.1);
+
+    const minions = engine.state.zombies.filter(tk => tk !== boss);
+    expect(minions).toHaveLength(BossPhases[3].summon.count);
+    expect(minions.every(tk => tk.type === BossPhases[3].summon.type)).toBe(true);
+    expect(engine.state.toSpawn).toBe(toSpawn);
+  });
+
+  it('should damage nearby turrets with the ground slam', () => {
+    const near = addTurret(engine, 'BASIC', 3, 20);
+    const far = addTurret(engine, 'BASIC', -30, -30);
+    const nearHealth = engine.damageManager.getDamageable(near).health;
+
+    boss.hp = boss.maxHp * 0.5;
+    engine.step(engine.fixedTimestep);
+    boss.bossState.chargeTimer = 100;
+    stepSeconds(engine, BossPhases[2].slam.interval / 2);
+
+    expect(engine.damageManager.getDamageable(near).health).toBe(nearHealth - BossPhases[2].slam.damage);
+    expect(engine.damageManager.getDamageable(far).health).toBe(engine.damageManager.getDamageable(far).maxHealth);
+  });
+
+  it('should remove turrets the slam destroys', () => {
+    const turret = addTurret(engine, 'BASIC', 3, 20);
+    engine.damageManager.getDamageable(turret).health = 1;
+
+    boss.hp = boss.maxHp * 0.5;
+    engine.step(engine.fixedTimestep);
+    boss.bossState.chargeTimer = 100;
+    stepSeconds(engine, BossPhases[2].slam.interval / 2);
+
+    expect(engine.state.turrets).not.toContain(turret);
+  });
+
+  it('should hold still while winding up a charge then dash', () => {
+    boss.hp = boss.maxHp * 0.5;
+    stepSeconds(engine, BossPhases[2].charge.interval / 2 + 0.05);
+    expect(boss.bossState.charge).not.toBeNull();
+
+    const windupStart = boss.pos.clone();
+    engine.step(engine.fixedTimestep);
+    expect(boss.pos.distanceTo(windupStart)).toBe(0);
+
+    stepSeconds(engine, BossPhases[2].charge.windup);
+    const dashStart = boss.pos.clone();
+    stepSeconds(engine, 0.2);
+    expect(boss.pos.distanceTo(dashStart)).toBeGreaterThan(ZombieTypes.BOSS.speed * 0.2 * 2);
+  });
+
+  it('should report the living boss in the snapshot', () => {
+    boss.hp = boss.maxHp * 0.5;
+    engine.step(engine.fixedTimestep);
+
+    expect(engine.getSnapshot().boss).toEqual({
+      name: 'Overlord', hp: boss.hp, maxHp: boss.maxHp, phase: 2, phases: ZombieTypes.BOSS.phases
+    });
+
+    boss.dead = true;
+    expect(engine.getSnapshot().boss).toBeNull();
+  });
+
+  it('should keep boss phase and timers across a run save', () => {
+    boss.hp = boss.maxHp * 0.5;
+    stepSeconds(engine, 1);
+    const save = engine.serializeRun();
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(JSON.parse(JSON.stringify(save)))).toBe(true);
+
+    const restoredBoss = restored.state.zombies.find(tk => tk.type === 'BOSS');
+    expect(restoredBoss.bossPhase).toBe(2);
+    expect(restoredBoss.bossState).toEqual(boss.bossState);
+    restored.dispose();
+  });
+});
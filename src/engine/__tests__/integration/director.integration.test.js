@@ -0,0 +1,168 @@
+/**
+ * Difficulty Director Integration Tests
+ *
+ * Runs a headless engine under the director: choosing a preset, faster
+ * spawning on harder presets, bonus zombies joining the wave, the decision
+ * log in the performance snapshot, and carrying the preset through replays
+ * and run saves.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameEngine } from '../../GameEngine.js';
+import { DifficultyPresets, DirectorTuning } from '../../GameConfig.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds } from '../../../test-utils/engine.js';
+
+describe('Difficulty Director Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Keep the player well away from the horde
+  const startRun = (difficulty, seed = 61) => {
+    engine.setDifficulty(difficulty);
+    startHeadlessGame(engine, seed);
+  };
+
+  // ==========================================
+  // Presets
+  // ==========================================
+
+  describe('presets', () => {
+    it('should start new games on the chosen preset', () => {
+      startRun('HARD');
+
+      expect(engine.director.difficulty).toBe('HARD');
+      expect(engine.director.pressure).toBe(DifficultyPresets.HARD.basePressure);
+    });
+
+    it('should keep a run in progress on its preset until the next game', () => {
+      startRun('HARD');
+      engine.setDifficulty('CASUAL');
+      expect(engine.director.difficulty).toBe('HARD');
+
+      engine.startGame(false, 61);
+      expect(engine.director.difficulty).toBe('CASUAL');
+    });
+
+    it('should warn about and ignore unknown presets', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(engine.setDifficulty('INSANE')).toBe(false);
+      expect(warn).toHaveBeenCalledWith('[GameEngine] Unknown difficulty:', 'INSANE');
+      expect(engine.difficulty).toBe('NORMAL');
+    });
+
+    it('should spawn a wave faster on harder presets', () => {
+      const spawnedAfter = (difficulty) => {
+        startRun(difficulty);
+        engine.state.activeWaveNumber = 4;
+        engine.startWave();
+        stepSeconds(engine, 8);
+        return engine.state.totalSpawnedThisWave;
+      };
+
+      const casual = spawnedAfter('CASUAL');
+      const nightmare = spawnedAfter('NIGHTMARE');
+      expect(nightmare).toBeGreaterThan(casual);
+    });
+  });
+
+  // ==========================================
+  // Decisions
+  // ==========================================
+
+  describe('decisions', () => {
+    it('should only assess the player while a wave is active', () => {
+      const onDecision = vi.fn();
+      engine.onEvent('DIRECTOR_DECISION', onDecision);
+      startRun('NORMAL');
+
+      stepSeconds(engine, DirectorTuning.evaluateInterval * 2);
+      expect(onDecision).not.toHaveBeenCalled();
+
+      engine.startWave();
+      stepSeconds(engine, DirectorTuning.evaluateInterval + 0.1);
+      expect(onDecision).toHaveBeenCalledTimes(1);
+      expect(onDecision).toHaveBeenCalledWith(expect.objectContaining({ wave: 1, pressure: engine.director.pressure }));
+    });
+
+    it('should add bonus zombies to the wave for a comfortable player', () => {
+      const onDecision = vi.fn();
+      engine.onEvent('DIRECTOR_DECISION', onDecision);
+      startRun('NIGHTMARE');
+      engine.startWave();
+      const planned = engine.state.expectedThisWave;
+
+      // Hoarding corn and killing instantly
+      engine.state.currency = 5000;
+      engine.director.recordKill(0);
+      engine.state.totalSpawnedThisWave = Math.ceil(planned * DirectorTuning.bonusMinProgress);
+      const zombiesBefore = engine.state.zombies.length;
+      stepSeconds(engine, DirectorTuning.evaluateInterval + 0.1);
+
+      const { bonus } = onDecision.mock.calls[0][0];
+      expect(bonus).toEqual({ type: 'STANDARD', count: expect.any(Number) });
+      expect(engine.state.expectedThisWave).toBe(planned + bonus.count);
+      expect(engine.state.zombies.length).toBeGreaterThanOrEqual(zombiesBefore + bonus.count);
+      expect(engine.director.bonusThisWave).toBe(bonus.count);
+    });
+
+    it('should report its state and recent decisions in the performance snapshot', () => {
+      startRun('HARD');
+      engine.startWave();
+      stepSeconds(engine, DirectorTuning.evaluateInterval * 2 + 0.1);
+
+      const { director } = engine._getPerformanceSnapshot();
+      expect(director).toMatchObject({ difficulty: 'HARD', name: 'Hard', pressure: expect.any(Number) });
+      expect(director.log).toHaveLength(2);
+    });
+  });
+
+  // ==========================================
+  // Replays and saves
+  // ==========================================
+
+  it('should replay a run on the difficulty it was recorded on', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    startRun('NIGHTMARE');
+    engine.startWave();
+    stepSeconds(engine, 12);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+    const zombies = engine.state.zombies.map(tk => tk.type);
+    expect(replay.difficulty).toBe('NIGHTMARE');
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.setDifficulty('CASUAL');
+    expect(viewer.playReplay(replay)).toBe(true);
+    expect(viewer.director.difficulty).toBe('NIGHTMARE');
+    stepSeconds(viewer, 12);
+
+    expect(viewer.state.zombies.map(tk => tk.type)).toEqual(zombies);
+    expect(viewer.difficulty).toBe('CASUAL');
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+
+  it('should restore the preset and director state from a run save', () => {
+    startRun('HARD');
+    engine.startWave();
+    engine.director.recordKill(4);
+    stepSeconds(engine, DirectorTuning.evaluateInterval + 1);
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.director.difficulty).toBe('HARD');
+    expect(restored.director.serialize()).toEqual(engine.director.serialize());
+    expect(restored.state.zombies.map(tk => tk.spawnedAt)).toEqual(engine.state.zombies.map(tk => tk.spawnedAt));
+    restored.dispose();
+  });
+});
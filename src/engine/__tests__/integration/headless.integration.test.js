@@ -0,0 +1,195 @@
+/**
+ * Headless Simulation Integration Tests
+ *
+ * Runs the real GameEngine update systems without a scene, renderer or
+ * physics world, driving the simulation through step(dt).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine, GamePhase } from '../../GameEngine.js';
+
+const DT = 1 / 30;
+
+function stepFor(engine, seconds) {
+  const steps = Math.ceil(seconds / DT);
+  for (let i = 0; i < steps; i++) {
+    engine.step(DT);
+  }
+}
+
+describe('Headless Simulation Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new GameEngine();
+    engine.initHeadless();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    engine = null;
+  });
+
+  describe('initHeadless', () => {
+    it('should initialize simulation data without a view', () => {
+      expect(engine.headless).toBe(true);
+      expect(engine.scene).toBeNull();
+      expect(engine.renderer).toBeNull();
+      expect(engine.physicsWorld).toBeNull();
+      expect(engine.terrainHeights.size).toBe(2500);
+    });
+
+    it('should build house openings with world positions', () => {
+      expect(engine.state.house.width).toBe(10);
+      expect(engine.state.house.depth).toBe(12);
+      expect(engine.houseDoors).toHaveLength(1);
+      expect(engine.houseWindows).toHaveLength(2);
+
+      const door = engine.houseDoors[0];
+      expect(door.mesh).toBeNull();
+      expect(door.pos.x).toBeCloseTo(-40);
+      expect(door.pos.z).toBeCloseTo(-40 + 6.16);
+    });
+
+    it('should ignore a second initialization', () => {
+      const heights = engine.terrainHeights;
+      engine.initHeadless();
+      expect(engine.terrainHeights).toBe(heights);
+    });
+  });
+
+  describe('step', () => {
+    it('should not advance before the game starts', () => {
+      engine.step(DT);
+      expect(engine.simTime).toBe(0);
+    });
+
+    it('should not advance while paused', () => {
+      engine.startGame(false);
+      engine.togglePause();
+      engine.step(DT);
+      expect(engine.simTime).toBe(0);
+    });
+
+    it('should spawn and move zombies without meshes', () => {
+      engine.startGame(false);
+      engine.startWave();
+      expect(engine.phase).toBe(GamePhase.WAVE_ACTIVE);
+
+      stepFor(engine, 3);
+
+      expect(engine.state.zombies.length).toBeGreaterThan(0);
+      for (const tk of engine.state.zombies) {
+        expect(tk.mesh).toBeNull();
+        expect(tk.pos.x).toBeLessThan(70);
+      }
+    });
+
+    it('should complete a wave once every spawned zombie is dead', () => {
+      engine.startGame(false);
+      engine.startWave();
+
+      for (let i = 0; i < 2000 && engine.state.toSpawn > 0; i++) {
+        engine.step(DT);
+        engine.state.zombies.filter(tk => !tk.dead).forEach(tk => engine._killZombie(tk));
+      }
+      const currencyBefore = engine.state.currency;
+      engine.step(DT);
+
+      expect(engine.state.toSpawn).toBe(0);
+      expect(engine.phase).toBe(GamePhase.WAVE_COMPLETE);
+      expect(engine.state.currency).toBe(currencyBefore + 25);
+    });
+
+    it('should fire player projectiles as plain data', () => {
+      engine.startGame(false);
+      engine.state.aim.set(0, 0, 0);
+      engine.state.input.firing = true;
+
+      engine.step(DT);
+
+      expect(engine.state.projectiles.length).toBeGreaterThan(0);
+      expect(engine.state.projectiles[0].mesh).toBeNull();
+      expect(engine.particles).toHaveLength(0);
+    });
+  });
+
+  describe('determinism', () => {
+    function runGame(seed) {
+      const sim = new GameEngine();
+      sim.initHeadless();
+      sim.startGame(false, seed);
+      sim.state.currency = 500;
+      sim.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+      sim.startWave();
+
+      for (let i = 0; i < 600; i++) {
+        if (i === 120) sim.state.input.firing = true;
+        sim.state.aim.set(20, 0, 0);
+        sim.step(sim.fixedTimestep);
+      }
+
+      return {
+        tick: sim.tick,
+        currency: sim.state.currency,
+        score: sim.state.score,
+        toSpawn: sim.state.toSpawn,
+        zombies: sim.state.zombies.map(tk => [tk.type, tk.hp, tk.bob, tk.pos.x, tk.pos.z])
+      };
+    }
+
+    it('should produce identical state for the same seed and inputs', () => {
+      const a = runGame(1234);
+      const b = runGame(1234);
+
+      expect(a.zombies.length).toBeGreaterThan(0);
+      expect(b).toEqual(a);
+    });
+
+    it('should diverge for different seeds', () => {
+      expect(runGame(1).zombies).not.toEqual(runGame(2).zombies);
+    });
+
+    it('should remember the run seed', () => {
+      engine.startGame(false, 77);
+      expect(engine.seed).toBe(77);
+      expect(engine.rng.seed).toBe(77);
+    });
+  });
+
+  describe('placeTurret', () => {
+    beforeEach(() => {
+      engine.startGame(false);
+      engine.state.currency = 500;
+    });
+
+    it('should place a turret without a mesh', () => {
+      const turret = engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+
+      expect(turret).not.toBeNull();
+      expect(turret.mesh).toBeNull();
+      expect(engine.state.turrets).toContain(turret);
+      expect(engine.damageManager.getDamageable(turret)).toBeDefined();
+      expect(engine.state.currency).toBe(400);
+    });
+
+    it('should reject invalid placement', () => {
+      const turret = engine.placeTurret('BASIC', new THREE.Vector3(-40, 0, -40));
+      expect(turret).toBeNull();
+      expect(engine.state.turrets).toHaveLength(0);
+    });
+
+    it('should shoot zombies in range', () => {
+      engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+      const zombie = engine._createZombie(new THREE.Vector3(-27, 0, -30), 'STANDARD');
+      engine.state.zombies.push(zombie);
+
+      stepFor(engine, 1);
+
+      expect(zombie.hp).toBeLessThan(zombie.maxHp);
+    });
+  });
+});
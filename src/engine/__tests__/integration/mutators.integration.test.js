@@ -0,0 +1,234 @@
+/**
+ * Mutator Integration Tests
+ *
+ * Runs a headless engine with mutators: choosing run mutators, each effect
+ * reaching its damage, speed, reward or fog hook, wave mutators from scripts
+ * and endless rolls, the history shown at game over, and carrying mutators
+ * through run saves and replays.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { Mutators, MutatorSchedule, ZombieTypes, WeaponTypes, TurretTypes } from '../../GameConfig.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds } from '../../../test-utils/engine.js';
+
+describe('Mutator Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  const startRun = (mutators, endless = false, seed = 73) => {
+    engine.setRunMutators(mutators);
+    startHeadlessGame(engine, seed, { endless });
+  };
+
+  const spawnZombie = (type = 'STANDARD') => engine._createZombie(new THREE.Vector3(10, 0, 10), type);
+
+  // Clear the field so the next tick completes the active wave
+  const finishWave = () => {
+    engine.state.toSpawn = 0;
+    engine.state.zombies = [];
+    engine.state.totalSpawnedThisWave = engine.state.expectedThisWave;
+    engine.step(engine.fixedTimestep);
+  };
+
+  // ==========================================
+  // Run mutators
+  // ==========================================
+
+  describe('run mutators', () => {
+    it('should start new games with the chosen mutators', () => {
+      startRun(['BOUNTY', 'FOG']);
+
+      expect(engine.state.runMutators).toEqual(['FOG', 'BOUNTY']);
+      expect(engine.activeMutators).toEqual(['FOG', 'BOUNTY']);
+
+      engine.setRunMutators([]);
+      expect(engine.activeMutators).toEqual(['FOG', 'BOUNTY']);
+    });
+
+    it('should warn about and ignore unknown mutators', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(engine.setRunMutators(['FOG', 'BLOOD_MOON'])).toBe(false);
+      expect(warn).toHaveBeenCalledWith('[GameEngine] Unknown mutators:', ['BLOOD_MOON']);
+      expect(engine.runMutators).toEqual([]);
+    });
+
+    it('should list active mutators in the snapshot', () => {
+      startRun(['FOG']);
+
+      expect(engine.getSnapshot().mutators).toEqual([
+        { key: 'FOG', name: Mutators.FOG.name, icon: Mutators.FOG.icon, description: Mutators.FOG.description }
+      ]);
+    });
+  });
+
+  // ==========================================
+  // Effects
+  // ==========================================
+
+  describe('effects', () => {
+    it('should speed up zombies with Fast Dead', () => {
+      startRun(['FAST_DEAD']);
+
+      expect(spawnZombie().spd).toBeCloseTo(ZombieTypes.STANDARD.speed * Mutators.FAST_DEAD.effects.zombieSpeed);
+    });
+
+    it('should cut damage zombies take with Armored', () => {
+      startRun(['ARMORED']);
+      const tk = spawnZombie('TANK');
+      const hp = tk.hp;
+
+      engine._damageZombie(tk, 10, { slow: 0 });
+      expect(hp - tk.hp).toBeCloseTo(10 * Mutators.ARMORED.effects.zombieDamageTaken);
+    });
+
+    it('should pay more corn per kill with Bounty', () => {
+      startRun(['BOUNTY']);
+      const tk = spawnZombie();
+      const corn = engine.state.currency;
+
+      engine._killZombie(tk);
+      expect(engine.state.currency - corn).toBe(Math.ceil(tk.val / 2 * Mutators.BOUNTY.effects.corn));
+    });
+
+    it('should raise damage both ways with Glass Cannon but leave turrets alone', () => {
+      startRun(['GLASS_CANNON']);
+      const { playerDamage, playerDamageTaken } = Mutators.GLASS_CANNON.effects;
+      const dir = new THREE.Vector3(1, 0, 0);
+
+      const turretShot = { origin: new THREE.Vector3(), direction: dir };
+
+      expect(engine._createProjectile(dir, 'PITCHFORK').dmg).toBeCloseTo(WeaponTypes.PITCHFORK.damage * playerDamage);
+      expect(engine._createProjectile(turretShot, 'BASIC', true).dmg).toBe(TurretTypes.BASIC.damage);
+
+      const tk = spawnZombie();
+      const health = engine.state.player.health;
+      engine._zombieAttackPlayer(tk);
+      expect(health - engine.state.player.health).toBeCloseTo(tk.dmg * playerDamageTaken);
+    });
+
+    it('should thicken the scene fog with Fog and clear it for the next game', () => {
+      engine.scene = new THREE.Scene();
+      engine.scene.fog = new THREE.FogExp2(0x2C3E50, 0.035);
+
+      startRun(['FOG']);
+      expect(engine.scene.fog.density).toBeCloseTo(0.035 * Mutators.FOG.effects.fogDensity);
+
+      startRun([]);
+      expect(engine.scene.fog.density).toBeCloseTo(0.035);
+    });
+  });
+
+  // ==========================================
+  // Wave mutators
+  // ==========================================
+
+  describe('wave mutators', () => {
+    it('should run a scripted wave\'s mutators for that wave only', () => {
+      engine.loadWaveScript({
+        waves: [
+          { groups: [{ type: 'STANDARD', count: 2 }], mutators: ['FAST_DEAD'] },
+          { groups: [{ type: 'STANDARD', count: 2 }] }
+        ]
+      });
+      startRun([]);
+      expect(engine.getSnapshot().mutators.map(mutator => mutator.key)).toEqual(['FAST_DEAD']);
+
+      const onStarted = vi.fn();
+      engine.onEvent('WAVE_STARTED', onStarted);
+      engine.startWave();
+      expect(onStarted).toHaveBeenCalledWith(expect.objectContaining({ mutators: ['FAST_DEAD'] }));
+      expect(engine.mutatorEffects.zombieSpeed).toBe(Mutators.FAST_DEAD.effects.zombieSpeed);
+
+      finishWave();
+      expect(engine.activeMutators).toEqual([]);
+      expect(engine.mutatorEffects.zombieSpeed).toBe(1);
+      expect(engine.state.nextWaveMutators).toEqual([]);
+    });
+
+    it('should roll endless mutators on schedule and announce them ahead of time', () => {
+      const onPlanned = vi.fn();
+      engine.onEvent('MUTATORS_PLANNED', onPlanned);
+      startRun(['BOUNTY'], true);
+      expect(engine.state.nextWaveMutators).toEqual([]);
+
+      engine.state.activeWaveNumber = MutatorSchedule.endlessEvery - 1;
+      engine._planWaveMutators();
+
+      const { mutators } = onPlanned.mock.calls.at(-1)[0];
+      expect(mutators).toHaveLength(MutatorSchedule.endlessCount);
+      expect(mutators).not.toContain('BOUNTY');
+      const upcoming = engine.getSnapshot().mutators.map(mutator => mutator.key);
+      expect(upcoming).toHaveLength(mutators.length + 1);
+      expect(upcoming).toEqual(expect.arrayContaining(['BOUNTY', ...mutators]));
+    });
+
+    it('should report the mutators faced at game over', () => {
+      const onGameOver = vi.fn();
+      engine.on('onGameOver', onGameOver);
+      engine.loadWaveScript({ waves: [{ groups: [{ type: 'STANDARD', count: 2 }], mutators: ['FOG'] }] });
+      startRun(['ARMORED']);
+      engine.startWave();
+      finishWave();
+      engine.startWave();
+
+      engine.state.player.health = 1;
+      engine._zombieAttackPlayer(spawnZombie());
+
+      expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({
+        mutatorHistory: [{ wave: 1, mutators: ['FOG', 'ARMORED'] }, { wave: 2, mutators: ['ARMORED'] }]
+      }));
+    });
+  });
+
+  // ==========================================
+  // Saves and replays
+  // ==========================================
+
+  it('should restore run and wave mutators from a run save', () => {
+    startRun(['GLASS_CANNON'], true);
+    engine.state.activeWaveNumber = MutatorSchedule.endlessEvery - 1;
+    engine._planWaveMutators();
+    engine.startWave();
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.activeMutators).toEqual(engine.activeMutators);
+    expect(restored.mutatorEffects).toEqual(engine.mutatorEffects);
+    expect(restored.state.mutatorHistory).toEqual(engine.state.mutatorHistory);
+    restored.dispose();
+  });
+
+  it('should replay a run with the mutators it was recorded with', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    startRun(['FAST_DEAD']);
+    engine.startWave();
+    stepSeconds(engine, 10);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+    const positions = engine.state.zombies.map(tk => tk.pos.x);
+    expect(replay.mutators).toEqual(['FAST_DEAD']);
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.setRunMutators(['FOG']);
+    expect(viewer.playReplay(replay)).toBe(true);
+    expect(viewer.activeMutators).toEqual(['FAST_DEAD']);
+    stepSeconds(viewer, 10);
+
+    expect(viewer.state.zombies.map(tk => tk.pos.x)).toEqual(positions);
+    expect(viewer.runMutators).toEqual(['FOG']);
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+});
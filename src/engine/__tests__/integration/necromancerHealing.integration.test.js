@@ -0,0 +1,104 @@
+/**
+ * Necromancer Healing Integration Tests
+ *
+ * Places Necromancers next to wounded zombies in a headless engine and
+ * checks the pulse heal: range, maxHp cap, interval, freeze and the
+ * ZOMBIES_HEALED event the HUD announces.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ZombieTypes } from '../../GameEngine.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie } from '../../../test-utils/engine.js';
+
+const HEALER = ZombieTypes.HEALER;
+
+describe('Necromancer Healing Integration', () => {
+  let engine;
+  let onHealed;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 41, { playerPos: null });
+    onHealed = vi.fn();
+    engine.onEvent('ZOMBIES_HEALED', onHealed);
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  it('should heal wounded zombies in range up to their max HP', () => {
+    addZombie(engine, 0, 20, 'HEALER');
+    const badlyHurt = addZombie(engine, 2, 20, 'TANK');
+    const scratched = addZombie(engine, 0, 22, 'STANDARD');
+    badlyHurt.hp = 50;
+    scratched.hp = scratched.maxHp - 3;
+
+    engine.step(engine.fixedTimestep);
+
+    expect(badlyHurt.hp).toBe(50 + HEALER.healAmount);
+    expect(scratched.hp).toBe(scratched.maxHp);
+    expect(onHealed).toHaveBeenCalledWith({ type: 'HEALER', healed: 2, amount: HEALER.healAmount + 3 });
+  });
+
+  it('should not heal itself or zombies out of range', () => {
+    const healer = addZombie(engine, 0, 20, 'HEALER');
+    const distant = addZombie(engine, HEALER.healRadius + 5, 20, 'STANDARD');
+    healer.hp = 10;
+    distant.hp = 10;
+
+    engine.step(engine.fixedTimestep);
+
+    expect(healer.hp).toBe(10);
+    expect(distant.hp).toBe(10);
+    expect(onHealed).not.toHaveBeenCalled();
+  });
+
+  it('should wait the heal interval between pulses', () => {
+    addZombie(engine, 0, 20, 'HEALER');
+    const tank = addZombie(engine, 1, 20, 'TANK');
+    tank.hp = 20;
+
+    engine.step(engine.fixedTimestep);
+    stepSeconds(engine, HEALER.healInterval - 0.2);
+    expect(tank.hp).toBe(20 + HEALER.healAmount);
+
+    stepSeconds(engine, 0.3);
+    expect(tank.hp).toBe(20 + HEALER.healAmount * 2);
+    expect(onHealed).toHaveBeenCalledTimes(2);
+  });
+
+  it('should heal as soon as an ally is hurt after an idle stretch', () => {
+    addZombie(engine, 0, 20, 'HEALER');
+    const walker = addZombie(engine, 1, 20, 'STANDARD');
+
+    stepSeconds(engine, HEALER.healInterval * 2);
+    expect(onHealed).not.toHaveBeenCalled();
+
+    walker.hp = 5;
+    engine.step(engine.fixedTimestep);
+    expect(walker.hp).toBe(5 + HEALER.healAmount);
+  });
+
+  it('should not heal while enemies are frozen', () => {
+    addZombie(engine, 0, 20, 'HEALER');
+    const walker = addZombie(engine, 1, 20, 'STANDARD');
+    walker.hp = 5;
+    engine.useAbility('FREEZE');
+
+    engine.step(engine.fixedTimestep);
+
+    expect(walker.hp).toBe(5);
+  });
+
+  it('should skip dead zombies', () => {
+    addZombie(engine, 0, 20, 'HEALER');
+    const corpse = addZombie(engine, 1, 20, 'STANDARD');
+    corpse.hp = 0;
+    corpse.dead = true;
+
+    engine.step(engine.fixedTimestep);
+
+    expect(corpse.hp).toBe(0);
+  });
+});
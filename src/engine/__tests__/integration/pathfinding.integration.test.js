@@ -0,0 +1,117 @@
+/**
+ * Pathfinding Integration Tests
+ *
+ * Runs zombies over the engine's flow fields in headless mode: routing around
+ * the house and turret walls, keeping turret placement from sealing the
+ * zombie path, and reopening routes when turrets are destroyed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { WorldLayout } from '../../GameConfig.js';
+import { getGateLayout } from '../../waves/SpawnGates.js';
+import { ValidationCode } from '../../BuildingValidator.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+const insideRect = (pos, rect) => pos.x > rect.minX && pos.x < rect.maxX && pos.z > rect.minZ && pos.z < rect.maxZ;
+
+describe('Pathfinding Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 61, { playerPos: null });
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Run until the zombie is next to the player, checking every tick
+  const walk = (tk, seconds, check) => {
+    for (let i = 0; i < seconds * 60; i++) {
+      engine.step(engine.fixedTimestep);
+      check?.(tk.pos);
+      if (tk.pos.distanceTo(engine.state.player.pos) < 1.5) return true;
+    }
+    return false;
+  };
+
+  it('should bring zombies from the spawn corridor through the treeline gap', () => {
+    const tk = addZombie(engine, WorldLayout.spawnCorridorEnd - 5, 3, 'RUNNER');
+    const { gap } = getGateLayout('EAST');
+
+    const reached = walk(tk, 90, (pos) => {
+      if (pos.x > WorldLayout.treelineEdge - 1) {
+        expect(pos.z).toBeGreaterThan(gap.min);
+        expect(pos.z).toBeLessThan(gap.max);
+      }
+    });
+    expect(reached).toBe(true);
+  });
+
+  it('should walk around the house instead of through it', () => {
+    const house = engine._houseRect();
+    engine.state.player.pos.set(-40, 0, house.minZ - 3);
+    const tk = addZombie(engine, -40, house.maxZ + 6, 'RUNNER');
+
+    expect(walk(tk, 40, (pos) => expect(insideRect(pos, house)).toBe(false))).toBe(true);
+  });
+
+  it('should route around a wall of turrets', () => {
+    // Turret wall across x = -25 from the north treeline down to z = -20
+    const turrets = [];
+    for (let z = -53; z <= -20; z += 1.5) {
+      const turret = addTurret(engine, 'BASIC', -25, z);
+      turret.cooldown = Infinity; // Hold fire so the zombie lives to walk the route
+      turrets.push(turret);
+    }
+    engine.state.player.pos.set(-30, 0, -30);
+    const tk = addZombie(engine, -18, -30, 'RUNNER');
+
+    const reached = walk(tk, 40, (pos) => {
+      expect(turrets.some(t => pos.distanceTo(t.pos) < 0.5)).toBe(false);
+    });
+    expect(reached).toBe(true);
+  });
+
+  it('should reject a turret that would seal off the house', () => {
+    // Wall across x = -30 with a single gap at z = -10
+    engine.navGrid.setObstacle('wall-north', { minX: -30.5, maxX: -29.5, minZ: -55, maxZ: -11 });
+    engine.navGrid.setObstacle('wall-south', { minX: -30.5, maxX: -29.5, minZ: -9, maxZ: 55 });
+
+    const blocked = engine._validateTurretPlacement(new THREE.Vector3(-30, 0, -10));
+    expect(blocked.ok).toBe(false);
+    expect(blocked.reasons).toContainEqual({ code: ValidationCode.PATH_BLOCKED, message: 'Would block the zombie path' });
+
+    expect(engine._validateTurretPlacement(new THREE.Vector3(-34, 0, -20)).ok).toBe(true);
+  });
+
+  it('should not place a turret that blocks the path', () => {
+    engine.navGrid.setObstacle('wall-north', { minX: -30.5, maxX: -29.5, minZ: -55, maxZ: -11 });
+    engine.navGrid.setObstacle('wall-south', { minX: -30.5, maxX: -29.5, minZ: -9, maxZ: 55 });
+    engine.state.currency = 1000;
+
+    expect(engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -10))).toBeNull();
+    expect(engine.state.turrets).toHaveLength(0);
+  });
+
+  it('should reopen a route when a turret is destroyed', () => {
+    const turret = addTurret(engine, 'BASIC', -30, -30);
+    const cell = engine.navGrid.cellIndex(-30, -30);
+    expect(engine.navGrid.isBlocked(cell)).toBe(true);
+
+    engine.damageManager.applyDamage(turret, 10000);
+
+    expect(engine.state.turrets).not.toContain(turret);
+    expect(engine.navGrid.isBlocked(cell)).toBe(false);
+  });
+
+  it('should clear turret obstacles when the game resets', () => {
+    addTurret(engine, 'BASIC', -30, -30);
+    engine.reset();
+
+    expect(engine.navGrid.isBlocked(engine.navGrid.cellIndex(-30, -30))).toBe(false);
+    expect(engine.navGrid.isBlocked(engine.navGrid.cellIndex(-40, -40))).toBe(true);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Replay Integration Tests
+ *
+ * Records headless runs and plays them back through a fresh engine,
+ * checking that the seed plus recorded inputs reproduce the same state.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine, GamePhase } from '../../GameEngine.js';
+import { REPLAY_VERSION } from '../../replay/InputRecorder.js';
+
+function recordRun(seed) {
+  const engine = new GameEngine();
+  engine.initHeadless();
+  engine.startGame(false, seed);
+
+  for (let i = 0; i < 900; i++) {
+    if (i === 10) engine.setWeapon('EGG_BLASTER');
+    if (i === 20) engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+    if (i === 30) engine.startWave();
+    if (i === 60) engine.state.input.d = true;
+    if (i === 120) engine.state.input.d = false;
+    if (i === 150) engine.state.input.firing = true;
+    if (i === 400) engine.useAbility('FREEZE');
+    if (i === 500) engine.buyUpgrade('fireRate', 60);
+    engine.state.aim.set(20, 0, Math.sin(i / 30) * 10);
+    engine.step(engine.fixedTimestep);
+  }
+
+  return engine;
+}
+
+function captureState(engine) {
+  return {
+    tick: engine.tick,
+    currency: engine.state.currency,
+    score: engine.state.score,
+    weapon: engine.state.currentWeapon,
+    upgrades: { ...engine.state.upgrades },
+    player: [engine.state.player.pos.x, engine.state.player.pos.z],
+    turrets: engine.state.turrets.map(t => [t.type, t.pos.x, t.pos.z]),
+    zombies: engine.state.zombies.map(tk => [tk.type, tk.hp, tk.pos.x, tk.pos.z])
+  };
+}
+
+function playToEnd(engine, replay) {
+  engine.playReplay(replay);
+  for (let i = 0; i < replay.durationTicks + 10 && engine.isReplaying; i++) {
+    engine.step(engine.fixedTimestep);
+  }
+}
+
+describe('Replay Integration', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('exportReplay', () => {
+    it('should return null before a game starts', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      expect(engine.exportReplay()).toBeNull();
+    });
+
+    it('should export a versioned replay with seed, config and inputs', () => {
+      const engine = recordRun(42);
+      const replay = engine.exportReplay();
+
+      expect(replay.version).toBe(REPLAY_VERSION);
+      expect(replay.seed).toBe(42);
+      expect(replay.config.seed).toBe(42);
+      expect(replay.config.maxZombies).toBe(engine.config.maxZombies);
+      expect(replay.durationTicks).toBe(900);
+      expect(replay.summary.score).toBe(engine.state.score);
+      expect(replay.inputs.map(i => i.type)).toEqual(expect.arrayContaining([
+        'controls', 'setWeapon', 'placeTurret', 'startWave', 'useAbility', 'buyUpgrade'
+      ]));
+    });
+
+    it('should stamp inputs with the tick they are consumed on', () => {
+      const engine = recordRun(42);
+      const { inputs } = engine.exportReplay();
+
+      expect(inputs.find(i => i.type === 'setWeapon')).toEqual({ tick: 10, type: 'setWeapon', weaponKey: 'EGG_BLASTER' });
+      expect(inputs.find(i => i.type === 'startWave').tick).toBe(30);
+      expect(inputs.find(i => i.type === 'controls' && i.values.d === true).tick).toBe(60);
+    });
+
+    it('should only record control values that changed', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      engine.startGame(false, 1);
+      engine.step(engine.fixedTimestep);
+      engine.step(engine.fixedTimestep);
+      engine.state.input.w = true;
+      engine.step(engine.fixedTimestep);
+
+      const controls = engine.exportReplay().inputs.filter(i => i.type === 'controls');
+      expect(controls).toHaveLength(2);
+      expect(controls[1]).toEqual({ tick: 2, type: 'controls', values: { w: true } });
+    });
+  });
+
+  describe('playReplay', () => {
+    it('should reproduce the recorded run', () => {
+      const recorded = recordRun(1234);
+      const replay = JSON.parse(JSON.stringify(recorded.exportReplay()));
+
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      playToEnd(viewer, replay);
+
+      expect(recorded.state.zombies.length).toBeGreaterThan(0);
+      expect(captureState(viewer)).toEqual(captureState(recorded));
+    });
+
+    it('should pause and hand back control when the replay finishes', () => {
+      const replay = recordRun(7).exportReplay();
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      const ended = vi.fn();
+      viewer.onEvent('REPLAY_ENDED', ended);
+
+      playToEnd(viewer, replay);
+
+      expect(viewer.isReplaying).toBe(false);
+      expect(viewer.state.paused).toBe(true);
+      expect(viewer.state.input.firing).toBe(false);
+      expect(ended).toHaveBeenCalledWith({ tick: 900, completed: true });
+    });
+
+    it('should ignore live input while playing', () => {
+      const replay = recordRun(7).exportReplay();
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      viewer.playReplay(replay);
+
+      viewer.setWeapon('CORN_CANNON');
+      expect(viewer.buyUpgrade('weaponDamage', 10)).toBe(false);
+      viewer._handleKey({ code: 'Space' }, true);
+
+      expect(viewer.state.currentWeapon).toBe('PITCHFORK');
+      expect(viewer.state.upgrades.weaponDamage).toBe(0);
+      expect(viewer.phase).toBe(GamePhase.WAVE_PREP);
+    });
+
+    it('should not record while playing', () => {
+      const replay = recordRun(7).exportReplay();
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      viewer.playReplay(replay);
+      viewer.step(viewer.fixedTimestep);
+
+      expect(viewer.exportReplay()).toBeNull();
+    });
+
+    it('should apply and restore recorded gameplay settings', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      engine.updateSettings({ playerSpeed: 12 });
+      engine.startGame(false, 3);
+      engine.step(engine.fixedTimestep);
+      const replay = engine.exportReplay();
+
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      viewer.playReplay(replay);
+      expect(viewer.settings.playerSpeed).toBe(12);
+
+      viewer.stopReplay();
+      expect(viewer.settings.playerSpeed).toBe(8);
+    });
+
+    it('should stop playback when a new game starts', () => {
+      const replay = recordRun(7).exportReplay();
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      viewer.playReplay(replay);
+
+      viewer.startGame(false, 8);
+
+      expect(viewer.isReplaying).toBe(false);
+      expect(viewer.inputRecorder.recording).toBe(true);
+    });
+
+    it('should reject invalid replays', () => {
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(viewer.playReplay({ version: 99, seed: 1, durationTicks: 0, inputs: [] })).toBe(false);
+      expect(viewer.isReplaying).toBe(false);
+      expect(viewer.state.started).toBe(false);
+    });
+
+    it('should report replay mode in the snapshot', () => {
+      const replay = recordRun(7).exportReplay();
+      const viewer = new GameEngine();
+      viewer.initHeadless();
+
+      expect(viewer.getSnapshot().isReplay).toBe(false);
+      viewer.playReplay(replay);
+      expect(viewer.getSnapshot().isReplay).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Run Save Integration Tests
+ *
+ * Serializes headless runs mid-wave and between waves, restores them into
+ * a fresh engine and checks the rebuilt state matches and keeps simulating
+ * identically.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine, GamePhase } from '../../GameEngine.js';
+import { RUN_SAVE_VERSION, validateRunSave } from '../../save/RunSave.js';
+
+function playIntoWave(seed, ticks = 600) {
+  const engine = new GameEngine();
+  engine.initHeadless();
+  engine.startGame(false, seed);
+  engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+  engine.startWave();
+  engine.state.aim.set(20, 0, 0);
+  engine.state.input.firing = true;
+  for (let i = 0; i < ticks; i++) {
+    engine.step(engine.fixedTimestep);
+  }
+  return engine;
+}
+
+function restoreInto(save) {
+  const engine = new GameEngine();
+  engine.initHeadless();
+  expect(engine.restoreRun(JSON.parse(JSON.stringify(save)))).toBe(true);
+  return engine;
+}
+
+function captureState(engine) {
+  return {
+    phase: engine.phase,
+    tick: engine.tick,
+    wave: engine.state.activeWaveNumber,
+    toSpawn: engine.state.toSpawn,
+    currency: engine.state.currency,
+    score: engine.state.score,
+    player: [engine.state.player.pos.x, engine.state.player.pos.z, engine.state.player.health],
+    doors: engine.houseDoors.map(d => [d.health, d.destroyed]),
+    turrets: engine.state.turrets.map(t => [t.type, t.pos.x, t.pos.z, t.cooldown]),
+    zombies: engine.state.zombies.filter(tk => !tk.dead).map(tk => [tk.type, tk.hp, tk.pos.x, tk.pos.z, tk.slowTimer])
+  };
+}
+
+describe('Run Save Integration', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('serializeRun', () => {
+    it('should return null without a run in progress', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      expect(engine.serializeRun()).toBeNull();
+    });
+
+    it('should return null after game over', () => {
+      const engine = playIntoWave(1, 10);
+      engine.state.gameOver = true;
+      expect(engine.serializeRun()).toBeNull();
+    });
+
+    it('should produce plain JSON data that validates', () => {
+      const save = playIntoWave(3).serializeRun();
+
+      expect(save.version).toBe(RUN_SAVE_VERSION);
+      expect(save.phase).toBe(GamePhase.WAVE_ACTIVE);
+      expect(save.zombies.length).toBeGreaterThan(0);
+      expect(save.turrets).toHaveLength(1);
+      expect(JSON.parse(JSON.stringify(save))).toEqual(save);
+      expect(validateRunSave(save).ok).toBe(true);
+    });
+
+    it('should save the phase a paused run paused from', () => {
+      const engine = playIntoWave(3, 10);
+      engine.togglePause();
+      expect(engine.serializeRun().phase).toBe(GamePhase.WAVE_ACTIVE);
+    });
+  });
+
+  describe('restoreRun', () => {
+    it('should rebuild a mid-wave run', () => {
+      const original = playIntoWave(5);
+      original.state.zombies[0].slowTimer = 1.5;
+      original.houseDoors[0].health = 12;
+      const restored = restoreInto(original.serializeRun());
+
+      expect(captureState(restored)).toEqual(captureState(original));
+      expect(restored.damageManager.getDamageable(restored.state.turrets[0])).toBeDefined();
+      expect(restored.zombieGrid.queryRadius(restored.state.zombies[0].pos, 1)).toContain(restored.state.zombies[0]);
+    });
+
+    it('should continue simulating identically after restore', () => {
+      const original = playIntoWave(9);
+      const restored = restoreInto(original.serializeRun());
+      // Held input isn't part of a save
+      restored.state.aim.copy(original.state.aim);
+      restored.state.input.firing = original.state.input.firing;
+
+      for (let i = 0; i < 300; i++) {
+        original.step(original.fixedTimestep);
+        restored.step(restored.fixedTimestep);
+      }
+
+      expect(captureState(restored)).toEqual(captureState(original));
+    });
+
+    it('should resume between waves ready for the next wave', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      engine.startGame(false, 11);
+      engine.state.activeWaveNumber = 3;
+      engine.state.currency = 420;
+      engine.state.upgrades.fireRate = 2;
+      engine._setPhase(GamePhase.WAVE_ACTIVE);
+      engine._setPhase(GamePhase.WAVE_COMPLETE);
+
+      const restored = restoreInto(engine.serializeRun());
+
+      expect(restored.phase).toBe(GamePhase.WAVE_PREP);
+      expect(restored.upcomingWaveNumber).toBe(4);
+      expect(restored.state.currency).toBe(420);
+      expect(restored.state.upgrades.fireRate).toBe(2);
+
+      restored.startWave();
+      expect(restored.state.activeWaveNumber).toBe(4);
+    });
+
+    it('should rebuild an upgraded house with damaged openings', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      engine.startGame(false, 12);
+      engine.state.currency = 1000;
+      engine.upgradeHouse();
+      engine.houseWindows[1].health = 0;
+      engine.houseWindows[1].destroyed = true;
+
+      const restored = restoreInto(engine.serializeRun());
+
+      expect(restored.state.house.level).toBe(engine.state.house.level);
+      expect(restored.state.upgrades.houseLevel).toBe(1);
+      expect(restored.houseWindows).toHaveLength(engine.houseWindows.length);
+      expect(restored.houseWindows[1].destroyed).toBe(true);
+    });
+
+    it('should restore turret health into the damage system', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      engine.startGame(false, 13);
+      const turret = engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+      engine.damageManager.applyDamage(turret, 20);
+
+      const restored = restoreInto(engine.serializeRun());
+      const damageable = restored.damageManager.getDamageable(restored.state.turrets[0]);
+
+      expect(damageable.health).toBe(engine.damageManager.getDamageable(turret).health);
+    });
+
+    it('should not record a replay for a restored run', () => {
+      const restored = restoreInto(playIntoWave(5, 10).serializeRun());
+      expect(restored.exportReplay()).toBeNull();
+    });
+
+    it('should reject an invalid save', () => {
+      const engine = new GameEngine();
+      engine.initHeadless();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(engine.restoreRun({ version: RUN_SAVE_VERSION })).toBe(false);
+      expect(engine.state.started).toBe(false);
+    });
+  });
+});
+
+describe('validateRunSave', () => {
+  let save;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const engine = new GameEngine();
+    engine.initHeadless();
+    engine.startGame(false, 1);
+    save = engine.serializeRun();
+  });
+
+  it('should reject non-objects', () => {
+    expect(validateRunSave(null).ok).toBe(false);
+  });
+
+  it('should reject other versions', () => {
+    const result = validateRunSave({ ...save, version: RUN_SAVE_VERSION + 1 });
+    expect(result.reasons[0].message).toContain('version');
+  });
+
+  it('should reject unsaveable phases', () => {
+    expect(validateRunSave({ ...save, phase: GamePhase.GAME_OVER }).ok).toBe(false);
+  });
+
+  it('should reject unknown entity types', () => {
+    expect(validateRunSave({ ...save, zombies: [{ type: 'GHOST', pos: [0, 0, 0], hp: 1 }] }).ok).toBe(false);
+    expect(validateRunSave({ ...save, turrets: [{ type: 'LASER', pos: [0, 0, 0], health: 1 }] }).ok).toBe(false);
+    expect(validateRunSave({ ...save, currentWeapon: 'SPOON' }).ok).toBe(false);
+  });
+
+  it('should reject malformed boss state', () => {
+    const boss = { type: 'BOSS', pos: [0, 0, 0], hp: 800, bossPhase: 2 };
+    const timers = { summonTimer: 1, chargeTimer: 2, slamTimer: 3 };
+
+    expect(validateRunSave({ ...save, zombies: [{ ...boss, bossState: { ...timers, charge: null } }] }).ok).toBe(true);
+    expect(validateRunSave({ ...save, zombies: [{ ...boss, bossState: { summonTimer: 1 } }] }).ok).toBe(false);
+    const result = validateRunSave({ ...save, zombies: [{ ...boss, bossState: { ...timers, charge: { windup: 1 } } }] });
+    expect(result.reasons[0].message).toBe('Run save has malformed boss state');
+  });
+
+  it('should reject malformed wave groups', () => {
+    const withGroups = (groups) => ({ ...save, wave: { ...save.wave, groups } });
+
+    expect(validateRunSave(withGroups([{ spawned: 1, timer: 0.5 }])).ok).toBe(true);
+    expect(validateRunSave(withGroups(null)).ok).toBe(true);
+    const result = validateRunSave(withGroups([{ spawned: 'one', timer: 0.5 }]));
+    expect(result.reasons[0].message).toBe('Run save has malformed wave groups');
+  });
+
+  it('should reject unknown spawn gates', () => {
+    const withGates = (gates, nextGates) => ({ ...save, wave: { ...save.wave, gates, nextGates } });
+
+    expect(validateRunSave(withGates(['EAST'], ['EAST', 'NORTH'])).ok).toBe(true);
+    const result = validateRunSave(withGates(['EAST'], ['CELLAR']));
+    expect(result.reasons[0].message).toBe('Run save has unknown spawn gates');
+  });
+
+  it('should reject unknown difficulties and malformed director state', () => {
+    const { difficulty, director, ...older } = save;
+
+    expect(difficulty).toBe('NORMAL');
+    expect(validateRunSave(older).ok).toBe(true);
+    expect(validateRunSave({ ...save, difficulty: 'INSANE' }).reasons[0].message).toBe('Run save has unknown difficulty: INSANE');
+    expect(validateRunSave({ ...save, director: { ...director, pressure: 'high' } }).reasons[0].message)
+      .toBe('Run save has malformed director state');
+  });
+
+  it('should reject turret upgrades the turret couldn\'t have', () => {
+    const turret = { type: 'BASIC', pos: [-30, 0.5, -30], health: 80, cooldown: 0, lastFire: 0 };
+    const withTurret = (upgrades) => ({ ...save, turrets: [{ ...turret, upgrades }] });
+    const levels = { damage: 3, range: 0, fireRate: 0 };
+
+    expect(validateRunSave(withTurret(undefined)).ok).toBe(true);
+    expect(validateRunSave(withTurret({ levels, branch: 'SNIPER' })).ok).toBe(true);
+    expect(validateRunSave(withTurret({ levels, branch: 'BLIZZARD' })).reasons[0].message)
+      .toBe('Run save has malformed turret upgrades');
+  });
+
+  it('should reject unknown turret targeting', () => {
+    const turret = { type: 'SLOW', pos: [-30, 0.5, -30], health: 60, cooldown: 0, lastFire: 0 };
+    const withTurret = (data) => ({ ...save, turrets: [{ ...turret, ...data }] });
+
+    expect(validateRunSave(withTurret({ targeting: 'FIRST', skipSlowed: true })).ok).toBe(true);
+    expect(validateRunSave(withTurret({ targeting: 'RANDOM' })).reasons[0].message).toBe('Run save has unknown turret targeting');
+    expect(validateRunSave(withTurret({ skipSlowed: 'yes' })).reasons[0].message).toBe('Run save has malformed turrets');
+  });
+
+  it('should reject malformed turret accuracy', () => {
+    expect(validateRunSave({ ...save, turretAccuracy: { BASIC: { shots: 4, hits: 3 } } }).ok).toBe(true);
+    expect(validateRunSave({ ...save, turretAccuracy: { BASIC: { shots: 4 } } }).reasons[0].message)
+      .toBe('Run save has malformed turret accuracy');
+    expect(validateRunSave({ ...save, turretAccuracy: { CANNON: { shots: 4, hits: 3 } } }).reasons[0].message)
+      .toBe('Run save has malformed turret accuracy');
+    expect(validateRunSave({ ...save, turrets: [{ type: 'BASIC', pos: [-30, 0.5, -30], health: 80, hits: '3' }] })
+      .reasons[0].message).toBe('Run save has malformed turrets');
+  });
+
+  it('should reject malformed barricades', () => {
+    const wall = { type: 'WALL', pos: [-30, 0, -30], health: 220, course: 1 };
+    const withStructure = (data) => ({ ...save, structures: [{ ...wall, ...data }] });
+
+    expect(validateRunSave(withStructure({})).ok).toBe(true);
+    expect(validateRunSave(withStructure({ course: undefined })).ok).toBe(true);
+    expect(validateRunSave(withStructure({ type: 'MOAT' })).reasons[0].message).toBe('Run save has malformed barricades');
+    expect(validateRunSave(withStructure({ course: 1.5 })).reasons[0].message).toBe('Run save has malformed barricades');
+    expect(validateRunSave({ ...save, structures: {} }).reasons[0].message).toBe('Run save has malformed barricades');
+  });
+
+  it('should reject unknown mutators', () => {
+    expect(validateRunSave({ ...save, runMutators: ['FOG'], mutatorHistory: [{ wave: 1, mutators: ['FOG'] }] }).ok).toBe(true);
+    expect(validateRunSave({ ...save, runMutators: ['BLOOD_MOON'] }).reasons[0].message).toBe('Run save has unknown mutators');
+    expect(validateRunSave({ ...save, wave: { ...save.wave, nextMutators: ['BLOOD_MOON'] } }).reasons[0].message)
+      .toBe('Run save has unknown mutators');
+    expect(validateRunSave({ ...save, mutatorHistory: [{ wave: 'one', mutators: [] }] }).reasons[0].message)
+      .toBe('Run save has unknown mutators');
+  });
+});
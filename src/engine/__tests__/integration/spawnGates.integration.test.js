@@ -0,0 +1,180 @@
+/**
+ * Spawn Gate Integration Tests
+ *
+ * Runs a headless engine through gate planning: warnings before each wave,
+ * zombies spawning at and walking in from every gate, scripted gate picks,
+ * keeping gates reachable when building, and run saves.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { SpawnPoints, WorldLayout } from '../../GameConfig.js';
+import { getGateLayout } from '../../waves/SpawnGates.js';
+
+const insideRect = (pos, rect) => pos.x >= rect.minX && pos.x <= rect.maxX && pos.z >= rect.minZ && pos.z <= rect.maxZ;
+
+describe('Spawn Gate Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new GameEngine();
+    engine.initHeadless();
+    engine.startGame(false, 101);
+  });
+
+  afterEach(() => {
+    engine.dispose();
+    vi.useRealTimers();
+  });
+
+  // Jump to just before a wave and plan its gates as if the last one ended
+  const prepareWave = (wave) => {
+    engine.state.activeWaveNumber = wave - 1;
+    engine._planSpawnGates();
+  };
+
+  // Record where each wave zombie appears
+  const trackSpawns = () => {
+    const spawns = [];
+    const createZombie = engine._createZombie.bind(engine);
+    vi.spyOn(engine, '_createZombie').mockImplementation((pos, type) => {
+      spawns.push(pos.clone());
+      return createZombie(pos, type);
+    });
+    return spawns;
+  };
+
+  // ==========================================
+  // Planning and warnings
+  // ==========================================
+
+  describe('planning', () => {
+    it('should warn about the first wave\'s gate before it starts', () => {
+      expect(engine.state.nextWaveGates).toEqual(['EAST']);
+      expect(engine.getSnapshot().incomingGates).toEqual([
+        { key: 'EAST', name: SpawnPoints.EAST.name, side: 'east', isNew: false }
+      ]);
+    });
+
+    it('should announce a gate on the wave it opens', () => {
+      const onPlanned = vi.fn();
+      engine.onEvent('SPAWN_GATES_PLANNED', onPlanned);
+      const wave = SpawnPoints.NORTH.unlockWave;
+
+      prepareWave(wave);
+
+      expect(onPlanned).toHaveBeenCalledWith({ wave, gates: ['EAST', 'NORTH'], opened: ['NORTH'] });
+      expect(engine.getSnapshot().incomingGates.find(gate => gate.key === 'NORTH').isNew).toBe(true);
+    });
+
+    it('should plan the next wave\'s gates when a wave completes', () => {
+      const onPlanned = vi.fn();
+      engine.onEvent('SPAWN_GATES_PLANNED', onPlanned);
+      engine.startWave();
+      expect(engine.getSnapshot().incomingGates).toEqual([]);
+
+      engine.state.toSpawn = 0;
+      engine.state.zombies = [];
+      engine.state.totalSpawnedThisWave = engine.state.expectedThisWave;
+      engine.step(engine.fixedTimestep);
+
+      expect(onPlanned).toHaveBeenCalledWith(expect.objectContaining({ wave: 2 }));
+      expect(engine.getSnapshot().incomingGates.length).toBeGreaterThan(0);
+    });
+
+    it('should show gate markers only until the wave starts', () => {
+      engine.scene = new THREE.Scene();
+      engine._initGateMarkers();
+      prepareWave(SpawnPoints.NORTH.unlockWave);
+
+      expect(engine.gateMarkers.get('NORTH').visible).toBe(true);
+      expect(engine.gateMarkers.get('SOUTH').visible).toBe(false);
+
+      engine.startWave();
+      expect([...engine.gateMarkers.values()].some(marker => marker.visible)).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Spawning
+  // ==========================================
+
+  describe('spawning', () => {
+    it('should spawn a wave only at its planned gates', () => {
+      prepareWave(9);
+      const gates = [...engine.state.nextWaveGates];
+      const spawns = trackSpawns();
+      engine.startWave();
+
+      for (let i = 0; i < 30 * 60 && engine.state.toSpawn > 0; i++) engine.step(engine.fixedTimestep);
+
+      expect(spawns.length).toBe(engine.state.expectedThisWave);
+      for (const pos of spawns) {
+        expect(gates.some(key => insideRect(pos, getGateLayout(key).spawnArea))).toBe(true);
+      }
+      expect(new Set(spawns.map(pos => gates.find(key => insideRect(pos, getGateLayout(key).spawnArea)))).size).toBeGreaterThan(1);
+    });
+
+    it('should bring zombies in through every gate', () => {
+      engine.state.player.pos.set(0, 0, 0);
+      for (const key of Object.keys(SpawnPoints)) {
+        const { spawnCenter } = getGateLayout(key);
+        const tk = engine._createZombie(new THREE.Vector3(spawnCenter.x, 0, spawnCenter.z), 'RUNNER');
+        engine.state.zombies.push(tk);
+      }
+
+      for (let i = 0; i < 20 * 60; i++) engine.step(engine.fixedTimestep);
+
+      const inner = WorldLayout.treelineEdge - 1;
+      for (const tk of engine.state.zombies) {
+        expect(Math.abs(tk.pos.x)).toBeLessThan(inner);
+        expect(Math.abs(tk.pos.z)).toBeLessThan(inner);
+      }
+    });
+
+    it('should send scripted groups through the gate they name', () => {
+      engine.loadWaveScript({ waves: [{ groups: [{ type: 'STANDARD', count: 3, delay: 0.2, spawn: 'WEST' }] }] });
+      engine.startGame(false, 101);
+      expect(engine.state.nextWaveGates).toEqual(['WEST']);
+
+      const spawns = trackSpawns();
+      engine.startWave();
+      for (let i = 0; i < 60; i++) engine.step(engine.fixedTimestep);
+
+      expect(spawns).toHaveLength(3);
+      spawns.forEach(pos => expect(insideRect(pos, getGateLayout('WEST').spawnArea)).toBe(true));
+    });
+  });
+
+  // ==========================================
+  // Building and saves
+  // ==========================================
+
+  it('should not let a turret seal off a gate that is still locked', () => {
+    // Wall across the north corridor with a one-cell gap
+    engine.navGrid.setObstacle('wall-west', { minX: 13, maxX: 18.9, minZ: -60.5, maxZ: -59.5 });
+    engine.navGrid.setObstacle('wall-east', { minX: 20.1, maxX: 27, minZ: -60.5, maxZ: -59.5 });
+
+    expect(engine._keepsZombiePath(new THREE.Vector3(19.5, 0, -60))).toBe(false);
+    expect(engine._keepsZombiePath(new THREE.Vector3(-20, 0, -20))).toBe(true);
+  });
+
+  it('should keep planned and active gates across a run save', () => {
+    prepareWave(8);
+    engine.startWave();
+    prepareWave(9);
+    const active = [...engine.state.waveGates];
+    const next = [...engine.state.nextWaveGates];
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.waveGates).toEqual(active);
+    expect(restored.state.nextWaveGates).toEqual(next);
+    restored.dispose();
+  });
+});
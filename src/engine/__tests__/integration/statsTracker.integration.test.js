@@ -0,0 +1,78 @@
+/**
+ * Stats Tracker Integration Tests
+ *
+ * Attaches a StatsTracker to a headless engine and checks that real
+ * gameplay events reach the lifetime stats and achievements.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { StatsTracker } from '../../StatsTracker.js';
+
+const baseStats = () => ({
+  totalKills: 0, bossKills: 0, highestWave: 0, maxCurrency: 0,
+  turretsPlaced: 0, abilitiesUsed: 0, clutchWins: 0, fastWave10: false,
+  endlessHighWave: 0, perfectWaves: 0, gamesPlayed: 0, highScore: 0, mutatorWaves: 0,
+  killsByType: {}
+});
+
+describe('Stats Tracker Integration', () => {
+  let engine;
+  let tracker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new GameEngine();
+    engine.initHeadless();
+    tracker = new StatsTracker({ playerStats: baseStats(), unlockedAchievements: [] });
+    tracker.attach(engine);
+  });
+
+  afterEach(() => {
+    tracker.detach();
+    vi.useRealTimers();
+  });
+
+  it('should count turrets, abilities and kills during a wave', () => {
+    engine.startGame(false, 21);
+    engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+    engine.useAbility('RAGE');
+    engine.startWave();
+
+    for (let i = 0; i < 600 && engine.state.zombies.length === 0; i++) {
+      engine.step(engine.fixedTimestep);
+    }
+    const target = engine.state.zombies[0];
+    engine._damageZombie(target, target.hp, { slow: 0 });
+
+    expect(tracker.playerStats.turretsPlaced).toBe(1);
+    expect(tracker.playerStats.abilitiesUsed).toBe(1);
+    expect(tracker.playerStats.totalKills).toBeGreaterThan(0);
+    expect(tracker.playerStats.killsByType[target.type]).toBeGreaterThan(0);
+    expect(tracker.unlockedAchievements).toContain('FIRST_BLOOD');
+  });
+
+  it('should record wave completion details', () => {
+    engine.startGame(true, 22);
+    engine.startWave();
+    engine.state.toSpawn = 0;
+    engine.state.totalSpawnedThisWave = engine.state.expectedThisWave;
+    engine.state.zombies.forEach(tk => { tk.dead = true; });
+
+    engine.step(engine.fixedTimestep);
+
+    expect(tracker.playerStats.highestWave).toBe(1);
+    expect(tracker.playerStats.endlessHighWave).toBe(1);
+    expect(tracker.playerStats.perfectWaves).toBe(1);
+  });
+
+  it('should count a game on game over', () => {
+    engine.startGame(false, 23);
+    engine.state.player.health = 0;
+    engine._checkGameOver();
+
+    expect(tracker.playerStats.gamesPlayed).toBe(1);
+  });
+});
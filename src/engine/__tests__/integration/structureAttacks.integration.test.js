@@ -0,0 +1,169 @@
+/**
+ * Structure Attack Integration Tests
+ *
+ * Runs zombies against turrets in a headless engine: walkers hitting turrets
+ * that block their way, Brutes seeking out nearby turrets, turret removal on
+ * destruction, damage visuals and the collapse animation.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { ZombieTypes, TurretTypes } from '../../GameEngine.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Structure Attack Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 71);
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Turret that never fires, so zombies live long enough to attack it
+  const addIdleTurret = (x, z) => {
+    const turret = addTurret(engine, 'BASIC', x, z);
+    turret.cooldown = Infinity;
+    return turret;
+  };
+
+  const healthOf = (turret) => engine.damageManager.getDamageable(turret).health;
+
+  // Wall off the player along x = -25, leaving one gap at z = -30 that a turret plugs
+  const blockPathWithTurret = () => {
+    engine.navGrid.setObstacle('wall-north', { minX: -25.2, maxX: -24.8, minZ: -55, maxZ: -31 });
+    engine.navGrid.setObstacle('wall-south', { minX: -25.2, maxX: -24.8, minZ: -29, maxZ: 55 });
+    return addIdleTurret(-25, -30);
+  };
+
+  // ==========================================
+  // Targeting
+  // ==========================================
+
+  describe('targeting', () => {
+    it('should attack a turret blocking its path', () => {
+      const turret = blockPathWithTurret();
+      const tk = addZombie(engine, -23.8, -30);
+
+      stepSeconds(engine, 1.1);
+
+      expect(healthOf(turret)).toBe(TurretTypes.BASIC.health - 2 * tk.dmg);
+      expect(tk.pos.x).toBe(-23.8);
+    });
+
+    it('should walk around turrets it has a route past', () => {
+      const turret = addIdleTurret(-20, -30);
+      const tk = addZombie(engine, -17, -30);
+
+      stepSeconds(engine, 6);
+
+      expect(tk.pos.x).toBeLessThan(-21);
+      expect(healthOf(turret)).toBe(TurretTypes.BASIC.health);
+    });
+
+    it('should ignore a turret behind it', () => {
+      const turret = addIdleTurret(-17, -30);
+      addZombie(engine, -18.2, -30);
+
+      stepSeconds(engine, 2);
+
+      expect(healthOf(turret)).toBe(TurretTypes.BASIC.health);
+    });
+
+    it('should send Brutes after nearby turrets', () => {
+      expect(ZombieTypes.TANK.prefersStructures).toBe(true);
+      const turret = addIdleTurret(-20, -22);
+      const brute = addZombie(engine, -20, -26, 'TANK');
+
+      stepSeconds(engine, 5);
+
+      expect(Math.hypot(brute.pos.x - turret.pos.x, brute.pos.z - turret.pos.z)).toBeLessThanOrEqual(engine.config.structureAttackRange);
+      expect(healthOf(turret)).toBeLessThan(TurretTypes.BASIC.health);
+    });
+
+    it('should leave turrets beyond the seek radius alone', () => {
+      const turret = addIdleTurret(-20, -22 + engine.config.structureSeekRadius + 2);
+      addZombie(engine, -20, -22, 'TANK');
+
+      stepSeconds(engine, 3);
+
+      expect(healthOf(turret)).toBe(TurretTypes.BASIC.health);
+    });
+  });
+
+  // ==========================================
+  // Destruction
+  // ==========================================
+
+  describe('destruction', () => {
+    it('should remove a turret zombies destroy and announce it', () => {
+      const onBannerChange = vi.fn();
+      const onDestroyed = vi.fn();
+      engine.on('onBannerChange', onBannerChange);
+      engine.onEvent('TURRET_DESTROYED', onDestroyed);
+
+      const turret = blockPathWithTurret();
+      engine.damageManager.getDamageable(turret).health = 1;
+      addZombie(engine, -23.8, -30);
+      stepSeconds(engine, 0.1);
+
+      expect(engine.state.turrets).not.toContain(turret);
+      expect(engine.turretGrid.queryRadius(turret.pos, 1)).toHaveLength(0);
+      expect(engine.navGrid.obstacles.has(turret.id)).toBe(false);
+      expect(onDestroyed).toHaveBeenCalledWith({ type: 'BASIC' });
+      expect(onBannerChange).toHaveBeenCalledWith(`${TurretTypes.BASIC.name} destroyed!`);
+    });
+
+    it('should walk on to its target once the turret is gone', () => {
+      const turret = blockPathWithTurret();
+      engine.damageManager.getDamageable(turret).health = 1;
+      const tk = addZombie(engine, -23.8, -30);
+
+      stepSeconds(engine, 3);
+
+      expect(engine.state.turrets).not.toContain(turret);
+      expect(tk.pos.x).toBeLessThan(-25.5);
+    });
+  });
+
+  // ==========================================
+  // Visuals
+  // ==========================================
+
+  describe('visuals', () => {
+    it('should pass damage states to the damage visualizer', () => {
+      engine.damageVisualizer = { updateVisuals: vi.fn() };
+      const turret = addIdleTurret(-20, -30);
+
+      engine.damageManager.applyDamage(turret, 40);
+
+      const damageable = engine.damageManager.getDamageable(turret);
+      expect(engine.damageVisualizer.updateVisuals).toHaveBeenCalledWith(turret, damageable);
+      expect(turret.health).toBe(damageable.health);
+    });
+
+    it('should keep a destroyed turret mesh until its collapse finishes', () => {
+      const scene = new THREE.Scene();
+      const turret = addIdleTurret(-20, -30);
+      turret.mesh = new THREE.Group();
+      scene.add(turret.mesh);
+      engine.damageManager.scene = scene;
+
+      engine.damageManager.applyDamage(turret, 10000);
+      expect(engine.state.turrets).not.toContain(turret);
+      expect(turret.mesh.parent).toBe(scene);
+      expect(engine.damageManager.activeCollapses).toHaveLength(1);
+
+      engine.step(engine.fixedTimestep);
+      expect(turret.mesh.parent).toBe(scene);
+
+      stepSeconds(engine, 1.5);
+
+      expect(turret.mesh.parent).toBeNull();
+      expect(engine.damageManager.activeCollapses).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Barricade Integration Tests
+ *
+ * Runs a headless engine with walls, fences, spike barricades and gates:
+ * building them on the grid from the Build menu, zombies routing around
+ * them or being stopped and tearing them down, spikes hurting zombies,
+ * stacked walls falling when the course below goes, and carrying
+ * barricades through run saves and replays.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { StructureTypes } from '../../GameConfig.js';
+import { ValidationCode } from '../../BuildingValidator.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Barricade Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 59);
+    engine.state.currency = 5000;
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  const build = (type, x, z) => engine.placeStructure(type, new THREE.Vector3(x, 0, z));
+
+  const healthOf = (structure) => engine.damageManager.getDamageable(structure).health;
+
+  // ==========================================
+  // Building
+  // ==========================================
+
+  it('should snap barricades to the build grid and charge for them', () => {
+    const placed = vi.fn();
+    engine.onEvent('STRUCTURE_PLACED', placed);
+
+    const wall = build('WALL', -20.7, -19.4);
+
+    expect(wall.pos.x).toBe(-20);
+    expect(wall.pos.z).toBe(-20);
+    expect(wall).toMatchObject({ type: 'WALL', course: 0, health: StructureTypes.WALL.health });
+    expect(engine.state.currency).toBe(5000 - StructureTypes.WALL.cost);
+    expect(engine.state.structures).toEqual([wall]);
+    expect(placed).toHaveBeenCalledWith(expect.objectContaining({ type: 'WALL' }));
+  });
+
+  it('should keep building until the corn runs out', () => {
+    engine.startStructurePlacement('FENCE');
+    expect(engine.getSnapshot().placingStructure).toBe('FENCE');
+
+    engine.state.currency = StructureTypes.FENCE.cost * 2;
+    build('FENCE', -20, -20);
+    expect(engine.state.placingStructure).toBe('FENCE');
+
+    build('FENCE', -24, -20);
+    expect(engine.state.placingStructure).toBeNull();
+  });
+
+  it('should swap between building barricades and placing turrets', () => {
+    engine.startStructurePlacement('WALL');
+    engine.startTurretPlacement('BASIC');
+    expect(engine.state.placingStructure).toBeNull();
+
+    engine.startStructurePlacement('WALL');
+    expect(engine.state.placingTurret).toBeNull();
+
+    engine.cancelStructurePlacement();
+    expect(engine.state.placingStructure).toBeNull();
+  });
+
+  it('should not build where a barricade would wall off the zombie path', () => {
+    engine.navGrid.setObstacle('wall-north', { minX: -20.5, maxX: -19.5, minZ: -55, maxZ: -21 });
+    engine.navGrid.setObstacle('wall-south', { minX: -20.5, maxX: -19.5, minZ: -19, maxZ: 55 });
+    const onBannerChange = vi.fn();
+    engine.on('onBannerChange', onBannerChange);
+
+    const plan = engine._planStructure('WALL', new THREE.Vector3(-20, 0, -20));
+    expect(engine._validateStructurePlacement('WALL', plan).reasons)
+      .toContainEqual({ code: ValidationCode.PATH_BLOCKED, message: 'Would block the zombie path' });
+    expect(build('WALL', -20, -20)).toBeNull();
+    expect(onBannerChange).toHaveBeenCalledWith('Would block the zombie path');
+
+    // A gate leaves the way open
+    expect(build('GATE', -20, -20)).not.toBeNull();
+  });
+
+  // ==========================================
+  // Zombies
+  // ==========================================
+
+  it('should route zombies around walls but through gates', () => {
+    const wall = build('WALL', -20, -20);
+    const gate = build('GATE', -24, -20);
+
+    expect(engine.navGrid.isBlocked(engine.navGrid.cellIndex(wall.pos.x, wall.pos.z))).toBe(true);
+    expect(engine.navGrid.isBlocked(engine.navGrid.cellIndex(gate.pos.x, gate.pos.z))).toBe(false);
+  });
+
+  it('should stop zombies at a gate until they break it down', () => {
+    const destroyed = vi.fn();
+    engine.onEvent('STRUCTURE_DESTROYED', destroyed);
+    const gate = build('GATE', -24, -30);
+    const tk = addZombie(engine, -20.5, -30);
+
+    stepSeconds(engine, 2);
+
+    expect(tk.pos.x).toBeGreaterThan(gate.rect.maxX);
+    expect(healthOf(gate)).toBeLessThan(StructureTypes.GATE.health);
+
+    engine.damageManager.getDamageable(gate).health = 1;
+    stepSeconds(engine, 1.5);
+
+    expect(engine.state.structures).not.toContain(gate);
+    expect(destroyed).toHaveBeenCalledWith(expect.objectContaining({ type: 'GATE' }));
+    stepSeconds(engine, 4);
+    expect(tk.pos.x).toBeLessThan(gate.pos.x);
+  });
+
+  it('should slide zombies along a barricade they walk into', () => {
+    const wall = build('WALL', -20, -20);
+    const pos = new THREE.Vector3(-20.9, 0, -20.5);
+
+    // Walking diagonally into the wall's east face from outside
+    engine._blockOnStructures(pos, -21.1, -20.7);
+
+    expect(pos.x).toBe(-21.1);
+    expect(pos.z).toBe(-20.5);
+    expect(engine._isInsideRect(pos, wall.rect)).toBe(false);
+  });
+
+  it('should have spikes hurt zombies in reach', () => {
+    const spikes = build('SPIKES', -20, -20);
+    const near = addZombie(engine, -20, -20 + 1 + StructureTypes.SPIKES.reach - 0.1);
+    const far = addZombie(engine, -20, -12);
+    near.spd = 0;
+    far.spd = 0;
+
+    stepSeconds(engine, StructureTypes.SPIKES.damageInterval * 2);
+
+    expect(near.hp).toBe(near.maxHp - StructureTypes.SPIKES.damage * 2);
+    expect(far.hp).toBe(far.maxHp);
+    expect(spikes.spikeCooldown).toBeGreaterThan(0);
+  });
+
+  it('should keep turrets and barricades off each other\'s footprint', () => {
+    build('WALL', -20, -20);
+
+    expect(engine._validateTurretPlacement(new THREE.Vector3(-18.4, 0, -20)).reasons[0].code).toBe(ValidationCode.BLOCKED);
+    expect(engine._validateTurretPlacement(new THREE.Vector3(-18.2, 0, -20)).ok).toBe(true);
+
+    addTurret(engine, 'BASIC', -14.4, -20);
+    expect(build('WALL', -16, -20)).toBeNull();
+    expect(build('WALL', -18, -20)).not.toBeNull();
+  });
+
+  // ==========================================
+  // Stacking
+  // ==========================================
+
+  it('should stack walls up to their limit', () => {
+    const bottom = build('WALL', -20, -20);
+    const middle = build('WALL', -20, -20);
+    const top = build('WALL', -20, -20);
+
+    expect([bottom.course, middle.course, top.course]).toEqual([0, 1, 2]);
+    expect(middle.pos.y).toBeCloseTo(bottom.pos.y + StructureTypes.WALL.height);
+    expect(build('WALL', -20, -20)).toBeNull();
+    expect(build('FENCE', -20, -20)).toBeNull();
+    expect(engine.state.structures).toHaveLength(3);
+  });
+
+  it('should bring down the courses above a wall that is destroyed', () => {
+    const bottom = build('WALL', -20, -20);
+    const middle = build('WALL', -20, -20);
+    const top = build('WALL', -20, -20);
+    const destroyed = vi.fn();
+    engine.onEvent('STRUCTURE_DESTROYED', destroyed);
+
+    engine.damageManager.applyDamage(bottom, 10000);
+    expect(engine.state.structures).toEqual([middle, top]);
+
+    engine.step(engine.fixedTimestep);
+    expect(engine.state.structures).toEqual([middle, top]);
+
+    for (let i = 0; i < 7; i++) engine.step(engine.fixedTimestep);
+
+    expect(engine.state.structures).toEqual([]);
+    expect(engine.structureGrid.queryRadius(bottom.pos, 2)).toHaveLength(0);
+    expect(destroyed).toHaveBeenCalledTimes(3);
+  });
+
+  it('should hold a collapse while the game is paused', () => {
+    const bottom = build('WALL', -20, -20);
+    const upper = build('WALL', -20, -20);
+
+    engine.damageManager.applyDamage(bottom, 10000);
+    engine.togglePause();
+    stepSeconds(engine, 1);
+    expect(engine.state.structures).toEqual([upper]);
+
+    engine.togglePause();
+    stepSeconds(engine, 0.1);
+    expect(engine.state.structures).toEqual([]);
+  });
+
+  it('should have zombies knock the top course off first', () => {
+    const bottom = build('WALL', -20, -20);
+    const top = build('WALL', -20, -20);
+    const tk = addZombie(engine, -17.5, -20);
+
+    expect(engine._findStructureTarget(tk, new THREE.Vector3(-1, 0, 0))).toBe(top);
+    expect(engine._distanceToStructure(bottom, tk.pos)).toBeCloseTo(1.5);
+  });
+
+  // ==========================================
+  // Saves and replays
+  // ==========================================
+
+  it('should restore barricades and their stacks from a run save', () => {
+    const bottom = build('WALL', -20, -20);
+    build('WALL', -20, -20);
+    build('SPIKES', -24, -20);
+    engine.damageManager.applyDamage(bottom, 50);
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+
+    const [wall, upper, spikes] = restored.state.structures;
+    expect(wall).toMatchObject({ type: 'WALL', course: 0, health: StructureTypes.WALL.health - 50 });
+    expect(upper).toMatchObject({ type: 'WALL', course: 1 });
+    expect(spikes.type).toBe('SPIKES');
+    expect(restored.buildingValidator.graph.getSupports(upper._placementPiece)).toEqual([wall._placementPiece]);
+
+    delete save.structures;
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.structures).toEqual([]);
+    restored.dispose();
+  });
+
+  it('should finish a collapse that was under way when the run was saved', () => {
+    const bottom = build('WALL', -20, -20);
+    build('WALL', -20, -20);
+    build('WALL', -20, -20);
+    engine.damageManager.applyDamage(bottom, 10000);
+    engine.step(engine.fixedTimestep);
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.structures).toHaveLength(2);
+
+    stepSeconds(restored, 0.2);
+    expect(restored.state.structures).toEqual([]);
+    restored.dispose();
+  });
+
+  it('should clear barricades for a new run', () => {
+    const wall = build('WALL', -20, -20);
+
+    engine.startGame(false, 60);
+
+    expect(engine.state.structures).toEqual([]);
+    expect(engine.navGrid.obstacles.has(wall.id)).toBe(false);
+  });
+
+  it('should replay building barricades', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stepSeconds(engine, 1);
+    engine.startStructurePlacement('WALL');
+    const wall = build('WALL', -20, -20);
+    stepSeconds(engine, 0.5);
+    build('WALL', -20, -20);
+    engine.cancelStructurePlacement();
+    stepSeconds(engine, 0.5);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.playReplay(replay);
+    viewer.state.currency = 5000;
+    stepSeconds(viewer, 2);
+
+    expect(viewer.state.structures.map(structure => [structure.id, structure.course])).toEqual([[wall.id, 0], [expect.any(String), 1]]);
+    expect(viewer.state.placingStructure).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Turret Aiming Integration Tests
+ *
+ * Runs a headless engine with turrets shooting at zombies on the move:
+ * leading shots onto where a walking zombie will be, the Corn Silo lobbing
+ * shells over the horde to land on its target, each turret type's
+ * projectile speed, and the shots and hits behind turret accuracy.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { TurretTypes } from '../../GameConfig.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Turret Aiming Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 53);
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Zombies that soak up every shot, so hits can be counted over a long walk
+  const addTarget = (x, z, type = 'STANDARD') => addZombie(engine, x, z, type, { hp: 10000 });
+
+  // Let a zombie get up to speed out of the turret's reach
+  const walk = (tk, seconds) => {
+    stepSeconds(engine, seconds);
+    expect(tk.vel.length()).toBeGreaterThan(0);
+  };
+
+  it('should track each zombie\'s velocity as it walks', () => {
+    const tk = addTarget(24, 0, 'RUNNER');
+    walk(tk, 0.5);
+
+    // Heading for the house at the origin
+    expect(tk.vel.x).toBeLessThan(0);
+  });
+
+  it('should lead a walking runner and hit it', () => {
+    const tk = addTarget(24, 0, 'RUNNER');
+    walk(tk, 0.5);
+    const turret = addTurret(engine, 'BASIC', tk.pos.x - 3, tk.pos.z + 4);
+
+    engine._updateTurrets(engine.fixedTimestep);
+    const [shot] = engine.state.turretProjectiles;
+    const straight = new THREE.Vector3().subVectors(tk.pos, turret.pos).setY(0).normalize();
+    const aim = shot.vel.clone().setY(0);
+
+    // Swung off the runner toward where it's walking
+    expect(aim.clone().normalize().sub(straight).dot(tk.vel)).toBeGreaterThan(0);
+    expect(aim.length()).toBeCloseTo(TurretTypes.BASIC.projectileSpeed);
+
+    stepSeconds(engine, 1);
+    expect(turret).toMatchObject({ shots: 1, hits: 1 });
+  });
+
+  it('should lob Corn Silo shells over zombies to land on the target', () => {
+    const tk = addTarget(24, 0, 'RUNNER');
+    walk(tk, 0.5);
+    const silo = addTurret(engine, 'EXPLOSIVE', tk.pos.x - 5, 7);
+    // In the way of a straight shot
+    const blocker = addTarget(silo.pos.x + 0.5, 6);
+    blocker.spd = 0;
+    const blockerHp = blocker.hp;
+    engine.setTurretTargeting(silo.id, 'FASTEST');
+
+    engine._updateTurrets(engine.fixedTimestep);
+    const [shell] = engine.state.turretProjectiles;
+    expect(shell).toMatchObject({ arc: true, arcHeight: TurretTypes.EXPLOSIVE.arcHeight });
+
+    let peak = 0;
+    while (engine.state.turretProjectiles.includes(shell)) {
+      engine.step(engine.fixedTimestep);
+      peak = Math.max(peak, shell.pos.y);
+    }
+
+    expect(peak).toBeGreaterThan(shell.startY + TurretTypes.EXPLOSIVE.arcHeight * 0.9);
+    expect(shell.pos.distanceTo(tk.pos.clone().setY(shell.pos.y))).toBeLessThan(1);
+    expect(blocker.hp).toBe(blockerHp);
+    expect(silo.hits).toBe(1);
+  });
+
+  it('should fire each turret type\'s shots at its own speed', () => {
+    const speeds = ['BASIC', 'SLOW', 'EXPLOSIVE'].map((type, i) => {
+      const turret = addTurret(engine, type, 10, i * 30 - 30);
+      addTarget(14, i * 30 - 30).spd = 0;
+      engine._updateTurrets(engine.fixedTimestep);
+      const shot = engine.state.turretProjectiles.find(p => p.turret === turret);
+      return shot.vel.clone().setY(0).length();
+    });
+
+    expect(speeds[0]).toBeCloseTo(TurretTypes.BASIC.projectileSpeed);
+    expect(speeds[1]).toBeCloseTo(TurretTypes.SLOW.projectileSpeed);
+    expect(speeds[2]).toBeCloseTo(TurretTypes.EXPLOSIVE.projectileSpeed);
+  });
+
+  // ==========================================
+  // Accuracy
+  // ==========================================
+
+  it('should count shots and hits for the inspector and the perf overlay', () => {
+    const turret = addTurret(engine, 'BASIC', 10, 0);
+    const tk = addTarget(14, 0);
+    tk.spd = 0;
+
+    engine._updateTurrets(engine.fixedTimestep);
+    // Out of the way before the shot lands
+    tk.pos.set(14, 0, 30);
+    engine.zombieGrid.update(tk, tk.pos);
+    stepSeconds(engine, 1);
+
+    expect(turret).toMatchObject({ shots: 1, hits: 0 });
+
+    tk.pos.set(14, 0, 0);
+    engine.zombieGrid.update(tk, tk.pos);
+    stepSeconds(engine, TurretTypes.BASIC.fireRate);
+
+    expect(turret).toMatchObject({ shots: 2, hits: 1 });
+    engine.selectTurret(turret.id);
+    expect(engine.getSnapshot().selectedTurret).toMatchObject({ shots: 2, hits: 1 });
+    expect(engine._getPerformanceSnapshot().turretAccuracy.BASIC).toEqual({ shots: 2, hits: 1 });
+  });
+
+  it('should keep accuracy in a run save and start a new run from zero', () => {
+    const turret = addTurret(engine, 'BASIC', -30, -30);
+    Object.assign(turret, { shots: 8, hits: 5 });
+    engine.state.turretAccuracy.BASIC = { shots: 12, hits: 7 };
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.turrets[0]).toMatchObject({ shots: 8, hits: 5 });
+    expect(restored.state.turretAccuracy.BASIC).toEqual({ shots: 12, hits: 7 });
+
+    delete save.turretAccuracy;
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.turretAccuracy.BASIC).toEqual({ shots: 0, hits: 0 });
+    restored.dispose();
+
+    engine.startGame(false, 54);
+    expect(engine.state.turretAccuracy.BASIC).toEqual({ shots: 0, hits: 0 });
+  });
+});
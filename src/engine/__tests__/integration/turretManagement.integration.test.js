@@ -0,0 +1,207 @@
+/**
+ * Turret Management Integration Tests
+ *
+ * Runs a headless engine through managing placed turrets: selling them for
+ * a refund that drops with damage, moving them with the placement preview,
+ * the kills and damage shown in the inspector, and keeping the validator,
+ * turret grid, nav grid and damage manager in step throughout.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { TurretTypes, TurretSale } from '../../GameConfig.js';
+import { DamageState } from '../../DamageManager.js';
+import { getTurretInvestment } from '../../turrets/TurretUpgrades.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Turret Management Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 61);
+    engine.state.currency = 5000;
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Every system a placed turret is registered with
+  const registrations = (turret) => ({
+    listed: engine.state.turrets.includes(turret),
+    validator: engine.buildingValidator.getAllPieces().some(piece => piece.id === turret.id),
+    grid: engine.turretGrid.queryRadius(turret.pos, 0.5).includes(turret),
+    nav: engine.navGrid.obstacles.has(turret.id),
+    damageable: Boolean(engine.damageManager.getDamageable(turret))
+  });
+
+  const everywhere = { listed: true, validator: true, grid: true, nav: true, damageable: true };
+  const nowhere = { listed: false, validator: false, grid: false, nav: false, damageable: false };
+
+  // ==========================================
+  // Selling
+  // ==========================================
+
+  describe('selling', () => {
+    it('should refund part of what was spent and unregister the turret', () => {
+      const turret = addTurret(engine);
+      engine.upgradeTurret(turret.id, 'damage');
+      const invested = getTurretInvestment('BASIC', turret.upgrades);
+      const corn = engine.state.currency;
+      const onSold = vi.fn();
+      engine.onEvent('TURRET_SOLD', onSold);
+      engine.selectTurret(turret.id);
+      expect(registrations(turret)).toEqual(everywhere);
+
+      const refund = engine.sellTurret(turret.id);
+
+      expect(refund).toBe(Math.floor(invested * TurretSale.refund));
+      expect(engine.state.currency).toBe(corn + refund);
+      expect(onSold).toHaveBeenCalledWith({ id: turret.id, type: 'BASIC', refund });
+      expect(registrations(turret)).toEqual(nowhere);
+      expect(engine.getSnapshot().selectedTurret).toBeNull();
+      expect(engine.sellTurret(turret.id)).toBeNull();
+    });
+
+    it('should refund less for a damaged turret and show the price in the inspector', () => {
+      const turret = addTurret(engine, 'SLOW');
+      engine.selectTurret(turret.id);
+      const pristine = engine.getSnapshot().selectedTurret.sellValue;
+
+      engine.damageManager.applyDamage(turret, TurretTypes.SLOW.health * 0.8);
+      expect(engine.damageManager.getDamageable(turret).damageState).toBe(DamageState.CRITICAL);
+      const damaged = engine.getSnapshot().selectedTurret.sellValue;
+
+      expect(damaged).toBe(Math.floor(pristine * TurretSale.damageStates.critical));
+      expect(engine.sellTurret(turret.id)).toBe(damaged);
+    });
+  });
+
+  // ==========================================
+  // Moving
+  // ==========================================
+
+  describe('moving', () => {
+    it('should pick a turret up into the placement preview', () => {
+      const turret = addTurret(engine, 'EXPLOSIVE');
+      engine.selectTurret(turret.id);
+
+      expect(engine.startTurretMove(turret.id)).toBe(true);
+
+      const snapshot = engine.getSnapshot();
+      expect(snapshot).toMatchObject({ placingTurret: 'EXPLOSIVE', movingTurretId: turret.id, selectedTurret: null });
+
+      engine.cancelTurretPlacement();
+      expect(engine.getSnapshot()).toMatchObject({ placingTurret: null, movingTurretId: null });
+      expect(engine.startTurretMove('turret-404')).toBe(false);
+    });
+
+    it('should move a turret with its health and upgrades, free of charge', () => {
+      const turret = addTurret(engine, 'BASIC', -30, -30);
+      engine.upgradeTurret(turret.id, 'range');
+      engine.damageManager.applyDamage(turret, 30);
+      const corn = engine.state.currency;
+      const oldPos = turret.pos.clone();
+
+      engine.startTurretMove(turret.id);
+      // Close enough to its old spot that the turret would block itself
+      expect(engine.moveTurret(turret.id, new THREE.Vector3(-29, 0, -30))).toBe(turret);
+
+      expect(turret.pos.x).toBe(-29);
+      expect(registrations(turret)).toEqual(everywhere);
+      expect(engine.turretGrid.queryRadius(oldPos, 0.5)).not.toContain(turret);
+      expect(engine.damageManager.getDamageable(turret).health).toBe(TurretTypes.BASIC.health - 30);
+      expect(turret.upgrades.levels.range).toBe(1);
+      expect(engine.state.currency).toBe(corn);
+      expect(engine.getSnapshot()).toMatchObject({ placingTurret: null, movingTurretId: null });
+      expect(engine.getSnapshot().selectedTurret.id).toBe(turret.id);
+    });
+
+    it('should keep the turret in place when the new spot is invalid', () => {
+      const turret = addTurret(engine, 'BASIC', -30, -30);
+      const onBanner = vi.fn();
+      engine.on('onBannerChange', onBanner);
+      engine.startTurretMove(turret.id);
+
+      expect(engine.moveTurret(turret.id, new THREE.Vector3(20, 0, 20))).toBeNull();
+
+      expect(onBanner).toHaveBeenCalledWith(expect.stringContaining('Too far from barn'));
+      expect(turret.pos.x).toBe(-30);
+      expect(registrations(turret)).toEqual(everywhere);
+      expect(engine.state.movingTurretId).toBe(turret.id);
+    });
+
+    it('should drop the move when the turret is destroyed mid-move', () => {
+      const turret = addTurret(engine);
+      engine.startTurretMove(turret.id);
+
+      engine.damageManager.applyDamage(turret, TurretTypes.BASIC.health);
+      engine._updateDamageSystem(engine.fixedTimestep);
+
+      expect(registrations(turret)).toEqual(nowhere);
+      expect(engine.getSnapshot()).toMatchObject({ placingTurret: null, movingTurretId: null });
+    });
+  });
+
+  // ==========================================
+  // Inspector
+  // ==========================================
+
+  it('should track each turret\'s kills and damage dealt for the inspector', () => {
+    const turret = addTurret(engine, 'BASIC', 20, 20);
+    const other = addTurret(engine, 'BASIC', -20, 20);
+    const tk = addZombie(engine, 23, 20, 'STANDARD', { spd: 0, hp: TurretTypes.BASIC.damage + 1 });
+
+    stepSeconds(engine, TurretTypes.BASIC.fireRate + 1);
+
+    expect(tk.dead).toBe(true);
+    expect(turret).toMatchObject({ kills: 1, damageDealt: TurretTypes.BASIC.damage + 1 });
+    expect(other).toMatchObject({ kills: 0, damageDealt: 0 });
+
+    engine.selectTurret(turret.id);
+    expect(engine.getSnapshot().selectedTurret).toMatchObject({ kills: 1, damageDealt: TurretTypes.BASIC.damage + 1 });
+  });
+
+  // ==========================================
+  // Saves and replays
+  // ==========================================
+
+  it('should keep kills and damage dealt in a run save', () => {
+    const turret = addTurret(engine);
+    Object.assign(turret, { kills: 4, damageDealt: 210 });
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.turrets[0]).toMatchObject({ kills: 4, damageDealt: 210 });
+    restored.dispose();
+  });
+
+  it('should replay moving and selling turrets', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // beforeEach's corn isn't recorded, so both runs grant it before the first tick
+    stepSeconds(engine, 1);
+    const moved = engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+    const sold = engine.placeTurret('SLOW', new THREE.Vector3(-30, 0, -25));
+    stepSeconds(engine, 1);
+    engine.startTurretMove(moved.id);
+    engine.moveTurret(moved.id, new THREE.Vector3(-28, 0, -30));
+    engine.sellTurret(sold.id);
+    stepSeconds(engine, 0.5);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.playReplay(replay);
+    viewer.state.currency = 5000;
+    stepSeconds(viewer, 2.5);
+
+    expect(viewer.state.turrets.map(t => [t.id, t.pos.x])).toEqual([[moved.id, -28]]);
+    expect(viewer.state.currency).toBe(engine.state.currency);
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Turret Targeting Integration Tests
+ *
+ * Runs a headless engine with turrets on different targeting modes: ranking
+ * zombies along the real path to the house, the Frost Sprinkler skipping
+ * slowed zombies, the inspector's targeting options, and carrying each
+ * turret's mode through run saves and replays.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { TurretTargetingModes } from '../../GameConfig.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Turret Targeting Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 47);
+    engine.state.currency = 5000;
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  // Zombies that stand still, so their order along the path stays put
+  const addStandingZombie = (x, z, type = 'STANDARD') => addZombie(engine, x, z, type, { spd: 0 });
+
+  it('should start on nearest and rank zombies along the path to the house', () => {
+    const turret = addTurret(engine, 'BASIC', 16, 0);
+    const near = addStandingZombie(18, 0);
+    const closerToHouse = addStandingZombie(11, 0);
+
+    engine._updateTurrets(engine.fixedTimestep);
+    expect(turret.targeting).toBe('NEAREST');
+    expect(turret.target).toBe(near);
+
+    expect(engine.setTurretTargeting(turret.id, 'FIRST')).toBe(true);
+    engine._updateTurrets(engine.fixedTimestep);
+    expect(turret.target).toBe(closerToHouse);
+
+    engine.setTurretTargeting(turret.id, 'LAST');
+    engine._updateTurrets(engine.fixedTimestep);
+    expect(turret.target).toBe(near);
+  });
+
+  it('should keep each turret on its own mode', () => {
+    const first = addTurret(engine, 'EXPLOSIVE', 16, 0);
+    const nearest = addTurret(engine, 'EXPLOSIVE', 16, 2);
+    const boss = addStandingZombie(24, 1, 'BOSS');
+    addStandingZombie(15, 1);
+    engine.setTurretTargeting(first.id, 'BOSSES');
+
+    engine._updateTurrets(engine.fixedTimestep);
+
+    expect(first.target).toBe(boss);
+    expect(nearest.target).not.toBe(boss);
+  });
+
+  it('should warn about and ignore unknown modes', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const turret = addTurret(engine, 'BASIC', 16, 0);
+
+    expect(engine.setTurretTargeting(turret.id, 'RANDOM')).toBe(false);
+    expect(warn).toHaveBeenCalledWith('[GameEngine] Unknown targeting mode:', 'RANDOM');
+    expect(turret.targeting).toBe('NEAREST');
+  });
+
+  it('should let the Frost Sprinkler pass over zombies it already slowed', () => {
+    const basic = addTurret(engine, 'BASIC', 16, 8);
+    const sprinkler = addTurret(engine, 'SLOW', 16, 0);
+    const first = addStandingZombie(17, 0);
+    const second = addStandingZombie(20, 0);
+
+    expect(engine.setTurretSkipSlowed(basic.id, true)).toBe(false);
+    expect(engine.setTurretSkipSlowed(sprinkler.id, true)).toBe(true);
+
+    stepSeconds(engine, 0.5);
+    expect(first.slowTimer).toBeGreaterThan(0);
+
+    sprinkler.cooldown = 0;
+    engine._updateTurrets(engine.fixedTimestep);
+    expect(sprinkler.target).toBe(second);
+  });
+
+  it('should list the targeting options in the inspector', () => {
+    const basic = addTurret(engine, 'BASIC', 16, 0);
+    const sprinkler = addTurret(engine, 'SLOW', 16, 4);
+    engine.setTurretTargeting(basic.id, 'WEAKEST');
+
+    engine.selectTurret(basic.id);
+    const inspector = engine.getSnapshot().selectedTurret;
+    expect(inspector).toMatchObject({ targeting: 'WEAKEST', skipSlowed: null });
+    expect(inspector.targetingModes.map(mode => mode.key)).toEqual(Object.keys(TurretTargetingModes));
+
+    engine.selectTurret(sprinkler.id);
+    expect(engine.getSnapshot().selectedTurret.skipSlowed).toBe(false);
+  });
+
+  // ==========================================
+  // Saves and replays
+  // ==========================================
+
+  it('should restore targeting from a run save', () => {
+    const turret = addTurret(engine, 'SLOW', 16, 0);
+    engine.setTurretTargeting(turret.id, 'FASTEST');
+    engine.setTurretSkipSlowed(turret.id, true);
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    expect(restored.state.turrets[0]).toMatchObject({ targeting: 'FASTEST', skipSlowed: true });
+    restored.dispose();
+  });
+
+  it('should replay targeting changes', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stepSeconds(engine, 1);
+    const turret = engine.placeTurret('SLOW', new THREE.Vector3(-30, 0, -30));
+    stepSeconds(engine, 1);
+    engine.setTurretTargeting(turret.id, 'HEALERS');
+    engine.setTurretSkipSlowed(turret.id, true);
+    stepSeconds(engine, 0.5);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.playReplay(replay);
+    viewer.state.currency = 5000;
+    stepSeconds(viewer, 2.5);
+
+    expect(viewer.state.turrets[0]).toMatchObject({ id: turret.id, targeting: 'HEALERS', skipSlowed: true });
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+});
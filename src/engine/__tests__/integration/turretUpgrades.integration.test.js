@@ -0,0 +1,231 @@
+/**
+ * Turret Upgrade Integration Tests
+ *
+ * Runs a headless engine through per-turret upgrades: buying levels and
+ * specializations, turrets shooting with their own upgraded stats, picking
+ * a turret with the mouse to open its inspector, tier visuals, and carrying
+ * upgrades through run saves and replays.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../../GameEngine.js';
+import { TurretTypes, TurretUpgradeTracks, TurretBranches } from '../../GameConfig.js';
+import { TIER_2_UPGRADES } from '../../turrets/TurretUpgrades.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds, addZombie, addTurret } from '../../../test-utils/engine.js';
+
+describe('Turret Upgrade Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine();
+    startHeadlessGame(engine, 83);
+    engine.state.currency = 5000;
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  const reachTier2 = (turret) => {
+    for (let i = 0; i < TIER_2_UPGRADES; i++) engine.upgradeTurret(turret.id, 'damage');
+  };
+
+  // ==========================================
+  // Buying upgrades
+  // ==========================================
+
+  describe('buying upgrades', () => {
+    it('should charge corn and raise the turret\'s own stats', () => {
+      const turret = addTurret(engine);
+      const other = addTurret(engine, 'BASIC', -20, 20);
+      const onUpgraded = vi.fn();
+      engine.onEvent('TURRET_UPGRADED', onUpgraded);
+
+      expect(engine.upgradeTurret(turret.id, 'range')).toBe(true);
+
+      expect(engine.state.currency).toBe(5000 - Math.round(TurretTypes.BASIC.cost * TurretUpgradeTracks.range.costFactor));
+      expect(turret.turretRange).toBeCloseTo(TurretTypes.BASIC.range * (1 + TurretUpgradeTracks.range.perLevel));
+      expect(other.turretRange).toBe(TurretTypes.BASIC.range);
+      expect(onUpgraded).toHaveBeenCalledWith(expect.objectContaining({ id: turret.id, tier: 1, branch: null }));
+    });
+
+    it('should refuse upgrades the player can\'t afford', () => {
+      const turret = addTurret(engine);
+      const onBanner = vi.fn();
+      engine.on('onBannerChange', onBanner);
+      engine.state.currency = 10;
+
+      expect(engine.upgradeTurret(turret.id, 'damage')).toBe(false);
+      expect(onBanner).toHaveBeenCalledWith('Not enough corn!');
+      expect(turret.upgrades.levels.damage).toBe(0);
+    });
+
+    it('should only specialize a tier 2 turret, once', () => {
+      const turret = addTurret(engine, 'SLOW');
+      const onBanner = vi.fn();
+      engine.on('onBannerChange', onBanner);
+
+      expect(engine.specializeTurret(turret.id, 'BLIZZARD')).toBe(false);
+      expect(onBanner).toHaveBeenCalledWith(`Needs ${TIER_2_UPGRADES} more upgrades to specialize`);
+
+      reachTier2(turret);
+      expect(turret.tier).toBe(2);
+      const corn = engine.state.currency;
+      expect(engine.specializeTurret(turret.id, 'BLIZZARD')).toBe(true);
+      expect(engine.state.currency).toBe(corn - TurretBranches.SLOW.BLIZZARD.cost);
+      expect(turret.tier).toBe(3);
+
+      expect(engine.specializeTurret(turret.id, 'CRYO_LANCE')).toBe(false);
+      expect(turret.upgrades.branch).toBe('BLIZZARD');
+    });
+  });
+
+  // ==========================================
+  // Combat
+  // ==========================================
+
+  describe('combat', () => {
+    it('should target zombies within the turret\'s upgraded range', () => {
+      const turret = addTurret(engine, 'BASIC', 20, 20);
+      const tk = addZombie(engine, 20 + TurretTypes.BASIC.range + 0.5, 20, 'TANK', { spd: 0 });
+
+      engine._updateTurrets(engine.fixedTimestep);
+      expect(engine.state.turretProjectiles).toHaveLength(0);
+
+      engine.upgradeTurret(turret.id, 'range');
+      engine._updateTurrets(engine.fixedTimestep);
+      expect(engine.state.turretProjectiles).toHaveLength(1);
+      expect(tk.dead).toBeFalsy();
+    });
+
+    it('should fire upgraded shots on the upgraded cooldown', () => {
+      const turret = addTurret(engine, 'BASIC', 20, 20);
+      addZombie(engine, 24, 20, 'TANK', { spd: 0 });
+      reachTier2(turret);
+      engine.specializeTurret(turret.id, 'GATLING');
+
+      engine._updateTurrets(engine.fixedTimestep);
+
+      expect(engine.state.turretProjectiles[0].dmg).toBeCloseTo(turret.damage);
+      expect(turret.cooldown).toBeCloseTo(turret.fireRate);
+      expect(turret.fireRate).toBeLessThan(TurretTypes.BASIC.fireRate);
+    });
+  });
+
+  // ==========================================
+  // Inspector
+  // ==========================================
+
+  describe('inspector', () => {
+    it('should describe the selected turret and its options in the snapshot', () => {
+      const turret = addTurret(engine, 'EXPLOSIVE');
+      expect(engine.getSnapshot().selectedTurret).toBeNull();
+
+      expect(engine.selectTurret(turret.id)).toBe(true);
+      const inspector = engine.getSnapshot().selectedTurret;
+
+      expect(inspector).toMatchObject({ id: turret.id, name: TurretTypes.EXPLOSIVE.name, tier: 1, branch: null });
+      expect(inspector.upgrades.map(upgrade => upgrade.key)).toEqual(Object.keys(TurretUpgradeTracks));
+      expect(inspector.upgrades[0]).toMatchObject({ level: 0, canBuy: true, reason: null });
+      expect(inspector.branches.map(branch => branch.key)).toEqual(['MORTAR', 'POPCORN']);
+      expect(inspector.branches[0]).toMatchObject({ canBuy: false, reason: expect.stringContaining('more upgrades') });
+    });
+
+    it('should close when the selected turret is removed', () => {
+      const turret = addTurret(engine);
+      engine.selectTurret(turret.id);
+
+      engine._removeTurret(turret);
+      expect(engine.getSnapshot().selectedTurret).toBeNull();
+      expect(engine.selectTurret(turret.id)).toBe(false);
+    });
+
+    it('should open a turret clicked in the world and show its range ring', () => {
+      engine.scene = new THREE.Scene();
+      const turret = addTurret(engine);
+      engine.scene.updateMatrixWorld();
+
+      const canvas = document.createElement('canvas');
+      canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 200 });
+      engine.renderer = { domElement: canvas, dispose: vi.fn() };
+      engine.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 200);
+      engine.camera.position.set(20, 15, 26);
+      engine.camera.lookAt(20, 1, 20);
+      engine.camera.updateMatrixWorld();
+
+      engine._onMouseDown({ button: 0, clientX: 100, clientY: 100 });
+      expect(engine.state.selectedTurretId).toBe(turret.id);
+      expect(turret.range.visible).toBe(true);
+      expect(engine.state.input.firing).toBe(false);
+
+      engine._onMouseDown({ button: 0, clientX: 5, clientY: 5 });
+      expect(engine.state.selectedTurretId).toBeNull();
+      expect(turret.range.visible).toBe(false);
+      expect(engine.state.input.firing).toBe(true);
+    });
+
+    it('should rebuild the mesh to show tier bands and the branch color', () => {
+      engine.scene = new THREE.Scene();
+      const turret = addTurret(engine);
+      const original = turret.mesh;
+      const bands = () => turret.mesh.children.filter(child => child.geometry?.type === 'TorusGeometry');
+      expect(bands()).toHaveLength(0);
+
+      reachTier2(turret);
+      expect(turret.mesh).not.toBe(original);
+      expect(original.parent).toBeNull();
+      expect(bands()).toHaveLength(1);
+      expect(turret.mesh.userData.turretId).toBe(turret.id);
+
+      engine.specializeTurret(turret.id, 'SNIPER');
+      expect(bands()).toHaveLength(2);
+      expect(turret.mesh.children[1].material.color.getHex()).toBe(TurretBranches.BASIC.SNIPER.color);
+    });
+  });
+
+  // ==========================================
+  // Saves and replays
+  // ==========================================
+
+  it('should restore turret upgrades from a run save', () => {
+    const turret = addTurret(engine, 'SLOW');
+    reachTier2(turret);
+    engine.specializeTurret(turret.id, 'CRYO_LANCE');
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+
+    const restored = new GameEngine();
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    const [copy] = restored.state.turrets;
+    expect(copy.upgrades).toEqual(turret.upgrades);
+    expect(copy.damage).toBeCloseTo(turret.damage);
+    expect(copy.slow).toBeCloseTo(turret.slow);
+    restored.dispose();
+  });
+
+  it('should replay turret upgrades', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // beforeEach's corn isn't recorded, so both runs grant it before the first tick
+    stepSeconds(engine, 1);
+    const turret = engine.placeTurret('BASIC', new THREE.Vector3(-30, 0, -30));
+    stepSeconds(engine, 1);
+    reachTier2(turret);
+    engine.specializeTurret(turret.id, 'GATLING');
+    stepSeconds(engine, 0.5);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+    expect(replay.inputs.map(input => input.type)).toContain('specializeTurret');
+
+    const viewer = new GameEngine();
+    viewer.initHeadless();
+    viewer.playReplay(replay);
+    viewer.state.currency = 5000;
+    stepSeconds(viewer, 2.5);
+
+    expect(viewer.state.turrets.map(t => t.id)).toEqual([turret.id]);
+    expect(viewer.state.turrets[0].upgrades).toEqual(turret.upgrades);
+    expect(viewer.state.currency).toBe(engine.state.currency);
+    expect(warn).not.toHaveBeenCalled();
+    viewer.dispose();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Wave Script Integration Tests
+ *
+ * Runs scripted waves in a headless engine: group timing, spawn points,
+ * modifiers, wave completion, rejected scripts and run saves taken mid-wave.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameEngine, ZombieTypes } from '../../GameEngine.js';
+import { getGateLayout } from '../../waves/SpawnGates.js';
+import { createHeadlessEngine, startHeadlessGame, disposeHeadlessEngine, stepSeconds } from '../../../test-utils/engine.js';
+
+const testScript = {
+  name: 'Test',
+  waves: [
+    {
+      groups: [
+        { type: 'STANDARD', count: 2, delay: 1 },
+        { type: 'RUNNER', count: 1, start: 1.5, modifiers: { hp: 2, speed: 0.5, damage: 3, value: 2 } }
+      ]
+    }
+  ]
+};
+
+describe('Wave Script Integration', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createHeadlessEngine({ waveScript: testScript });
+    startHeadlessGame(engine, 91);
+  });
+
+  afterEach(() => {
+    disposeHeadlessEngine(engine);
+  });
+
+  const types = () => engine.state.zombies.map(tk => tk.type);
+
+  it('should spawn each group on its own schedule', () => {
+    engine.startWave();
+    expect(engine.state.toSpawn).toBe(3);
+
+    engine.step(engine.fixedTimestep);
+    expect(types()).toEqual(['STANDARD']);
+
+    stepSeconds(engine, 1);
+    expect(types()).toEqual(['STANDARD', 'STANDARD']);
+
+    stepSeconds(engine, 0.5);
+    expect(types()).toEqual(['STANDARD', 'STANDARD', 'RUNNER']);
+    expect(engine.state.toSpawn).toBe(0);
+  });
+
+  it('should spawn inside the gate spawn area', () => {
+    engine.startWave();
+    stepSeconds(engine, 2);
+
+    const area = getGateLayout('EAST').spawnArea;
+    for (const tk of engine.state.zombies) {
+      expect(tk.pos.x).toBeGreaterThan(area.minX - 2);
+      expect(tk.pos.z).toBeGreaterThan(area.minZ - 2);
+      expect(tk.pos.z).toBeLessThan(area.maxZ + 2);
+    }
+  });
+
+  it('should apply group modifiers to spawned zombies', () => {
+    engine.startWave();
+    stepSeconds(engine, 1.6);
+
+    const runner = engine.state.zombies.find(tk => tk.type === 'RUNNER');
+    const stats = ZombieTypes.RUNNER;
+    expect(runner.maxHp).toBeCloseTo(stats.hp * 2);
+    expect(runner.spd).toBeCloseTo(stats.speed * 0.5);
+    expect(runner.dmg).toBeCloseTo(stats.damage * 3);
+    expect(runner.val).toBe(Math.round(stats.value * 2));
+  });
+
+  it('should complete a scripted wave and go procedural past its end', () => {
+    const onWaveComplete = vi.fn();
+    engine.on('onWaveComplete', onWaveComplete);
+    engine.startWave();
+    stepSeconds(engine, 2);
+    engine.state.zombies.forEach(tk => engine._killZombie(tk));
+    stepSeconds(engine, 0.1);
+
+    expect(onWaveComplete).toHaveBeenCalledWith(1);
+
+    engine.startWave();
+    expect(engine.waveManager.isScripted).toBe(false);
+    expect(engine.state.waveComp).toEqual(engine.waveManager.getProceduralComposition(2, false));
+  });
+
+  it('should keep endless waves procedural', () => {
+    engine.startGame(true, 91);
+    engine.startWave();
+
+    expect(engine.waveManager.isScripted).toBe(false);
+    expect(engine.state.waveComp).toEqual(engine.waveManager.getProceduralComposition(1, true));
+  });
+
+  it('should warn about and skip an invalid script', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = engine.loadWaveScript({ waves: [{ groups: [{ type: 'GHOST', count: 1 }] }] });
+
+    expect(result.ok).toBe(false);
+    expect(warn).toHaveBeenCalledWith('[GameEngine] Wave script rejected:', 'waves[0] (wave 1) groups[0] has unknown zombie type: GHOST');
+    expect(engine.waveManager.script).toBe(testScript);
+
+    expect(engine.loadWaveScript(null).ok).toBe(true);
+    expect(engine.waveManager.script).toBeNull();
+  });
+
+  it('should replay a scripted run without flagging the script as changed config', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    engine.startWave();
+    stepSeconds(engine, 1);
+    const replay = JSON.parse(JSON.stringify(engine.exportReplay()));
+
+    const viewer = new GameEngine({ waveScript: testScript });
+    viewer.initHeadless();
+    expect(viewer.playReplay(replay)).toBe(true);
+    expect(warn).not.toHaveBeenCalled();
+
+    viewer.loadWaveScript(null);
+    viewer.config.waveScript = null;
+    viewer.playReplay(replay);
+    expect(warn).toHaveBeenCalledWith('[GameEngine] Replay recorded with different engine config:', ['waveScript']);
+    viewer.dispose();
+  });
+
+  it('should resume group timers from a run save', () => {
+    engine.startWave();
+    stepSeconds(engine, 0.5);
+    const save = JSON.parse(JSON.stringify(engine.serializeRun()));
+    expect(save.wave.groups).toHaveLength(2);
+
+    const restored = new GameEngine({ waveScript: testScript });
+    restored.initHeadless();
+    expect(restored.restoreRun(save)).toBe(true);
+    stepSeconds(restored, 1.1);
+
+    expect(restored.state.zombies.map(tk => tk.type)).toEqual(['STANDARD', 'STANDARD', 'RUNNER']);
+    restored.dispose();
+  });
+});
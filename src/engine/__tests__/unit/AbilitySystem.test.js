@@ -0,0 +1,195 @@
+/**
+ * AbilitySystem Unit Tests
+ *
+ * Tests the READY -> ACTIVE -> COOLDOWN cycle, charges, rejection reasons
+ * and serialization against small ability definitions.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AbilitySystem, AbilityPhase } from '../../abilities/AbilitySystem.js';
+import { AbilityTypes } from '../../GameConfig.js';
+
+const testAbilities = {
+  BLAST: { name: 'Blast', cooldown: 10, duration: 0 },
+  SHIELD: { name: 'Shield', cooldown: 20, duration: 5 },
+  DASH: { name: 'Dash', cooldown: 4, duration: 0, charges: 2 }
+};
+
+describe('AbilitySystem', () => {
+  let system;
+
+  beforeEach(() => {
+    system = new AbilitySystem(testAbilities);
+  });
+
+  // ==========================================
+  // Phases
+  // ==========================================
+
+  describe('phases', () => {
+    it('should start with every ability ready and fully charged', () => {
+      const snapshot = system.getSnapshot();
+
+      expect(snapshot.BLAST).toMatchObject({ phase: AbilityPhase.READY, charges: 1, maxCharges: 1 });
+      expect(snapshot.DASH).toMatchObject({ phase: AbilityPhase.READY, charges: 2, maxCharges: 2 });
+    });
+
+    it('should go on cooldown after an instant ability is used', () => {
+      system.use('BLAST');
+
+      expect(system.getPhase('BLAST')).toBe(AbilityPhase.COOLDOWN);
+      expect(system.getSnapshot().BLAST.cooldownRemaining).toBe(10);
+    });
+
+    it('should be ready again once the cooldown runs out', () => {
+      system.use('BLAST');
+      system.update(9.5);
+      expect(system.getPhase('BLAST')).toBe(AbilityPhase.COOLDOWN);
+
+      system.update(0.5);
+      expect(system.getPhase('BLAST')).toBe(AbilityPhase.READY);
+      expect(system.canUse('BLAST').ok).toBe(true);
+    });
+
+    it('should hold the cooldown until the active phase ends', () => {
+      system.use('SHIELD');
+      expect(system.getPhase('SHIELD')).toBe(AbilityPhase.ACTIVE);
+
+      system.update(5);
+      expect(system.getPhase('SHIELD')).toBe(AbilityPhase.COOLDOWN);
+      expect(system.getSnapshot().SHIELD.cooldownRemaining).toBe(20);
+
+      system.update(20);
+      expect(system.getPhase('SHIELD')).toBe(AbilityPhase.READY);
+    });
+
+    it('should report whether anything changed', () => {
+      expect(system.update(1)).toBe(false);
+      system.use('BLAST');
+      expect(system.update(1)).toBe(true);
+    });
+
+    it('should only report a countdown when it reaches another whole second', () => {
+      system.use('BLAST');
+      expect(system.update(0.5)).toBe(false);
+      expect(system.update(0.25)).toBe(false);
+      expect(system.update(0.5)).toBe(true);
+      expect(system.getSnapshot().BLAST.cooldownRemaining).toBeCloseTo(8.75);
+    });
+
+    it('should report an active phase ending', () => {
+      system.use('SHIELD');
+      system.update(4.5);
+
+      expect(system.update(0.5)).toBe(true);
+      expect(system.getPhase('SHIELD')).toBe(AbilityPhase.COOLDOWN);
+    });
+
+    it('should report a charge coming back', () => {
+      system.use('DASH');
+      system.use('DASH');
+      system.update(3.9);
+
+      expect(system.update(0.2)).toBe(true);
+      expect(system.getSnapshot().DASH.charges).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Rejections
+  // ==========================================
+
+  describe('rejections', () => {
+    it('should reject abilities on cooldown with the time left', () => {
+      system.use('BLAST');
+      system.update(2.5);
+
+      const result = system.use('BLAST');
+      expect(result.ok).toBe(false);
+      expect(result.reasons[0].message).toBe('Blast is on cooldown (8s)');
+    });
+
+    it('should reject abilities that are already active', () => {
+      system.use('SHIELD');
+      expect(system.use('SHIELD').reasons[0].message).toBe('Shield is already active');
+    });
+
+    it('should reject unknown abilities', () => {
+      expect(system.canUse('NOPE').ok).toBe(false);
+    });
+
+    it('should not change state on a rejected use', () => {
+      system.use('BLAST');
+      system.update(3);
+      system.use('BLAST');
+
+      expect(system.getSnapshot().BLAST.cooldownRemaining).toBe(7);
+    });
+  });
+
+  // ==========================================
+  // Charges
+  // ==========================================
+
+  describe('charges', () => {
+    it('should allow one use per charge', () => {
+      expect(system.use('DASH').ok).toBe(true);
+      expect(system.getPhase('DASH')).toBe(AbilityPhase.READY);
+      expect(system.use('DASH').ok).toBe(true);
+      expect(system.use('DASH').ok).toBe(false);
+    });
+
+    it('should restore charges one cooldown at a time', () => {
+      system.use('DASH');
+      system.use('DASH');
+
+      system.update(4);
+      expect(system.getSnapshot().DASH).toMatchObject({ charges: 1, cooldownRemaining: 4 });
+
+      system.update(4);
+      expect(system.getSnapshot().DASH).toMatchObject({ charges: 2, cooldownRemaining: 0 });
+    });
+
+    it('should carry leftover time into the next charge', () => {
+      system.use('DASH');
+      system.use('DASH');
+      system.update(5);
+
+      expect(system.getSnapshot().DASH).toMatchObject({ charges: 1, cooldownRemaining: 3 });
+    });
+  });
+
+  // ==========================================
+  // Serialization
+  // ==========================================
+
+  describe('serialization', () => {
+    it('should round-trip timers and charges', () => {
+      system.use('SHIELD');
+      system.use('DASH');
+      system.update(2);
+
+      const restored = new AbilitySystem(testAbilities);
+      restored.restore(JSON.parse(JSON.stringify(system.serialize())));
+
+      expect(restored.getSnapshot()).toEqual(system.getSnapshot());
+    });
+
+    it('should ignore unknown abilities and bad values', () => {
+      system.restore({ NOPE: { charges: 1 }, BLAST: { charges: 'x', rechargeRemaining: -3 }, DASH: { charges: 9 } });
+
+      expect(system.getSnapshot().BLAST).toMatchObject({ charges: 1, cooldownRemaining: 0 });
+      expect(system.getSnapshot().DASH.charges).toBe(2);
+    });
+
+    it('should reset to ready when given nothing', () => {
+      system.use('BLAST');
+      system.restore(undefined);
+      expect(system.getPhase('BLAST')).toBe(AbilityPhase.READY);
+    });
+  });
+
+  it('should default to the game ability definitions', () => {
+    expect(Object.keys(new AbilitySystem().getSnapshot())).toEqual(Object.keys(AbilityTypes));
+  });
+});
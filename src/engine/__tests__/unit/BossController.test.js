@@ -0,0 +1,155 @@
+/**
+ * BossController Unit Tests
+ *
+ * Tests HP-based phase changes, attack timers, charge movement and the
+ * default Overlord phases against small phase definitions.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BossController, BossAction } from '../../bosses/BossController.js';
+import { BossPhases, ZombieTypes } from '../../GameConfig.js';
+
+const testPhases = {
+  3: { name: 'Calm', summon: { type: 'STANDARD', count: 2, interval: 10 } },
+  2: {
+    name: 'Angry', banner: 'BOSS PHASE 2',
+    charge: { interval: 4, windup: 1, duration: 2, speedMult: 5 }
+  },
+  1: { name: 'Enraged', banner: 'BOSS ENRAGED', speedMult: 2, slam: { interval: 6, radius: 8, damage: 30 } }
+};
+
+const origin = { x: 0, z: 0 };
+
+describe('BossController', () => {
+  let controller;
+  let boss;
+
+  beforeEach(() => {
+    controller = new BossController(testPhases, 3);
+    boss = { hp: 300, maxHp: 300, pos: { x: 0, z: 0 }, bossPhase: 3, bossState: controller.createState() };
+  });
+
+  const actionTypes = (actions) => actions.map(action => action.type);
+
+  // ==========================================
+  // Phases
+  // ==========================================
+
+  describe('phases', () => {
+    it('should map HP to phases in equal shares', () => {
+      expect(controller.getPhase(boss)).toBe(3);
+      boss.hp = 200;
+      expect(controller.getPhase(boss)).toBe(2);
+      boss.hp = 199;
+      expect(controller.getPhase(boss)).toBe(2);
+      boss.hp = 100;
+      expect(controller.getPhase(boss)).toBe(1);
+      boss.hp = -20;
+      expect(controller.getPhase(boss)).toBe(1);
+    });
+
+    it('should announce a phase change once', () => {
+      boss.hp = 150;
+
+      const actions = controller.update(boss, 0.1, origin);
+      expect(actions).toContainEqual({ type: BossAction.PHASE, phase: 2, name: 'Angry', banner: 'BOSS PHASE 2' });
+      expect(boss.bossPhase).toBe(2);
+
+      expect(actionTypes(controller.update(boss, 0.1, origin))).not.toContain(BossAction.PHASE);
+    });
+
+    it('should jump straight to the lowest phase on a big hit', () => {
+      boss.hp = 50;
+
+      const phases = controller.update(boss, 0.1, origin).filter(action => action.type === BossAction.PHASE);
+      expect(phases).toEqual([expect.objectContaining({ phase: 1, banner: 'BOSS ENRAGED' })]);
+    });
+
+    it('should never return to an earlier phase when healed', () => {
+      boss.hp = 50;
+      controller.update(boss, 0.1, origin);
+      boss.hp = 300;
+      controller.update(boss, 0.1, origin);
+
+      expect(boss.bossPhase).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Attacks
+  // ==========================================
+
+  describe('attacks', () => {
+    it('should summon on the phase interval', () => {
+      expect(actionTypes(controller.update(boss, 9.9, origin))).toEqual([]);
+      expect(controller.update(boss, 0.2, origin)).toEqual([
+        { type: BossAction.SUMMON, zombieType: 'STANDARD', count: 2 }
+      ]);
+      expect(actionTypes(controller.update(boss, 9.5, origin))).toEqual([]);
+    });
+
+    it('should use the first attack of a new phase sooner', () => {
+      boss.hp = 50;
+      controller.update(boss, 0.1, origin);
+
+      expect(actionTypes(controller.update(boss, 3.1, origin))).toEqual([BossAction.SLAM]);
+    });
+
+    it('should slam with the phase radius and damage', () => {
+      boss.hp = 50;
+      controller.update(boss, 0.1, origin);
+      const actions = controller.update(boss, 3.1, origin);
+
+      expect(actions).toEqual([{ type: BossAction.SLAM, radius: 8, damage: 30 }]);
+    });
+  });
+
+  // ==========================================
+  // Charge
+  // ==========================================
+
+  describe('charge', () => {
+    beforeEach(() => {
+      boss.hp = 150;
+      controller.update(boss, 0.1, origin);
+    });
+
+    it('should wind up in place then dash toward the target', () => {
+      const actions = controller.update(boss, 2.1, { x: 3, z: 4 });
+      expect(actions).toEqual([{ type: BossAction.CHARGE, windup: 1 }]);
+      expect(controller.getSpeedMultiplier(boss)).toBe(0);
+      expect(controller.getChargeDirection(boss)).toBeNull();
+
+      controller.update(boss, 1.01, origin);
+      expect(controller.getSpeedMultiplier(boss)).toBe(5);
+      expect(controller.getChargeDirection(boss).x).toBeCloseTo(0.6);
+      expect(controller.getChargeDirection(boss).z).toBeCloseTo(0.8);
+    });
+
+    it('should end the dash after its duration', () => {
+      controller.update(boss, 2.1, { x: 1, z: 0 });
+      controller.update(boss, 1.01, origin);
+      controller.update(boss, 2.01, origin);
+
+      expect(boss.bossState.charge).toBeNull();
+      expect(controller.getSpeedMultiplier(boss)).toBe(1);
+    });
+
+    it('should cancel a charge when the phase changes', () => {
+      controller.update(boss, 2.1, { x: 1, z: 0 });
+      boss.hp = 50;
+      controller.update(boss, 0.1, origin);
+
+      expect(boss.bossState.charge).toBeNull();
+      expect(controller.getSpeedMultiplier(boss)).toBe(2);
+    });
+  });
+
+  it('should default to the Overlord phases', () => {
+    const overlord = new BossController();
+
+    expect(overlord.phases).toBe(BossPhases);
+    expect(overlord.phaseCount).toBe(ZombieTypes.BOSS.phases);
+    expect(Object.keys(BossPhases).map(Number).sort()).toEqual([1, 2, 3]);
+  });
+});
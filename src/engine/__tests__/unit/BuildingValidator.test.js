@@ -347,6 +347,38 @@ describe('BuildingValidator', () => {
         expect(result.ok).toBe(false);
       });
 
+      it('should not block a placed piece moving near where it stands', () => {
+        const existing = createMockPiece({
+          position: createPosition(10, 0, 10)
+        });
+        validator.addPiece(existing);
+
+        const moved = { ...existing, position: createPosition(10.5, 0, 10.5) };
+        const result = validator.validatePlacement(moved);
+
+        expect(result.ok).toBe(true);
+      });
+
+      it('should reject pieces whose footprints overlap however far apart they stand', () => {
+        const rect = (x, z, r) => ({ minX: x - r, maxX: x + r, minZ: z - r, maxZ: z + r });
+        validator.addPiece(createMockPiece({
+          position: createPosition(10, 0, 10),
+          footprint: rect(10, 10, 1)
+        }));
+
+        const against = createMockPiece({
+          position: createPosition(11.6, 0, 10), // Distance > 1.5
+          footprint: rect(11.6, 10, 0.75)
+        });
+        const beside = createMockPiece({
+          position: createPosition(11.75, 0, 10),
+          footprint: rect(11.75, 10, 0.75)
+        });
+
+        expect(validator.validatePlacement(against).reasons[0].code).toBe(ValidationCode.BLOCKED);
+        expect(validator.validatePlacement(beside).ok).toBe(true);
+      });
+
       it('should handle pieces without position gracefully', () => {
         const existing = createMockPiece({ position: null });
         validator.graph.addPiece(existing);
@@ -403,6 +435,20 @@ describe('BuildingValidator', () => {
 
         expect(result.ok).toBe(true);
       });
+
+      it('should let a piece stack right on top of its support', () => {
+        const support = createMockPiece({
+          position: createPosition(10, 0, 10),
+          isGrounded: true
+        });
+        validator.addPiece(support);
+
+        const stacked = createMockPiece({ position: createPosition(10, 1.2, 10), isGrounded: false });
+        const sameSpot = createMockPiece({ position: createPosition(10, 0.5, 10), isGrounded: true });
+
+        expect(validator.validatePlacement(stacked).ok).toBe(true);
+        expect(validator.validatePlacement(sameSpot).reasons[0].code).toBe(ValidationCode.BLOCKED);
+      });
     });
 
     describe('result structure', () => {
@@ -522,6 +568,55 @@ describe('BuildingValidator', () => {
     });
   });
 
+  // ============================================
+  // ADD SUPPORTS TESTS
+  // ============================================
+  describe('addSupports', () => {
+    beforeEach(() => {
+      validator.setMode(ValidationMode.HEURISTIC);
+    });
+
+    it('should rest a piece on the pieces below it until none are left', () => {
+      const left = createMockPiece({ position: createPosition(10, 0, 10) });
+      const right = createMockPiece({ position: createPosition(12, 0, 10) });
+      const top = createMockPiece({ position: createPosition(11, 1.2, 10), isGrounded: false });
+      validator.addPiece(left);
+      validator.addPiece(right);
+      validator.addPiece(top);
+
+      expect(validator.addSupports(top)).toEqual([left, right]);
+
+      expect(validator.removePiece(left)).toEqual([]);
+      expect(validator.removePiece(right)).toEqual([top]);
+    });
+
+    it('should link only the supports given', () => {
+      const wall = createMockPiece({ position: createPosition(10, 0, 10) });
+      const turret = createMockPiece({ position: createPosition(12, 0, 10) });
+      const top = createMockPiece({ position: createPosition(10, 1.2, 10), isGrounded: false });
+      validator.addPiece(wall);
+      validator.addPiece(turret);
+      validator.addPiece(top);
+
+      validator.addSupports(top, [wall]);
+
+      expect(validator.graph.getSupports(top)).toEqual([wall]);
+      expect(validator.getStability(top)).toBe(1.0);
+    });
+
+    it('should unlink a piece removed through another object with its id', () => {
+      const wall = createMockPiece({ position: createPosition(10, 0, 10) });
+      const top = createMockPiece({ position: createPosition(10, 1.2, 10), isGrounded: false });
+      validator.addPiece(wall);
+      validator.addPiece(top);
+      validator.addSupports(top, [wall]);
+
+      validator.removePiece({ id: top.id });
+
+      expect(validator.graph.getSupportedPieces(wall)).toEqual([]);
+    });
+  });
+
   // ============================================
   // GET STABILITY TESTS
   // ============================================
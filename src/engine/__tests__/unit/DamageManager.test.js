@@ -7,6 +7,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DamageManager, DamageState, DamageType, DamageVisualizer } from '../../DamageManager.js';
+import * as THREE from 'three';
 import { Vector3, Color, Object3D } from '../__mocks__/three.js';
 import {
   createMockPiece,
@@ -707,22 +708,28 @@ describe('DamageManager', () => {
       const piece = createMockPiece({ mesh: createMockMesh() });
       manager.registerPiece(piece);
 
-      // Manually add pending destruction
-      manager.pendingDestructions.push({
-        piece,
-        delay: 100,
-        timestamp: performance.now(),
-        cause: 'structural'
-      });
+      manager.scheduleDestruction(piece, 100);
 
       // Before delay
-      manager.update(0.016);
+      manager.update(0.06);
       expect(manager.pendingDestructions.length).toBe(1);
+      expect(manager.getPendingDelay(piece)).toBeCloseTo(40);
 
       // After delay
-      vi.advanceTimersByTime(150);
-      manager.update(0.016);
+      manager.update(0.04);
       expect(manager.pendingDestructions.length).toBe(0);
+      expect(manager.getPendingDelay(piece)).toBeNull();
+    });
+
+    it('should not count wall-clock time toward a pending destruction', () => {
+      const piece = createMockPiece({ mesh: createMockMesh() });
+      manager.registerPiece(piece);
+      manager.scheduleDestruction(piece, 100);
+
+      vi.advanceTimersByTime(1000);
+      manager.update(0.016);
+
+      expect(manager.pendingDestructions.length).toBe(1);
     });
 
     it('should update active collapse animations', () => {
@@ -736,7 +743,6 @@ describe('DamageManager', () => {
 
       // Run update multiple times to progress animation
       for (let i = 0; i < 100; i++) {
-        vi.advanceTimersByTime(20);
         manager.update(0.020);
       }
     });
@@ -752,7 +758,6 @@ describe('DamageManager', () => {
 
       // Fast forward through animation
       for (let i = 0; i < 200; i++) {
-        vi.advanceTimersByTime(20);
         dm.update(0.020);
       }
 
@@ -987,6 +992,21 @@ describe('DamageVisualizer', () => {
       visualizer.updateVisuals(piece, damageable);
       // Original color should be restored
     });
+
+    it('should tint every child mesh of a group except keepColor ones', () => {
+      const group = new THREE.Group();
+      const body = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+      const healthBar = new THREE.Mesh(new THREE.PlaneGeometry(), new THREE.MeshBasicMaterial({ color: 0x44ff44 }));
+      healthBar.userData.keepColor = true;
+      group.add(body, healthBar);
+
+      visualizer.updateVisuals({ mesh: group }, { damageState: DamageState.CRITICAL });
+      expect(body.material.color.getHex()).not.toBe(0xffffff);
+      expect(healthBar.material.color.getHex()).toBe(0x44ff44);
+
+      visualizer.updateVisuals({ mesh: group }, { damageState: DamageState.PRISTINE });
+      expect(body.material.color.getHex()).toBe(0xffffff);
+    });
   });
 
   describe('applyDamageColor', () => {
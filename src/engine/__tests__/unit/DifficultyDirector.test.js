@@ -0,0 +1,184 @@
+/**
+ * DifficultyDirector Unit Tests
+ *
+ * Tests reading the player's performance, moving pressure within a preset's
+ * bounds, turning pressure into spawn pacing, bursts and bonus zombies, the
+ * decision log and saving director state.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DifficultyDirector } from '../../director/DifficultyDirector.js';
+import { DifficultyPresets, DirectorTuning } from '../../GameConfig.js';
+
+// RNG that hands out the given rolls in order and counts draws
+const rolls = (...values) => {
+  const rng = { draws: 0, next: () => values[rng.draws++ % values.length] };
+  return rng;
+};
+
+const comfortable = { healthRatio: 1, integrity: 1, currency: 600, wave: 2, progress: 0.5, simTime: 30 };
+const struggling = { healthRatio: 0.2, integrity: 0.3, currency: 0, wave: 2, progress: 0.5, simTime: 30 };
+
+describe('DifficultyDirector', () => {
+  let director;
+
+  beforeEach(() => {
+    director = new DifficultyDirector();
+  });
+
+  it('should start Normal at neutral pressure', () => {
+    expect(director.difficulty).toBe('NORMAL');
+    expect(director.pressure).toBe(1);
+    expect(director.intervalMult).toBe(1);
+    expect(director.burstChance).toBe(0);
+  });
+
+  it('should switch presets and refuse unknown ones', () => {
+    expect(director.setDifficulty('NIGHTMARE')).toBe(true);
+    expect(director.pressure).toBe(DifficultyPresets.NIGHTMARE.basePressure);
+
+    expect(director.setDifficulty('INSANE')).toBe(false);
+    expect(director.difficulty).toBe('NIGHTMARE');
+  });
+
+  // ==========================================
+  // Assessment
+  // ==========================================
+
+  describe('assess', () => {
+    it('should score a comfortable player near 1 and a struggling one near -1', () => {
+      director.recordKill(1);
+      expect(director.assess(comfortable).score).toBeGreaterThan(0.8);
+
+      director.recordKill(40);
+      director.recordKill(40);
+      expect(director.assess(struggling).score).toBeLessThan(-0.6);
+    });
+
+    it('should leave kill speed neutral until something dies', () => {
+      expect(director.assess(comfortable).signals.killSpeed).toBe(0);
+    });
+
+    it('should only count unspent corn above the wave allowance as hoarding', () => {
+      const { hoardBase, hoardPerWave } = DirectorTuning;
+      const allowance = hoardBase + 2 * hoardPerWave;
+
+      expect(director.assess({ ...comfortable, currency: 0 }).signals.hoarding).toBe(0);
+      expect(director.assess({ ...comfortable, currency: allowance }).signals.hoarding).toBe(0);
+      expect(director.assess({ ...comfortable, currency: allowance * 1.5 }).signals.hoarding).toBeCloseTo(0.5);
+    });
+  });
+
+  // ==========================================
+  // Pressure
+  // ==========================================
+
+  describe('pressure', () => {
+    it('should only decide once per evaluation interval', () => {
+      expect(director.update(DirectorTuning.evaluateInterval - 0.1, comfortable)).toBeNull();
+      expect(director.update(0.1, comfortable)).not.toBeNull();
+    });
+
+    it('should ease toward the pressure performance calls for within the preset bounds', () => {
+      const { maxPressure, minPressure } = DifficultyPresets.NORMAL;
+      director.recordKill(0);
+
+      director.decide(comfortable);
+      expect(director.pressure).toBeCloseTo(1 + DirectorTuning.maxStep);
+
+      for (let i = 0; i < 20; i++) director.decide(comfortable);
+      expect(director.pressure).toBeCloseTo(maxPressure);
+
+      for (let i = 0; i < 40; i++) {
+        director.recordKill(60);
+        director.decide(struggling);
+      }
+      // Unspent corn never reads as struggling, so a broke player stays just above the floor
+      expect(director.pressure).toBeCloseTo(1 + director.assess(struggling).score * (1 - minPressure));
+      expect(director.pressure).toBeGreaterThanOrEqual(minPressure);
+    });
+
+    it('should turn pressure into shorter intervals and bursts', () => {
+      director.pressure = 1.25;
+
+      expect(director.intervalMult).toBeCloseTo(0.8);
+      expect(director.burstChance).toBeCloseTo(0.25 * DirectorTuning.burstPerPressure);
+    });
+  });
+
+  // ==========================================
+  // Bursts and bonus zombies
+  // ==========================================
+
+  describe('rollBurst', () => {
+    it('should not draw from the RNG when no burst is possible', () => {
+      const rng = rolls(0);
+      expect(director.rollBurst(rng)).toBe(1);
+      expect(rng.draws).toBe(0);
+    });
+
+    it('should send extra zombies on a successful roll', () => {
+      director.pressure = 1.5;
+
+      expect(director.rollBurst(rolls(0.9))).toBe(1);
+      expect(director.rollBurst(rolls(0, 0))).toBe(2);
+      expect(director.rollBurst(rolls(0, 0.99))).toBe(DirectorTuning.maxBurstSize);
+    });
+  });
+
+  describe('bonus zombies', () => {
+    it('should add bonus zombies for a comfortable player up to the preset cap', () => {
+      director.recordKill(1);
+      let total = 0;
+      for (let i = 0; i < 10; i++) total += director.decide(comfortable).bonus?.count ?? 0;
+
+      expect(total).toBe(DifficultyPresets.NORMAL.maxBonus);
+
+      director.startWave();
+      expect(director.decide(comfortable).bonus).not.toBeNull();
+    });
+
+    it('should hold bonus zombies early in a wave, for a struggling player and on Casual', () => {
+      director.recordKill(1);
+      expect(director.decide({ ...comfortable, progress: 0.1 }).bonus).toBeNull();
+      expect(director.decide(struggling).bonus).toBeNull();
+
+      director.setDifficulty('CASUAL');
+      director.recordKill(1);
+      expect(director.decide(comfortable).bonus).toBeNull();
+    });
+
+    it('should send runners once the wave allows them', () => {
+      director.recordKill(1);
+      expect(director.decide({ ...comfortable, wave: 1 }).bonus.type).toBe('STANDARD');
+      expect(director.decide({ ...comfortable, wave: 3 }).bonus.type).toBe('RUNNER');
+    });
+  });
+
+  // ==========================================
+  // Log and saves
+  // ==========================================
+
+  it('should log recent decisions for the performance HUD', () => {
+    for (let i = 0; i < DirectorTuning.logSize + 3; i++) director.decide({ ...comfortable, simTime: i });
+
+    const snapshot = director.getSnapshot();
+    expect(snapshot.log).toHaveLength(DirectorTuning.logSize);
+    expect(snapshot.log.at(-1)).toMatchObject({ time: DirectorTuning.logSize + 2, wave: 2, pressure: snapshot.pressure });
+    expect(snapshot).toMatchObject({ difficulty: 'NORMAL', name: 'Normal' });
+  });
+
+  it('should restore saved state within the preset bounds', () => {
+    director.recordKill(5);
+    director.decide(comfortable);
+    director.update(1, comfortable);
+    const saved = JSON.parse(JSON.stringify(director.serialize()));
+
+    const restored = new DifficultyDirector();
+    restored.restore(saved);
+    expect(restored.serialize()).toEqual(saved);
+
+    restored.restore({ ...saved, pressure: 9 });
+    expect(restored.pressure).toBe(DifficultyPresets.NORMAL.maxPressure);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * FlowField Unit Tests
+ *
+ * Tests NavGrid cells, walkable areas and obstacles, reachability checks,
+ * and flow directions around walls on small grids.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NavGrid, FlowField } from '../../navigation/FlowField.js';
+
+const bounds = { minX: 0, maxX: 10, minZ: 0, maxZ: 10 };
+const point = (x, z) => ({ minX: x, maxX: x, minZ: z, maxZ: z });
+
+describe('NavGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new NavGrid({ bounds, cellSize: 1 });
+  });
+
+  it('should map positions to cells', () => {
+    expect(grid.cols).toBe(10);
+    expect(grid.rows).toBe(10);
+    expect(grid.cellIndex(0.5, 0.5)).toBe(0);
+    expect(grid.cellIndex(3.2, 2.9)).toBe(23);
+    expect(grid.cellCenter(23)).toEqual({ x: 3.5, z: 2.5 });
+    expect(grid.cellIndex(-1, 5)).toBe(-1);
+    expect(grid.cellIndex(5, 10)).toBe(-1);
+  });
+
+  it('should block cells outside the walkable areas', () => {
+    grid = new NavGrid({ bounds, cellSize: 1, walkable: [{ minX: 0, maxX: 5, minZ: 0, maxZ: 10 }] });
+
+    expect(grid.isBlocked(grid.cellIndex(2, 2))).toBe(false);
+    expect(grid.isBlocked(grid.cellIndex(8, 2))).toBe(true);
+  });
+
+  it('should block and unblock the cells under an obstacle', () => {
+    const version = grid.version;
+    grid.setObstacle('a', { minX: 2.2, maxX: 3.8, minZ: 2.2, maxZ: 2.8 });
+
+    expect(grid.isBlocked(grid.cellIndex(2.5, 2.5))).toBe(true);
+    expect(grid.isBlocked(grid.cellIndex(3.5, 2.5))).toBe(true);
+    expect(grid.isBlocked(grid.cellIndex(4.5, 2.5))).toBe(false);
+    expect(grid.version).toBeGreaterThan(version);
+
+    expect(grid.removeObstacle('a')).toBe(true);
+    expect(grid.isBlocked(grid.cellIndex(2.5, 2.5))).toBe(false);
+    expect(grid.removeObstacle('a')).toBe(false);
+  });
+
+  it('should keep shared cells blocked until every obstacle is gone', () => {
+    grid.setObstacle('a', point(5.5, 5.5));
+    grid.setObstacle('b', point(5.5, 5.5));
+    grid.removeObstacle('a');
+
+    expect(grid.isBlocked(grid.cellIndex(5.5, 5.5))).toBe(true);
+  });
+
+  it('should replace an obstacle set again under the same id', () => {
+    grid.setObstacle('house', point(1.5, 1.5));
+    grid.setObstacle('house', point(8.5, 8.5));
+
+    expect(grid.isBlocked(grid.cellIndex(1.5, 1.5))).toBe(false);
+    expect(grid.isBlocked(grid.cellIndex(8.5, 8.5))).toBe(true);
+  });
+
+  it('should check reachability with an extra footprint', () => {
+    // Wall across x = 5 with a one-cell gap at z = 9
+    grid.setObstacle('wall', { minX: 5.2, maxX: 5.8, minZ: 0, maxZ: 8.5 });
+    const goal = point(9.5, 0.5);
+
+    expect(grid.isReachable({ x: 0.5, z: 0.5 }, goal)).toBe(true);
+    expect(grid.isReachable({ x: 0.5, z: 0.5 }, goal, point(5.5, 9.5))).toBe(false);
+  });
+
+  it('should check reachability as if an obstacle were gone', () => {
+    grid.setObstacle('wall', { minX: 5.2, maxX: 5.8, minZ: 0, maxZ: 9.5 });
+    grid.setObstacle('post', point(5.5, 5.5));
+    const goal = point(9.5, 0.5);
+
+    expect(grid.isReachable({ x: 0.5, z: 0.5 }, goal)).toBe(false);
+    expect(grid.isReachable({ x: 0.5, z: 0.5 }, goal, null, 'post')).toBe(false);
+    expect(grid.isReachable({ x: 0.5, z: 0.5 }, goal, null, 'wall')).toBe(true);
+    expect(grid.isBlocked(grid.cellIndex(5.5, 2.5))).toBe(true);
+  });
+});
+
+describe('FlowField', () => {
+  let grid;
+  let field;
+
+  beforeEach(() => {
+    grid = new NavGrid({ bounds, cellSize: 1 });
+    field = new FlowField(grid);
+    field.setGoal(point(9.5, 0.5));
+  });
+
+  it('should point straight at a goal in open ground', () => {
+    field.update();
+
+    expect(field.sample(5.5, 0.5)).toEqual({ x: 1, z: 0 });
+    expect(field.getCost(5.5, 0.5)).toBe(4);
+  });
+
+  it('should return null at the goal and outside the grid', () => {
+    field.update();
+
+    expect(field.sample(9.5, 0.5)).toBeNull();
+    expect(field.sample(-3, 0.5)).toBeNull();
+  });
+
+  it('should route around a wall through its gap', () => {
+    grid.setObstacle('wall', { minX: 5.2, maxX: 5.8, minZ: 0, maxZ: 8.5 });
+    field.update();
+
+    // Walls force a detour up to the gap at z = 9
+    expect(field.getCost(4.5, 0.5)).toBeGreaterThan(10);
+    expect(field.sample(4.5, 0.5).z).toBeGreaterThan(0);
+  });
+
+  it('should not cut diagonally past a blocked corner', () => {
+    grid.setObstacle('block', point(8.5, 0.5));
+    field.setGoal(point(9.5, 1.5));
+    field.update();
+
+    // From (8.5, 1.5) go straight; from (7.5, 0.5) the diagonal past the block is not allowed
+    expect(field.sample(8.5, 1.5)).toEqual({ x: 1, z: 0 });
+    expect(field.sample(7.5, 0.5)).toEqual({ x: 0, z: 1 });
+  });
+
+  it('should lead zombies out of a blocked cell', () => {
+    grid.setObstacle('turret', point(5.5, 0.5));
+    field.update();
+
+    const dir = field.sample(5.5, 0.5);
+    expect(dir).not.toBeNull();
+    expect(grid.isBlocked(grid.cellIndex(5.5 + dir.x, 0.5 + dir.z))).toBe(false);
+  });
+
+  it('should flow up to a blocked goal area', () => {
+    grid.setObstacle('house', { minX: 7, maxX: 9.9, minZ: 0, maxZ: 2.9 });
+    field.setGoal({ minX: 7, maxX: 9.9, minZ: 0, maxZ: 2.9 });
+    field.update();
+
+    expect(field.getCost(6.5, 0.5)).toBe(1);
+    expect(field.sample(6.5, 0.5)).toEqual({ x: 1, z: 0 });
+  });
+
+  it('should head for the nearest of several goal areas', () => {
+    field.setGoal([point(9.5, 0.5), point(0.5, 0.5)]);
+    field.update();
+
+    expect(field.getCost(2.5, 0.5)).toBe(2);
+    expect(field.sample(2.5, 0.5)).toEqual({ x: -1, z: 0 });
+    expect(field.sample(7.5, 0.5)).toEqual({ x: 1, z: 0 });
+  });
+
+  it('should report unreachable cells', () => {
+    grid.setObstacle('wall', { minX: 5.2, maxX: 5.8, minZ: 0, maxZ: 10 });
+    field.update();
+
+    expect(field.getCost(1.5, 1.5)).toBe(Infinity);
+    expect(field.sample(1.5, 1.5)).toBeNull();
+  });
+
+  it('should only update when the goal or blocked cells change', () => {
+    expect(field.update()).toBe(true);
+    expect(field.update()).toBe(false);
+
+    field.setGoal(point(9.5, 0.5));
+    expect(field.update()).toBe(false);
+
+    field.setGoal(point(9.5, 5.5));
+    expect(field.update()).toBe(true);
+
+    grid.setObstacle('turret', point(3.5, 3.5));
+    expect(field.update()).toBe(true);
+
+    // A second obstacle on an already blocked cell changes nothing
+    grid.setObstacle('crate', point(3.5, 3.5));
+    expect(field.update()).toBe(false);
+  });
+
+  it('should repair costs to match a full rebuild as obstacles come and go', () => {
+    grid = new NavGrid({ bounds: { minX: 0, maxX: 20, minZ: 0, maxZ: 20 }, cellSize: 1 });
+    field = new FlowField(grid);
+    field.setGoal([point(18.5, 1.5), { minX: 17, maxX: 19.9, minZ: 16, maxZ: 18.9 }]);
+    field.update();
+
+    const rebuilt = () => {
+      const fresh = new FlowField(grid);
+      fresh.setGoal([point(18.5, 1.5), { minX: 17, maxX: 19.9, minZ: 16, maxZ: 18.9 }]);
+      fresh.update();
+      return fresh.cost;
+    };
+    const steps = [
+      () => grid.setObstacle('wall', { minX: 10.2, maxX: 10.8, minZ: 0, maxZ: 17.5 }),
+      () => grid.setObstacle('post', point(12.5, 18.5)),
+      () => grid.setObstacle('goal-block', point(18.5, 1.5)),
+      () => grid.setObstacle('wall', { minX: 10.2, maxX: 10.8, minZ: 3, maxZ: 19.9 }),
+      () => grid.removeObstacle('post'),
+      () => grid.setObstacle('box', { minX: 4, maxX: 6.9, minZ: 4, maxZ: 6.9 }),
+      () => grid.removeObstacle('wall'),
+      () => grid.removeObstacle('goal-block')
+    ];
+
+    for (const step of steps) {
+      step();
+      field.update();
+      expect(field.cost).toEqual(rebuilt());
+    }
+  });
+});
@@ -10,7 +10,9 @@ import {
   ZombieTypes,
   HouseUpgrades,
   TurretTypes,
+  StructureTypes,
   AbilityTypes,
+  AchievementTiers,
   Achievements
 } from '../../GameConfig.js';
 
@@ -362,6 +364,10 @@ describe('GameConfig', () => {
         expect(turret.range).toBePositive();
       });
 
+      it('should have positive projectile speed', () => {
+        expect(turret.projectileSpeed).toBePositive();
+      });
+
       it('should have a color', () => {
         expect(typeof turret.color).toBe('number');
       });
@@ -388,12 +394,55 @@ describe('GameConfig', () => {
       expect(TurretTypes.EXPLOSIVE.splash).toBeGreaterThan(0);
     });
 
+    it('EXPLOSIVE turret should lob arcing shells', () => {
+      expect(TurretTypes.EXPLOSIVE.arc).toBe(true);
+      expect(TurretTypes.EXPLOSIVE.arcHeight).toBePositive();
+    });
+
     it('costs should increase with power', () => {
       expect(TurretTypes.BASIC.cost).toBeLessThan(TurretTypes.SLOW.cost);
       expect(TurretTypes.SLOW.cost).toBeLessThan(TurretTypes.EXPLOSIVE.cost);
     });
   });
 
+  // ============================================
+  // STRUCTURE TYPES
+  // ============================================
+  describe('StructureTypes', () => {
+    describe.each(Object.keys(StructureTypes))('%s', (key) => {
+      const structure = StructureTypes[key];
+
+      it('should have a name, icon and description', () => {
+        expect(typeof structure.name).toBe('string');
+        expect(typeof structure.icon).toBe('string');
+        expect(typeof structure.description).toBe('string');
+      });
+
+      it('should have positive cost, health and height', () => {
+        expect(structure.cost).toBePositive();
+        expect(structure.cost).toBeInteger();
+        expect(structure.health).toBePositive();
+        expect(structure.height).toBePositive();
+      });
+    });
+
+    it('should stack walls a few courses high', () => {
+      expect(StructureTypes.WALL.stackable).toBe(true);
+      expect(StructureTypes.WALL.maxCourses).toBeGreaterThan(1);
+    });
+
+    it('should give spikes damage, a rate and a reach', () => {
+      expect(StructureTypes.SPIKES.damage).toBePositive();
+      expect(StructureTypes.SPIKES.damageInterval).toBePositive();
+      expect(StructureTypes.SPIKES.reach).toBePositive();
+    });
+
+    it('should leave the zombie route open through gates only', () => {
+      const passable = Object.keys(StructureTypes).filter(key => StructureTypes[key].passable);
+      expect(passable).toEqual(['GATE']);
+    });
+  });
+
   // ============================================
   // ABILITY TYPES
   // ============================================
@@ -553,5 +602,38 @@ describe('GameConfig', () => {
       expect(Achievements.RICH_FARMER.check({ maxCurrency: 499 })).toBe(false);
       expect(Achievements.RICH_FARMER.check({ maxCurrency: 500 })).toBe(true);
     });
+
+    it('should report progress capped at the target', () => {
+      expect(Achievements.ZOMBIE_SLAYER.progress({ totalKills: 42 })).toEqual({ current: 42, target: 500 });
+      expect(Achievements.ZOMBIE_SLAYER.progress({ totalKills: 900 })).toEqual({ current: 500, target: 500 });
+      expect(Achievements.ZOMBIE_SLAYER.progress({})).toEqual({ current: 0, target: 500 });
+    });
+
+    it('should count boolean stats as 0 or 1', () => {
+      expect(Achievements.SPEEDRUNNER.progress({ fastWave10: false }).current).toBe(0);
+      expect(Achievements.SPEEDRUNNER.progress({ fastWave10: true }).current).toBe(1);
+      expect(Achievements.SPEEDRUNNER.check({ fastWave10: true })).toBe(true);
+    });
+
+    it('should only use known tiers', () => {
+      Object.values(Achievements)
+        .filter(achievement => achievement.tier)
+        .forEach(achievement => expect(AchievementTiers).toHaveProperty(achievement.tier));
+    });
+
+    it('should rank tiers of the same stat by target', () => {
+      const order = Object.keys(AchievementTiers);
+      const tiered = Object.values(Achievements).filter(achievement => achievement.tier);
+      tiered.forEach(a => {
+        tiered
+          .filter(b => b.stat === a.stat && order.indexOf(b.tier) > order.indexOf(a.tier))
+          .forEach(b => expect(b.target).toBeGreaterThan(a.target));
+      });
+    });
+
+    it('should hide some achievements until unlocked', () => {
+      expect(Achievements.SURVIVOR.hidden).toBe(true);
+      expect(Achievements.FIRST_BLOOD.hidden).toBeUndefined();
+    });
   });
 });
@@ -264,7 +264,8 @@ describe('GameEngine', () => {
     it('should initialize ability state', () => {
       expect(engine.state.globalFreeze).toBe(0);
       expect(engine.state.rageActive).toBe(0);
-      expect(engine.state.pendingAirstrike).toBeNull();
+      expect(engine.state.pendingStrikes).toEqual([]);
+      expect(engine.state.targetingAbility).toBeNull();
     });
 
     it('should initialize spatial grids', () => {
@@ -630,6 +631,13 @@ describe('GameEngine', () => {
       expect(Object.keys(engine.state.waveComp).length).toBeGreaterThan(0);
     });
 
+    it('should preview the upcoming wave only until it starts', () => {
+      expect(engine.getSnapshot().wavePreview).toMatchObject({ wave: 1, counts: { STANDARD: 4 }, total: 4, hasBoss: false });
+
+      engine.startWave();
+      expect(engine.getSnapshot().wavePreview).toBeNull();
+    });
+
     it('should set toSpawn based on composition', () => {
       engine.startWave();
       expect(engine.state.toSpawn).toBeGreaterThan(0);
@@ -896,12 +904,23 @@ describe('GameEngine', () => {
 
   describe('useAbility', () => {
     beforeEach(() => {
+      engine.state.started = true;
       engine.state.aim = new Vector3(10, 0, 10);
     });
 
-    it('should set pendingAirstrike for AIRSTRIKE ability', () => {
+    it('should start targeting for AIRSTRIKE ability', () => {
+      engine.useAbility('AIRSTRIKE');
+      expect(engine.state.targetingAbility).toBe('AIRSTRIKE');
+      expect(engine.state.pendingStrikes).toEqual([]);
+    });
+
+    it('should queue an airstrike when the target is confirmed', () => {
       engine.useAbility('AIRSTRIKE');
-      expect(engine.state.pendingAirstrike).toBeDefined();
+      expect(engine.castAbility(new Vector3(10, 0, 10))).toBe(true);
+
+      expect(engine.state.targetingAbility).toBeNull();
+      expect(engine.state.pendingStrikes).toHaveLength(1);
+      expect(engine.state.pendingStrikes[0].timer).toBe(AbilityTypes.AIRSTRIKE.delay);
     });
 
     it('should set globalFreeze for FREEZE ability', () => {
@@ -1482,6 +1501,57 @@ describe('GameEngine', () => {
     });
   });
 
+  // ============================================
+  // Fixed Timestep Tests
+  // ============================================
+
+  describe('_animate (fixed timestep)', () => {
+    beforeEach(() => {
+      engine.step = vi.fn();
+      engine._updateCamera = vi.fn();
+      engine._updateVisuals = vi.fn();
+      engine.lastTime = 0;
+    });
+
+    it('should run one tick per fixed timestep of frame time', () => {
+      engine._animate(40);
+      expect(engine.step).toHaveBeenCalledTimes(2);
+      expect(engine.step).toHaveBeenCalledWith(engine.fixedTimestep);
+    });
+
+    it('should carry leftover frame time into the next frame', () => {
+      engine._animate(10);
+      expect(engine.step).not.toHaveBeenCalled();
+
+      engine._animate(20);
+      expect(engine.step).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cap ticks per frame and drop the backlog', () => {
+      engine._animate(100);
+      expect(engine.step).toHaveBeenCalledTimes(engine.maxStepsPerFrame);
+      expect(engine._accumulator).toBe(0);
+    });
+  });
+
+  // ============================================
+  // Player Goal Tests
+  // ============================================
+
+  describe('_playerGoal', () => {
+    it('should keep the same goal while the player stays in one block', () => {
+      engine.state.player.pos.set(1.2, 0, 1.2);
+      const goal = engine._playerGoal();
+
+      engine.state.player.pos.set(3.8, 0, 2.9);
+      expect(engine._playerGoal()).toEqual(goal);
+      expect(engine.navGrid.cellsInRect(goal)).toHaveLength(16);
+
+      engine.state.player.pos.set(4.1, 0, 2.9);
+      expect(engine._playerGoal()).not.toEqual(goal);
+    });
+  });
+
   // ============================================
   // Dispose Tests
   // ============================================
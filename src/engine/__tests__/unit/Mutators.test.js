@@ -0,0 +1,87 @@
+/**
+ * Mutators Unit Tests
+ *
+ * Tests checking and merging mutator lists, combining effects into one set
+ * of multipliers, and endless mode's scheduled rolls.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { NO_MUTATOR_EFFECTS, isMutatorList, mergeMutators, getMutatorEffects, rollMutators } from '../../mutators/Mutators.js';
+import { Mutators, MutatorSchedule } from '../../GameConfig.js';
+
+// RNG that hands out the given rolls in order and counts draws
+const rolls = (...values) => {
+  const rng = { draws: 0, next: () => values[rng.draws++ % values.length] };
+  return rng;
+};
+
+describe('Mutators', () => {
+  it('should describe every mutator with known effects', () => {
+    for (const mutator of Object.values(Mutators)) {
+      expect(mutator).toMatchObject({ name: expect.any(String), icon: expect.any(String), description: expect.any(String) });
+      for (const [effect, value] of Object.entries(mutator.effects)) {
+        expect(NO_MUTATOR_EFFECTS).toHaveProperty(effect);
+        expect(value).toBeGreaterThan(0);
+      }
+    }
+  });
+
+  it('should only accept lists of known keys', () => {
+    expect(isMutatorList([])).toBe(true);
+    expect(isMutatorList(['FOG', 'BOUNTY'])).toBe(true);
+    expect(isMutatorList(['FOG', 'BLOOD_MOON'])).toBe(false);
+    expect(isMutatorList('FOG')).toBe(false);
+  });
+
+  it('should merge lists without repeats in registry order', () => {
+    expect(mergeMutators(['BOUNTY', 'FOG'], ['FOG'], [])).toEqual(['FOG', 'BOUNTY']);
+  });
+
+  // ==========================================
+  // Effects
+  // ==========================================
+
+  describe('getMutatorEffects', () => {
+    it('should leave everything unchanged with no mutators', () => {
+      expect(getMutatorEffects([])).toEqual(NO_MUTATOR_EFFECTS);
+    });
+
+    it('should multiply effects together', () => {
+      const effects = getMutatorEffects(['FAST_DEAD', 'GLASS_CANNON']);
+
+      expect(effects.zombieSpeed).toBe(Mutators.FAST_DEAD.effects.zombieSpeed);
+      expect(effects.playerDamage).toBe(Mutators.GLASS_CANNON.effects.playerDamage);
+      expect(effects.playerDamageTaken).toBe(Mutators.GLASS_CANNON.effects.playerDamageTaken);
+      expect(effects.corn).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Endless rolls
+  // ==========================================
+
+  describe('rollMutators', () => {
+    const { endlessEvery, endlessCount, endlessLateFrom, endlessLateCount } = MutatorSchedule;
+
+    it('should skip waves off the schedule without drawing from the RNG', () => {
+      const rng = rolls(0);
+      expect(rollMutators(endlessEvery + 1, rng)).toEqual([]);
+      expect(rng.draws).toBe(0);
+    });
+
+    it('should pick more mutators late in a run', () => {
+      expect(rollMutators(endlessEvery, rolls(0))).toHaveLength(endlessCount);
+
+      const lateWave = Math.ceil(endlessLateFrom / endlessEvery) * endlessEvery;
+      expect(rollMutators(lateWave, rolls(0))).toHaveLength(endlessLateCount);
+    });
+
+    it('should never pick the run\'s own mutators or the same one twice', () => {
+      const keys = Object.keys(Mutators);
+      const picked = rollMutators(endlessEvery * 10, rolls(0), [keys[0]]);
+
+      expect(picked).not.toContain(keys[0]);
+      expect(new Set(picked).size).toBe(picked.length);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * InputRecorder / ReplayPlayer Unit Tests
+ *
+ * Tests recording of tick-stamped inputs, control delta sampling,
+ * replay validation and in-order playback.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { InputRecorder, REPLAY_VERSION } from '../../replay/InputRecorder.js';
+import { ReplayPlayer, validateReplay } from '../../replay/ReplayPlayer.js';
+
+const makeReplay = (inputs, durationTicks = 10) => ({
+  version: REPLAY_VERSION,
+  seed: 1,
+  durationTicks,
+  inputs
+});
+
+describe('InputRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new InputRecorder();
+  });
+
+  // ==========================================
+  // Recording
+  // ==========================================
+
+  describe('record', () => {
+    it('should ignore inputs until started', () => {
+      recorder.record(0, 'startWave');
+      expect(recorder.inputs).toHaveLength(0);
+    });
+
+    it('should stamp inputs with their tick and data', () => {
+      recorder.start();
+      recorder.record(5, 'setWeapon', { weaponKey: 'EGG_BLASTER' });
+      expect(recorder.inputs).toEqual([{ tick: 5, type: 'setWeapon', weaponKey: 'EGG_BLASTER' }]);
+    });
+
+    it('should clear previous inputs on start', () => {
+      recorder.start();
+      recorder.record(1, 'startWave');
+      recorder.start();
+      expect(recorder.inputs).toHaveLength(0);
+    });
+
+    it('should keep inputs after stop', () => {
+      recorder.start();
+      recorder.record(1, 'startWave');
+      recorder.stop();
+      recorder.record(2, 'startWave');
+      expect(recorder.recording).toBe(false);
+      expect(recorder.inputs).toHaveLength(1);
+    });
+  });
+
+  // ==========================================
+  // Control Sampling
+  // ==========================================
+
+  describe('sampleControls', () => {
+    beforeEach(() => {
+      recorder.start();
+    });
+
+    it('should record every value on the first sample', () => {
+      recorder.sampleControls(0, { w: false, aimX: 1 });
+      expect(recorder.inputs).toEqual([{ tick: 0, type: 'controls', values: { w: false, aimX: 1 } }]);
+    });
+
+    it('should skip unchanged samples', () => {
+      recorder.sampleControls(0, { w: false, aimX: 1 });
+      recorder.sampleControls(1, { w: false, aimX: 1 });
+      expect(recorder.inputs).toHaveLength(1);
+    });
+
+    it('should record only changed values', () => {
+      recorder.sampleControls(0, { w: false, aimX: 1 });
+      recorder.sampleControls(3, { w: true, aimX: 1 });
+      expect(recorder.inputs[1]).toEqual({ tick: 3, type: 'controls', values: { w: true } });
+    });
+
+    it('should restart deltas after start', () => {
+      recorder.sampleControls(0, { w: false });
+      recorder.start();
+      recorder.sampleControls(0, { w: false });
+      expect(recorder.inputs).toHaveLength(1);
+    });
+  });
+});
+
+describe('validateReplay', () => {
+  it('should accept a well-formed replay', () => {
+    const result = validateReplay(makeReplay([{ tick: 0, type: 'startWave' }, { tick: 2, type: 'startWave' }]));
+    expect(result).toEqual({ ok: true, reasons: [] });
+  });
+
+  it('should reject non-objects', () => {
+    expect(validateReplay(null).ok).toBe(false);
+    expect(validateReplay('replay').ok).toBe(false);
+  });
+
+  it('should reject other versions', () => {
+    const result = validateReplay({ ...makeReplay([]), version: REPLAY_VERSION + 1 });
+    expect(result.ok).toBe(false);
+    expect(result.reasons[0].message).toContain('version');
+  });
+
+  it('should require a seed, duration and inputs', () => {
+    const result = validateReplay({ version: REPLAY_VERSION });
+    expect(result.reasons).toHaveLength(3);
+  });
+
+  it('should reject out-of-order inputs', () => {
+    const result = validateReplay(makeReplay([{ tick: 4, type: 'startWave' }, { tick: 2, type: 'startWave' }]));
+    expect(result.ok).toBe(false);
+  });
+
+  it('should reject malformed inputs', () => {
+    expect(validateReplay(makeReplay([{ tick: 1.5, type: 'startWave' }])).ok).toBe(false);
+    expect(validateReplay(makeReplay([{ tick: 1 }])).ok).toBe(false);
+  });
+
+  it('should reject unknown difficulties', () => {
+    expect(validateReplay({ ...makeReplay([]), difficulty: 'HARD' }).ok).toBe(true);
+    const result = validateReplay({ ...makeReplay([]), difficulty: 'INSANE' });
+    expect(result.reasons[0].message).toBe('Replay has unknown difficulty: INSANE');
+  });
+
+  it('should reject unknown mutators', () => {
+    expect(validateReplay({ ...makeReplay([]), mutators: ['FOG'] }).ok).toBe(true);
+    const result = validateReplay({ ...makeReplay([]), mutators: ['FOG', 'BLOOD_MOON'] });
+    expect(result.reasons[0].message).toBe('Replay has unknown mutators');
+  });
+});
+
+describe('ReplayPlayer', () => {
+  it('should apply inputs due by the tick in recorded order', () => {
+    const player = new ReplayPlayer(makeReplay([
+      { tick: 0, type: 'a' },
+      { tick: 0, type: 'b' },
+      { tick: 2, type: 'c' }
+    ]));
+    const apply = vi.fn();
+
+    player.applyUntil(0, apply);
+    expect(apply.mock.calls.map(([input]) => input.type)).toEqual(['a', 'b']);
+
+    player.applyUntil(1, apply);
+    expect(apply).toHaveBeenCalledTimes(2);
+
+    player.applyUntil(2, apply);
+    expect(apply).toHaveBeenLastCalledWith({ tick: 2, type: 'c' });
+  });
+
+  it('should merge control deltas before applying them', () => {
+    const player = new ReplayPlayer(makeReplay([
+      { tick: 0, type: 'controls', values: { w: false, aimX: 1 } },
+      { tick: 1, type: 'controls', values: { w: true } }
+    ]));
+    const seen = [];
+
+    player.applyUntil(1, () => seen.push({ ...player.controls }));
+
+    expect(seen).toEqual([{ w: false, aimX: 1 }, { w: true, aimX: 1 }]);
+  });
+
+  it('should complete at the recorded duration', () => {
+    const player = new ReplayPlayer(makeReplay([], 5));
+    expect(player.durationTicks).toBe(5);
+    expect(player.isComplete(4)).toBe(false);
+    expect(player.isComplete(5)).toBe(true);
+  });
+});
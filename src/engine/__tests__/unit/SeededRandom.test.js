@@ -0,0 +1,85 @@
+/**
+ * SeededRandom Unit Tests
+ *
+ * Tests for the deterministic gameplay PRNG
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SeededRandom } from '../../SeededRandom.js';
+
+function sequence(rng, count) {
+  return Array.from({ length: count }, () => rng.next());
+}
+
+describe('SeededRandom', () => {
+  // ============================================
+  // DETERMINISM
+  // ============================================
+  describe('Determinism', () => {
+    it('should produce the same sequence for the same seed', () => {
+      expect(sequence(new SeededRandom(42), 20)).toEqual(sequence(new SeededRandom(42), 20));
+    });
+
+    it('should produce different sequences for different seeds', () => {
+      expect(sequence(new SeededRandom(1), 5)).not.toEqual(sequence(new SeededRandom(2), 5));
+    });
+
+    it('should restart the sequence on setSeed', () => {
+      const rng = new SeededRandom(7);
+      const first = sequence(rng, 5);
+      rng.setSeed(7);
+      expect(sequence(rng, 5)).toEqual(first);
+    });
+
+    it('should resume from a captured state', () => {
+      const rng = new SeededRandom(99);
+      sequence(rng, 10);
+      const saved = rng.getState();
+      const expected = sequence(rng, 5);
+
+      const restored = new SeededRandom(1);
+      restored.setState(saved);
+      expect(sequence(restored, 5)).toEqual(expected);
+      expect(restored.seed).toBe(99);
+    });
+  });
+
+  // ============================================
+  // RANGES
+  // ============================================
+  describe('Ranges', () => {
+    it('should return floats in [0, 1)', () => {
+      const values = sequence(new SeededRandom(123), 1000);
+      expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+    });
+
+    it('should return range() values within bounds', () => {
+      const rng = new SeededRandom(5);
+      for (let i = 0; i < 100; i++) {
+        const v = rng.range(-3, 3);
+        expect(v).toBeGreaterThanOrEqual(-3);
+        expect(v).toBeLessThan(3);
+      }
+    });
+
+    it('should return integers below max from int()', () => {
+      const rng = new SeededRandom(5);
+      for (let i = 0; i < 100; i++) {
+        const v = rng.int(4);
+        expect(Number.isInteger(v)).toBe(true);
+        expect(v).toBeLessThan(4);
+      }
+    });
+
+    it('should pick array elements', () => {
+      const rng = new SeededRandom(5);
+      const items = ['a', 'b', 'c'];
+      expect(items).toContain(rng.pick(items));
+      expect(rng.pick([])).toBeUndefined();
+    });
+
+    it('should normalize seeds to unsigned 32-bit', () => {
+      expect(new SeededRandom(-1).seed).toBe(0xFFFFFFFF);
+    });
+  });
+});
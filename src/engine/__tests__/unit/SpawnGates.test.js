@@ -0,0 +1,134 @@
+/**
+ * SpawnGates Unit Tests
+ *
+ * Tests gate geometry on each side of the map, unlocking by wave, weighted
+ * gate picks and planning which gates a wave comes through.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getGateLayout,
+  sidePoint,
+  gatesPerWave,
+  getUnlockedGates,
+  isNewGate,
+  pickGate,
+  planWaveGates
+} from '../../waves/SpawnGates.js';
+import { SpawnPoints, WorldLayout } from '../../GameConfig.js';
+import { SeededRandom } from '../../SeededRandom.js';
+
+// RNG that hands out the given rolls in order and counts draws
+const rolls = (...values) => {
+  const rng = { draws: 0, next: () => values[rng.draws++ % values.length] };
+  return rng;
+};
+
+// ==========================================
+// Layout
+// ==========================================
+
+describe('getGateLayout', () => {
+  it('should keep the east gate where the original spawn corridor was', () => {
+    const layout = getGateLayout('EAST');
+
+    expect(layout.gap).toEqual({ min: -6, max: 6 });
+    expect(layout.spawnArea).toEqual({ minX: 60, maxX: 70, minZ: -5, maxZ: 5 });
+    expect(layout.corridor).toEqual({ minX: 54, maxX: WorldLayout.spawnCorridorEnd, minZ: -5.5, maxZ: 5.5 });
+    expect(layout.mouth).toEqual({ x: WorldLayout.treelineEdge, z: 0 });
+  });
+
+  it('should place every gate outside the treeline on its own side', () => {
+    for (const key of Object.keys(SpawnPoints)) {
+      const { side } = SpawnPoints[key];
+      const { spawnCenter, spawnArea } = getGateLayout(key);
+      const out = { east: spawnCenter.x, west: -spawnCenter.x, north: -spawnCenter.z, south: spawnCenter.z }[side];
+
+      expect(out).toBeGreaterThan(WorldLayout.treelineEdge);
+      expect(spawnArea.minX).toBeLessThan(spawnArea.maxX);
+      expect(spawnArea.minZ).toBeLessThan(spawnArea.maxZ);
+    }
+  });
+
+  it('should map side coordinates to world positions', () => {
+    expect(sidePoint('north', 20, 60)).toEqual({ x: 20, z: -60 });
+    expect(sidePoint('west', 25, 60)).toEqual({ x: -60, z: 25 });
+    expect(() => sidePoint('up', 0, 0)).toThrow('Unknown gate side: up');
+  });
+});
+
+// ==========================================
+// Unlocking
+// ==========================================
+
+describe('unlocking', () => {
+  it('should open gates as waves progress', () => {
+    expect(getUnlockedGates(1)).toEqual(['EAST']);
+    expect(getUnlockedGates(SpawnPoints.NORTH.unlockWave)).toEqual(['EAST', 'NORTH']);
+    expect(getUnlockedGates(50)).toEqual(Object.keys(SpawnPoints));
+  });
+
+  it('should only call a gate new on the wave it opens', () => {
+    const wave = SpawnPoints.NORTH.unlockWave;
+    expect(isNewGate('NORTH', wave)).toBe(true);
+    expect(isNewGate('NORTH', wave + 1)).toBe(false);
+    expect(isNewGate('EAST', 1)).toBe(false);
+  });
+
+  it('should draw from more gates in later waves', () => {
+    expect(gatesPerWave(1)).toBe(1);
+    expect(gatesPerWave(5)).toBe(2);
+    expect(gatesPerWave(13)).toBe(4);
+  });
+});
+
+// ==========================================
+// Picking
+// ==========================================
+
+describe('pickGate', () => {
+  it('should pick by weight', () => {
+    const keys = ['EAST', 'NORTH'];
+    const total = SpawnPoints.EAST.weight + SpawnPoints.NORTH.weight;
+
+    expect(pickGate(keys, rolls(0))).toBe('EAST');
+    expect(pickGate(keys, rolls((SpawnPoints.EAST.weight - 0.01) / total))).toBe('EAST');
+    expect(pickGate(keys, rolls(SpawnPoints.EAST.weight / total))).toBe('NORTH');
+  });
+
+  it('should not draw from the RNG with a single gate', () => {
+    const rng = rolls(0.5);
+    expect(pickGate(['NORTH'], rng)).toBe('NORTH');
+    expect(pickGate([], rng)).toBe('EAST');
+    expect(rng.draws).toBe(0);
+  });
+});
+
+describe('planWaveGates', () => {
+  it('should use the only open gate early on', () => {
+    const rng = rolls(0.5);
+    expect(planWaveGates(1, rng)).toEqual(['EAST']);
+    expect(planWaveGates(3, rng)).toEqual(['EAST']);
+    expect(rng.draws).toBe(0);
+  });
+
+  it('should always send a wave through a gate on the wave it opens', () => {
+    for (const key of Object.keys(SpawnPoints)) {
+      const wave = SpawnPoints[key].unlockWave;
+      expect(planWaveGates(wave, new SeededRandom(wave))).toContain(key);
+    }
+  });
+
+  it('should pick gatesPerWave gates from the unlocked ones', () => {
+    const rng = new SeededRandom(5);
+    for (let i = 0; i < 20; i++) {
+      const gates = planWaveGates(9, rng);
+      expect(gates).toHaveLength(gatesPerWave(9));
+      gates.forEach(key => expect(getUnlockedGates(9)).toContain(key));
+    }
+  });
+
+  it('should be deterministic for a seed', () => {
+    expect(planWaveGates(8, new SeededRandom(3))).toEqual(planWaveGates(8, new SeededRandom(3)));
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * StatsTracker Unit Tests
+ *
+ * Tests stat updates from engine events, achievement evaluation, save
+ * checkpoints and replay filtering against a stand-in event source.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventBus } from '../../EventBus.js';
+import { StatsTracker, FAST_WAVE_TIME_LIMIT } from '../../StatsTracker.js';
+import { Achievements } from '../../GameConfig.js';
+
+const baseStats = () => ({
+  totalKills: 0, bossKills: 0, highestWave: 0, maxCurrency: 0,
+  turretsPlaced: 0, abilitiesUsed: 0, clutchWins: 0, fastWave10: false,
+  endlessHighWave: 0, perfectWaves: 0, gamesPlayed: 0, highScore: 0, mutatorWaves: 0,
+  killsByType: {}
+});
+
+const waveCompleted = (overrides = {}) => ({
+  activeWaveNumber: 1,
+  endless: false,
+  simTime: 60,
+  playerHealth: 100,
+  maxHealth: 100,
+  ...overrides
+});
+
+describe('StatsTracker', () => {
+  let bus;
+  let engine;
+  let tracker;
+  let onUnlock;
+  let onSave;
+
+  beforeEach(() => {
+    bus = new EventBus();
+    engine = { isReplaying: false, onEvent: (event, handler) => bus.on(event, handler) };
+    onUnlock = vi.fn();
+    onSave = vi.fn();
+    tracker = new StatsTracker({ playerStats: baseStats(), unlockedAchievements: [], onUnlock, onSave });
+    tracker.attach(engine);
+  });
+
+  // ==========================================
+  // Stats
+  // ==========================================
+
+  describe('stats', () => {
+    it('should count kills and boss kills', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      bus.emit('ZOMBIE_KILLED', { type: 'BOSS', isBoss: true });
+
+      expect(tracker.playerStats.totalKills).toBe(2);
+      expect(tracker.playerStats.bossKills).toBe(1);
+    });
+
+    it('should count kills by zombie type', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      bus.emit('ZOMBIE_KILLED', { type: 'RUNNER', isBoss: false });
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(tracker.playerStats.killsByType).toEqual({ STANDARD: 2, RUNNER: 1 });
+    });
+
+    it('should save kills by type without sharing the tracked map', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      const saved = onSave.mock.calls[0][0].playerStats.killsByType;
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(saved).toEqual({ STANDARD: 1 });
+    });
+
+    it('should count turrets placed and abilities used', () => {
+      bus.emit('TURRET_PLACED', { type: 'BASIC' });
+      bus.emit('ABILITY_USED', { abilityKey: 'FREEZE' });
+      bus.emit('ABILITY_USED', { abilityKey: 'RAGE' });
+
+      expect(tracker.playerStats.turretsPlaced).toBe(1);
+      expect(tracker.playerStats.abilitiesUsed).toBe(2);
+    });
+
+    it('should track the most currency held', () => {
+      bus.emit('STATE_CHANGED', { currency: 300 });
+      bus.emit('STATE_CHANGED', { currency: 120 });
+
+      expect(tracker.playerStats.maxCurrency).toBe(300);
+    });
+
+    it('should record the highest wave and endless wave', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 4 }));
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 6, endless: true }));
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 2 }));
+
+      expect(tracker.playerStats.highestWave).toBe(6);
+      expect(tracker.playerStats.endlessHighWave).toBe(6);
+    });
+
+    it('should count a wave without damage as perfect', () => {
+      bus.emit('WAVE_STARTED', { activeWaveNumber: 1 });
+      bus.emit('WAVE_COMPLETED', waveCompleted());
+      bus.emit('WAVE_STARTED', { activeWaveNumber: 2 });
+      bus.emit('PLAYER_DAMAGED', { amount: 8, health: 92 });
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 2, playerHealth: 92 }));
+
+      expect(tracker.playerStats.perfectWaves).toBe(1);
+    });
+
+    it('should count waves survived with mutators', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted());
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 2, mutators: ['FOG'] }));
+
+      expect(tracker.playerStats.mutatorWaves).toBe(1);
+    });
+
+    it('should count a wave survived on low health as a clutch win', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted({ playerHealth: 9 }));
+      bus.emit('WAVE_COMPLETED', waveCompleted({ playerHealth: 10 }));
+
+      expect(tracker.playerStats.clutchWins).toBe(1);
+    });
+
+    it('should flag a fast wave 10', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 10, simTime: FAST_WAVE_TIME_LIMIT + 1 }));
+      expect(tracker.playerStats.fastWave10).toBe(false);
+
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 10, simTime: FAST_WAVE_TIME_LIMIT - 1 }));
+      expect(tracker.playerStats.fastWave10).toBe(true);
+    });
+
+    it('should count games and keep the high score', () => {
+      bus.emit('GAME_OVER', { score: 900 });
+      bus.emit('GAME_OVER', { score: 400 });
+
+      expect(tracker.playerStats.gamesPlayed).toBe(2);
+      expect(tracker.playerStats.highScore).toBe(900);
+    });
+
+    it('should credit the wave the player died in', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 4 }));
+      bus.emit('GAME_OVER', { score: 300, activeWaveNumber: 5, endless: false });
+
+      expect(tracker.playerStats.highestWave).toBe(5);
+      expect(tracker.playerStats.endlessHighWave).toBe(0);
+      expect(onUnlock).toHaveBeenCalledWith('WAVE_5');
+
+      bus.emit('GAME_OVER', { score: 300, activeWaveNumber: 3, endless: true });
+      expect(tracker.playerStats.highestWave).toBe(5);
+      expect(tracker.playerStats.endlessHighWave).toBe(3);
+    });
+
+    it('should ignore events while a replay plays', () => {
+      engine.isReplaying = true;
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      bus.emit('GAME_OVER', { score: 900 });
+
+      expect(tracker.playerStats).toEqual(baseStats());
+      expect(onSave).not.toHaveBeenCalled();
+    });
+
+    it('should stop listening once detached', () => {
+      tracker.detach();
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      expect(tracker.playerStats.totalKills).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Achievements
+  // ==========================================
+
+  describe('achievements', () => {
+    it('should unlock achievements whose check passes', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'BOSS', isBoss: true });
+
+      expect(tracker.unlockedAchievements).toEqual(['FIRST_BLOOD', 'BOSS_KILLER']);
+      expect(onUnlock).toHaveBeenCalledWith('FIRST_BLOOD');
+      expect(onUnlock).toHaveBeenCalledWith('BOSS_KILLER');
+    });
+
+    it('should record when each achievement unlocked', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(tracker.achievementDates).toEqual({ FIRST_BLOOD: 1700000000000 });
+      expect(onSave.mock.calls[0][0].achievementDates).toEqual({ FIRST_BLOOD: 1700000000000 });
+    });
+
+    it('should unlock each achievement once', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(onUnlock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not re-announce achievements already unlocked', () => {
+      tracker.load(baseStats(), ['FIRST_BLOOD']);
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      expect(onUnlock).not.toHaveBeenCalled();
+    });
+
+    it('should evaluate every configured achievement', () => {
+      const stats = {
+        ...baseStats(),
+        totalKills: 1000, bossKills: 5, highestWave: 20, maxCurrency: 500, turretsPlaced: 10,
+        abilitiesUsed: 20, clutchWins: 1, fastWave10: true, endlessHighWave: 20, perfectWaves: 1
+      };
+      tracker.load(stats, []);
+      bus.emit('GAME_OVER', { score: 0 });
+
+      expect(tracker.unlockedAchievements.sort()).toEqual(Object.keys(Achievements).sort());
+    });
+  });
+
+  // ==========================================
+  // Saving
+  // ==========================================
+
+  describe('saving', () => {
+    it('should not save on every kill', () => {
+      tracker.load({ ...baseStats(), totalKills: 5 }, ['FIRST_BLOOD']);
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      expect(onSave).not.toHaveBeenCalled();
+    });
+
+    it('should save when an achievement unlocks', () => {
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+
+      expect(onSave).toHaveBeenCalledWith({
+        playerStats: expect.objectContaining({ totalKills: 1 }),
+        unlockedAchievements: ['FIRST_BLOOD'],
+        achievementDates: { FIRST_BLOOD: expect.any(Number) }
+      });
+    });
+
+    it('should save at wave completion and game over', () => {
+      bus.emit('WAVE_COMPLETED', waveCompleted({ activeWaveNumber: 1, playerHealth: 50 }));
+      bus.emit('GAME_OVER', { score: 10 });
+
+      expect(onSave).toHaveBeenCalledTimes(2);
+      expect(onSave.mock.calls[1][0].playerStats.gamesPlayed).toBe(1);
+    });
+
+    it('should only flush pending changes', () => {
+      tracker.flush();
+      expect(onSave).not.toHaveBeenCalled();
+
+      tracker.load({ ...baseStats(), totalKills: 5 }, ['FIRST_BLOOD']);
+      bus.emit('ZOMBIE_KILLED', { type: 'STANDARD', isBoss: false });
+      tracker.flush();
+      tracker.flush();
+
+      expect(onSave).toHaveBeenCalledTimes(1);
+      expect(onSave.mock.calls[0][0].playerStats.totalKills).toBe(6);
+    });
+  });
+});
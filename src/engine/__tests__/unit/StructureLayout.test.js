@@ -0,0 +1,62 @@
+/**
+ * StructureLayout Unit Tests
+ *
+ * Tests snapping to the build grid, finding the top of a cell's stack and
+ * planning the course a new barricade takes.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { snapToCell, findStackTop, planCourse } from '../../structures/StructureLayout.js';
+import { StructureTypes } from '../../GameConfig.js';
+import { ValidationCode } from '../../BuildingValidator.js';
+
+const piece = (type, x, z, course) => ({ type, pos: new THREE.Vector3(x, course, z), course });
+
+describe('StructureLayout', () => {
+  describe('snapToCell', () => {
+    it('should snap to the nearest cell centre and keep the height', () => {
+      const out = snapToCell(new THREE.Vector3(-30.9, 1.5, 3.1), 2, new THREE.Vector3());
+      expect(out.toArray()).toEqual([-30, 1.5, 4]);
+    });
+  });
+
+  describe('findStackTop', () => {
+    it('should find the highest course in the cell', () => {
+      const bottom = piece('WALL', 4, 4, 0);
+      const middle = piece('WALL', 4, 4, 1);
+      const neighbour = piece('WALL', 6, 4, 2);
+
+      expect(findStackTop([middle, neighbour, bottom], new THREE.Vector3(4, 0, 4))).toBe(middle);
+    });
+
+    it('should find nothing in an empty cell', () => {
+      expect(findStackTop([piece('WALL', 6, 4, 0)], new THREE.Vector3(4, 0, 4))).toBeNull();
+    });
+  });
+
+  describe('planCourse', () => {
+    it('should build on the ground in an empty cell', () => {
+      expect(planCourse('FENCE', null)).toEqual({ ok: true, course: 0, reasons: [] });
+    });
+
+    it('should stack walls up to their limit', () => {
+      const { maxCourses } = StructureTypes.WALL;
+
+      expect(planCourse('WALL', piece('WALL', 0, 0, 0))).toMatchObject({ ok: true, course: 1 });
+
+      const full = planCourse('WALL', piece('WALL', 0, 0, maxCourses - 1));
+      expect(full.ok).toBe(false);
+      expect(full.reasons[0]).toEqual({
+        code: ValidationCode.BLOCKED,
+        message: `${StructureTypes.WALL.name} stacks at most ${maxCourses} high`
+      });
+    });
+
+    it('should not build on a different piece or stack pieces that don\'t stack', () => {
+      expect(planCourse('WALL', piece('FENCE', 0, 0, 0)).reasons[0].message)
+        .toBe(`Can't build on a ${StructureTypes.FENCE.name}`);
+      expect(planCourse('FENCE', piece('FENCE', 0, 0, 0)).ok).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * TurretAiming Unit Tests
+ *
+ * Tests predicting where a zombie will be, with slows wearing off, and
+ * finding where a shot meets it.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { MAX_LEAD_TIME, predictPosition, findIntercept, createAccuracyTally } from '../../turrets/TurretAiming.js';
+import { TurretTypes } from '../../GameConfig.js';
+
+const zombie = (x, z, vx, vz, overrides = {}) => ({
+  pos: new THREE.Vector3(x, 0, z),
+  vel: new THREE.Vector3(vx, 0, vz),
+  slowMult: 1,
+  slowTimer: 0,
+  ...overrides
+});
+
+describe('TurretAiming', () => {
+  describe('predictPosition', () => {
+    it('should carry the zombie along its velocity', () => {
+      const out = predictPosition(zombie(2, 0, 1, -2), 1.5, new THREE.Vector3());
+
+      expect(out.x).toBeCloseTo(3.5);
+      expect(out.z).toBeCloseTo(-3);
+    });
+
+    it('should stay put for zombies without a velocity', () => {
+      const tk = { pos: new THREE.Vector3(4, 0, 4) };
+      expect(predictPosition(tk, 2, new THREE.Vector3()).toArray()).toEqual([4, 0, 4]);
+    });
+
+    it('should speed the zombie back up once its slow wears off', () => {
+      // Walking 1/s at half speed for another second, then 2/s
+      const tk = zombie(0, 0, 1, 0, { slowMult: 0.5, slowTimer: 1 });
+
+      expect(predictPosition(tk, 0.5, new THREE.Vector3()).x).toBeCloseTo(0.5);
+      expect(predictPosition(tk, 2, new THREE.Vector3()).x).toBeCloseTo(3);
+    });
+  });
+
+  describe('findIntercept', () => {
+    const origin = new THREE.Vector3(0, 0, 0);
+
+    it('should aim straight at a standing zombie', () => {
+      const { point, time } = findIntercept(origin, zombie(10, 0, 0, 0), 20, new THREE.Vector3());
+
+      expect(point.x).toBeCloseTo(10);
+      expect(time).toBeCloseTo(0.5);
+    });
+
+    it('should lead a crossing zombie to where the shot meets it', () => {
+      const tk = zombie(10, 0, 0, 3);
+      const speed = 12;
+      const { point, time } = findIntercept(origin, tk, speed, new THREE.Vector3());
+
+      // The zombie reaches the point when the shot does
+      expect(point.z).toBeGreaterThan(0);
+      expect(point.z).toBeCloseTo(3 * time, 2);
+      expect(Math.hypot(point.x, point.z)).toBeCloseTo(speed * time, 2);
+    });
+
+    it('should not lead further than a shot can fly', () => {
+      const { point } = findIntercept(origin, zombie(10, 0, 0, 50), 1, new THREE.Vector3());
+      expect(point.z).toBeCloseTo(50 * MAX_LEAD_TIME);
+    });
+  });
+
+  it('should start an empty accuracy tally for every turret type', () => {
+    const tally = createAccuracyTally();
+
+    expect(Object.keys(tally)).toEqual(Object.keys(TurretTypes));
+    expect(tally.BASIC).toEqual({ shots: 0, hits: 0 });
+  });
+});
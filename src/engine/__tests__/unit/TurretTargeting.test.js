@@ -0,0 +1,86 @@
+/**
+ * TurretTargeting Unit Tests
+ *
+ * Tests target picking for each targeting mode, the range limit, path
+ * tie-breaks and skipping already-slowed zombies.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { DEFAULT_TARGETING, pickTarget } from '../../turrets/TurretTargeting.js';
+import { TurretTargetingModes } from '../../GameConfig.js';
+
+const origin = new THREE.Vector3(0, 0, 0);
+
+const zombie = (x, overrides = {}) => ({
+  pos: new THREE.Vector3(x, 0, 0),
+  type: 'STANDARD',
+  hp: 35,
+  spd: 1,
+  slowMult: 1,
+  slowTimer: 0,
+  dead: false,
+  ...overrides
+});
+
+// Zombies walk toward the house at -x, so the path cost is the distance from x = -10
+const pathCost = (tk) => tk.pos.x + 10;
+
+const pick = (candidates, mode, options = {}) => pickTarget(candidates, origin, 8, { mode, pathCost, ...options });
+
+describe('TurretTargeting', () => {
+  it('should start turrets on nearest and rank every configured mode', () => {
+    expect(DEFAULT_TARGETING).toBe('NEAREST');
+
+    const candidates = [zombie(3), zombie(-4)];
+    for (const mode of Object.keys(TurretTargetingModes)) {
+      expect(candidates).toContain(pick(candidates, mode));
+    }
+  });
+
+  it('should ignore dead zombies and those out of range', () => {
+    expect(pick([zombie(2, { dead: true }), zombie(9)], 'NEAREST')).toBeNull();
+    expect(pick([], 'FIRST')).toBeNull();
+  });
+
+  describe('modes', () => {
+    const near = zombie(1, { hp: 50 });
+    const ahead = zombie(-6, { hp: 10, spd: 1.8 });
+    const behind = zombie(7, { hp: 120, spd: 0.6 });
+    const candidates = [near, ahead, behind];
+
+    it('should pick by distance to the turret or along the path', () => {
+      expect(pick(candidates, 'NEAREST')).toBe(near);
+      expect(pick(candidates, 'FIRST')).toBe(ahead);
+      expect(pick(candidates, 'LAST')).toBe(behind);
+    });
+
+    it('should pick by health and current speed', () => {
+      expect(pick(candidates, 'STRONGEST')).toBe(behind);
+      expect(pick(candidates, 'WEAKEST')).toBe(ahead);
+
+      ahead.slowMult = 0.3;
+      expect(pick(candidates, 'FASTEST')).toBe(near);
+      ahead.slowMult = 1;
+      expect(pick(candidates, 'FASTEST')).toBe(ahead);
+    });
+
+    it('should put bosses or healers first, then go by the path', () => {
+      const boss = zombie(6, { type: 'BOSS' });
+      const healer = zombie(5, { type: 'HEALER' });
+
+      expect(pick([...candidates, boss, healer], 'BOSSES')).toBe(boss);
+      expect(pick([...candidates, boss, healer], 'HEALERS')).toBe(healer);
+      expect(pick(candidates, 'BOSSES')).toBe(ahead);
+    });
+  });
+
+  it('should pass over slowed zombies while an unslowed one is in range', () => {
+    const slowed = zombie(1, { slowTimer: 1.5, slowMult: 0.5 });
+    const fresh = zombie(5);
+
+    expect(pick([slowed, fresh], 'NEAREST')).toBe(slowed);
+    expect(pick([slowed, fresh], 'NEAREST', { skipSlowed: true })).toBe(fresh);
+    expect(pick([slowed], 'NEAREST', { skipSlowed: true })).toBe(slowed);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * TurretUpgrades Unit Tests
+ *
+ * Tests upgraded turret stats, tiers, pricing, the checks on buying
+ * upgrade levels and tier 3 specializations, and sell values.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TIER_2_UPGRADES,
+  createTurretUpgrades,
+  isTurretUpgrades,
+  getTurretTier,
+  getTurretStats,
+  getTurretInvestment,
+  getTurretSellValue,
+  checkTrackUpgrade,
+  checkBranchUpgrade
+} from '../../turrets/TurretUpgrades.js';
+import { TurretTypes, TurretUpgradeTracks, TurretBranches, TurretSale } from '../../GameConfig.js';
+import { DamageState } from '../../DamageManager.js';
+
+const withLevels = (levels, branch = null) => ({ levels: { ...createTurretUpgrades().levels, ...levels }, branch });
+
+describe('TurretUpgrades', () => {
+  it('should give every turret type two specializations', () => {
+    for (const type of Object.keys(TurretTypes)) {
+      const branches = Object.values(TurretBranches[type]);
+      expect(branches).toHaveLength(2);
+      for (const branch of branches) {
+        expect(branch).toMatchObject({ name: expect.any(String), icon: expect.any(String), cost: expect.any(Number) });
+      }
+    }
+  });
+
+  it('should start with no upgrades at tier 1 and the type\'s own stats', () => {
+    const upgrades = createTurretUpgrades();
+    const { damage, range, fireRate, slow, slowDuration } = TurretTypes.SLOW;
+
+    expect(getTurretTier(upgrades)).toBe(1);
+    expect(getTurretStats('SLOW', upgrades)).toMatchObject({ damage, range, fireRate, slow, slowDuration, splash: 0 });
+  });
+
+  // ==========================================
+  // Stats and tiers
+  // ==========================================
+
+  describe('stats', () => {
+    it('should raise stats per level and shorten the time between shots', () => {
+      const stats = getTurretStats('BASIC', withLevels({ damage: 2, range: 1, fireRate: 1 }));
+      const base = TurretTypes.BASIC;
+
+      expect(stats.damage).toBeCloseTo(base.damage * (1 + 2 * TurretUpgradeTracks.damage.perLevel));
+      expect(stats.range).toBeCloseTo(base.range * (1 + TurretUpgradeTracks.range.perLevel));
+      expect(stats.fireRate).toBeCloseTo(base.fireRate / (1 + TurretUpgradeTracks.fireRate.perLevel));
+    });
+
+    it('should apply a specialization on top of the upgrade levels', () => {
+      const upgrades = withLevels({ damage: 3 }, 'SNIPER');
+      const stats = getTurretStats('BASIC', upgrades);
+      const { stats: mult, name, color } = TurretBranches.BASIC.SNIPER;
+
+      expect(stats.damage).toBeCloseTo(getTurretStats('BASIC', withLevels({ damage: 3 })).damage * mult.damage);
+      expect(stats.fireRate).toBeCloseTo(TurretTypes.BASIC.fireRate * mult.fireRate);
+      expect(stats).toMatchObject({ name, color });
+    });
+
+    it('should keep slow short of stopping zombies outright', () => {
+      expect(getTurretStats('SLOW', withLevels({}, 'CRYO_LANCE')).slow).toBeLessThan(1);
+    });
+
+    it('should reach tier 2 after enough upgrades and tier 3 with a specialization', () => {
+      expect(getTurretTier(withLevels({ damage: TIER_2_UPGRADES - 1 }))).toBe(1);
+      expect(getTurretTier(withLevels({ damage: 1, range: TIER_2_UPGRADES - 1 }))).toBe(2);
+      expect(getTurretTier(withLevels({}, 'GATLING'))).toBe(3);
+    });
+  });
+
+  // ==========================================
+  // Purchases
+  // ==========================================
+
+  describe('checkTrackUpgrade', () => {
+    it('should price each level from the turret cost', () => {
+      const { costFactor } = TurretUpgradeTracks.damage;
+
+      expect(checkTrackUpgrade('EXPLOSIVE', createTurretUpgrades(), 'damage').cost).toBe(Math.round(TurretTypes.EXPLOSIVE.cost * costFactor));
+      expect(checkTrackUpgrade('EXPLOSIVE', withLevels({ damage: 1 }), 'damage').cost).toBe(Math.round(TurretTypes.EXPLOSIVE.cost * costFactor * 2));
+    });
+
+    it('should refuse maxed and unknown tracks', () => {
+      const maxed = withLevels({ range: TurretUpgradeTracks.range.maxLevel });
+
+      expect(checkTrackUpgrade('BASIC', maxed, 'range').reasons).toEqual([{ message: 'Range is maxed out' }]);
+      expect(checkTrackUpgrade('BASIC', maxed, 'armor').reasons).toEqual([{ message: 'Unknown turret upgrade: armor' }]);
+    });
+  });
+
+  describe('checkBranchUpgrade', () => {
+    it('should only let tier 2 turrets specialize', () => {
+      expect(checkBranchUpgrade('BASIC', withLevels({ damage: 1 }), 'SNIPER').reasons)
+        .toEqual([{ message: `Needs ${TIER_2_UPGRADES - 1} more upgrades to specialize` }]);
+
+      const result = checkBranchUpgrade('BASIC', withLevels({ damage: TIER_2_UPGRADES }), 'SNIPER');
+      expect(result).toEqual({ ok: true, reasons: [], cost: TurretBranches.BASIC.SNIPER.cost });
+    });
+
+    it('should refuse a second specialization or another type\'s branch', () => {
+      const sniper = withLevels({ damage: TIER_2_UPGRADES }, 'SNIPER');
+
+      expect(checkBranchUpgrade('BASIC', sniper, 'GATLING').reasons).toEqual([{ message: 'Already specialized as Sniper Scarecrow' }]);
+      expect(checkBranchUpgrade('BASIC', sniper, 'BLIZZARD').reasons).toEqual([{ message: 'Unknown specialization: BLIZZARD' }]);
+    });
+  });
+
+  // ==========================================
+  // Selling
+  // ==========================================
+
+  describe('selling', () => {
+    it('should count the turret\'s price, every level bought and its specialization', () => {
+      const upgrades = withLevels({ damage: 2, range: 1 }, 'MORTAR');
+      const level = (track, n) => checkTrackUpgrade('EXPLOSIVE', withLevels({ [track]: n - 1 }), track).cost;
+
+      expect(getTurretInvestment('EXPLOSIVE', createTurretUpgrades())).toBe(TurretTypes.EXPLOSIVE.cost);
+      expect(getTurretInvestment('EXPLOSIVE', upgrades)).toBe(
+        TurretTypes.EXPLOSIVE.cost + level('damage', 1) + level('damage', 2) + level('range', 1) + TurretBranches.EXPLOSIVE.MORTAR.cost
+      );
+    });
+
+    it('should refund less the more damaged the turret is', () => {
+      const upgrades = withLevels({ fireRate: 1 });
+      const invested = getTurretInvestment('BASIC', upgrades);
+
+      expect(getTurretSellValue('BASIC', upgrades, DamageState.PRISTINE)).toBe(Math.floor(invested * TurretSale.refund));
+      expect(getTurretSellValue('BASIC', upgrades, DamageState.CRITICAL))
+        .toBe(Math.floor(invested * TurretSale.refund * TurretSale.damageStates.critical));
+      expect(getTurretSellValue('BASIC', upgrades, DamageState.DAMAGED))
+        .toBeGreaterThan(getTurretSellValue('BASIC', upgrades, DamageState.CRITICAL));
+      expect(getTurretSellValue('BASIC', upgrades, DamageState.DESTROYED)).toBe(0);
+    });
+  });
+
+  it('should recognize saved upgrades a turret could have', () => {
+    expect(isTurretUpgrades('SLOW', withLevels({ damage: 1 }, 'BLIZZARD'))).toBe(true);
+    expect(isTurretUpgrades('BASIC', withLevels({}, 'BLIZZARD'))).toBe(false);
+    expect(isTurretUpgrades('BASIC', withLevels({ damage: 99 }))).toBe(false);
+    expect(isTurretUpgrades('BASIC', { branch: null })).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * WaveManager Unit Tests
+ *
+ * Tests the upcoming wave preview: zombie counts, boss waves, scripted
+ * modifiers and threat ratings.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { WaveManager } from '../../waves/WaveManager.js';
+import { ZombieTypes, ThreatLevels } from '../../GameConfig.js';
+
+describe('WaveManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new WaveManager({});
+  });
+
+  // ==========================================
+  // Wave preview
+  // ==========================================
+
+  describe('getWavePreview', () => {
+    it('should list only the zombie types in the wave', () => {
+      const preview = manager.getWavePreview(1, false);
+
+      expect(preview).toMatchObject({ wave: 1, counts: { STANDARD: 4 }, total: 4, hasBoss: false, modifiers: [] });
+    });
+
+    it('should match the composition the wave will spawn', () => {
+      const comp = manager.getWaveComposition(12, true);
+      const preview = manager.getWavePreview(12, true);
+
+      for (const [type, count] of Object.entries(comp)) {
+        expect(preview.counts[type] ?? 0).toBe(count);
+      }
+      expect(preview.total).toBe(Object.values(comp).reduce((a, b) => a + b, 0));
+    });
+
+    it('should flag boss waves', () => {
+      expect(manager.getWavePreview(5, false).hasBoss).toBe(true);
+      expect(manager.getWavePreview(6, false).hasBoss).toBe(false);
+    });
+
+    it('should rate threat from the value of the wave', () => {
+      const easy = manager.getWavePreview(1, false).threat;
+      expect(easy).toEqual({ score: 4 * ZombieTypes.STANDARD.value, level: 'Low', color: ThreatLevels[0].color });
+
+      const scores = [1, 5, 10, 20, 30].map(wave => manager.getWavePreview(wave, false).threat.score);
+      expect([...scores].sort((a, b) => a - b)).toEqual(scores);
+      expect(manager.getWavePreview(30, false).threat.level).toBe('Extreme');
+    });
+
+    it('should include scripted modifiers and scale threat by them', () => {
+      manager.loadScript({
+        waves: [{
+          groups: [
+            { type: 'STANDARD', count: 4 },
+            { type: 'TANK', count: 2, modifiers: { hp: 2, value: 3 } }
+          ]
+        }]
+      });
+
+      const preview = manager.getWavePreview(1, false);
+
+      expect(preview.counts).toEqual({ STANDARD: 4, TANK: 2 });
+      expect(preview.modifiers).toEqual([{ type: 'TANK', count: 2, hp: 2, value: 3 }]);
+      expect(preview.threat.score).toBe(4 * ZombieTypes.STANDARD.value + 2 * ZombieTypes.TANK.value * 2);
+    });
+  });
+});
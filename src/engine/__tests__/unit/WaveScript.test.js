@@ -0,0 +1,198 @@
+/**
+ * WaveScript Unit Tests
+ *
+ * Tests wave script validation and defaults, and WaveManager running scripted
+ * groups with a procedural fallback for endless waves and waves past the end
+ * of a script.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { validateWaveScript, getScriptedGroups, getScriptedMutators, getGroupComposition, WaveScriptDefaults } from '../../waves/WaveScript.js';
+import { WaveManager } from '../../waves/WaveManager.js';
+import campaign from '../../waves/campaign.json';
+
+const testScript = {
+  name: 'Test',
+  waves: [
+    { groups: [{ type: 'STANDARD', count: 3, delay: 1 }] },
+    {
+      groups: [
+        { type: 'STANDARD', count: 2, delay: 2 },
+        { type: 'TANK', count: 1, start: 1.5, spawn: 'EAST', modifiers: { hp: 2, value: 1.5 } }
+      ]
+    }
+  ]
+};
+
+const messages = (script) => validateWaveScript(script).reasons.map(reason => reason.message);
+
+// ==========================================
+// Validation
+// ==========================================
+
+describe('validateWaveScript', () => {
+  it('should accept a well-formed script', () => {
+    expect(validateWaveScript(testScript)).toEqual({ ok: true, reasons: [] });
+  });
+
+  it('should accept the bundled campaign', () => {
+    expect(validateWaveScript(campaign).ok).toBe(true);
+    expect(campaign.waves).toHaveLength(30);
+  });
+
+  it('should reject scripts without waves', () => {
+    expect(messages(null)).toEqual(['Wave script is not a JSON object']);
+    expect(messages({ waves: [] })).toEqual(['Wave script needs a non-empty waves array']);
+    expect(messages({ name: 3, waves: [{ groups: [] }] })).toEqual([
+      'Wave script name must be a string',
+      'waves[0] (wave 1) needs a non-empty groups array'
+    ]);
+  });
+
+  it('should report every bad group field with its location', () => {
+    const script = {
+      waves: [
+        testScript.waves[0],
+        {
+          groups: [
+            { type: 'GHOST', count: 0 },
+            { type: 'RUNNER', count: 2, delay: -1, start: 'soon', spawn: 'CELLAR' },
+            { type: 'TANK', count: 1, modifiers: { hp: 0, armor: 2 } },
+            'STANDARD'
+          ]
+        }
+      ]
+    };
+
+    expect(messages(script)).toEqual([
+      'waves[1] (wave 2) groups[0] has unknown zombie type: GHOST',
+      'waves[1] (wave 2) groups[0] count must be a whole number of at least 1',
+      'waves[1] (wave 2) groups[1] delay must be a number of seconds, 0 or more',
+      'waves[1] (wave 2) groups[1] start must be a number of seconds, 0 or more',
+      'waves[1] (wave 2) groups[1] has unknown spawn point: CELLAR',
+      'waves[1] (wave 2) groups[2] modifier hp must be a positive number',
+      'waves[1] (wave 2) groups[2] has unknown modifier: armor',
+      'waves[1] (wave 2) groups[3] is not an object'
+    ]);
+  });
+
+  it('should check wave mutators', () => {
+    const script = {
+      waves: [
+        { groups: testScript.waves[0].groups, mutators: ['FOG'] },
+        { groups: testScript.waves[0].groups, mutators: 'FOG' },
+        { groups: testScript.waves[0].groups, mutators: ['FOG', 'BLOOD_MOON'] }
+      ]
+    };
+
+    expect(messages(script)).toEqual([
+      'waves[1] (wave 2) mutators must be an array',
+      'waves[2] (wave 3) has unknown mutator: BLOOD_MOON'
+    ]);
+  });
+});
+
+// ==========================================
+// Groups
+// ==========================================
+
+describe('getScriptedGroups', () => {
+  it('should fill in defaults for missing fields', () => {
+    expect(getScriptedGroups(testScript, 1)).toEqual([
+      { type: 'STANDARD', count: 3, delay: 1, spawn: WaveScriptDefaults.spawn, start: WaveScriptDefaults.start, modifiers: null }
+    ]);
+    expect(getScriptedGroups(testScript, 2)[1]).toMatchObject({ delay: WaveScriptDefaults.delay, start: 1.5, modifiers: { hp: 2, value: 1.5 } });
+  });
+
+  it('should return null past the end of the script', () => {
+    expect(getScriptedGroups(testScript, 3)).toBeNull();
+  });
+
+  it('should read a wave\'s mutators, or none when it lists none', () => {
+    const script = { waves: [{ ...testScript.waves[0], mutators: ['FOG'] }, testScript.waves[1]] };
+    expect(getScriptedMutators(script, 1)).toEqual(['FOG']);
+    expect(getScriptedMutators(script, 2)).toEqual([]);
+  });
+
+  it('should total groups by type', () => {
+    const comp = getGroupComposition([...getScriptedGroups(testScript, 2), { type: 'STANDARD', count: 4 }]);
+    expect(comp).toMatchObject({ STANDARD: 6, TANK: 1, RUNNER: 0, BOSS: 0 });
+  });
+});
+
+// ==========================================
+// WaveManager
+// ==========================================
+
+describe('WaveManager with a wave script', () => {
+  let state;
+  let manager;
+
+  beforeEach(() => {
+    state = {};
+    manager = new WaveManager(state);
+    manager.loadScript(testScript);
+  });
+
+  it('should not load an invalid script', () => {
+    const fresh = new WaveManager({});
+    expect(fresh.loadScript({ waves: [] }).ok).toBe(false);
+    expect(fresh.script).toBeNull();
+  });
+
+  it('should take the wave composition from the script', () => {
+    manager.startWave(2, false);
+
+    expect(manager.isScripted).toBe(true);
+    expect(state.waveComp).toMatchObject({ STANDARD: 2, TANK: 1, RUNNER: 0 });
+    expect(state.toSpawn).toBe(3);
+  });
+
+  it('should release each group on its own timer', () => {
+    manager.startWave(2, false);
+
+    expect(manager.update(0.1).map(spawn => spawn.type)).toEqual(['STANDARD']);
+    expect(manager.update(1.5)).toEqual([{ type: 'TANK', spawn: 'EAST', modifiers: { hp: 2, value: 1.5 } }]);
+    expect(manager.update(0.5).map(spawn => spawn.type)).toEqual(['STANDARD']);
+    expect(manager.update(10)).toEqual([]);
+  });
+
+  it('should catch up on several spawns in one long tick', () => {
+    manager.startWave(1, false);
+
+    expect(manager.update(2.5)).toHaveLength(3);
+  });
+
+  it('should fall back to procedural waves for endless mode and waves past the script', () => {
+    manager.startWave(1, true);
+    expect(manager.isScripted).toBe(false);
+    expect(state.waveComp).toEqual(manager.getProceduralComposition(1, true));
+
+    manager.startWave(3, false);
+    expect(manager.isScripted).toBe(false);
+    expect(state.waveComp).toEqual(manager.getProceduralComposition(3, false));
+    expect(manager.update(1)).toEqual([]);
+  });
+
+  it('should serialize and restore group progress', () => {
+    manager.startWave(2, false);
+    manager.update(1);
+    const saved = JSON.parse(JSON.stringify(manager.serializeGroups()));
+
+    const restored = new WaveManager({});
+    restored.loadScript(testScript);
+    restored.restoreGroups(saved, 2, false);
+
+    expect(restored.serializeGroups()).toEqual(saved);
+    expect(restored.update(0.5)).toEqual([{ type: 'TANK', spawn: 'EAST', modifiers: { hp: 2, value: 1.5 } }]);
+  });
+
+  it('should go procedural when a save does not match the script', () => {
+    manager.restoreGroups([{ spawned: 0, timer: 0 }], 2, false);
+    expect(manager.isScripted).toBe(false);
+
+    manager.clearScript();
+    manager.restoreGroups(null, 1, false);
+    expect(manager.serializeGroups()).toBeNull();
+  });
+});
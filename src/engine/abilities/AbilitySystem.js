@@ -0,0 +1,168 @@
+/**
+ * AbilitySystem - Cooldowns, charges and active phases for player abilities
+ *
+ * Each ability moves READY -> ACTIVE (abilities with a duration) -> COOLDOWN
+ * -> READY. Abilities may declare several charges: using one spends a charge,
+ * and spent charges come back one cooldown at a time once the active phase
+ * is over. Timers only advance through update(), which the engine calls from
+ * its fixed-step simulation, so pausing the game holds them in place.
+ */
+
+import { AbilityTypes } from '../GameConfig.js';
+
+export const AbilityPhase = Object.freeze({
+  READY: 'READY',
+  ACTIVE: 'ACTIVE',
+  COOLDOWN: 'COOLDOWN'
+});
+
+export class AbilitySystem {
+  /**
+   * @param {Object} [abilityTypes] - Ability definitions with cooldown, duration and optional charges
+   */
+  constructor(abilityTypes = AbilityTypes) {
+    this.abilityTypes = abilityTypes;
+    this.reset();
+  }
+
+  reset() {
+    this.abilities = {};
+    for (const key of Object.keys(this.abilityTypes)) {
+      this.abilities[key] = { charges: this.getMaxCharges(key), activeRemaining: 0, rechargeRemaining: 0 };
+    }
+  }
+
+  getMaxCharges(key) {
+    return this.abilityTypes[key]?.charges ?? 1;
+  }
+
+  getPhase(key) {
+    const ability = this.abilities[key];
+    if (ability.activeRemaining > 0) return AbilityPhase.ACTIVE;
+    return ability.charges > 0 ? AbilityPhase.READY : AbilityPhase.COOLDOWN;
+  }
+
+  /**
+   * Check whether an ability can be used right now
+   * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+   */
+  canUse(key) {
+    const type = this.abilityTypes[key];
+    if (!type) return { ok: false, reasons: [{ message: `Unknown ability: ${key}` }] };
+
+    const ability = this.abilities[key];
+    if (ability.activeRemaining > 0) {
+      return { ok: false, reasons: [{ message: `${type.name} is already active` }] };
+    }
+    if (ability.charges <= 0) {
+      const seconds = Math.ceil(ability.rechargeRemaining);
+      return { ok: false, reasons: [{ message: `${type.name} is on cooldown (${seconds}s)` }] };
+    }
+    return { ok: true, reasons: [] };
+  }
+
+  /**
+   * Spend a charge and start the ability's active phase
+   * @returns {{ok: boolean, reasons: Array<{message: string}>}} Result of canUse()
+   */
+  use(key) {
+    const result = this.canUse(key);
+    if (!result.ok) return result;
+
+    const type = this.abilityTypes[key];
+    const ability = this.abilities[key];
+    ability.charges -= 1;
+    ability.activeRemaining = type.duration ?? 0;
+    if (ability.rechargeRemaining <= 0) ability.rechargeRemaining = type.cooldown ?? 0;
+    return result;
+  }
+
+  /**
+   * Advance active and recharge timers
+   * @param {number} dt - Simulated seconds
+   * @returns {boolean} Whether the UI needs a new snapshot: a phase ended, a
+   *   charge came back or a countdown ticked over to another whole second
+   */
+  update(dt) {
+    let changed = false;
+
+    for (const [key, ability] of Object.entries(this.abilities)) {
+      if (ability.activeRemaining > 0) {
+        const shown = Math.ceil(ability.activeRemaining);
+        ability.activeRemaining = Math.max(0, ability.activeRemaining - dt);
+        if (Math.ceil(ability.activeRemaining) !== shown) changed = true;
+        continue;
+      }
+
+      const maxCharges = this.getMaxCharges(key);
+      if (ability.charges >= maxCharges) continue;
+
+      const shown = Math.ceil(ability.rechargeRemaining);
+      ability.rechargeRemaining -= dt;
+      if (ability.rechargeRemaining <= 0) {
+        ability.charges += 1;
+        ability.rechargeRemaining = ability.charges < maxCharges
+          ? this.abilityTypes[key].cooldown + ability.rechargeRemaining
+          : 0;
+        changed = true;
+      } else if (Math.ceil(ability.rechargeRemaining) !== shown) {
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Plain state for the UI
+   * @returns {Object} Per-ability phase, charges and timers keyed by ability
+   */
+  getSnapshot() {
+    const snapshot = {};
+    for (const [key, ability] of Object.entries(this.abilities)) {
+      const type = this.abilityTypes[key];
+      snapshot[key] = {
+        phase: this.getPhase(key),
+        charges: ability.charges,
+        maxCharges: this.getMaxCharges(key),
+        cooldown: type.cooldown ?? 0,
+        cooldownRemaining: Math.max(0, ability.rechargeRemaining),
+        duration: type.duration ?? 0,
+        activeRemaining: ability.activeRemaining
+      };
+    }
+    return snapshot;
+  }
+
+  serialize() {
+    const data = {};
+    for (const [key, ability] of Object.entries(this.abilities)) {
+      data[key] = { ...ability };
+    }
+    return data;
+  }
+
+  /**
+   * Restore timers from serialize(); unknown abilities and bad values are
+   * left at their reset state
+   */
+  restore(data) {
+    this.reset();
+    if (!data || typeof data !== 'object') return;
+
+    for (const [key, saved] of Object.entries(data)) {
+      const ability = this.abilities[key];
+      if (!ability || !saved) continue;
+      if (Number.isInteger(saved.charges)) {
+        ability.charges = Math.min(Math.max(saved.charges, 0), this.getMaxCharges(key));
+      }
+      if (Number.isFinite(saved.activeRemaining)) ability.activeRemaining = Math.max(0, saved.activeRemaining);
+      if (Number.isFinite(saved.rechargeRemaining)) ability.rechargeRemaining = Math.max(0, saved.rechargeRemaining);
+      if (ability.charges < this.getMaxCharges(key) && ability.rechargeRemaining <= 0) {
+        ability.rechargeRemaining = this.abilityTypes[key].cooldown ?? 0;
+      }
+    }
+  }
+}
+
+export default AbilitySystem;
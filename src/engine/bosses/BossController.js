@@ -0,0 +1,139 @@
+/**
+ * BossController - Phase changes and attack timers for the Overlord
+ *
+ * A boss starts at its highest phase and drops one phase each time its HP
+ * falls through an equal share of maxHp. Each phase enables a set of attacks
+ * (summon, charge, ground slam) on their own timers. The controller only
+ * decides what happens and when; update() returns actions for the engine to
+ * carry out. Per-boss timers live on the zombie as plain data (bossState) so
+ * run saves can store them.
+ */
+
+import { BossPhases, ZombieTypes } from '../GameConfig.js';
+
+export const BossAction = Object.freeze({
+  PHASE: 'PHASE',
+  SUMMON: 'SUMMON',
+  CHARGE: 'CHARGE',
+  SLAM: 'SLAM'
+});
+
+const ATTACKS = ['summon', 'charge', 'slam'];
+
+export class BossController {
+  /**
+   * @param {Object} [phases] - Behavior per phase number, see BossPhases
+   * @param {number} [phaseCount] - Phase the boss spawns in
+   */
+  constructor(phases = BossPhases, phaseCount = ZombieTypes.BOSS.phases) {
+    this.phases = phases;
+    this.phaseCount = phaseCount;
+  }
+
+  /**
+   * Fresh timers for a newly spawned boss
+   */
+  createState() {
+    const state = { summonTimer: 0, chargeTimer: 0, slamTimer: 0, charge: null };
+    this._armPhase(state, this.phaseCount, 1);
+    return state;
+  }
+
+  /**
+   * Phase for the boss's current HP
+   * @returns {number} phaseCount at full health down to 1
+   */
+  getPhase(boss) {
+    const share = Math.max(0, boss.hp) / boss.maxHp;
+    return Math.min(this.phaseCount, Math.max(1, Math.ceil(share * this.phaseCount)));
+  }
+
+  /**
+   * Advance phase and attack timers
+   * @param {Object} boss - Zombie with bossPhase and bossState
+   * @param {number} dt - Simulated seconds
+   * @param {{x: number, z: number}} targetPos - Where a charge should aim
+   * @returns {Array<Object>} BossAction entries for the engine to apply
+   */
+  update(boss, dt, targetPos) {
+    const actions = [];
+    const state = boss.bossState;
+
+    const phase = this.getPhase(boss);
+    if (phase < boss.bossPhase) {
+      boss.bossPhase = phase;
+      state.charge = null;
+      this._armPhase(state, phase, 0.5);
+      const config = this.phases[phase] ?? {};
+      actions.push({ type: BossAction.PHASE, phase, name: config.name, banner: config.banner ?? null });
+    }
+
+    const config = this.phases[boss.bossPhase] ?? {};
+
+    if (state.charge) {
+      if (state.charge.windup > 0) {
+        state.charge.windup -= dt;
+      } else {
+        state.charge.remaining -= dt;
+        if (state.charge.remaining <= 0) state.charge = null;
+      }
+      // Nothing else fires mid-charge
+      return actions;
+    }
+
+    if (config.summon && (state.summonTimer -= dt) <= 0) {
+      state.summonTimer = config.summon.interval;
+      actions.push({ type: BossAction.SUMMON, zombieType: config.summon.type, count: config.summon.count });
+    }
+
+    if (config.slam && (state.slamTimer -= dt) <= 0) {
+      state.slamTimer = config.slam.interval;
+      actions.push({ type: BossAction.SLAM, radius: config.slam.radius, damage: config.slam.damage });
+    }
+
+    if (config.charge && (state.chargeTimer -= dt) <= 0) {
+      state.chargeTimer = config.charge.interval;
+      const dx = targetPos.x - boss.pos.x;
+      const dz = targetPos.z - boss.pos.z;
+      const length = Math.hypot(dx, dz) || 1;
+      state.charge = {
+        windup: config.charge.windup,
+        remaining: config.charge.duration,
+        dir: { x: dx / length, z: dz / length }
+      };
+      actions.push({ type: BossAction.CHARGE, windup: config.charge.windup });
+    }
+
+    return actions;
+  }
+
+  /**
+   * Movement speed multiplier: the phase's enrage bonus, zero while winding
+   * up a charge and the charge speed while dashing
+   */
+  getSpeedMultiplier(boss) {
+    const config = this.phases[boss.bossPhase] ?? {};
+    const base = config.speedMult ?? 1;
+    const charge = boss.bossState?.charge;
+    if (!charge) return base;
+    return charge.windup > 0 ? 0 : base * config.charge.speedMult;
+  }
+
+  /**
+   * Locked-in dash direction while charging, otherwise null
+   * @returns {{x: number, z: number}|null}
+   */
+  getChargeDirection(boss) {
+    const charge = boss.bossState?.charge;
+    return charge && charge.windup <= 0 ? charge.dir : null;
+  }
+
+  _armPhase(state, phase, delayScale) {
+    const config = this.phases[phase] ?? {};
+    for (const attack of ATTACKS) {
+      state[`${attack}Timer`] = (config[attack]?.interval ?? 0) * delayScale;
+    }
+  }
+}
+
+export default BossController;
@@ -0,0 +1,192 @@
+/**
+ * DifficultyDirector - Adaptive spawn pacing
+ *
+ * Every few seconds of an active wave the director reads how the player is
+ * doing (health, barn integrity, how fast zombies die and how much corn is
+ * sitting unspent), scores it from -1 (struggling) to 1 (comfortable) and
+ * eases its pressure toward a level between the difficulty preset's bounds.
+ * Pressure shortens or lengthens spawn intervals, makes spawns arrive in
+ * bursts and, for a comfortable player, injects bonus zombies. Like the
+ * BossController it only decides; the engine carries out each decision.
+ * Decisions are kept in a short log for the performance HUD.
+ */
+
+import { DifficultyPresets, DirectorTuning } from '../GameConfig.js';
+
+export const DEFAULT_DIFFICULTY = 'NORMAL';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+export class DifficultyDirector {
+  /**
+   * @param {string} [difficulty] - DifficultyPresets key
+   * @param {Object} [tuning] - See DirectorTuning
+   */
+  constructor(difficulty = DEFAULT_DIFFICULTY, tuning = DirectorTuning) {
+    this.tuning = tuning;
+    this.setDifficulty(difficulty);
+  }
+
+  /**
+   * Switch preset and start over from its base pressure
+   * @returns {boolean} False for an unknown preset key
+   */
+  setDifficulty(difficulty) {
+    if (!DifficultyPresets[difficulty]) return false;
+    this.difficulty = difficulty;
+    this.preset = DifficultyPresets[difficulty];
+    this.reset();
+    return true;
+  }
+
+  reset() {
+    this.pressure = this.preset.basePressure;
+    this.timer = 0;
+    this.killTime = null;
+    this.bonusThisWave = 0;
+    this.log = [];
+  }
+
+  startWave() {
+    this.timer = 0;
+    this.bonusThisWave = 0;
+  }
+
+  /**
+   * Multiplier on the time between procedural spawns
+   */
+  get intervalMult() {
+    return 1 / this.pressure;
+  }
+
+  /**
+   * Chance that a spawn brings extra zombies with it
+   */
+  get burstChance() {
+    const { burstPerPressure, maxBurstChance } = this.tuning;
+    return clamp((this.pressure - 1) * burstPerPressure, 0, maxBurstChance);
+  }
+
+  /**
+   * How many zombies the next spawn brings. Only draws from the RNG when a
+   * burst is possible, so runs at neutral pressure keep the same sequence.
+   * @param {{next: function(): number}} rng
+   */
+  rollBurst(rng) {
+    const chance = this.burstChance;
+    if (chance <= 0 || rng.next() >= chance) return 1;
+    return 2 + Math.floor(rng.next() * (this.tuning.maxBurstSize - 1));
+  }
+
+  /**
+   * Track how long zombies survive; quick kills read as a comfortable player
+   * @param {number} lifetime - Seconds from spawn to death
+   */
+  recordKill(lifetime) {
+    this.killTime = this.killTime === null ? lifetime : this.killTime * 0.8 + lifetime * 0.2;
+  }
+
+  /**
+   * Score each signal from -1 (struggling) to 1 (comfortable)
+   * @param {{healthRatio: number, integrity: number, currency: number, wave: number}} metrics
+   *   integrity is the barn's share of door health, 0-1
+   */
+  assess(metrics) {
+    const { weights, healthFloor, integrityFloor, targetKillTime, hoardBase, hoardPerWave } = this.tuning;
+    const scale = (value, floor) => clamp(((value - floor) / (1 - floor)) * 2 - 1, -1, 1);
+
+    const signals = {
+      health: scale(metrics.healthRatio, healthFloor),
+      integrity: scale(metrics.integrity, integrityFloor),
+      killSpeed: this.killTime === null ? 0 : clamp(1 - this.killTime / targetKillTime, -1, 1),
+      hoarding: clamp(metrics.currency / (hoardBase + metrics.wave * hoardPerWave) - 1, 0, 1)
+    };
+    const score = Object.keys(weights).reduce((sum, key) => sum + signals[key] * weights[key], 0);
+    return { signals, score: clamp(score, -1, 1) };
+  }
+
+  /**
+   * Advance the assessment timer during an active wave
+   * @param {number} dt - Simulated seconds
+   * @param {{healthRatio: number, integrity: number, currency: number, wave: number, progress: number, simTime: number}} metrics
+   *   progress is the share of the wave spawned so far
+   * @returns {Object|null} A decision when one was made this tick, also added to the log
+   */
+  update(dt, metrics) {
+    this.timer += dt;
+    if (this.timer < this.tuning.evaluateInterval) return null;
+    this.timer -= this.tuning.evaluateInterval;
+    return this.decide(metrics);
+  }
+
+  /**
+   * Move pressure toward what the player's performance calls for and pick
+   * any bonus zombies
+   */
+  decide(metrics) {
+    const { maxStep, bonusThreshold, bonusMinProgress, logSize } = this.tuning;
+    const { basePressure, minPressure, maxPressure, maxBonus } = this.preset;
+    const { signals, score } = this.assess(metrics);
+
+    const target = score >= 0
+      ? basePressure + score * (maxPressure - basePressure)
+      : basePressure + score * (basePressure - minPressure);
+    const step = clamp(target - this.pressure, -maxStep, maxStep);
+    this.pressure = clamp(this.pressure + step, minPressure, maxPressure);
+
+    let bonus = null;
+    if (score >= bonusThreshold && metrics.progress >= bonusMinProgress && this.bonusThisWave < maxBonus) {
+      const count = Math.min(maxBonus - this.bonusThisWave, 1 + Math.floor((score - bonusThreshold) * 4));
+      bonus = { type: metrics.wave >= 3 ? 'RUNNER' : 'STANDARD', count };
+      this.bonusThisWave += count;
+    }
+
+    const decision = {
+      time: round(metrics.simTime ?? 0, 1),
+      wave: metrics.wave,
+      signals: Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, round(value)])),
+      score: round(score),
+      pressure: round(this.pressure),
+      intervalMult: round(this.intervalMult),
+      burstChance: round(this.burstChance),
+      bonus
+    };
+    this.log.push(decision);
+    if (this.log.length > logSize) this.log.shift();
+    return decision;
+  }
+
+  /**
+   * Director summary for the performance HUD
+   */
+  getSnapshot() {
+    return {
+      difficulty: this.difficulty,
+      name: this.preset.name,
+      pressure: round(this.pressure),
+      intervalMult: round(this.intervalMult),
+      burstChance: round(this.burstChance),
+      bonusThisWave: this.bonusThisWave,
+      log: this.log.slice()
+    };
+  }
+
+  serialize() {
+    return {
+      pressure: this.pressure,
+      timer: this.timer,
+      killTime: this.killTime,
+      bonusThisWave: this.bonusThisWave
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+    const { minPressure, maxPressure } = this.preset;
+    this.pressure = clamp(data.pressure, minPressure, maxPressure);
+    this.timer = data.timer ?? 0;
+    this.killTime = data.killTime ?? null;
+    this.bonusThisWave = data.bonusThisWave ?? 0;
+  }
+}
@@ -7,9 +7,24 @@
  * Architecture Overview:
  * - GameEngine: Core state management, decoupled from React
  * - SpatialHashGrid2D: O(1) spatial queries for collision detection
- * - BuildingValidator: Structural validation for turret placement
+ * - BuildingValidator: Structural validation for turret and barricade placement
  * - DamageManager: Damage states and cascading destruction
  * - StabilityOptimizer: Caching and batch updates for large turret counts
+ * - SeededRandom: Deterministic PRNG shared by gameplay systems
+ * - InputRecorder / ReplayPlayer: Tick-stamped input capture and playback
+ * - RunSave: Versioned format and validation for saved runs in progress
+ * - StatsTracker: Lifetime stats from engine events and achievement unlocks
+ * - AbilitySystem: Ability cooldowns, charges and active phases
+ * - BossController: Overlord phase changes and attack timers
+ * - NavGrid / FlowField: Grid flow-field pathfinding around obstacles
+ * - WaveManager / WaveScript: Procedural and JSON-scripted wave spawning
+ * - SpawnGates: Spawn gate layout, unlocking and per-wave gate picks
+ * - DifficultyDirector: Adaptive spawn pacing within a difficulty preset
+ * - Mutators: Run and wave rule changes and endless mutator rolls
+ * - TurretUpgrades: Per-turret upgrade levels, tiers, specializations and sell value
+ * - TurretTargeting: Target picking by each turret's targeting mode
+ * - TurretAiming: Leading turret shots onto moving zombies
+ * - StructureLayout: Build grid snapping and stacking for barricades
  */
 
 export { GameEngine, StateSnapshot } from './GameEngine.js';
@@ -17,3 +32,20 @@ export { SpatialHashGrid2D } from './SpatialHashGrid2D.js';
 export { BuildingValidator, ValidationMode, ValidationCode } from './BuildingValidator.js';
 export { DamageManager, DamageState, DamageType, DamageVisualizer } from './DamageManager.js';
 export { StabilityOptimizer, ZonedStabilityOptimizer, UpdatePriority } from './StabilityOptimizer.js';
+export { SeededRandom } from './SeededRandom.js';
+export { InputRecorder, REPLAY_VERSION } from './replay/InputRecorder.js';
+export { ReplayPlayer, validateReplay } from './replay/ReplayPlayer.js';
+export { RUN_SAVE_VERSION, validateRunSave } from './save/RunSave.js';
+export { StatsTracker } from './StatsTracker.js';
+export { AbilitySystem, AbilityPhase } from './abilities/AbilitySystem.js';
+export { BossController, BossAction } from './bosses/BossController.js';
+export { NavGrid, FlowField } from './navigation/FlowField.js';
+export { WaveManager } from './waves/WaveManager.js';
+export { validateWaveScript, WaveScriptDefaults, WAVE_MODIFIERS } from './waves/WaveScript.js';
+export { getGateLayout, getUnlockedGates, planWaveGates } from './waves/SpawnGates.js';
+export { DifficultyDirector } from './director/DifficultyDirector.js';
+export { getMutatorEffects, rollMutators } from './mutators/Mutators.js';
+export { getTurretStats, getTurretTier, getTurretSellValue } from './turrets/TurretUpgrades.js';
+export { DEFAULT_TARGETING, pickTarget } from './turrets/TurretTargeting.js';
+export { MAX_LEAD_TIME, predictPosition, findIntercept, createAccuracyTally } from './turrets/TurretAiming.js';
+export { snapToCell, findStackTop, planCourse } from './structures/StructureLayout.js';
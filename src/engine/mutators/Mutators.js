@@ -0,0 +1,74 @@
+/**
+ * Mutators - Rule changes for a run or a single wave
+ *
+ * A mutator is a Mutators entry in GameConfig with multiplier effects. Run
+ * mutators last the whole game; wave mutators come from a wave script or an
+ * endless roll and last one wave. This module checks mutator lists, combines
+ * the active ones into a single set of multipliers for the engine's damage,
+ * speed and reward hooks, and rolls endless mode's picks.
+ */
+
+import { Mutators, MutatorSchedule } from '../GameConfig.js';
+
+/** Multipliers with no mutator active */
+export const NO_MUTATOR_EFFECTS = Object.freeze({
+  zombieSpeed: 1,
+  zombieDamageTaken: 1,
+  corn: 1,
+  playerDamage: 1,
+  playerDamageTaken: 1,
+  fogDensity: 1
+});
+
+/**
+ * Whether a value is a list of known Mutators keys
+ */
+export function isMutatorList(keys) {
+  return Array.isArray(keys) && keys.every(key => Boolean(Mutators[key]));
+}
+
+/**
+ * Mutators from several lists without repeats, in registry order
+ * @param {...string[]} lists - Mutators keys
+ * @returns {string[]}
+ */
+export function mergeMutators(...lists) {
+  const keys = new Set(lists.flat());
+  return Object.keys(Mutators).filter(key => keys.has(key));
+}
+
+/**
+ * Combined multipliers for a set of active mutators
+ * @param {string[]} keys - Mutators keys
+ * @returns {Object} Every NO_MUTATOR_EFFECTS field
+ */
+export function getMutatorEffects(keys) {
+  const effects = { ...NO_MUTATOR_EFFECTS };
+  for (const key of keys) {
+    for (const [effect, value] of Object.entries(Mutators[key].effects)) {
+      effects[effect] *= value;
+    }
+  }
+  return effects;
+}
+
+/**
+ * Endless mode's wave mutators. Waves off the schedule get none and don't
+ * draw from the RNG.
+ * @param {number} wave
+ * @param {{next: function(): number}} rng
+ * @param {string[]} [exclude] - Mutators already active for the whole run
+ * @returns {string[]} Mutators keys in registry order
+ */
+export function rollMutators(wave, rng, exclude = []) {
+  const { endlessEvery, endlessCount, endlessLateFrom, endlessLateCount } = MutatorSchedule;
+  if (wave % endlessEvery !== 0) return [];
+
+  const pool = Object.keys(Mutators).filter(key => !exclude.includes(key));
+  const count = Math.min(pool.length, wave >= endlessLateFrom ? endlessLateCount : endlessCount);
+  const picked = [];
+  while (picked.length < count) {
+    picked.push(pool.splice(Math.floor(rng.next() * pool.length), 1)[0]);
+  }
+  return mergeMutators(picked);
+}
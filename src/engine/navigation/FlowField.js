@@ -0,0 +1,439 @@
+/**
+ * Flow-field pathfinding for zombies
+ *
+ * NavGrid splits the playable area into square cells. Cells outside the
+ * walkable areas (the treeline and everything beyond it) are always blocked;
+ * obstacles such as the house and turrets block the cells under their
+ * footprint and are added or removed one at a time, touching only those
+ * cells. FlowField runs Dijkstra outward from a goal over a NavGrid and lets
+ * each zombie sample a direction for the cell it stands in. A new goal
+ * rebuilds the whole field; obstacle changes only repair the costs around the
+ * cells that opened or closed.
+ */
+
+const SQRT2 = Math.SQRT2;
+
+// 8-way neighbor offsets as [dx, dz, cost]
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// Slack when checking whether a cell's cost was reached through a neighbor
+const COST_EPSILON = 1e-9;
+
+/**
+ * Axis-aligned rectangle on the ground plane
+ * @typedef {{minX: number, maxX: number, minZ: number, maxZ: number}} Rect
+ */
+
+export class NavGrid {
+  /**
+   * @param {Object} options
+   * @param {Rect} options.bounds - Area covered by the grid
+   * @param {number} [options.cellSize] - Cell edge length in world units
+   * @param {Rect[]} [options.walkable] - Areas zombies may enter; cells centered outside all of them are blocked
+   */
+  constructor({ bounds, cellSize = 1, walkable = [bounds] }) {
+    this.bounds = bounds;
+    this.cellSize = cellSize;
+    this.cols = Math.ceil((bounds.maxX - bounds.minX) / cellSize);
+    this.rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize);
+
+    this.terrainBlocked = new Uint8Array(this.cols * this.rows);
+    this.obstacleCount = new Uint16Array(this.cols * this.rows);
+    this.obstacles = new Map();
+    // Bumped whenever blocked cells change so fields know to repair
+    this.version = 0;
+
+    for (let i = 0; i < this.terrainBlocked.length; i++) {
+      const { x, z } = this.cellCenter(i);
+      const inside = walkable.some(r => x >= r.minX && x <= r.maxX && z >= r.minZ && z <= r.maxZ);
+      this.terrainBlocked[i] = inside ? 0 : 1;
+    }
+  }
+
+  /**
+   * @returns {number} Cell index for a world position, or -1 outside the grid
+   */
+  cellIndex(x, z) {
+    const col = Math.floor((x - this.bounds.minX) / this.cellSize);
+    const row = Math.floor((z - this.bounds.minZ) / this.cellSize);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+    return row * this.cols + col;
+  }
+
+  cellCenter(index) {
+    const col = index % this.cols;
+    const row = Math.floor(index / this.cols);
+    return {
+      x: this.bounds.minX + (col + 0.5) * this.cellSize,
+      z: this.bounds.minZ + (row + 0.5) * this.cellSize
+    };
+  }
+
+  /**
+   * Indices of every cell the rectangle overlaps (a point gives its own cell)
+   */
+  cellsInRect(rect) {
+    const cells = [];
+    const minCol = Math.max(0, Math.floor((rect.minX - this.bounds.minX) / this.cellSize));
+    const maxCol = Math.min(this.cols - 1, Math.floor((rect.maxX - this.bounds.minX) / this.cellSize));
+    const minRow = Math.max(0, Math.floor((rect.minZ - this.bounds.minZ) / this.cellSize));
+    const maxRow = Math.min(this.rows - 1, Math.floor((rect.maxZ - this.bounds.minZ) / this.cellSize));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        cells.push(row * this.cols + col);
+      }
+    }
+    return cells;
+  }
+
+  isBlocked(index) {
+    return index < 0 || this.terrainBlocked[index] === 1 || this.obstacleCount[index] > 0;
+  }
+
+  /**
+   * Block the cells under an obstacle, replacing any obstacle with the same id
+   * @param {string} id - Stable id (e.g. the turret id)
+   * @param {Rect} rect - Footprint
+   */
+  setObstacle(id, rect) {
+    this.removeObstacle(id);
+    const cells = this.cellsInRect(rect);
+    for (const cell of cells) this.obstacleCount[cell]++;
+    this.obstacles.set(id, cells);
+    this.version++;
+  }
+
+  removeObstacle(id) {
+    const cells = this.obstacles.get(id);
+    if (!cells) return false;
+    for (const cell of cells) this.obstacleCount[cell]--;
+    this.obstacles.delete(id);
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Whether a walkable route from a point reaches the goal area, optionally
+   * treating an extra footprint as blocked (used to test a placement first)
+   * @param {{x: number, z: number}} from
+   * @param {Rect} goal
+   * @param {Rect} [extra] - Footprint to test as if it were an obstacle
+   * @param {string} [ignoreId] - Obstacle to test as if it were gone (e.g. a turret being moved)
+   */
+  isReachable(from, goal, extra = null, ignoreId = null) {
+    const start = this.cellIndex(from.x, from.z);
+    if (start === -1) return false;
+
+    const extraCells = new Set(extra ? this.cellsInRect(extra) : []);
+    const ignoredCells = new Set(this.obstacles.get(ignoreId) ?? []);
+    const goalCells = new Set(this.cellsInRect(goal));
+    const visited = new Uint8Array(this.cols * this.rows);
+    const queue = [start];
+    visited[start] = 1;
+
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head];
+      if (goalCells.has(cell)) return true;
+
+      for (const next of this._neighbors(cell)) {
+        if (visited[next.index]) continue;
+        visited[next.index] = 1;
+        if (goalCells.has(next.index)) return true;
+        if (extraCells.has(next.index) || this._isBlockedIgnoring(next.index, ignoredCells)) continue;
+        queue.push(next.index);
+      }
+    }
+    return false;
+  }
+
+  _isBlockedIgnoring(index, ignoredCells) {
+    if (!ignoredCells.has(index)) return this.isBlocked(index);
+    return this.terrainBlocked[index] === 1 || this.obstacleCount[index] > 1;
+  }
+
+  /**
+   * Neighbors of a cell; diagonals are skipped when they would cut a blocked corner
+   * @returns {Array<{index: number, dx: number, dz: number, cost: number}>}
+   */
+  _neighbors(index) {
+    const col = index % this.cols;
+    const row = Math.floor(index / this.cols);
+    const result = [];
+
+    for (const [dx, dz, cost] of NEIGHBORS) {
+      const c = col + dx;
+      const r = row + dz;
+      if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) continue;
+      if (dx !== 0 && dz !== 0 &&
+          (this.isBlocked(row * this.cols + c) || this.isBlocked(r * this.cols + col))) {
+        continue;
+      }
+      result.push({ index: r * this.cols + c, dx, dz, cost });
+    }
+    return result;
+  }
+}
+
+export class FlowField {
+  /**
+   * @param {NavGrid} grid - Shared grid; several fields can follow different goals over it
+   */
+  constructor(grid) {
+    this.grid = grid;
+    this.cost = new Float64Array(grid.cols * grid.rows).fill(Infinity);
+    this.goalCells = [];
+    this._isGoal = new Uint8Array(grid.cols * grid.rows);
+    this._goalKey = '';
+    this._builtGoalKey = null;
+    this._builtVersion = -1;
+    // Blocked cells as of the last update, to find what an obstacle change touched
+    this._blocked = new Uint8Array(grid.cols * grid.rows);
+  }
+
+  /**
+   * Set the area zombies should head for. Goal cells may be blocked (e.g. the
+   * house footprint): the field still flows up to them.
+   * @param {Rect|Rect[]} rects - One area, or several that all count as the goal
+   */
+  setGoal(rects) {
+    const cells = new Set();
+    for (const rect of Array.isArray(rects) ? rects : [rects]) {
+      for (const cell of this.grid.cellsInRect(rect)) cells.add(cell);
+    }
+    this.goalCells = [...cells];
+    this._goalKey = this.goalCells.join(',');
+  }
+
+  /**
+   * Bring costs up to date: rebuild for a new goal, or repair around the cells
+   * whose blocked state changed since the last update
+   * @returns {boolean} Whether any costs were recomputed
+   */
+  update() {
+    const { grid } = this;
+    if (this._goalKey !== this._builtGoalKey) {
+      this._rebuild();
+      return true;
+    }
+    if (grid.version === this._builtVersion) return false;
+    this._builtVersion = grid.version;
+
+    const opened = [];
+    const closed = [];
+    for (let i = 0; i < this._blocked.length; i++) {
+      const blocked = grid.isBlocked(i) ? 1 : 0;
+      if (blocked === this._blocked[i]) continue;
+      this._blocked[i] = blocked;
+      (blocked ? closed : opened).push(i);
+    }
+    if (opened.length === 0 && closed.length === 0) return false;
+
+    this._repair(opened, closed);
+    return true;
+  }
+
+  _rebuild() {
+    const { grid, cost } = this;
+    this._builtGoalKey = this._goalKey;
+    this._builtVersion = grid.version;
+    for (let i = 0; i < this._blocked.length; i++) this._blocked[i] = grid.isBlocked(i) ? 1 : 0;
+
+    cost.fill(Infinity);
+    this._isGoal.fill(0);
+    const heap = new MinHeap();
+    for (const cell of this.goalCells) {
+      this._isGoal[cell] = 1;
+      cost[cell] = 0;
+      heap.push(cell, 0);
+    }
+    this._relax(heap);
+  }
+
+  /**
+   * Closing cells can only raise costs, and only for cells left with no open
+   * neighbor their cost was reached from: those are cleared and refilled from
+   * the edge of the cleared region. Opening cells can only lower costs, so
+   * relaxing outward from around them is enough.
+   */
+  _repair(opened, closed) {
+    const { cost } = this;
+    const cleared = new Uint8Array(cost.length);
+    const region = [];
+    // Checked cheapest first, so a neighbor a cell could lean on is settled before it
+    const suspects = new MinHeap();
+    const clear = (index) => {
+      cleared[index] = 1;
+      region.push(index);
+      this._forEachNeighbor(index, (next) => {
+        if (!this._isGoal[next] && cost[next] > cost[index] && cost[next] !== Infinity) suspects.push(next, cost[next]);
+      });
+    };
+
+    for (const cell of closed) {
+      if (!this._isGoal[cell] && cost[cell] !== Infinity) clear(cell);
+    }
+    while (suspects.size > 0) {
+      const { index } = suspects.pop();
+      if (!cleared[index] && !this._isSupported(index, cleared)) clear(index);
+    }
+    for (const index of region) cost[index] = Infinity;
+
+    const heap = new MinHeap();
+    const seed = (index) => {
+      if (cost[index] !== Infinity) heap.push(index, cost[index]);
+    };
+    for (const index of region) this._forEachNeighbor(index, seed);
+    for (const cell of opened) {
+      seed(cell);
+      this._forEachNeighbor(cell, seed);
+    }
+    this._relax(heap);
+  }
+
+  /**
+   * Whether a cell can still be reached at its cost from an uncleared neighbor
+   */
+  _isSupported(index, cleared) {
+    const { grid, cost } = this;
+    const { cols } = grid;
+    const col = index % cols;
+    const row = (index - col) / cols;
+    let supported = false;
+    this._forEachNeighbor(index, (prev, step) => {
+      if (supported || cleared[prev] || Math.abs(cost[prev] + step - cost[index]) >= COST_EPSILON) return;
+      if (grid.isBlocked(prev) && !this._isGoal[prev]) return;
+      const prevCol = prev % cols;
+      const prevRow = (prev - prevCol) / cols;
+      if (prevCol !== col && prevRow !== row &&
+          (grid.isBlocked(row * cols + prevCol) || grid.isBlocked(prevRow * cols + col))) return;
+      supported = true;
+    });
+    return supported;
+  }
+
+  _forEachNeighbor(index, fn) {
+    const { cols, rows } = this.grid;
+    const col = index % cols;
+    const row = (index - col) / cols;
+    for (const [dx, dz, step] of NEIGHBORS) {
+      const c = col + dx;
+      const r = row + dz;
+      if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+      fn(r * cols + c, step);
+    }
+  }
+
+  /**
+   * Dijkstra from whatever cells are queued, lowering costs until nothing improves
+   */
+  _relax(heap) {
+    const { grid, cost } = this;
+
+    // Inlined neighbor walk: this runs for every rebuild and repair
+    const { cols, rows } = grid;
+    while (heap.size > 0) {
+      const { index, priority } = heap.pop();
+      if (priority > cost[index]) continue;
+      const col = index % cols;
+      const row = (index - col) / cols;
+
+      for (const [dx, dz, step] of NEIGHBORS) {
+        const c = col + dx;
+        const r = row + dz;
+        if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+        const next = r * cols + c;
+        if (grid.isBlocked(next)) continue;
+        if (dx !== 0 && dz !== 0 && (grid.isBlocked(row * cols + c) || grid.isBlocked(r * cols + col))) continue;
+        const nextCost = priority + step;
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          heap.push(next, nextCost);
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {number} Path distance from the cell at (x, z) to the goal, Infinity if unreachable
+   */
+  getCost(x, z) {
+    const index = this.grid.cellIndex(x, z);
+    return index === -1 ? Infinity : this.cost[index];
+  }
+
+  /**
+   * Direction toward the goal from the cell at (x, z). Zombies caught inside a
+   * blocked cell are pointed at the cheapest open neighbor.
+   * @returns {{x: number, z: number}|null} Unit direction, or null at the goal,
+   *   outside the grid or with no route (callers steer straight at the target)
+   */
+  sample(x, z) {
+    const index = this.grid.cellIndex(x, z);
+    if (index === -1 || this.cost[index] === 0) return null;
+
+    let best = null;
+    let bestCost = this.cost[index];
+    for (const next of this.grid._neighbors(index)) {
+      if (this.cost[next.index] < bestCost) {
+        bestCost = this.cost[next.index];
+        best = next;
+      }
+    }
+    if (!best) return null;
+
+    const length = Math.hypot(best.dx, best.dz);
+    return { x: best.dx / length, z: best.dz / length };
+  }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by cost
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index, priority) {
+    const items = this.items;
+    items.push({ index, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export default FlowField;
@@ -0,0 +1,72 @@
+/**
+ * InputRecorder - Captures the gameplay input stream of a run
+ *
+ * Every entry is stamped with the simulation tick it was consumed on, so a
+ * run can be reproduced from its seed plus this list (see ReplayPlayer).
+ * Continuous controls (movement flags, firing, aim, look, camera) are sampled
+ * once per tick and stored as deltas; discrete actions (weapon swaps,
+ * abilities, purchases, turret placement, wave starts) are stored as they
+ * happen.
+ */
+
+/** Bump when the replay file layout changes */
+export const REPLAY_VERSION = 1;
+
+export class InputRecorder {
+  constructor() {
+    this.inputs = [];
+    this.recording = false;
+    this._lastControls = null;
+  }
+
+  /**
+   * Begin a fresh recording (drops any previous inputs)
+   */
+  start() {
+    this.inputs = [];
+    this.recording = true;
+    this._lastControls = null;
+  }
+
+  /**
+   * Stop recording, keeping the captured inputs for export
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Record a discrete action
+   * @param {number} tick - Simulation tick the action is consumed on
+   * @param {string} type - Action type (matches the engine method name)
+   * @param {Object} [data] - Action arguments
+   */
+  record(tick, type, data = {}) {
+    if (!this.recording) return;
+    this.inputs.push({ tick, type, ...data });
+  }
+
+  /**
+   * Record the control values that changed since the last sample
+   * @param {number} tick - Simulation tick
+   * @param {Object} controls - Flat map of primitive control values
+   */
+  sampleControls(tick, controls) {
+    if (!this.recording) return;
+
+    const last = this._lastControls;
+    let values = null;
+    for (const key in controls) {
+      if (!last || last[key] !== controls[key]) {
+        values = values || {};
+        values[key] = controls[key];
+      }
+    }
+    if (!values) return;
+
+    this.inputs.push({ tick, type: 'controls', values });
+    this._lastControls = { ...last, ...values };
+  }
+}
+
+export default InputRecorder;
@@ -0,0 +1,93 @@
+/**
+ * ReplayPlayer - Feeds a recorded input stream back into the engine
+ *
+ * The engine restarts the run with the replay's seed and, before every
+ * simulation tick, applies each input stamped at or before that tick in
+ * recorded order. Control deltas are merged so the full control state can
+ * be re-applied every tick, overriding anything the view layer (e.g. the
+ * first-person camera) writes between ticks.
+ */
+
+import { REPLAY_VERSION } from './InputRecorder.js';
+import { DifficultyPresets } from '../GameConfig.js';
+import { isMutatorList } from '../mutators/Mutators.js';
+
+/**
+ * Check that parsed JSON looks like a replay this build can play
+ * @param {*} data - Parsed replay file
+ * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+ */
+export function validateReplay(data) {
+  const reasons = [];
+  const fail = (message) => reasons.push({ message });
+
+  if (!data || typeof data !== 'object') {
+    fail('Replay is not a JSON object');
+  } else {
+    if (data.version !== REPLAY_VERSION) {
+      fail(`Unsupported replay version: ${data.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (!Number.isInteger(data.seed)) fail('Replay is missing its seed');
+    if (data.difficulty !== undefined && !DifficultyPresets[data.difficulty]) {
+      fail(`Replay has unknown difficulty: ${data.difficulty}`);
+    }
+    if (data.mutators !== undefined && !isMutatorList(data.mutators)) fail('Replay has unknown mutators');
+    if (!Number.isInteger(data.durationTicks) || data.durationTicks < 0) {
+      fail('Replay is missing its duration');
+    }
+    if (!Array.isArray(data.inputs)) {
+      fail('Replay is missing its input list');
+    } else {
+      let lastTick = 0;
+      for (const input of data.inputs) {
+        if (!input || typeof input.type !== 'string' || !Number.isInteger(input.tick) || input.tick < lastTick) {
+          fail('Replay inputs are malformed or out of order');
+          break;
+        }
+        lastTick = input.tick;
+      }
+    }
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - A replay that passed validateReplay()
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.cursor = 0;
+    this.controls = {};
+  }
+
+  get durationTicks() {
+    return this.replay.durationTicks;
+  }
+
+  /**
+   * Apply every input stamped at or before tick, in recorded order
+   * @param {number} tick - Current simulation tick
+   * @param {Function} apply - Called with each due input
+   */
+  applyUntil(tick, apply) {
+    const inputs = this.replay.inputs;
+    while (this.cursor < inputs.length && inputs[this.cursor].tick <= tick) {
+      const input = inputs[this.cursor++];
+      if (input.type === 'controls') {
+        Object.assign(this.controls, input.values);
+      }
+      apply(input);
+    }
+  }
+
+  /**
+   * Whether the run has been played up to its recorded length
+   */
+  isComplete(tick) {
+    return tick >= this.replay.durationTicks;
+  }
+}
+
+export default ReplayPlayer;
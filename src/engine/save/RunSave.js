@@ -0,0 +1,119 @@
+/**
+ * RunSave - Format and validation for a saved run in progress
+ *
+ * GameEngine.serializeRun() captures the run as plain JSON data (no Three.js
+ * objects) and GameEngine.restoreRun() rebuilds state and scene from it.
+ * This module owns the version stamp and checks loaded data before the
+ * engine touches it.
+ */
+
+import { GamePhase } from '../GamePhase.js';
+import {
+  WeaponTypes, ZombieTypes, TurretTypes, TurretTargetingModes, StructureTypes, AbilityTypes, SpawnPoints, DifficultyPresets
+} from '../GameConfig.js';
+import { isMutatorList } from '../mutators/Mutators.js';
+import { isTurretUpgrades } from '../turrets/TurretUpgrades.js';
+
+/** Bump when the run save layout changes */
+export const RUN_SAVE_VERSION = 1;
+
+/** Phases a run can be saved in (PAUSED saves the phase it paused from) */
+export const SAVEABLE_PHASES = [GamePhase.WAVE_PREP, GamePhase.WAVE_ACTIVE, GamePhase.WAVE_COMPLETE];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVec3 = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+const isBossState = (value) => value == null || (
+  isNumber(value.summonTimer) && isNumber(value.chargeTimer) && isNumber(value.slamTimer) &&
+  (value.charge == null || (isNumber(value.charge.windup) && isNumber(value.charge.remaining) &&
+    isNumber(value.charge.dir?.x) && isNumber(value.charge.dir?.z)))
+);
+
+/**
+ * Check that parsed data is a run save this build can restore
+ * @param {*} data - Parsed run save
+ * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+ */
+export function validateRunSave(data) {
+  const reasons = [];
+  const fail = (message) => reasons.push({ message });
+
+  if (!data || typeof data !== 'object') {
+    fail('Run save is not a JSON object');
+    return { ok: false, reasons };
+  }
+
+  if (data.version !== RUN_SAVE_VERSION) {
+    fail(`Unsupported run save version: ${data.version} (expected ${RUN_SAVE_VERSION})`);
+  }
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.rng?.state)) {
+    fail('Run save is missing its random seed');
+  }
+  if (!SAVEABLE_PHASES.includes(data.phase)) fail(`Run save has invalid phase: ${data.phase}`);
+  if (data.difficulty !== undefined && !DifficultyPresets[data.difficulty]) {
+    fail(`Run save has unknown difficulty: ${data.difficulty}`);
+  }
+  if (data.director != null && !isNumber(data.director.pressure)) fail('Run save has malformed director state');
+  if (!Number.isInteger(data.wave?.active) || !isNumber(data.wave?.toSpawn)) {
+    fail('Run save is missing wave progress');
+  }
+  const groups = data.wave?.groups;
+  if (groups != null && (!Array.isArray(groups) ||
+      groups.some(group => !Number.isInteger(group?.spawned) || !isNumber(group.timer)))) {
+    fail('Run save has malformed wave groups');
+  }
+  const isGateList = (gates) => gates === undefined || (Array.isArray(gates) && gates.every(key => SpawnPoints[key]));
+  if (!isGateList(data.wave?.gates) || !isGateList(data.wave?.nextGates)) fail('Run save has unknown spawn gates');
+  const mutatorLists = [data.runMutators, data.wave?.mutators, data.wave?.nextMutators].filter(list => list !== undefined);
+  const history = data.mutatorHistory;
+  if (!mutatorLists.every(isMutatorList) || (history !== undefined && (!Array.isArray(history) ||
+      history.some(entry => !Number.isInteger(entry?.wave) || !isMutatorList(entry.mutators))))) {
+    fail('Run save has unknown mutators');
+  }
+  if (!isNumber(data.currency) || !isNumber(data.score)) fail('Run save is missing currency or score');
+  if (!WeaponTypes[data.currentWeapon]) fail(`Run save has unknown weapon: ${data.currentWeapon}`);
+  if (!isVec3(data.player?.pos) || !isNumber(data.player?.health)) fail('Run save is missing the player');
+  if (!data.upgrades || typeof data.upgrades !== 'object') fail('Run save is missing upgrades');
+  if (!Number.isInteger(data.house?.level) || !Array.isArray(data.house?.doors) || !Array.isArray(data.house?.windows)) {
+    fail('Run save is missing the house');
+  }
+
+  if (!Array.isArray(data.zombies)) {
+    fail('Run save is missing zombies');
+  } else if (data.zombies.some(tk => !ZombieTypes[tk?.type] || !isVec3(tk.pos) || !isNumber(tk.hp))) {
+    fail('Run save has malformed zombies');
+  } else if (data.zombies.some(tk => !isBossState(tk.bossState))) {
+    fail('Run save has malformed boss state');
+  }
+
+  const strikes = data.abilities?.pendingStrikes;
+  if (strikes !== undefined && (!Array.isArray(strikes) ||
+      strikes.some(strike => !AbilityTypes[strike?.abilityKey]?.targeted || !isVec3(strike.pos) || !isNumber(strike.timer)))) {
+    fail('Run save has malformed ability strikes');
+  }
+
+  if (!Array.isArray(data.turrets)) {
+    fail('Run save is missing turrets');
+  } else if (data.turrets.some(t => !TurretTypes[t?.type] || !isVec3(t.pos) || !isNumber(t.health) ||
+      [t.kills, t.damageDealt, t.shots, t.hits].some(stat => stat !== undefined && !isNumber(stat)) ||
+      (t.skipSlowed !== undefined && typeof t.skipSlowed !== 'boolean'))) {
+    fail('Run save has malformed turrets');
+  } else if (data.turrets.some(t => t.upgrades !== undefined && !isTurretUpgrades(t.type, t.upgrades))) {
+    fail('Run save has malformed turret upgrades');
+  } else if (data.turrets.some(t => t.targeting !== undefined && !TurretTargetingModes[t.targeting])) {
+    fail('Run save has unknown turret targeting');
+  }
+  const accuracy = data.turretAccuracy;
+  if (accuracy !== undefined && (!accuracy || typeof accuracy !== 'object' ||
+      Object.entries(accuracy).some(([type, tally]) => !TurretTypes[type] || !isNumber(tally?.shots) || !isNumber(tally.hits)))) {
+    fail('Run save has malformed turret accuracy');
+  }
+  const structures = data.structures;
+  if (structures !== undefined && (!Array.isArray(structures) ||
+      structures.some(piece => !StructureTypes[piece?.type] || !isVec3(piece.pos) || !isNumber(piece.health) ||
+        (piece.course !== undefined && (!Number.isInteger(piece.course) || piece.course < 0)) ||
+        (piece.collapseDelay != null && !isNumber(piece.collapseDelay))))) {
+    fail('Run save has malformed barricades');
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
@@ -0,0 +1,66 @@
+/**
+ * StructureLayout - Where barricades go on the build grid
+ *
+ * Barricades fill square cells of the build grid, centred on multiples of
+ * the cell size. Each cell holds one stack: a piece on the ground and, for
+ * stackable pieces, more courses of the same kind on top. The engine snaps
+ * the cursor and plans the course here, and leaves the distance, spacing
+ * and support checks to BuildingValidator.
+ */
+
+import { StructureTypes } from '../GameConfig.js';
+import { ValidationCode } from '../BuildingValidator.js';
+
+/** How far off a cell centre a piece may stand and still count as in the cell */
+const CELL_EPSILON = 0.01;
+
+/**
+ * Centre of the build grid cell a ground position falls in
+ * @param {THREE.Vector3} position
+ * @param {number} cellSize
+ * @param {THREE.Vector3} out - Receives the cell centre (y is kept)
+ * @returns {THREE.Vector3} out
+ */
+export function snapToCell(position, cellSize, out) {
+  return out.set(
+    Math.round(position.x / cellSize) * cellSize,
+    position.y,
+    Math.round(position.z / cellSize) * cellSize
+  );
+}
+
+/**
+ * Top course of the stack standing in a cell
+ * @param {Iterable<Object>} structures - Placed structures near the cell (with pos and course)
+ * @param {THREE.Vector3} cell - Cell centre from snapToCell
+ * @returns {Object|null} The top piece, or null if the cell is empty
+ */
+export function findStackTop(structures, cell) {
+  let top = null;
+  for (const structure of structures) {
+    if (Math.abs(structure.pos.x - cell.x) > CELL_EPSILON || Math.abs(structure.pos.z - cell.z) > CELL_EPSILON) continue;
+    if (!top || structure.course > top.course) top = structure;
+  }
+  return top;
+}
+
+/**
+ * The course a new piece would take in a cell: 0 on empty ground, or one
+ * above the top of a stack of the same stackable kind
+ * @param {string} type - StructureTypes key
+ * @param {Object|null} top - Current top of the cell's stack (see findStackTop)
+ * @returns {{ok: boolean, course: number, reasons: Array<{code: string, message: string}>}}
+ */
+export function planCourse(type, top) {
+  if (!top) return { ok: true, course: 0, reasons: [] };
+
+  const stats = StructureTypes[type];
+  const course = top.course + 1;
+  if (!stats.stackable || top.type !== type) {
+    return { ok: false, course, reasons: [{ code: ValidationCode.BLOCKED, message: `Can't build on a ${StructureTypes[top.type].name}` }] };
+  }
+  if (course >= stats.maxCourses) {
+    return { ok: false, course, reasons: [{ code: ValidationCode.BLOCKED, message: `${stats.name} stacks at most ${stats.maxCourses} high` }] };
+  }
+  return { ok: true, course, reasons: [] };
+}
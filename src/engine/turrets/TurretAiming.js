@@ -0,0 +1,66 @@
+/**
+ * TurretAiming - Leading turret shots onto moving zombies
+ *
+ * Zombies carry their velocity from the last tick (vel), slow included. A
+ * slowed zombie speeds back up once its slowTimer runs out, so predictions
+ * divide the slowMult back out from then on. The engine fires at the
+ * intercept point; arcing shots cover the same ground and land there.
+ */
+
+import { TurretTypes } from '../GameConfig.js';
+
+/** Refinements of the flight time; zombies are slow next to shots, so this converges fast */
+const INTERCEPT_ITERATIONS = 4;
+
+/** Longest flight worth leading for (turret shots expire after this long) */
+export const MAX_LEAD_TIME = 3;
+
+/**
+ * Where a zombie will be after some time at its current velocity
+ * @param {Object} tk - Zombie with pos, vel, slowMult and slowTimer
+ * @param {number} time - Seconds ahead
+ * @param {THREE.Vector3} out - Receives the position
+ * @returns {THREE.Vector3} out
+ */
+export function predictPosition(tk, time, out) {
+  out.copy(tk.pos);
+  if (!tk.vel) return out;
+
+  // Ground covered at today's speed, stretched for the part after the slow wears off
+  let moveTime = time;
+  if (tk.slowTimer > 0 && tk.slowMult > 0 && tk.slowMult < 1 && time > tk.slowTimer) {
+    moveTime = tk.slowTimer + (time - tk.slowTimer) / tk.slowMult;
+  }
+  out.x += tk.vel.x * moveTime;
+  out.z += tk.vel.z * moveTime;
+  return out;
+}
+
+/**
+ * Where a shot from origin at this ground speed meets the zombie
+ * @param {THREE.Vector3} origin - Turret position
+ * @param {Object} tk - Target zombie
+ * @param {number} speed - Projectile speed over the ground
+ * @param {THREE.Vector3} out - Receives the intercept point (at the zombie's height)
+ * @returns {{point: THREE.Vector3, time: number}} Intercept point and flight time
+ */
+export function findIntercept(origin, tk, speed, out) {
+  let time = groundDistance(origin, tk.pos) / speed;
+  for (let i = 0; i < INTERCEPT_ITERATIONS; i++) {
+    predictPosition(tk, Math.min(time, MAX_LEAD_TIME), out);
+    time = groundDistance(origin, out) / speed;
+  }
+  return { point: out, time };
+}
+
+/**
+ * Empty run tally of shots fired and shots that hit, per turret type
+ * @returns {Object<string, {shots: number, hits: number}>}
+ */
+export function createAccuracyTally() {
+  return Object.fromEntries(Object.keys(TurretTypes).map(type => [type, { shots: 0, hits: 0 }]));
+}
+
+function groundDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
@@ -0,0 +1,69 @@
+/**
+ * TurretTargeting - Picking a turret's target by its targeting mode
+ *
+ * The engine queries zombieGrid around a turret and hands the nearby
+ * zombies here with the turret's mode (a TurretTargetingModes key). One pass
+ * ranks the zombies in range and keeps the best, without sorting.
+ */
+
+import { ZombieTypes } from '../GameConfig.js';
+
+/** Mode of a freshly placed turret: the nearest zombie, as turrets always shot */
+export const DEFAULT_TARGETING = 'NEAREST';
+
+/**
+ * Per mode, a zombie's score (higher is better) and the tie-break between
+ * equal scores. pathCost is the walking distance to the house.
+ */
+const RANKINGS = {
+  NEAREST: { score: (tk, distSq) => -distSq, tie: () => 0 },
+  FIRST: { score: (tk, distSq, pathCost) => -pathCost, tie: (tk, distSq) => -distSq },
+  LAST: { score: (tk, distSq, pathCost) => pathCost, tie: (tk, distSq) => -distSq },
+  STRONGEST: { score: (tk) => tk.hp, tie: (tk, distSq, pathCost) => -pathCost },
+  WEAKEST: { score: (tk) => -tk.hp, tie: (tk, distSq, pathCost) => -pathCost },
+  FASTEST: { score: (tk) => tk.spd * (tk.slowMult || 1), tie: (tk, distSq, pathCost) => -pathCost },
+  BOSSES: { score: (tk) => (ZombieTypes[tk.type]?.phases ? 1 : 0), tie: (tk, distSq, pathCost) => -pathCost },
+  HEALERS: { score: (tk) => (ZombieTypes[tk.type]?.heals ? 1 : 0), tie: (tk, distSq, pathCost) => -pathCost }
+};
+
+/**
+ * The zombie a turret should shoot
+ * @param {Iterable<Object>} candidates - Zombies near the turret (e.g. from zombieGrid.queryRadius)
+ * @param {THREE.Vector3} origin - Turret position
+ * @param {number} range - Turret range
+ * @param {Object} [options]
+ * @param {string} [options.mode] - TurretTargetingModes key
+ * @param {boolean} [options.skipSlowed] - Pass over slowed zombies while any unslowed one is in range
+ * @param {function(Object): number} [options.pathCost] - A zombie's walking distance to the house
+ * @returns {Object|null} Target zombie, or null if none is in range
+ */
+export function pickTarget(candidates, origin, range, { mode = DEFAULT_TARGETING, skipSlowed = false, pathCost = () => 0 } = {}) {
+  const { score, tie } = RANKINGS[mode] ?? RANKINGS[DEFAULT_TARGETING];
+  const rangeSq = range * range;
+
+  let best = null;
+  let bestFresh = false;
+  let bestScore = -Infinity;
+  let bestTie = -Infinity;
+
+  for (const tk of candidates) {
+    if (tk.dead) continue;
+    const distSq = tk.pos.distanceToSquared(origin);
+    if (distSq >= rangeSq) continue;
+
+    const fresh = skipSlowed && !(tk.slowTimer > 0);
+    if (best && bestFresh && !fresh) continue;
+
+    const cost = mode === 'NEAREST' ? 0 : pathCost(tk);
+    const tkScore = score(tk, distSq, cost);
+    const tkTie = tie(tk, distSq, cost);
+    const better = !best || fresh !== bestFresh || tkScore > bestScore || (tkScore === bestScore && tkTie > bestTie);
+    if (better) {
+      best = tk;
+      bestFresh = fresh;
+      bestScore = tkScore;
+      bestTie = tkTie;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,144 @@
+/**
+ * TurretUpgrades - Per-turret upgrade levels, tiers and specializations
+ *
+ * Every placed turret carries its own upgrades: a level on each
+ * TurretUpgradeTracks track and, from tier 3, one TurretBranches
+ * specialization. This module turns those into the turret's stats, prices
+ * the next purchase and checks whether it is allowed, and values the turret
+ * for selling. The engine charges or refunds corn and applies the result.
+ */
+
+import { TurretTypes, TurretUpgradeTracks, TurretBranches, TurretSale } from '../GameConfig.js';
+
+/** Upgrades across all tracks that take a turret to tier 2 */
+export const TIER_2_UPGRADES = 3;
+
+/** Slow can't reach 1, which would stop zombies outright */
+const MAX_SLOW = 0.9;
+
+/**
+ * Upgrades of a freshly placed turret
+ * @returns {{levels: Object<string, number>, branch: string|null}}
+ */
+export function createTurretUpgrades() {
+  return {
+    levels: Object.fromEntries(Object.keys(TurretUpgradeTracks).map(track => [track, 0])),
+    branch: null
+  };
+}
+
+/**
+ * Whether a value is upgrades a turret of this type could have
+ */
+export function isTurretUpgrades(type, upgrades) {
+  if (!upgrades || typeof upgrades !== 'object' || !upgrades.levels) return false;
+  const levelsOk = Object.entries(TurretUpgradeTracks).every(([track, def]) => {
+    const level = upgrades.levels[track];
+    return Number.isInteger(level) && level >= 0 && level <= def.maxLevel;
+  });
+  return levelsOk && (upgrades.branch === null || Boolean(TurretBranches[type]?.[upgrades.branch]));
+}
+
+/**
+ * Upgrades bought across all tracks
+ */
+export function countUpgrades(upgrades) {
+  return Object.values(upgrades.levels).reduce((sum, level) => sum + level, 0);
+}
+
+/**
+ * 1 as placed, 2 after TIER_2_UPGRADES upgrades, 3 once specialized
+ */
+export function getTurretTier(upgrades) {
+  if (upgrades.branch) return 3;
+  return countUpgrades(upgrades) >= TIER_2_UPGRADES ? 2 : 1;
+}
+
+/**
+ * A turret's stats with its upgrades applied
+ * @param {string} type - TurretTypes key
+ * @param {{levels: Object<string, number>, branch: string|null}} upgrades
+ * @returns {{name: string, icon: string, color: number, damage: number, range: number,
+ *   fireRate: number, projectileSpeed: number, arc: boolean, arcHeight: number,
+ *   slow: number, slowDuration: number, splash: number}} fireRate is seconds between shots
+ */
+export function getTurretStats(type, upgrades) {
+  const base = TurretTypes[type];
+  const branch = upgrades.branch ? TurretBranches[type][upgrades.branch] : null;
+  const mult = branch?.stats ?? {};
+  const bonus = (track) => 1 + TurretUpgradeTracks[track].perLevel * upgrades.levels[track];
+
+  return {
+    name: branch?.name ?? base.name,
+    icon: branch?.icon ?? base.icon,
+    color: branch?.color ?? base.color,
+    damage: base.damage * bonus('damage') * (mult.damage ?? 1),
+    range: base.range * bonus('range') * (mult.range ?? 1),
+    fireRate: base.fireRate / bonus('fireRate') * (mult.fireRate ?? 1),
+    projectileSpeed: base.projectileSpeed * (mult.projectileSpeed ?? 1),
+    arc: Boolean(base.arc),
+    arcHeight: base.arcHeight || 0,
+    slow: Math.min((base.slow || 0) * (mult.slow ?? 1), MAX_SLOW),
+    slowDuration: (base.slowDuration || 0) * (mult.slowDuration ?? 1),
+    splash: (base.splash || 0) * (mult.splash ?? 1)
+  };
+}
+
+/**
+ * Corn spent on a turret: its price, every level bought and its specialization
+ */
+export function getTurretInvestment(type, upgrades) {
+  const { cost } = TurretTypes[type];
+  let total = cost;
+  for (const [track, def] of Object.entries(TurretUpgradeTracks)) {
+    for (let level = 1; level <= upgrades.levels[track]; level++) {
+      total += Math.round(cost * def.costFactor * level);
+    }
+  }
+  if (upgrades.branch) total += TurretBranches[type][upgrades.branch].cost;
+  return total;
+}
+
+/**
+ * Corn refunded for selling a turret
+ * @param {string} type - TurretTypes key
+ * @param {{levels: Object<string, number>, branch: string|null}} upgrades
+ * @param {string} damageState - DamageState value of the turret's damageable
+ */
+export function getTurretSellValue(type, upgrades, damageState) {
+  const condition = TurretSale.damageStates[damageState] ?? 0;
+  return Math.floor(getTurretInvestment(type, upgrades) * TurretSale.refund * condition);
+}
+
+/**
+ * Check buying the next level of a track
+ * @returns {{ok: boolean, reasons: Array<{message: string}>, cost: number|null}}
+ */
+export function checkTrackUpgrade(type, upgrades, track) {
+  const def = TurretUpgradeTracks[track];
+  if (!def) return { ok: false, reasons: [{ message: `Unknown turret upgrade: ${track}` }], cost: null };
+
+  const level = upgrades.levels[track] + 1;
+  if (level > def.maxLevel) return { ok: false, reasons: [{ message: `${def.name} is maxed out` }], cost: null };
+
+  return { ok: true, reasons: [], cost: Math.round(TurretTypes[type].cost * def.costFactor * level) };
+}
+
+/**
+ * Check specializing into a branch
+ * @returns {{ok: boolean, reasons: Array<{message: string}>, cost: number|null}}
+ */
+export function checkBranchUpgrade(type, upgrades, branchKey) {
+  const branch = TurretBranches[type]?.[branchKey];
+  const reasons = [];
+  if (!branch) {
+    reasons.push({ message: `Unknown specialization: ${branchKey}` });
+  } else if (upgrades.branch) {
+    reasons.push({ message: `Already specialized as ${TurretBranches[type][upgrades.branch].name}` });
+  } else if (getTurretTier(upgrades) < 2) {
+    const needed = TIER_2_UPGRADES - countUpgrades(upgrades);
+    reasons.push({ message: `Needs ${needed} more ${needed === 1 ? 'upgrade' : 'upgrades'} to specialize` });
+  }
+
+  return { ok: reasons.length === 0, reasons, cost: branch?.cost ?? null };
+}
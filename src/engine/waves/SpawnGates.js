@@ -0,0 +1,113 @@
+/**
+ * SpawnGates - Where zombies enter the map
+ *
+ * Each SpawnPoints entry is a gate: a gap in the treeline on one side of the
+ * map with a corridor behind it that zombies spawn in. This module turns a
+ * gate's side and offset into world rectangles, and picks which gates a wave
+ * uses as more of them unlock.
+ */
+
+import { SpawnPoints, WorldLayout } from '../GameConfig.js';
+
+/**
+ * World rect for a span along a side's edge (along) and a span of distance
+ * out from the map center (out)
+ */
+function sideRect(side, alongMin, alongMax, outMin, outMax) {
+  switch (side) {
+    case 'east': return { minX: outMin, maxX: outMax, minZ: alongMin, maxZ: alongMax };
+    case 'west': return { minX: -outMax, maxX: -outMin, minZ: alongMin, maxZ: alongMax };
+    case 'north': return { minX: alongMin, maxX: alongMax, minZ: -outMax, maxZ: -outMin };
+    case 'south': return { minX: alongMin, maxX: alongMax, minZ: outMin, maxZ: outMax };
+    default: throw new Error(`Unknown gate side: ${side}`);
+  }
+}
+
+/**
+ * World position of a point along a side's edge, out from the map center
+ * @returns {{x: number, z: number}}
+ */
+export function sidePoint(side, along, out) {
+  const rect = sideRect(side, along, along, out, out);
+  return { x: rect.minX, z: rect.minZ };
+}
+
+/**
+ * World geometry of a gate
+ * @param {string} key - SpawnPoints key
+ * @returns {{gap: {min: number, max: number}, corridor: Object, spawnArea: Object, spawnCenter: {x: number, z: number}, mouth: {x: number, z: number}}}
+ *   gap is the span along the edge kept clear of trees; corridor and
+ *   spawnArea are Rects; mouth is where the gate meets the treeline
+ */
+export function getGateLayout(key) {
+  const { side, offset } = SpawnPoints[key];
+  const { treelineEdge, gateWidth, spawnCorridorEnd, spawnArea } = WorldLayout;
+  const half = gateWidth / 2;
+
+  return {
+    gap: { min: offset - half, max: offset + half },
+    // Keep clear of the trunks on either side and of the treeline's inner row
+    corridor: sideRect(side, offset - half + 0.5, offset + half - 0.5, treelineEdge - 1, spawnCorridorEnd),
+    spawnArea: sideRect(side, offset - spawnArea.halfWidth, offset + spawnArea.halfWidth, spawnArea.near, spawnArea.far),
+    spawnCenter: sidePoint(side, offset, (spawnArea.near + spawnArea.far) / 2),
+    mouth: sidePoint(side, offset, treelineEdge)
+  };
+}
+
+/**
+ * How many gates a wave draws from before newly opened gates are added
+ */
+export function gatesPerWave(wave) {
+  return 1 + Math.floor((wave - 1) / 4);
+}
+
+export function getUnlockedGates(wave) {
+  return Object.keys(SpawnPoints).filter(key => SpawnPoints[key].unlockWave <= wave);
+}
+
+/**
+ * Whether a wave is the first one through a gate (gates open from the start
+ * don't count)
+ */
+export function isNewGate(key, wave) {
+  return wave > 1 && SpawnPoints[key].unlockWave === wave;
+}
+
+/**
+ * Weighted pick between gates. A single gate is returned without drawing
+ * from the RNG so runs with one gate keep the same random sequence.
+ * @param {string[]} keys - SpawnPoints keys
+ * @param {{next: function(): number}} rng
+ * @returns {string}
+ */
+export function pickGate(keys, rng) {
+  if (keys.length === 0) return Object.keys(SpawnPoints)[0];
+  if (keys.length === 1) return keys[0];
+
+  const total = keys.reduce((sum, key) => sum + SpawnPoints[key].weight, 0);
+  let roll = rng.next() * total;
+  for (const key of keys) {
+    roll -= SpawnPoints[key].weight;
+    if (roll < 0) return key;
+  }
+  return keys[keys.length - 1];
+}
+
+/**
+ * Pick the gates a wave comes through: every gate opening that wave, plus
+ * weighted picks from the other unlocked gates up to gatesPerWave
+ * @returns {string[]} SpawnPoints keys in registry order
+ */
+export function planWaveGates(wave, rng) {
+  const unlocked = getUnlockedGates(wave);
+  const picked = unlocked.filter(key => SpawnPoints[key].unlockWave === wave);
+  const count = Math.min(unlocked.length, gatesPerWave(wave) + picked.length);
+  const pool = unlocked.filter(key => !picked.includes(key));
+
+  while (picked.length < count) {
+    const key = pickGate(pool, rng);
+    picked.push(key);
+    pool.splice(pool.indexOf(key), 1);
+  }
+  return unlocked.filter(key => picked.includes(key));
+}
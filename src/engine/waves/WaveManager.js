@@ -1,14 +1,102 @@
+import { validateWaveScript, getScriptedGroups, getScriptedMutators, getGroupComposition } from './WaveScript.js';
+import { planWaveGates, pickGate } from './SpawnGates.js';
+import { rollMutators, mergeMutators } from '../mutators/Mutators.js';
+import { SpawnPoints, ZombieTypes, ThreatLevels } from '../GameConfig.js';
+
 export class WaveManager {
-  constructor(state) {
+  constructor(state, rng = { next: Math.random }) {
     this.state = state;
+    this.rng = rng;
     this.spawnedCounts = {};
+    // Wave script for normal mode (see WaveScript.js); null means all waves are procedural
+    this.script = null;
+    // Spawn progress of the active scripted wave's groups; null for procedural waves
+    this.groups = null;
   }
 
   reset() {
     this.spawnedCounts = {};
+    this.groups = null;
+    this.state.waveGates = [];
+    this.state.nextWaveGates = [];
+    this.state.waveMutators = [];
+    this.state.nextWaveMutators = [];
+  }
+
+  /**
+   * Use a wave script for normal mode waves. An invalid script is not loaded.
+   * @param {Object} script - Parsed wave script
+   * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+   */
+  loadScript(script) {
+    const validation = validateWaveScript(script);
+    if (validation.ok) this.script = script;
+    return validation;
+  }
+
+  clearScript() {
+    this.script = null;
+  }
+
+  /**
+   * Scripted groups for a wave, or null when the wave is procedural
+   */
+  getScriptedGroups(wave, endless) {
+    if (endless || !this.script) return null;
+    return getScriptedGroups(this.script, wave);
+  }
+
+  get isScripted() {
+    return this.groups !== null;
+  }
+
+  /**
+   * Choose the gates the next wave comes through, ahead of time so players
+   * can be warned. Scripted groups bring their own gates; anything left to
+   * chance draws from the unlocked gates.
+   * @returns {string[]} SpawnPoints keys, also kept in state.nextWaveGates
+   */
+  planGates(wave, endless) {
+    const groups = this.getScriptedGroups(wave, endless);
+    const gates = new Set(groups ? groups.map(group => group.spawn).filter(Boolean) : []);
+    if (!groups || groups.some(group => !group.spawn)) {
+      for (const key of planWaveGates(wave, this.rng)) gates.add(key);
+    }
+
+    this.state.nextWaveGates = Object.keys(SpawnPoints).filter(key => gates.has(key));
+    return this.state.nextWaveGates;
+  }
+
+  /**
+   * Choose the next wave's mutators ahead of time so players can see them
+   * coming: a scripted wave's own list, or an endless roll
+   * @param {string[]} [runMutators] - Mutators already active for the run, left out of rolls
+   * @returns {string[]} Mutators keys, also kept in state.nextWaveMutators
+   */
+  planMutators(wave, endless, runMutators = []) {
+    const scripted = this.getScriptedGroups(wave, endless) ? getScriptedMutators(this.script, wave) : null;
+    const mutators = endless ? rollMutators(wave, this.rng, runMutators) : (scripted ?? []);
+    this.state.nextWaveMutators = mergeMutators(mutators);
+    return this.state.nextWaveMutators;
+  }
+
+  /**
+   * Weighted pick of one of the active wave's gates for a spawn
+   */
+  pickGate() {
+    return pickGate(this.state.waveGates ?? [], this.rng);
   }
 
   startWave(activeWaveNumber, endlessMode) {
+    if (!this.state.nextWaveGates?.length) this.planGates(activeWaveNumber, endlessMode);
+    this.state.waveGates = this.state.nextWaveGates;
+    this.state.nextWaveGates = [];
+    this.state.waveMutators = this.state.nextWaveMutators ?? [];
+    this.state.nextWaveMutators = [];
+
+    const groups = this.getScriptedGroups(activeWaveNumber, endlessMode);
+    this.groups = groups ? groups.map(group => ({ ...group, spawned: 0, timer: group.start })) : null;
+
     this.state.waveComp = this.getWaveComposition(activeWaveNumber, endlessMode);
     this.spawnedCounts = {};
     Object.keys(this.state.waveComp).forEach((key) => {
@@ -21,6 +109,16 @@ export class WaveManager {
     this.state.spawnTimer = 1;
   }
 
+  /**
+   * Add zombies to the active wave beyond its composition, so they count
+   * toward what must spawn and die before the wave ends
+   */
+  addBonus(type, count) {
+    this.state.waveComp[type] = (this.state.waveComp[type] ?? 0) + count;
+    this.state.toSpawn += count;
+    this.state.expectedThisWave += count;
+  }
+
   recordSpawn(type) {
     if (!this.spawnedCounts[type]) {
       this.spawnedCounts[type] = 0;
@@ -30,6 +128,48 @@ export class WaveManager {
     this.state.totalSpawnedThisWave += 1;
   }
 
+  /**
+   * Advance the scripted groups' timers
+   * @returns {Array<{type: string, spawn: string, modifiers: Object|null}>} Zombies due to spawn this tick,
+   *   with groups that name no gate given one of the wave's gates
+   */
+  update(dt) {
+    const due = [];
+    if (!this.groups) return due;
+
+    for (const group of this.groups) {
+      if (group.spawned >= group.count) continue;
+      group.timer -= dt;
+      while (group.timer <= 0 && group.spawned < group.count) {
+        due.push({ type: group.type, spawn: group.spawn ?? this.pickGate(), modifiers: group.modifiers });
+        group.spawned += 1;
+        group.timer += group.delay;
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Scripted group progress for a run save, or null for a procedural wave
+   */
+  serializeGroups() {
+    return this.groups ? this.groups.map(({ spawned, timer }) => ({ spawned, timer })) : null;
+  }
+
+  /**
+   * Pick scripted group progress back up. If the loaded script no longer
+   * matches the save, the rest of the wave spawns procedurally from its
+   * saved composition instead.
+   */
+  restoreGroups(saved, activeWaveNumber, endlessMode) {
+    const groups = this.getScriptedGroups(activeWaveNumber, endlessMode);
+    if (!groups || !Array.isArray(saved) || saved.length !== groups.length) {
+      this.groups = null;
+      return;
+    }
+    this.groups = groups.map((group, i) => ({ ...group, spawned: saved[i].spawned, timer: saved[i].timer }));
+  }
+
   getNextSpawnType() {
     const comp = this.state.waveComp || {};
     const available = Object.entries(comp).filter(([type]) => this.spawnedCounts[type] < comp[type]);
@@ -37,10 +177,48 @@ export class WaveManager {
 
     const weights = { STANDARD: 5, RUNNER: 3, TANK: 2, HEALER: 2, SPLITTER: 2, BOSS: 1 };
     const weighted = available.flatMap(([type]) => Array(weights[type] || 1).fill(type));
-    return weighted[Math.floor(Math.random() * weighted.length)];
+    return weighted[Math.floor(this.rng.next() * weighted.length)];
   }
 
   getWaveComposition(wave, endless) {
+    const groups = this.getScriptedGroups(wave, endless);
+    return groups ? getGroupComposition(groups) : this.getProceduralComposition(wave, endless);
+  }
+
+  /**
+   * What a wave holds, for planning between waves
+   * @returns {{wave: number, total: number, counts: Object<string, number>, hasBoss: boolean,
+   *   modifiers: Array<Object>, threat: {score: number, level: string, color: string}}}
+   *   counts lists only types present; modifiers are the scripted groups'
+   *   multipliers as {type, count, hp?, speed?, damage?, value?}
+   */
+  getWavePreview(wave, endless) {
+    const comp = this.getWaveComposition(wave, endless);
+    const counts = Object.fromEntries(Object.entries(comp).filter(([, count]) => count > 0));
+    const groups = this.getScriptedGroups(wave, endless) ?? [];
+    const modifiers = groups
+      .filter(group => group.modifiers)
+      .map(group => ({ type: group.type, count: group.count, ...group.modifiers }));
+
+    let score = Object.entries(counts).reduce((sum, [type, count]) => sum + count * ZombieTypes[type].value, 0);
+    for (const mod of modifiers) {
+      const scale = (mod.hp ?? 1) * (mod.speed ?? 1) * (mod.damage ?? 1);
+      score += mod.count * ZombieTypes[mod.type].value * (scale - 1);
+    }
+    score = Math.round(score);
+    const level = ThreatLevels.filter(threat => score >= threat.min).pop() ?? ThreatLevels[0];
+
+    return {
+      wave,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts,
+      hasBoss: (counts.BOSS ?? 0) > 0,
+      modifiers,
+      threat: { score, level: level.name, color: level.color }
+    };
+  }
+
+  getProceduralComposition(wave, endless) {
     const mult = endless ? 1.3 : 1;
     const isBossWave = wave >= 5 && wave % 5 === 0;
     const isBreatherWave = wave > 5 && wave % 5 === 1;
@@ -0,0 +1,149 @@
+/**
+ * WaveScript - Declarative wave definitions
+ *
+ * A wave script is plain JSON listing the zombie groups of each wave, so waves
+ * can be authored without code changes. waves[0] is wave 1:
+ *
+ *   {
+ *     "name": "Campaign",
+ *     "waves": [
+ *       { "groups": [
+ *         { "type": "STANDARD", "count": 6, "delay": 2 },
+ *         { "type": "TANK", "count": 1, "start": 8, "spawn": "NORTH", "modifiers": { "hp": 1.5 } }
+ *       ], "mutators": ["FOG"] }
+ *     ]
+ *   }
+ *
+ * A wave's optional mutators lists Mutators keys active for that wave only
+ * (see mutators/Mutators.js).
+ *
+ * Group fields:
+ * - type: ZombieTypes key (required)
+ * - count: how many to spawn, a whole number of at least 1 (required)
+ * - delay: seconds between spawns within the group
+ * - spawn: SpawnPoints gate the group comes through; left out, each zombie
+ *   takes one of the gates the wave planned (see SpawnGates.js)
+ * - start: seconds after the wave starts before the group's first spawn
+ * - modifiers: multipliers for the group's hp, speed, damage and value
+ *
+ * Groups run side by side. Endless mode and waves past the end of a script
+ * use the procedural generator in WaveManager.
+ */
+
+import { ZombieTypes, SpawnPoints, Mutators } from '../GameConfig.js';
+
+/** Values used for group fields a script leaves out */
+export const WaveScriptDefaults = Object.freeze({
+  delay: 1.5,
+  spawn: null,
+  start: 0
+});
+
+/** Zombie stats a group's modifiers can scale */
+export const WAVE_MODIFIERS = ['hp', 'speed', 'damage', 'value'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a parsed wave script, collecting every problem so authors can fix
+ * them in one pass
+ * @param {*} script - Parsed wave script
+ * @returns {{ok: boolean, reasons: Array<{message: string}>}}
+ */
+export function validateWaveScript(script) {
+  const reasons = [];
+  const fail = (message) => reasons.push({ message });
+
+  if (!isObject(script)) {
+    fail('Wave script is not a JSON object');
+    return { ok: false, reasons };
+  }
+  if (script.name !== undefined && typeof script.name !== 'string') fail('Wave script name must be a string');
+  if (!Array.isArray(script.waves) || script.waves.length === 0) {
+    fail('Wave script needs a non-empty waves array');
+    return { ok: false, reasons };
+  }
+
+  script.waves.forEach((wave, w) => {
+    const wavePath = `waves[${w}] (wave ${w + 1})`;
+    if (!isObject(wave) || !Array.isArray(wave.groups) || wave.groups.length === 0) {
+      fail(`${wavePath} needs a non-empty groups array`);
+      return;
+    }
+    if (wave.mutators !== undefined) {
+      if (!Array.isArray(wave.mutators)) fail(`${wavePath} mutators must be an array`);
+      else wave.mutators.filter(key => !Mutators[key]).forEach(key => fail(`${wavePath} has unknown mutator: ${key}`));
+    }
+
+    wave.groups.forEach((group, g) => {
+      const path = `${wavePath} groups[${g}]`;
+      if (!isObject(group)) {
+        fail(`${path} is not an object`);
+        return;
+      }
+      if (!ZombieTypes[group.type]) fail(`${path} has unknown zombie type: ${group.type}`);
+      if (!Number.isInteger(group.count) || group.count < 1) fail(`${path} count must be a whole number of at least 1`);
+      if (group.delay !== undefined && (!isNumber(group.delay) || group.delay < 0)) {
+        fail(`${path} delay must be a number of seconds, 0 or more`);
+      }
+      if (group.start !== undefined && (!isNumber(group.start) || group.start < 0)) {
+        fail(`${path} start must be a number of seconds, 0 or more`);
+      }
+      if (group.spawn !== undefined && !SpawnPoints[group.spawn]) fail(`${path} has unknown spawn point: ${group.spawn}`);
+
+      if (group.modifiers !== undefined) {
+        if (!isObject(group.modifiers)) {
+          fail(`${path} modifiers must be an object`);
+        } else {
+          for (const [key, value] of Object.entries(group.modifiers)) {
+            if (!WAVE_MODIFIERS.includes(key)) fail(`${path} has unknown modifier: ${key}`);
+            else if (!isNumber(value) || value <= 0) fail(`${path} modifier ${key} must be a positive number`);
+          }
+        }
+      }
+    });
+  });
+
+  return { ok: reasons.length === 0, reasons };
+}
+
+/**
+ * Groups for one wave of a validated script with defaults filled in
+ * @param {Object} script - Validated wave script
+ * @param {number} wave - Wave number, starting at 1
+ * @returns {Array<Object>|null} Null when the script has no such wave
+ */
+export function getScriptedGroups(script, wave) {
+  const definition = script?.waves[wave - 1];
+  if (!definition) return null;
+
+  return definition.groups.map(group => ({
+    type: group.type,
+    count: group.count,
+    delay: group.delay ?? WaveScriptDefaults.delay,
+    spawn: group.spawn ?? WaveScriptDefaults.spawn,
+    start: group.start ?? WaveScriptDefaults.start,
+    modifiers: group.modifiers ? { ...group.modifiers } : null
+  }));
+}
+
+/**
+ * Mutators for one wave of a validated script
+ * @returns {string[]|null} Null when the script has no such wave
+ */
+export function getScriptedMutators(script, wave) {
+  const definition = script?.waves[wave - 1];
+  return definition ? [...(definition.mutators ?? [])] : null;
+}
+
+/**
+ * Total zombies per type across a wave's groups, listing every zombie type
+ * @param {Array<Object>} groups
+ * @returns {Object<string, number>}
+ */
+export function getGroupComposition(groups) {
+  const comp = Object.fromEntries(Object.keys(ZombieTypes).map(type => [type, 0]));
+  for (const group of groups) comp[group.type] += group.count;
+  return comp;
+}
@@ -0,0 +1,311 @@
+/**
+ * ProfileStore - Named player profiles in localStorage
+ *
+ * Each profile keeps its own stats, achievements, settings and saved run, so
+ * several people can share one browser without overwriting each other. An
+ * index key lists the profiles and remembers the active one.
+ *
+ * Storage layout:
+ *   homesteadSiege_profiles          - { version, activeProfileId, profiles: [{ id, name, createdAt }] }
+ *   homesteadSiege_profile_<id>      - profile data (see saveData.js)
+ *   homesteadSiege_profile_<id>_run  - run in progress (see engine/save/RunSave.js)
+ *
+ * Saves from before profiles existed are moved into a "Player 1" profile the
+ * first time the store is read. Entries that fail to parse are copied to a
+ * "<key>_backup" key before falling back to defaults.
+ */
+
+import { getDefaultSaveData, migrateSaveData, validateSaveData, SAVE_VERSION } from './saveData.js';
+
+export const PROFILE_INDEX_KEY = 'homesteadSiege_profiles';
+export const LEGACY_SAVE_KEY = 'homesteadSiege_saveData';
+export const LEGACY_RUN_SAVE_KEY = 'homesteadSiege_runSave';
+export const DEFAULT_PROFILE_ID = 'default';
+export const MAX_PROFILE_NAME_LENGTH = 20;
+
+const PROFILE_INDEX_VERSION = 1;
+
+export const profileDataKey = (id) => `homesteadSiege_profile_${id}`;
+export const profileRunKey = (id) => `homesteadSiege_profile_${id}_run`;
+export const backupKey = (key) => `${key}_backup`;
+
+export class ProfileStore {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage, looked up on each access
+   */
+  constructor(storage = null) {
+    this._storage = storage;
+    // Keys recovered from corrupt data since the last consumeRecoveries()
+    this.recoveries = [];
+  }
+
+  get storage() {
+    return this._storage ?? globalThis.localStorage;
+  }
+
+  // ==========================================
+  // Profiles
+  // ==========================================
+
+  /**
+   * All profiles in creation order
+   * @returns {Array<{id: string, name: string, createdAt: number}>}
+   */
+  listProfiles() {
+    return this._getIndex().profiles;
+  }
+
+  getActiveProfile() {
+    const index = this._getIndex();
+    return index.profiles.find(p => p.id === index.activeProfileId);
+  }
+
+  /**
+   * @returns {boolean} Whether the profile exists and is now active
+   */
+  setActiveProfile(id) {
+    const index = this._getIndex();
+    if (!index.profiles.some(p => p.id === id)) return false;
+    index.activeProfileId = id;
+    return this._writeIndex(index);
+  }
+
+  /**
+   * Create a profile with default data and make it active
+   * @param {string} name - Display name
+   * @returns {{ok: boolean, reasons: Array<{message: string}>, profile?: Object}}
+   */
+  createProfile(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    const index = this._getIndex();
+
+    if (!trimmed) {
+      return { ok: false, reasons: [{ message: 'Profile name is required' }] };
+    }
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+      return { ok: false, reasons: [{ message: `Profile name must be ${MAX_PROFILE_NAME_LENGTH} characters or fewer` }] };
+    }
+    if (index.profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+      return { ok: false, reasons: [{ message: `A profile named "${trimmed}" already exists` }] };
+    }
+
+    let id = `p${Date.now().toString(36)}`;
+    for (let n = 2; index.profiles.some(p => p.id === id); n++) {
+      id = `p${Date.now().toString(36)}_${n}`;
+    }
+
+    const profile = { id, name: trimmed, createdAt: Date.now() };
+    index.profiles.push(profile);
+    index.activeProfileId = id;
+    if (!this._writeIndex(index)) {
+      return { ok: false, reasons: [{ message: 'Profile could not be saved' }] };
+    }
+    return { ok: true, reasons: [], profile };
+  }
+
+  /**
+   * Delete a profile and its data. The last profile cannot be deleted.
+   * @returns {boolean} Whether the profile was deleted
+   */
+  deleteProfile(id) {
+    const index = this._getIndex();
+    if (index.profiles.length <= 1 || !index.profiles.some(p => p.id === id)) return false;
+
+    index.profiles = index.profiles.filter(p => p.id !== id);
+    if (index.activeProfileId === id) index.activeProfileId = index.profiles[0].id;
+    if (!this._writeIndex(index)) return false;
+
+    this._remove(profileDataKey(id));
+    this._remove(profileRunKey(id));
+    return true;
+  }
+
+  // ==========================================
+  // Profile Data
+  // ==========================================
+
+  /**
+   * Load a profile's data, migrated and validated
+   * @param {string} [id] - Defaults to the active profile
+   * @returns {Object} Profile data at SAVE_VERSION
+   */
+  loadProfileData(id = this.getActiveProfile().id) {
+    const key = profileDataKey(id);
+    const raw = this._read(key);
+    if (raw === null) return getDefaultSaveData();
+
+    let migrated;
+    try {
+      migrated = migrateSaveData(JSON.parse(raw));
+    } catch (e) {
+      this._recover(key, raw, e);
+      return getDefaultSaveData();
+    }
+
+    const result = validateSaveData(migrated);
+    if (!result.ok) {
+      console.warn(`[ProfileStore] Repaired profile ${id}:`, result.reasons.map(r => r.message).join('; '));
+    }
+    return result.data;
+  }
+
+  /**
+   * Merge changes into a profile's stored data. Only the given sections are
+   * replaced, so callers holding stale copies of other sections can't
+   * overwrite them.
+   * @param {Object} changes - e.g. { settings } or { playerStats }
+   * @param {string} [id] - Defaults to the active profile
+   * @returns {Object|null} The saved data, or null if it could not be written
+   */
+  saveProfileData(changes, id = this.getActiveProfile().id) {
+    const data = {
+      ...this.loadProfileData(id),
+      ...changes,
+      meta: { updatedAt: Date.now() },
+      version: SAVE_VERSION
+    };
+    return this._write(profileDataKey(id), data) ? data : null;
+  }
+
+  // ==========================================
+  // Saved Run
+  // ==========================================
+
+  /**
+   * @param {string} [id] - Defaults to the active profile
+   * @returns {Object|null} Parsed run save (validated by the engine on restore)
+   */
+  loadRun(id = this.getActiveProfile().id) {
+    const key = profileRunKey(id);
+    const raw = this._read(key);
+    if (raw === null) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      this._recover(key, raw, e);
+      return null;
+    }
+  }
+
+  saveRun(run, id = this.getActiveProfile().id) {
+    return this._write(profileRunKey(id), run);
+  }
+
+  clearRun(id = this.getActiveProfile().id) {
+    this._remove(profileRunKey(id));
+  }
+
+  /**
+   * Return and forget the corrupt entries recovered so far
+   * @returns {Array<{key: string, backupKey: string}>}
+   */
+  consumeRecoveries() {
+    const recoveries = this.recoveries;
+    this.recoveries = [];
+    return recoveries;
+  }
+
+  // ==========================================
+  // Internal
+  // ==========================================
+
+  /**
+   * Read the profile index, creating it (and adopting legacy saves) if missing
+   */
+  _getIndex() {
+    const raw = this._read(PROFILE_INDEX_KEY);
+    if (raw !== null) {
+      try {
+        const index = JSON.parse(raw);
+        const profiles = Array.isArray(index?.profiles)
+          ? index.profiles.filter(p => typeof p?.id === 'string' && typeof p.name === 'string')
+          : [];
+        if (profiles.length > 0) {
+          const activeProfileId = profiles.some(p => p.id === index.activeProfileId)
+            ? index.activeProfileId
+            : profiles[0].id;
+          return { version: PROFILE_INDEX_VERSION, activeProfileId, profiles };
+        }
+        throw new Error('Profile index has no profiles');
+      } catch (e) {
+        this._recover(PROFILE_INDEX_KEY, raw, e);
+      }
+    }
+
+    const index = {
+      version: PROFILE_INDEX_VERSION,
+      activeProfileId: DEFAULT_PROFILE_ID,
+      profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Player 1', createdAt: Date.now() }]
+    };
+    this._adoptLegacySaves(DEFAULT_PROFILE_ID);
+    this._writeIndex(index);
+    return index;
+  }
+
+  /**
+   * Move single-slot saves from before profiles into a profile. The raw
+   * strings are copied as-is; loading migrates (or recovers) them.
+   */
+  _adoptLegacySaves(id) {
+    const legacyData = this._read(LEGACY_SAVE_KEY);
+    if (legacyData !== null && this._read(profileDataKey(id)) === null) {
+      this._writeRaw(profileDataKey(id), legacyData);
+      this._remove(LEGACY_SAVE_KEY);
+    }
+
+    const legacyRun = this._read(LEGACY_RUN_SAVE_KEY);
+    if (legacyRun !== null && this._read(profileRunKey(id)) === null) {
+      this._writeRaw(profileRunKey(id), legacyRun);
+      this._remove(LEGACY_RUN_SAVE_KEY);
+    }
+  }
+
+  _writeIndex(index) {
+    return this._write(PROFILE_INDEX_KEY, index);
+  }
+
+  /**
+   * Move unreadable data aside so it can be recovered by hand. The original
+   * is only removed once the copy is written.
+   */
+  _recover(key, raw, error) {
+    const copy = backupKey(key);
+    console.warn(`[ProfileStore] Corrupt data in ${key}, backing up to ${copy}:`, error.message);
+    if (this._writeRaw(copy, raw)) this._remove(key);
+    this.recoveries.push({ key, backupKey: copy });
+  }
+
+  _read(key) {
+    try {
+      return this.storage.getItem(key);
+    } catch (e) {
+      console.warn(`[ProfileStore] Failed to read ${key}:`, e);
+      return null;
+    }
+  }
+
+  _write(key, value) {
+    return this._writeRaw(key, JSON.stringify(value));
+  }
+
+  _writeRaw(key, raw) {
+    try {
+      this.storage.setItem(key, raw);
+      return true;
+    } catch (e) {
+      console.warn(`[ProfileStore] Failed to write ${key}:`, e);
+      return false;
+    }
+  }
+
+  _remove(key) {
+    try {
+      this.storage.removeItem(key);
+    } catch (e) {
+      console.warn(`[ProfileStore] Failed to remove ${key}:`, e);
+    }
+  }
+}
+
+export default ProfileStore;
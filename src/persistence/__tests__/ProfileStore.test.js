@@ -0,0 +1,281 @@
+/**
+ * ProfileStore Unit Tests
+ *
+ * Tests profile management, per-profile data and run saves, adoption of
+ * single-slot saves from before profiles, and recovery from corrupt data.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  ProfileStore,
+  PROFILE_INDEX_KEY,
+  LEGACY_SAVE_KEY,
+  LEGACY_RUN_SAVE_KEY,
+  DEFAULT_PROFILE_ID,
+  profileDataKey,
+  profileRunKey,
+  backupKey
+} from '../ProfileStore.js';
+import { SAVE_VERSION } from '../saveData.js';
+
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; }
+  };
+}
+
+describe('ProfileStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    storage = createStorage();
+    store = new ProfileStore(storage);
+  });
+
+  // ==========================================
+  // Profiles
+  // ==========================================
+
+  describe('profiles', () => {
+    it('should start with a default profile', () => {
+      expect(store.listProfiles()).toEqual([
+        expect.objectContaining({ id: DEFAULT_PROFILE_ID, name: 'Player 1' })
+      ]);
+      expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(JSON.parse(storage.items[PROFILE_INDEX_KEY]).activeProfileId).toBe(DEFAULT_PROFILE_ID);
+    });
+
+    it('should create a profile and make it active', () => {
+      const result = store.createProfile('  Alice ');
+
+      expect(result.ok).toBe(true);
+      expect(result.profile.name).toBe('Alice');
+      expect(store.listProfiles()).toHaveLength(2);
+      expect(store.getActiveProfile().id).toBe(result.profile.id);
+    });
+
+    it('should give profiles created in the same millisecond different ids', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1000);
+      const a = store.createProfile('A').profile;
+      const b = store.createProfile('B').profile;
+      expect(a.id).not.toBe(b.id);
+    });
+
+    it('should reject empty, long and duplicate names', () => {
+      expect(store.createProfile('   ').reasons[0].message).toContain('required');
+      expect(store.createProfile('x'.repeat(40)).reasons[0].message).toContain('characters');
+      expect(store.createProfile('player 1').reasons[0].message).toContain('already exists');
+      expect(store.listProfiles()).toHaveLength(1);
+    });
+
+    it('should switch the active profile', () => {
+      const { profile } = store.createProfile('Alice');
+
+      expect(store.setActiveProfile(DEFAULT_PROFILE_ID)).toBe(true);
+      expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(store.setActiveProfile('missing')).toBe(false);
+      expect(store.setActiveProfile(profile.id)).toBe(true);
+    });
+
+    it('should delete a profile with its data and run', () => {
+      const { profile } = store.createProfile('Alice');
+      store.saveProfileData({ playerStats: { ...store.loadProfileData().playerStats, highScore: 10 } });
+      store.saveRun({ version: 1 });
+
+      expect(store.deleteProfile(profile.id)).toBe(true);
+
+      expect(store.listProfiles().map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+      expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(storage.items).not.toHaveProperty(profileDataKey(profile.id));
+      expect(storage.items).not.toHaveProperty(profileRunKey(profile.id));
+    });
+
+    it('should not delete the last profile', () => {
+      expect(store.deleteProfile(DEFAULT_PROFILE_ID)).toBe(false);
+      expect(store.listProfiles()).toHaveLength(1);
+    });
+
+    it('should fall back to the first profile if the active one is missing', () => {
+      storage.setItem(PROFILE_INDEX_KEY, JSON.stringify({
+        version: 1,
+        activeProfileId: 'gone',
+        profiles: [{ id: 'a', name: 'A', createdAt: 1 }]
+      }));
+      expect(store.getActiveProfile().id).toBe('a');
+    });
+  });
+
+  // ==========================================
+  // Profile Data
+  // ==========================================
+
+  describe('profile data', () => {
+    it('should return defaults for a new profile', () => {
+      const data = store.loadProfileData();
+      expect(data.version).toBe(SAVE_VERSION);
+      expect(data.playerStats.gamesPlayed).toBe(0);
+    });
+
+    it('should keep each profile separate', () => {
+      const stats = store.loadProfileData().playerStats;
+      store.saveProfileData({ playerStats: { ...stats, highScore: 100 } });
+      store.createProfile('Alice');
+      store.saveProfileData({ playerStats: { ...stats, highScore: 200 } });
+
+      expect(store.loadProfileData().playerStats.highScore).toBe(200);
+      expect(store.loadProfileData(DEFAULT_PROFILE_ID).playerStats.highScore).toBe(100);
+    });
+
+    it('should only replace the sections being saved', () => {
+      const data = store.loadProfileData();
+      store.saveProfileData({ settings: { ...data.settings, fov: 90 } });
+      store.saveProfileData({ playerStats: { ...data.playerStats, gamesPlayed: 3 } });
+
+      const saved = store.loadProfileData();
+      expect(saved.settings.fov).toBe(90);
+      expect(saved.playerStats.gamesPlayed).toBe(3);
+    });
+
+    it('should stamp the version and update time', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1234);
+      store.saveProfileData({});
+
+      const stored = JSON.parse(storage.items[profileDataKey(DEFAULT_PROFILE_ID)]);
+      expect(stored.version).toBe(SAVE_VERSION);
+      expect(stored.meta.updatedAt).toBe(1234);
+    });
+
+    it('should repair invalid values on load', () => {
+      storage.setItem(profileDataKey(DEFAULT_PROFILE_ID), JSON.stringify({
+        settings: { masterVolume: 9 },
+        version: SAVE_VERSION
+      }));
+      expect(store.loadProfileData().settings.masterVolume).toBe(1);
+    });
+
+    it('should report a failed write', () => {
+      store.listProfiles();
+      storage.setItem = () => { throw new Error('QuotaExceededError'); };
+      expect(store.saveProfileData({})).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Saved Run
+  // ==========================================
+
+  describe('saved run', () => {
+    it('should save, load and clear the active profile run', () => {
+      store.saveRun({ version: 1, wave: { active: 3 } });
+      expect(store.loadRun()).toEqual({ version: 1, wave: { active: 3 } });
+
+      store.clearRun();
+      expect(store.loadRun()).toBeNull();
+    });
+
+    it('should keep runs per profile', () => {
+      store.saveRun({ owner: 'default' });
+      store.createProfile('Alice');
+
+      expect(store.loadRun()).toBeNull();
+      expect(store.loadRun(DEFAULT_PROFILE_ID)).toEqual({ owner: 'default' });
+    });
+  });
+
+  // ==========================================
+  // Legacy Saves
+  // ==========================================
+
+  describe('legacy saves', () => {
+    it('should move a single-slot save into the default profile', () => {
+      storage.setItem(LEGACY_SAVE_KEY, JSON.stringify({
+        playerStats: { highScore: 5000 },
+        unlockedAchievements: ['FIRST_BLOOD'],
+        settings: { masterVolume: 0.5 },
+        version: 2
+      }));
+      storage.setItem(LEGACY_RUN_SAVE_KEY, JSON.stringify({ version: 1 }));
+
+      const data = store.loadProfileData();
+
+      expect(data.playerStats.highScore).toBe(5000);
+      expect(data.unlockedAchievements).toEqual(['FIRST_BLOOD']);
+      expect(data.settings.masterVolume).toBe(0.5);
+      expect(store.loadRun()).toEqual({ version: 1 });
+      expect(storage.items).not.toHaveProperty(LEGACY_SAVE_KEY);
+      expect(storage.items).not.toHaveProperty(LEGACY_RUN_SAVE_KEY);
+    });
+
+    it('should not adopt legacy saves once profiles exist', () => {
+      store.listProfiles();
+      storage.setItem(LEGACY_SAVE_KEY, JSON.stringify({ playerStats: { highScore: 5000 } }));
+
+      expect(store.loadProfileData().playerStats.highScore).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Corrupt Data
+  // ==========================================
+
+  describe('corrupt data', () => {
+    it('should back up unreadable profile data and load defaults', () => {
+      const key = profileDataKey(DEFAULT_PROFILE_ID);
+      storage.setItem(PROFILE_INDEX_KEY, JSON.stringify({
+        version: 1,
+        activeProfileId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Player 1', createdAt: 1 }]
+      }));
+      storage.setItem(key, '{"playerStats":');
+
+      expect(store.loadProfileData().playerStats.gamesPlayed).toBe(0);
+      expect(storage.items[backupKey(key)]).toBe('{"playerStats":');
+      expect(storage.items).not.toHaveProperty(key);
+      expect(store.consumeRecoveries()).toEqual([{ key, backupKey: backupKey(key) }]);
+      expect(store.consumeRecoveries()).toEqual([]);
+    });
+
+    it('should back up saves from a newer build', () => {
+      const key = profileDataKey(DEFAULT_PROFILE_ID);
+      store.listProfiles();
+      storage.setItem(key, JSON.stringify({ version: SAVE_VERSION + 1 }));
+
+      store.loadProfileData();
+
+      expect(storage.items[backupKey(key)]).toContain(`"version":${SAVE_VERSION + 1}`);
+    });
+
+    it('should rebuild an unreadable profile index', () => {
+      storage.setItem(PROFILE_INDEX_KEY, 'not json');
+
+      expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(storage.items[backupKey(PROFILE_INDEX_KEY)]).toBe('not json');
+      expect(JSON.parse(storage.items[PROFILE_INDEX_KEY]).profiles).toHaveLength(1);
+    });
+
+    it('should drop an unreadable run save', () => {
+      store.listProfiles();
+      storage.setItem(profileRunKey(DEFAULT_PROFILE_ID), '{');
+
+      expect(store.loadRun()).toBeNull();
+      expect(storage.items[backupKey(profileRunKey(DEFAULT_PROFILE_ID))]).toBe('{');
+    });
+
+    it('should keep the original when the backup cannot be written', () => {
+      const key = profileDataKey(DEFAULT_PROFILE_ID);
+      store.listProfiles();
+      storage.setItem(key, '{');
+      storage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+      store.loadProfileData();
+
+      expect(storage.items[key]).toBe('{');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Profile File Unit Tests
+ *
+ * Tests export file creation, strict import checks (format, checksum,
+ * version, validation), merging and change previews.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  PROFILE_FILE_FORMAT,
+  createProfileExport,
+  parseProfileFile,
+  mergeProfileData,
+  diffProfileData,
+  profileChecksum
+} from '../profileFile.js';
+import { SAVE_VERSION, getDefaultSaveData } from '../saveData.js';
+
+const withStats = (stats, unlockedAchievements = []) => {
+  const data = getDefaultSaveData();
+  return { ...data, playerStats: { ...data.playerStats, ...stats }, unlockedAchievements };
+};
+
+describe('profileFile', () => {
+  let data;
+
+  beforeEach(() => {
+    data = withStats({ totalKills: 42, highScore: 900, fastWave10: true }, ['FIRST_BLOOD']);
+  });
+
+  // ==========================================
+  // Export
+  // ==========================================
+
+  describe('createProfileExport', () => {
+    it('should wrap the profile sections with format and checksum', () => {
+      const file = createProfileExport({ name: 'Alice' }, data);
+
+      expect(file.format).toBe(PROFILE_FILE_FORMAT);
+      expect(file.profileName).toBe('Alice');
+      expect(file.checksum).toMatch(/^[0-9a-f]{8}$/);
+      expect(file.data).toEqual({
+        playerStats: data.playerStats,
+        unlockedAchievements: ['FIRST_BLOOD'],
+        achievementDates: {},
+        settings: data.settings,
+        version: SAVE_VERSION
+      });
+    });
+  });
+
+  // ==========================================
+  // Import
+  // ==========================================
+
+  describe('parseProfileFile', () => {
+    it('should round-trip an export', () => {
+      const text = JSON.stringify(createProfileExport({ name: 'Alice' }, data), null, 2);
+      const result = parseProfileFile(text);
+
+      expect(result.ok).toBe(true);
+      expect(result.profileName).toBe('Alice');
+      expect(result.data.playerStats).toEqual(data.playerStats);
+      expect(result.data.unlockedAchievements).toEqual(['FIRST_BLOOD']);
+      expect(result.data.settings).toEqual(data.settings);
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(parseProfileFile('{').reasons[0].message).toBe('Profile file is not valid JSON');
+    });
+
+    it('should reject other JSON files', () => {
+      expect(parseProfileFile('{"version": 1}').reasons[0].message).toBe('Not a Homestead Siege profile file');
+      expect(parseProfileFile(JSON.stringify({ format: PROFILE_FILE_FORMAT })).ok).toBe(false);
+    });
+
+    it('should reject edited data', () => {
+      const file = createProfileExport({ name: 'Alice' }, data);
+      file.data.playerStats.totalKills = 100000;
+
+      expect(parseProfileFile(JSON.stringify(file)).reasons[0].message).toContain('modified');
+    });
+
+    it('should reject invalid values even with a matching checksum', () => {
+      const file = createProfileExport({ name: 'Alice' }, { ...data, settings: { ...data.settings, fov: 500 } });
+
+      const result = parseProfileFile(JSON.stringify(file));
+
+      expect(result.ok).toBe(false);
+      expect(result.reasons[0].message).toContain('fov');
+    });
+
+    it('should reject files from a newer build', () => {
+      const file = createProfileExport({ name: 'Alice' }, data);
+      file.data.version = SAVE_VERSION + 1;
+      file.checksum = profileChecksum(file.data);
+
+      expect(parseProfileFile(JSON.stringify(file)).reasons[0].message).toContain('newer');
+    });
+
+    it('should migrate files exported by older builds', () => {
+      const file = createProfileExport({ name: 'Old' }, data);
+      file.data.version = 2;
+      file.checksum = profileChecksum(file.data);
+
+      const result = parseProfileFile(JSON.stringify(file));
+
+      expect(result.ok).toBe(true);
+      expect(result.data.version).toBe(SAVE_VERSION);
+      expect(result.data.playerStats.totalKills).toBe(42);
+    });
+  });
+
+  // ==========================================
+  // Merge / Preview
+  // ==========================================
+
+  describe('mergeProfileData', () => {
+    it('should keep the higher stats and every achievement', () => {
+      const imported = withStats({ totalKills: 10, highScore: 5000, fastWave10: false, bossKills: 2 }, ['WAVE_5']);
+
+      const merged = mergeProfileData(data, imported);
+
+      expect(merged.playerStats).toMatchObject({ totalKills: 42, highScore: 5000, fastWave10: true, bossKills: 2 });
+      expect(merged.unlockedAchievements).toEqual(['FIRST_BLOOD', 'WAVE_5']);
+    });
+
+    it('should keep the higher kill count of each zombie type', () => {
+      const current = withStats({ killsByType: { STANDARD: 30, RUNNER: 4 } });
+      const imported = withStats({ killsByType: { STANDARD: 10, TANK: 2 } });
+
+      expect(mergeProfileData(current, imported).playerStats.killsByType).toEqual({ STANDARD: 30, RUNNER: 4, TANK: 2 });
+    });
+
+    it('should keep the earliest unlock date of each achievement', () => {
+      const current = { ...data, achievementDates: { FIRST_BLOOD: 2000 } };
+      const imported = { ...withStats({}, ['FIRST_BLOOD', 'WAVE_5']), achievementDates: { FIRST_BLOOD: 1000, WAVE_5: 3000 } };
+
+      expect(mergeProfileData(current, imported).achievementDates).toEqual({ FIRST_BLOOD: 1000, WAVE_5: 3000 });
+    });
+
+    it('should take the imported settings', () => {
+      const imported = { ...withStats({}), settings: { ...data.settings, fov: 90 } };
+      expect(mergeProfileData(data, imported).settings.fov).toBe(90);
+    });
+  });
+
+  describe('diffProfileData', () => {
+    it('should list changed stats, settings and achievements', () => {
+      const next = {
+        ...withStats({ totalKills: 50, highScore: 900, fastWave10: true }, ['WAVE_5']),
+        settings: { ...data.settings, muted: true }
+      };
+
+      expect(diffProfileData(data, next)).toEqual([
+        { section: 'playerStats', key: 'totalKills', from: 42, to: 50 },
+        { section: 'settings', key: 'muted', from: false, to: true },
+        { section: 'unlockedAchievements', key: 'FIRST_BLOOD', from: true, to: false },
+        { section: 'unlockedAchievements', key: 'WAVE_5', from: false, to: true }
+      ]);
+    });
+
+    it('should list kill count changes per zombie type', () => {
+      const current = withStats({ killsByType: { STANDARD: 30, RUNNER: 4 } });
+      const next = withStats({ killsByType: { STANDARD: 30, RUNNER: 6, TANK: 2 } });
+
+      expect(diffProfileData(current, next)).toEqual([
+        { section: 'playerStats', key: 'killsByType.RUNNER', from: 4, to: 6 },
+        { section: 'playerStats', key: 'killsByType.TANK', from: undefined, to: 2 }
+      ]);
+    });
+
+    it('should return nothing for identical data', () => {
+      expect(diffProfileData(data, data)).toEqual([]);
+    });
+  });
+});
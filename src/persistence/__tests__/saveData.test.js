@@ -0,0 +1,177 @@
+/**
+ * Save Data Unit Tests
+ *
+ * Tests the migration chain from unversioned saves to SAVE_VERSION and the
+ * repair of loaded data against defaults and SettingsDefinitions.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SAVE_VERSION,
+  SaveMigrations,
+  getDefaultSaveData,
+  migrateSaveData,
+  validateSaveData
+} from '../saveData.js';
+import { sanitizeSetting } from '../../config/SettingsConfig.js';
+
+describe('saveData', () => {
+  // ==========================================
+  // Migrations
+  // ==========================================
+
+  describe('migrateSaveData', () => {
+    it('should have a migration for every version below SAVE_VERSION', () => {
+      for (let version = 1; version < SAVE_VERSION; version++) {
+        expect(SaveMigrations[version]).toBeTypeOf('function');
+      }
+    });
+
+    it('should migrate an unversioned save', () => {
+      const data = migrateSaveData({ playerStats: { totalKills: 7 }, unlockedAchievements: [] });
+
+      expect(data.version).toBe(SAVE_VERSION);
+      expect(data.playerStats.totalKills).toBe(7);
+      expect(data.settings).toEqual({});
+      expect(data.meta).toEqual({ updatedAt: null });
+    });
+
+    it('should migrate a version 2 save without touching its sections', () => {
+      const v2 = { playerStats: { highScore: 500 }, unlockedAchievements: ['FIRST_BLOOD'], settings: { fov: 90 }, version: 2 };
+      const data = migrateSaveData(v2);
+
+      expect(data).toMatchObject({ ...v2, version: SAVE_VERSION });
+    });
+
+    it('should give version 3 unlocks no dates', () => {
+      const data = migrateSaveData({ unlockedAchievements: ['FIRST_BLOOD'], meta: { updatedAt: 5 }, version: 3 });
+      expect(data.achievementDates).toEqual({});
+    });
+
+    it('should start version 4 saves with no kills by type', () => {
+      const data = migrateSaveData({ playerStats: { totalKills: 40 }, achievementDates: {}, version: 4 });
+      expect(data.playerStats).toEqual({ totalKills: 40, killsByType: {} });
+    });
+
+    it('should leave current saves unchanged', () => {
+      const current = getDefaultSaveData();
+      expect(migrateSaveData(current)).toBe(current);
+    });
+
+    it('should reject saves from a newer build', () => {
+      expect(() => migrateSaveData({ version: SAVE_VERSION + 1 })).toThrow('newer');
+    });
+
+    it('should reject non-objects and bad versions', () => {
+      expect(() => migrateSaveData(null)).toThrow();
+      expect(() => migrateSaveData([])).toThrow();
+      expect(() => migrateSaveData({ version: 'two' })).toThrow('version');
+    });
+  });
+
+  // ==========================================
+  // Validation
+  // ==========================================
+
+  describe('validateSaveData', () => {
+    it('should accept default data', () => {
+      const result = validateSaveData(getDefaultSaveData());
+
+      expect(result.ok).toBe(true);
+      expect(result.data).toEqual(getDefaultSaveData());
+    });
+
+    it('should fill missing sections from defaults', () => {
+      const result = validateSaveData({ version: SAVE_VERSION });
+
+      expect(result.ok).toBe(true);
+      expect(result.data.playerStats).toEqual(getDefaultSaveData().playerStats);
+      expect(result.data.settings).toEqual(getDefaultSaveData().settings);
+    });
+
+    it('should reset stats of the wrong type', () => {
+      const result = validateSaveData({
+        playerStats: { totalKills: 'lots', highScore: -5, fastWave10: 1, bossKills: 3 },
+        version: SAVE_VERSION
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.reasons).toHaveLength(3);
+      expect(result.data.playerStats).toMatchObject({ totalKills: 0, highScore: 0, fastWave10: false, bossKills: 3 });
+    });
+
+    it('should keep kill counts only for known zombie types', () => {
+      const result = validateSaveData({
+        playerStats: { killsByType: { STANDARD: 12, RUNNER: -1, DRAGON: 3 } },
+        version: SAVE_VERSION
+      });
+
+      expect(result.reasons).toHaveLength(2);
+      expect(result.data.playerStats.killsByType).toEqual({ STANDARD: 12 });
+      expect(validateSaveData({ playerStats: { killsByType: [] }, version: SAVE_VERSION }).data.playerStats.killsByType).toEqual({});
+    });
+
+    it('should drop unknown stats', () => {
+      const result = validateSaveData({ playerStats: { cheats: 1 }, version: SAVE_VERSION });
+      expect(result.data.playerStats).not.toHaveProperty('cheats');
+    });
+
+    it('should drop unknown and duplicate achievements', () => {
+      const result = validateSaveData({
+        unlockedAchievements: ['FIRST_BLOOD', 'FIRST_BLOOD', 'NOT_REAL', 42],
+        version: SAVE_VERSION
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.data.unlockedAchievements).toEqual(['FIRST_BLOOD']);
+    });
+
+    it('should keep unlock dates only for unlocked achievements', () => {
+      const result = validateSaveData({
+        unlockedAchievements: ['FIRST_BLOOD', 'WAVE_5'],
+        achievementDates: { FIRST_BLOOD: 1700000000000, WAVE_5: 'yesterday', BOSS_KILLER: 1700000000000 },
+        version: SAVE_VERSION
+      });
+
+      expect(result.reasons).toHaveLength(2);
+      expect(result.data.achievementDates).toEqual({ FIRST_BLOOD: 1700000000000 });
+    });
+
+    it('should clamp out-of-range settings and reset invalid ones', () => {
+      const result = validateSaveData({
+        settings: { masterVolume: 3, fov: 10, muted: 'yes', shadowQuality: 'ULTRA', showFps: true },
+        version: SAVE_VERSION
+      });
+
+      expect(result.reasons).toHaveLength(4);
+      expect(result.data.settings).toMatchObject({
+        masterVolume: 1,
+        fov: 40,
+        muted: false,
+        shadowQuality: 'MEDIUM',
+        showFps: true
+      });
+    });
+  });
+});
+
+describe('sanitizeSetting', () => {
+  it('should keep valid values', () => {
+    expect(sanitizeSetting('uiScale', 1.2)).toBe(1.2);
+    expect(sanitizeSetting('graphicsPreset', 'HIGH')).toBe('HIGH');
+  });
+
+  it('should clamp sliders into range', () => {
+    expect(sanitizeSetting('uiScale', 5)).toBe(1.3);
+    expect(sanitizeSetting('uiScale', 0)).toBe(0.85);
+  });
+
+  it('should fall back to the default for unusable values', () => {
+    expect(sanitizeSetting('uiScale', NaN)).toBe(1.0);
+    expect(sanitizeSetting('antialiasing', 'on')).toBe(true);
+  });
+
+  it('should return undefined for unknown settings', () => {
+    expect(sanitizeSetting('noSuchSetting', 1)).toBeUndefined();
+  });
+});
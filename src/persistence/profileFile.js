@@ -0,0 +1,189 @@
+/**
+ * profileFile - Export and import of profile data as a JSON file
+ *
+ * An export carries a profile's stats, achievements and settings plus a
+ * checksum of that data. Imports are strict: anything that doesn't parse,
+ * fails the checksum or fails validation is rejected with a reason instead
+ * of being repaired, so a bad file never silently resets a profile.
+ */
+
+import { SAVE_VERSION, migrateSaveData, validateSaveData } from './saveData.js';
+
+/** Identifies a profile export among other JSON files */
+export const PROFILE_FILE_FORMAT = 'homesteadSiege.profile';
+
+/**
+ * FNV-1a hash of the data's JSON. Catches hand edits and truncation, not
+ * deliberate forgery.
+ * @returns {string} 8 hex digits
+ */
+export function profileChecksum(data) {
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build the export file contents for a profile
+ * @param {{name: string}} profile - Profile being exported
+ * @param {Object} data - Its data from ProfileStore.loadProfileData()
+ * @returns {Object} Plain JSON data
+ */
+export function createProfileExport(profile, data) {
+  const exported = {
+    playerStats: data.playerStats,
+    unlockedAchievements: data.unlockedAchievements,
+    achievementDates: data.achievementDates,
+    settings: data.settings,
+    version: SAVE_VERSION
+  };
+  return {
+    format: PROFILE_FILE_FORMAT,
+    profileName: profile.name,
+    exportedAt: Date.now(),
+    checksum: profileChecksum(exported),
+    data: exported
+  };
+}
+
+/**
+ * Parse and check an exported profile file
+ * @param {string} text - File contents
+ * @returns {{ok: boolean, reasons: Array<{message: string}>, data?: Object, profileName?: string, exportedAt?: number}}
+ */
+export function parseProfileFile(text) {
+  const reject = (message) => ({ ok: false, reasons: [{ message }] });
+
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return reject('Profile file is not valid JSON');
+  }
+
+  if (!file || typeof file !== 'object' || file.format !== PROFILE_FILE_FORMAT) {
+    return reject('Not a Homestead Siege profile file');
+  }
+  if (!file.data || typeof file.data !== 'object') {
+    return reject('Profile file has no profile data');
+  }
+  if (file.checksum !== profileChecksum(file.data)) {
+    return reject('Profile file has been modified or is damaged');
+  }
+
+  let migrated;
+  try {
+    migrated = migrateSaveData(file.data);
+  } catch (e) {
+    return reject(e.message);
+  }
+
+  const validation = validateSaveData(migrated);
+  if (!validation.ok) {
+    return { ok: false, reasons: validation.reasons };
+  }
+
+  return {
+    ok: true,
+    reasons: [],
+    data: validation.data,
+    profileName: typeof file.profileName === 'string' ? file.profileName : null,
+    exportedAt: Number.isFinite(file.exportedAt) ? file.exportedAt : null
+  };
+}
+
+/**
+ * Combine imported data into the current profile, keeping the best of
+ * both: the higher value of each stat (and of each zombie type's kill
+ * count), every unlocked achievement with its earliest unlock date, and
+ * the imported settings.
+ * @param {Object} current - Current profile data
+ * @param {Object} imported - Data from parseProfileFile()
+ * @returns {Object} Merged data
+ */
+export function mergeProfileData(current, imported) {
+  const playerStats = { ...current.playerStats };
+  for (const [key, value] of Object.entries(imported.playerStats)) {
+    if (key === 'killsByType') {
+      const kills = { ...playerStats.killsByType };
+      for (const [type, count] of Object.entries(value)) kills[type] = Math.max(kills[type] ?? 0, count);
+      playerStats.killsByType = kills;
+      continue;
+    }
+    playerStats[key] = typeof value === 'boolean'
+      ? Boolean(playerStats[key]) || value
+      : Math.max(playerStats[key] ?? 0, value);
+  }
+
+  const achievementDates = { ...current.achievementDates };
+  for (const [id, date] of Object.entries(imported.achievementDates ?? {})) {
+    achievementDates[id] = Math.min(achievementDates[id] ?? date, date);
+  }
+
+  return {
+    ...current,
+    playerStats,
+    unlockedAchievements: [...new Set([...current.unlockedAchievements, ...imported.unlockedAchievements])],
+    achievementDates,
+    settings: { ...current.settings, ...imported.settings }
+  };
+}
+
+/**
+ * List what applying next over current would change
+ * @returns {Array<{section: string, key: string, from: *, to: *}>}
+ */
+export function diffProfileData(current, next) {
+  const changes = [];
+
+  for (const section of ['playerStats', 'settings']) {
+    for (const [key, to] of Object.entries(next[section])) {
+      const from = current[section][key];
+      // Kill counts are listed per zombie type
+      if (key === 'killsByType') {
+        for (const type of new Set([...Object.keys(from ?? {}), ...Object.keys(to)])) {
+          if (from?.[type] !== to[type]) changes.push({ section, key: `${key}.${type}`, from: from?.[type], to: to[type] });
+        }
+        continue;
+      }
+      if (from !== to) changes.push({ section, key, from, to });
+    }
+  }
+
+  const before = new Set(current.unlockedAchievements);
+  const after = new Set(next.unlockedAchievements);
+  for (const key of new Set([...before, ...after])) {
+    if (before.has(key) !== after.has(key)) {
+      changes.push({ section: 'unlockedAchievements', key, from: before.has(key), to: after.has(key) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Download an export as a JSON file
+ * @returns {boolean} Whether the download was started
+ */
+export function downloadProfileExport(exportData) {
+  try {
+    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const safeName = exportData.profileName.replace(/[^a-z0-9_-]+/gi, '_');
+    link.download = `HomesteadSiege_profile_${safeName}.json`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return true;
+  } catch (e) {
+    console.warn('Profile export failed:', e);
+    return false;
+  }
+}
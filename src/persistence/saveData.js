@@ -0,0 +1,163 @@
+/**
+ * saveData - Schema, migrations and validation for persistent profile data
+ *
+ * A profile's data holds lifetime stats (including kills per zombie type),
+ * unlocked achievements (with the time each was unlocked) and settings.
+ * Data written by older builds is upgraded one version at a time through
+ * SaveMigrations, then checked against the current defaults so a hand-edited
+ * or half-written save can never feed bad values into the game.
+ */
+
+import { Achievements, ZombieTypes } from '../engine/GameConfig.js';
+import { SettingsDefinitions, getDefaultSettings, sanitizeSetting } from '../config/SettingsConfig.js';
+
+/** Bump when the profile data layout changes, and add a migration */
+export const SAVE_VERSION = 5;
+
+/**
+ * Default data for a new profile
+ */
+export const getDefaultSaveData = () => ({
+  playerStats: {
+    totalKills: 0, bossKills: 0, highestWave: 0, maxCurrency: 0,
+    turretsPlaced: 0, abilitiesUsed: 0, clutchWins: 0, fastWave10: false,
+    endlessHighWave: 0, perfectWaves: 0, gamesPlayed: 0, highScore: 0, mutatorWaves: 0,
+    killsByType: {}
+  },
+  unlockedAchievements: [],
+  achievementDates: {},
+  settings: getDefaultSettings(),
+  meta: { updatedAt: null },
+  version: SAVE_VERSION
+});
+
+/**
+ * Migrations keyed by the version they upgrade from. Each one receives data
+ * at that version and returns it at the next.
+ */
+export const SaveMigrations = {
+  // Unversioned saves predate stored settings
+  1: (data) => ({ ...data, settings: data.settings ?? {}, version: 2 }),
+  // v3 moved saves into per-profile slots with metadata
+  2: (data) => ({ ...data, meta: { updatedAt: null }, version: 3 }),
+  // v4 records when each achievement was unlocked; older unlocks have no date
+  3: (data) => ({ ...data, achievementDates: {}, version: 4 }),
+  // v5 counts kills per zombie type; kills from before only add to totalKills
+  4: (data) => ({ ...data, playerStats: { ...data.playerStats, killsByType: {} }, version: 5 })
+};
+
+/**
+ * Upgrade parsed save data to SAVE_VERSION
+ * @param {*} data - Parsed save data
+ * @returns {Object} Data at SAVE_VERSION
+ * @throws {Error} If the data is not an object or comes from a newer build
+ */
+export function migrateSaveData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Save data is not a JSON object');
+  }
+
+  let version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Save data has invalid version: ${version}`);
+  }
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save data version ${version} is newer than this build supports (${SAVE_VERSION})`);
+  }
+
+  let migrated = data;
+  while (version < SAVE_VERSION) {
+    migrated = SaveMigrations[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+/**
+ * @param {*} counts - Stored kills keyed by ZombieTypes key
+ * @param {function(string): void} fail - Records a repair
+ * @returns {Object} The valid counts
+ */
+function validateKillCounts(counts, fail) {
+  if (counts === undefined) return {};
+  if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+    fail('Kills by type is not an object');
+    return {};
+  }
+
+  const valid = {};
+  for (const [type, count] of Object.entries(counts)) {
+    if (ZombieTypes[type] && Number.isFinite(count) && count >= 0) {
+      valid[type] = count;
+    } else {
+      fail(`Dropped kill count for ${type}: ${count}`);
+    }
+  }
+  return valid;
+}
+
+/**
+ * Check migrated save data against the defaults and repair what it can.
+ * Stats of the wrong type fall back to their default, kill counts for
+ * unknown zombie types, unknown achievements and dates for achievements
+ * that aren't unlocked are dropped, and settings are clamped through
+ * sanitizeSetting.
+ * @param {Object} data - Data at SAVE_VERSION
+ * @returns {{ok: boolean, reasons: Array<{message: string}>, data: Object}}
+ */
+export function validateSaveData(data) {
+  const reasons = [];
+  const fail = (message) => reasons.push({ message });
+  const defaults = getDefaultSaveData();
+
+  const playerStats = {};
+  const storedStats = data.playerStats ?? {};
+  for (const [key, fallback] of Object.entries(defaults.playerStats)) {
+    const value = storedStats[key];
+    if (key === 'killsByType') {
+      playerStats[key] = validateKillCounts(value, fail);
+      continue;
+    }
+    const valid = typeof fallback === 'boolean'
+      ? typeof value === 'boolean'
+      : Number.isFinite(value) && value >= 0;
+    if (value !== undefined && !valid) fail(`Invalid stat ${key}: ${value}`);
+    playerStats[key] = valid ? value : fallback;
+  }
+
+  let unlockedAchievements = [];
+  if (Array.isArray(data.unlockedAchievements)) {
+    unlockedAchievements = [...new Set(data.unlockedAchievements.filter(id => Achievements[id]))];
+    if (unlockedAchievements.length !== data.unlockedAchievements.length) {
+      fail('Dropped unknown or duplicate achievements');
+    }
+  } else if (data.unlockedAchievements !== undefined) {
+    fail('Unlocked achievements is not a list');
+  }
+
+  const achievementDates = {};
+  const storedDates = data.achievementDates ?? {};
+  for (const [id, date] of Object.entries(storedDates)) {
+    if (unlockedAchievements.includes(id) && Number.isFinite(date) && date > 0) {
+      achievementDates[id] = date;
+    } else {
+      fail(`Dropped unlock date for ${id}`);
+    }
+  }
+
+  const settings = {};
+  const storedSettings = data.settings ?? {};
+  for (const key of Object.keys(SettingsDefinitions)) {
+    const value = storedSettings[key];
+    settings[key] = value === undefined ? defaults.settings[key] : sanitizeSetting(key, value);
+    if (value !== undefined && settings[key] !== value) fail(`Invalid setting ${key}: ${value}`);
+  }
+
+  const updatedAt = Number.isFinite(data.meta?.updatedAt) ? data.meta.updatedAt : null;
+
+  return {
+    ok: reasons.length === 0,
+    reasons,
+    data: { playerStats, unlockedAchievements, achievementDates, settings, meta: { updatedAt }, version: SAVE_VERSION }
+  };
+}
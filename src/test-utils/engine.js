@@ -0,0 +1,84 @@
+/**
+ * Headless Engine Helpers
+ *
+ * Setup and stepping for integration tests that run a real GameEngine
+ * without a renderer
+ */
+
+import { vi } from 'vitest';
+import * as THREE from 'three';
+import { GameEngine } from '../engine/GameEngine.js';
+
+// ============================================
+// ENGINE SETUP
+// ============================================
+
+/**
+ * Spot well away from the horde and the house, so zombies don't reach the
+ * player mid-test
+ */
+export const SAFE_PLAYER_POS = { x: -30, z: -30 };
+
+/**
+ * Create a headless engine under fake timers with console logging muted
+ * @param {Object} [options] - GameEngine options
+ */
+export function createHeadlessEngine(options = {}) {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  const engine = new GameEngine(options);
+  engine.initHeadless();
+  return engine;
+}
+
+/**
+ * Start a seeded game with the player moved out of harm's way
+ * @param {Object} [options]
+ * @param {boolean} [options.endless]
+ * @param {{x: number, z: number}|null} [options.playerPos] - Where to put the
+ *   player; null leaves them at the spawn point
+ */
+export function startHeadlessGame(engine, seed, { endless = false, playerPos = SAFE_PLAYER_POS } = {}) {
+  engine.startGame(endless, seed);
+  if (playerPos) engine.state.player.pos.set(playerPos.x, 0, playerPos.z);
+  return engine;
+}
+
+/**
+ * Dispose an engine from createHeadlessEngine and restore real timers
+ */
+export function disposeHeadlessEngine(engine) {
+  engine.dispose();
+  vi.useRealTimers();
+}
+
+// ============================================
+// SIMULATION
+// ============================================
+
+/**
+ * Run whole fixed ticks covering the given time
+ */
+export function stepSeconds(engine, seconds) {
+  const ticks = Math.round(seconds / engine.fixedTimestep);
+  for (let i = 0; i < ticks; i++) engine.step(engine.fixedTimestep);
+}
+
+/**
+ * Spawn a zombie on the ground at (x, z), bypassing the wave spawner
+ * @param {Object} [overrides] - Properties to set on the zombie (e.g. { spd: 0 })
+ */
+export function addZombie(engine, x, z, type = 'STANDARD', overrides = {}) {
+  const tk = engine._createZombie(new THREE.Vector3(x, 0, z), type);
+  Object.assign(tk, overrides);
+  engine.state.zombies.push(tk);
+  engine.zombieGrid.insert(tk, tk.pos);
+  return tk;
+}
+
+/**
+ * Place a turret at (x, z) for free, skipping placement checks
+ */
+export function addTurret(engine, type = 'BASIC', x = 20, z = 20) {
+  return engine._addTurret(type, new THREE.Vector3(x, 0, z));
+}
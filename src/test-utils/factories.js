@@ -367,7 +367,7 @@ export function createMockGameState(overrides = {}) {
     waveStartHealth: overrides.waveStartHealth ?? 175,
     globalFreeze: overrides.globalFreeze ?? 0,
     rageActive: overrides.rageActive ?? 0,
-    pendingAirstrike: overrides.pendingAirstrike ?? null,
+    pendingStrikes: overrides.pendingStrikes ?? [],
 
     upgrades: {
       houseArmor: 0,
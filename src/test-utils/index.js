@@ -6,6 +6,7 @@
 
 export * from './factories.js';
 export * from './fixtures.js';
+export * from './engine.js';
 
 // Re-export commonly used vitest utilities
 export { vi, describe, it, expect, beforeEach, afterEach, beforeAll, afterAll } from 'vitest';
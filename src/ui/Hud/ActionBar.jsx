@@ -1,12 +1,77 @@
+const RING_RADIUS = 22;
+const RING_LENGTH = 2 * Math.PI * RING_RADIUS;
+
+/**
+ * Ring drawn over an ability button; fraction is how much of the ring is lit
+ */
+function CooldownRing({ fraction, color }) {
+  return (
+    <svg className="absolute inset-0 w-full h-full -rotate-90 pointer-events-none" viewBox="0 0 48 48">
+      <circle
+        cx="24" cy="24" r={RING_RADIUS}
+        fill="none" stroke={color} strokeWidth="3"
+        strokeDasharray={RING_LENGTH}
+        strokeDashoffset={RING_LENGTH * (1 - fraction)}
+      />
+    </svg>
+  );
+}
+
+function AbilityButton({ ability, state, hotkey, rejected, onUse }) {
+  const phase = state?.phase ?? 'READY';
+  const cooling = phase === 'COOLDOWN';
+  const active = phase === 'ACTIVE';
+  const label = hotkey ? `${ability.name} (${hotkey})` : ability.name;
+
+  return (
+    <button
+      onClick={onUse}
+      aria-label={label}
+      title={label}
+      data-phase={phase}
+      className={`relative w-14 h-14 bg-black/70 backdrop-blur rounded-full transition ${rejected ? 'ring-2 ring-red-500' : 'hover:bg-black/80'}`}
+    >
+      <span className={`text-2xl ${cooling ? 'grayscale opacity-50' : ''}`}>{ability.icon}</span>
+      {active && state.duration > 0 && (
+        <CooldownRing fraction={state.activeRemaining / state.duration} color="#4ade80" />
+      )}
+      {cooling && state.cooldown > 0 && (
+        <>
+          <CooldownRing fraction={1 - state.cooldownRemaining / state.cooldown} color="#9ca3af" />
+          <span className="absolute inset-0 flex items-center justify-center text-white font-bold text-sm">
+            {Math.ceil(state.cooldownRemaining)}
+          </span>
+        </>
+      )}
+      {state?.maxCharges > 1 && (
+        <span className="absolute -top-1 -right-1 bg-blue-600 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
+          {state.charges}
+        </span>
+      )}
+      {hotkey && <span className="absolute -bottom-1 left-1/2 -translate-x-1/2 text-xs text-gray-400">{hotkey}</span>}
+    </button>
+  );
+}
+
 export function ActionBar({
   weaponTypes,
   weapon,
   onSelectWeapon,
-  onOpenTurretMenu,
+  onOpenBuildMenu,
   onOpenShop,
-  placingTurretName
+  placingTurretName,
+  movingTurret = false,
+  placingStructureName = null,
+  abilityTypes = {},
+  abilities = null,
+  abilityHotkeys = {},
+  abilityFeedback = null,
+  targetingAbilityName = null,
+  targetingFeedback = null,
+  onUseAbility
 }) {
   const weaponKeys = Object.keys(weaponTypes);
+  const abilityKeys = Object.keys(abilityTypes);
 
   return (
     <>
@@ -28,7 +93,7 @@ export function ActionBar({
         })}
         <div className="w-px bg-gray-600 mx-1" />
         <button
-          onClick={onOpenTurretMenu}
+          onClick={onOpenBuildMenu}
           className="bg-black/70 backdrop-blur rounded-xl p-3 hover:bg-black/80 transition"
         >
           <div className="text-2xl">🗼</div>
@@ -41,8 +106,28 @@ export function ActionBar({
           <div className="text-2xl">🛒</div>
           <div className="text-xs text-gray-400">B</div>
         </button>
+        {abilityKeys.length > 0 && <div className="w-px bg-gray-600 mx-1" />}
+        {abilityKeys.map(key => (
+          <AbilityButton
+            key={key}
+            ability={abilityTypes[key]}
+            state={abilities?.[key]}
+            hotkey={abilityHotkeys[key]}
+            rejected={abilityFeedback?.abilityKey === key}
+            onUse={() => onUseAbility?.(key)}
+          />
+        ))}
       </div>
 
+      {abilityFeedback && (
+        <div
+          role="alert"
+          className="absolute bottom-40 left-1/2 transform -translate-x-1/2 bg-red-600/90 rounded-lg px-4 py-2 text-white text-sm font-semibold pointer-events-none"
+        >
+          {abilityFeedback.reason}
+        </div>
+      )}
+
       <div className="absolute bottom-24 left-1/2 transform -translate-x-1/2 bg-black/60 backdrop-blur rounded-lg px-4 py-2 text-center pointer-events-none">
         <div className="text-white font-bold">{weapon.name}</div>
         <div className="text-gray-400 text-xs">{weapon.description}</div>
@@ -50,7 +135,21 @@ export function ActionBar({
 
       {placingTurretName && (
         <div className="absolute bottom-32 left-1/2 transform -translate-x-1/2 bg-green-600/80 backdrop-blur rounded-lg px-4 py-2 text-white text-sm">
-          Click to place {placingTurretName} - Right-click or ESC to cancel
+          Click to {movingTurret ? 'move' : 'place'} {placingTurretName} - Right-click or ESC to cancel
+        </div>
+      )}
+
+      {placingStructureName && (
+        <div className="absolute bottom-32 left-1/2 transform -translate-x-1/2 bg-green-600/80 backdrop-blur rounded-lg px-4 py-2 text-white text-sm">
+          Click to build {placingStructureName} - Right-click or ESC to cancel
+        </div>
+      )}
+
+      {targetingAbilityName && (
+        <div className={`absolute bottom-32 left-1/2 transform -translate-x-1/2 backdrop-blur rounded-lg px-4 py-2 text-white text-sm ${targetingFeedback?.ok === false ? 'bg-red-600/80' : 'bg-orange-600/80'}`}>
+          {targetingFeedback?.ok === false
+            ? targetingFeedback.reasons?.[0]?.message
+            : `Click to target ${targetingAbilityName} - Right-click or ESC to cancel`}
         </div>
       )}
     </>
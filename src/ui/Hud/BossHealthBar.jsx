@@ -0,0 +1,39 @@
+/**
+ * Boss health bar with a marker at each phase threshold. boss.phase counts
+ * down from boss.phases, so the fight starts in "Phase 1".
+ */
+export function BossHealthBar({ boss }) {
+  const percent = Math.max(0, Math.min(100, (boss.hp / boss.maxHp) * 100));
+  const markers = Array.from({ length: boss.phases - 1 }, (_, i) => ((i + 1) / boss.phases) * 100);
+  const phaseNumber = boss.phases - boss.phase + 1;
+
+  return (
+    <div className="absolute top-24 left-1/2 transform -translate-x-1/2 w-96 pointer-events-none z-20">
+      <div className="flex justify-between text-sm font-bold mb-1">
+        <span className="text-red-400">💀 {boss.name}</span>
+        <span className="text-gray-300">Phase {phaseNumber}/{boss.phases}</span>
+      </div>
+      <div
+        role="progressbar"
+        aria-label={`${boss.name} health`}
+        aria-valuemin={0}
+        aria-valuemax={boss.maxHp}
+        aria-valuenow={Math.ceil(boss.hp)}
+        className="relative h-4 bg-gray-800/90 rounded-full overflow-hidden border border-red-900"
+      >
+        <div
+          className={`h-full transition-all ${boss.phase === 1 ? 'bg-red-500 animate-pulse' : 'bg-purple-600'}`}
+          style={{ width: `${percent}%` }}
+        />
+        {markers.map(position => (
+          <div
+            key={position}
+            data-testid="boss-phase-marker"
+            className="absolute top-0 bottom-0 w-0.5 bg-white/70"
+            style={{ left: `${position}%` }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ export function Hud({
   endlessMode,
   enemies,
   score,
+  mutators = [],
   showFps,
   fps,
   cameraMode,
@@ -66,6 +67,19 @@ export function Hud({
           </div>
           <div className="text-gray-400 text-sm">🧟 {enemies} remaining</div>
           <div className="text-white text-sm">⭐ {score}</div>
+          {mutators.length > 0 && (
+            <ul aria-label="Active mutators" className="flex flex-wrap justify-center gap-1 mt-2 pointer-events-auto">
+              {mutators.map(mutator => (
+                <li
+                  key={mutator.key}
+                  title={mutator.description}
+                  className="bg-fuchsia-900/60 text-fuchsia-200 text-xs font-bold px-2 py-0.5 rounded"
+                >
+                  {mutator.icon} {mutator.name}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         <div className="flex gap-2 pointer-events-auto">
@@ -0,0 +1,31 @@
+/**
+ * Defend objective: the barn core's health and how many doors and windows
+ * zombies have broken open. The run is lost when the core reaches zero.
+ */
+export function ObjectiveBar({ health, maxHealth, breaches }) {
+  const percent = Math.max(0, Math.min(100, (health / maxHealth) * 100));
+
+  return (
+    <div className="absolute top-44 left-4 w-[232px] bg-black/60 backdrop-blur rounded-xl px-4 py-2 pointer-events-none">
+      <div className="flex justify-between text-xs font-bold mb-1">
+        <span className="text-amber-300">🛡️ Defend the barn</span>
+        {breaches > 0 && (
+          <span className="text-red-400">{breaches} {breaches === 1 ? 'breach' : 'breaches'}</span>
+        )}
+      </div>
+      <div
+        role="progressbar"
+        aria-label="Barn core health"
+        aria-valuemin={0}
+        aria-valuemax={maxHealth}
+        aria-valuenow={Math.ceil(health)}
+        className="h-3 bg-gray-800/90 rounded-full overflow-hidden border border-amber-900"
+      >
+        <div
+          className={`h-full transition-all ${percent < 25 ? 'bg-red-500 animate-pulse' : 'bg-amber-400'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
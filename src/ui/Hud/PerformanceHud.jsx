@@ -3,6 +3,8 @@ export function PerformanceHud({ metrics, isVisible }) {
 
   const entities = metrics.entities ?? {};
   const renderer = metrics.renderer ?? {};
+  const director = metrics.director;
+  const firedTurrets = Object.entries(metrics.turretAccuracy ?? {}).filter(([, tally]) => tally.shots > 0);
 
   return (
     <div className="absolute bottom-4 right-4 bg-black/70 backdrop-blur rounded-lg p-3 text-xs text-gray-200 font-mono space-y-1 pointer-events-none">
@@ -18,6 +20,27 @@ export function PerformanceHud({ metrics, isVisible }) {
           <div>Tris: {renderer.triangles ?? 0}</div>
         </>
       )}
+      {director && (
+        <section aria-label="Director" className="pt-1 border-t border-white/10 space-y-1">
+          <div className="text-amber-300 font-semibold">Director · {director.name}</div>
+          <div>Pressure: {director.pressure.toFixed(2)} Interval: ×{director.intervalMult.toFixed(2)}</div>
+          <div>Burst: {Math.round(director.burstChance * 100)}% Bonus: {director.bonusThisWave}</div>
+          {director.log.slice(-4).reverse().map(decision => (
+            <div key={`${decision.wave}-${decision.time}`} className="text-gray-400">
+              W{decision.wave} {decision.time}s score {decision.score.toFixed(2)} → {decision.pressure.toFixed(2)}
+              {decision.bonus && ` +${decision.bonus.count} ${decision.bonus.type}`}
+            </div>
+          ))}
+        </section>
+      )}
+      {firedTurrets.length > 0 && (
+        <section aria-label="Turret accuracy" className="pt-1 border-t border-white/10 space-y-1">
+          <div className="text-amber-300 font-semibold">Turret accuracy</div>
+          {firedTurrets.map(([type, { shots, hits }]) => (
+            <div key={type}>{type}: {Math.round((hits / shots) * 100)}% ({hits}/{shots})</div>
+          ))}
+        </section>
+      )}
     </div>
   );
 }
@@ -1,4 +1,15 @@
-export function AchievementsModal({ achievements, unlockedAchievements, onClose }) {
+const formatUnlockDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+  year: 'numeric', month: 'short', day: 'numeric'
+});
+
+export function AchievementsModal({
+  achievements,
+  unlockedAchievements,
+  achievementDates = {},
+  playerStats,
+  tiers = {},
+  onClose
+}) {
   return (
     <div className="absolute inset-0 bg-black/70 flex items-center justify-center z-30">
       <div className="bg-gray-900 rounded-2xl p-6 max-w-lg w-full mx-4 border border-gray-700 max-h-[80vh] overflow-hidden flex flex-col">
@@ -8,12 +19,54 @@ export function AchievementsModal({ achievements, unlockedAchievements, onClose
         <div className="space-y-2 overflow-y-auto flex-1">
           {Object.entries(achievements).map(([key, ach]) => {
             const unlocked = unlockedAchievements.includes(key);
+            const masked = ach.hidden && !unlocked;
+            const tier = tiers[ach.tier];
+            // Single-step achievements have nothing to show between locked and unlocked
+            const progress = !unlocked && !masked && playerStats ? ach.progress?.(playerStats) : null;
+            const showProgress = progress && progress.target > 1;
+            const unlockedAt = unlocked ? achievementDates[key] : null;
+
             return (
               <div key={key} className={`flex items-center gap-3 p-3 rounded-xl ${unlocked ? 'bg-yellow-900/30' : 'bg-gray-800/50'}`}>
-                <span className={`text-3xl ${unlocked ? '' : 'grayscale opacity-50'}`}>{ach.icon}</span>
+                <span className={`text-3xl ${unlocked ? '' : 'grayscale opacity-50'}`}>{masked ? '❓' : ach.icon}</span>
                 <div className="flex-1">
-                  <div className={`font-bold ${unlocked ? 'text-yellow-400' : 'text-gray-500'}`}>{ach.name}</div>
-                  <div className={`text-sm ${unlocked ? 'text-gray-300' : 'text-gray-600'}`}>{ach.description}</div>
+                  <div className="flex items-center gap-2">
+                    <span className={`font-bold ${unlocked ? 'text-yellow-400' : 'text-gray-500'}`}>{ach.name}</span>
+                    {tier && (
+                      <span
+                        className="text-xs px-1.5 rounded border font-bold uppercase"
+                        style={{ color: tier.color, borderColor: tier.color }}
+                      >
+                        {tier.name}
+                      </span>
+                    )}
+                  </div>
+                  <div className={`text-sm ${unlocked ? 'text-gray-300' : 'text-gray-600'}`}>
+                    {masked ? 'Hidden achievement - keep playing to reveal it' : ach.description}
+                  </div>
+                  {showProgress && (
+                    <div className="flex items-center gap-2 mt-1">
+                      <div
+                        role="progressbar"
+                        aria-label={`${ach.name} progress`}
+                        aria-valuemin={0}
+                        aria-valuemax={progress.target}
+                        aria-valuenow={progress.current}
+                        className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden"
+                      >
+                        <div
+                          className="h-full bg-yellow-600 rounded-full"
+                          style={{ width: `${(progress.current / progress.target) * 100}%` }}
+                        />
+                      </div>
+                      <span className="text-gray-400 text-xs min-w-[4rem] text-right">
+                        {progress.current}/{progress.target}
+                      </span>
+                    </div>
+                  )}
+                  {unlockedAt && (
+                    <div className="text-xs text-gray-500 mt-1">Unlocked {formatUnlockDate(unlockedAt)}</div>
+                  )}
                 </div>
                 {unlocked && <span className="text-green-400">✓</span>}
               </div>
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+
+const TABS = [
+  { key: 'turrets', label: 'Turrets' },
+  { key: 'barricades', label: 'Barricades' }
+];
+
+const describeStructure = (structure) => {
+  const details = [`HP: ${structure.health}`];
+  if (structure.stackable) details.push(`Stacks ${structure.maxCourses} high`);
+  if (structure.damage) details.push(`Spikes: ${structure.damage} every ${structure.damageInterval}s`);
+  if (structure.passable) details.push('Zombies path through');
+  return details.join(' - ');
+};
+
+function BuildOption({ item, currency, details, onSelect }) {
+  const canAfford = currency >= item.cost;
+  return (
+    <button
+      onClick={() => {
+        if (canAfford) onSelect();
+      }}
+      disabled={!canAfford}
+      className={`w-full flex items-center gap-3 p-3 rounded-xl transition ${canAfford ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-800/50 opacity-50'}`}
+    >
+      <span className="text-3xl">{item.icon}</span>
+      <div className="flex-1 text-left">
+        <div className="text-white font-bold">{item.name}</div>
+        <div className="text-gray-400 text-sm">{item.description}</div>
+        <div className="text-gray-500 text-xs">{details}</div>
+      </div>
+      <div className={`font-bold ${canAfford ? 'text-yellow-400' : 'text-red-400'}`}>{item.cost}</div>
+    </button>
+  );
+}
+
+export function BuildMenu({ currency, turretTypes, structureTypes, onSelectTurret, onSelectStructure, onClose }) {
+  const [tab, setTab] = useState('turrets');
+
+  return (
+    <div className="absolute inset-0 bg-black/70 flex items-center justify-center z-20">
+      <div className="bg-gray-900 rounded-2xl p-6 max-w-md w-full mx-4 border border-gray-700">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Build</h2>
+          <div className="text-yellow-400 font-bold">{currency}</div>
+        </div>
+        <div className="flex gap-2 mb-4">
+          {TABS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              aria-pressed={tab === key}
+              className={`flex-1 py-1 rounded-lg text-sm font-bold transition ${tab === key ? 'bg-amber-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="space-y-3">
+          {tab === 'turrets'
+            ? Object.entries(turretTypes).map(([key, turret]) => (
+              <BuildOption
+                key={key}
+                item={turret}
+                currency={currency}
+                details={`DMG: ${turret.damage} - Range: ${turret.range} - Rate: ${turret.fireRate}/s`}
+                onSelect={() => onSelectTurret(key)}
+              />
+            ))
+            : Object.entries(structureTypes).map(([key, structure]) => (
+              <BuildOption
+                key={key}
+                item={structure}
+                currency={currency}
+                details={describeStructure(structure)}
+                onSelect={() => onSelectStructure(key)}
+              />
+            ))}
+        </div>
+        <button
+          onClick={onClose}
+          className="w-full mt-4 bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-600 transition"
+        >
+          Close (T or ESC)
+        </button>
+      </div>
+    </div>
+  );
+}
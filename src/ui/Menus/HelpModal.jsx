@@ -6,7 +6,7 @@ export function HelpModal({ controls = [], abilities = [], onClose }) {
         <div className="space-y-4 text-gray-300">
           <div>
             <h3 className="text-yellow-400 font-bold mb-1">Objective</h3>
-            <p>Survive the zombie horde! Hide in your house for protection, but they can break in!</p>
+            <p>Survive the zombie horde! Hide in your house for protection, but they can break in: once a door or window falls, zombies get inside and wreck the barn core. Lose the core and the run is over. New spawn gates open in the treeline as waves go on; red beacons and the warning under Start Wave show where the next wave comes from.</p>
           </div>
           <div>
             <h3 className="text-yellow-400 font-bold mb-1">Controls</h3>
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { diffProfileData, mergeProfileData } from '../../persistence/profileFile';
+import { SettingsDefinitions } from '../../config/SettingsConfig';
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  return String(value ?? '-');
+};
+
+export function ProfileImportModal({ profileName, sourceName, currentData, importedData, achievements, onConfirm, onCancel }) {
+  const [mode, setMode] = useState('merge');
+  const next = mode === 'merge' ? mergeProfileData(currentData, importedData) : { ...currentData, ...importedData };
+  const changes = diffProfileData(currentData, next);
+
+  const labelFor = ({ section, key }) => {
+    if (section === 'settings') return SettingsDefinitions[key]?.label ?? key;
+    if (section === 'unlockedAchievements') return achievements[key]?.name ?? key;
+    return key;
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/70 flex items-center justify-center z-30">
+      <div className="bg-gray-900 rounded-2xl p-6 max-w-lg w-full mx-4 border border-gray-700 max-h-[80vh] overflow-hidden flex flex-col">
+        <h2 className="text-2xl font-bold text-white mb-1">Import Profile</h2>
+        <p className="text-gray-400 text-sm mb-4">
+          Importing {sourceName ? `"${sourceName}"` : 'profile file'} into {profileName}
+        </p>
+
+        <div className="flex gap-2 mb-2">
+          {['merge', 'replace'].map(option => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`flex-1 py-2 rounded-lg transition ${mode === option ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+            >
+              {option === 'merge' ? 'Merge' : 'Replace'}
+            </button>
+          ))}
+        </div>
+        <p className="text-gray-500 text-xs mb-3">
+          {mode === 'merge'
+            ? 'Keeps the best of both: higher stats, all achievements, and the imported settings.'
+            : 'Overwrites this profile\'s stats, achievements and settings with the file.'}
+        </p>
+
+        <div className="overflow-y-auto flex-1 bg-gray-800/50 rounded-xl p-3 text-sm">
+          {changes.length === 0 ? (
+            <div className="text-gray-400">No changes</div>
+          ) : (
+            <ul className="space-y-1">
+              {changes.map(change => (
+                <li key={`${change.section}-${change.key}`} className="flex justify-between gap-4 text-gray-300">
+                  <span>{labelFor(change)}</span>
+                  {change.section === 'unlockedAchievements' ? (
+                    <span className={change.to ? 'text-green-400' : 'text-red-400'}>
+                      {change.to ? 'Unlocked' : 'Locked'}
+                    </span>
+                  ) : (
+                    <span>
+                      <span className="text-gray-500">{formatValue(change.from)}</span>
+                      {' → '}
+                      <span className="text-white">{formatValue(change.to)}</span>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={onCancel}
+            className="flex-1 bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-600 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(next)}
+            className="flex-1 bg-green-600 text-white py-2 rounded-lg hover:bg-green-500 transition"
+          >
+            Import ({changes.length} {changes.length === 1 ? 'change' : 'changes'})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
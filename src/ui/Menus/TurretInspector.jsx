@@ -0,0 +1,148 @@
+const TIER_LABELS = { 1: 'Tier I', 2: 'Tier II', 3: 'Tier III' };
+
+const formatStat = (value) => (Number.isInteger(value) ? value : value.toFixed(1));
+
+const formatAccuracy = ({ shots, hits }) => (shots > 0 ? `${Math.round((hits / shots) * 100)}% (${hits}/${shots})` : 'no shots yet');
+
+export function TurretInspector({
+  turret,
+  onUpgrade,
+  onSpecialize,
+  onSetTargeting,
+  onSetSkipSlowed,
+  onMove,
+  onSell,
+  onClose
+}) {
+  const { stats } = turret;
+
+  return (
+    <div
+      role="dialog"
+      aria-label={`${turret.name} inspector`}
+      className="absolute right-4 top-24 z-20 w-72 bg-gray-900/95 rounded-2xl p-4 border border-gray-700 pointer-events-auto"
+    >
+      <div className="flex items-center gap-2 mb-2">
+        <span className="text-3xl">{turret.icon}</span>
+        <div className="flex-1">
+          <div className="text-white font-bold">{turret.name}</div>
+          <div className="text-amber-400 text-xs font-bold">{TIER_LABELS[turret.tier]}</div>
+        </div>
+        <div className="text-gray-400 text-xs">HP {turret.health}/{turret.maxHealth}</div>
+      </div>
+
+      <div className="text-gray-300 text-xs mb-1">
+        Kills: {turret.kills} - Damage dealt: {turret.damageDealt}
+      </div>
+      <div className="text-gray-300 text-xs mb-1">
+        Accuracy: {formatAccuracy(turret)}
+      </div>
+
+      <div className="text-gray-400 text-xs mb-3">
+        DMG: {formatStat(stats.damage)} - Range: {formatStat(stats.range)} - Reload: {formatStat(stats.fireRate)}s
+        {stats.slow > 0 && <> - Slow: {Math.round(stats.slow * 100)}%</>}
+        {stats.splash > 0 && <> - Splash: {formatStat(stats.splash)}</>}
+        {' '}- Shot speed: {formatStat(stats.projectileSpeed)}
+      </div>
+
+      <div className="mb-3">
+        <div className="text-gray-300 text-xs font-bold mb-1">Targeting</div>
+        <div className="grid grid-cols-2 gap-1">
+          {turret.targetingModes.map((mode) => {
+            const active = turret.targeting === mode.key;
+            return (
+              <button
+                key={mode.key}
+                onClick={() => onSetTargeting(mode.key)}
+                aria-pressed={active}
+                title={mode.description}
+                className={`flex items-center gap-1 px-2 py-1 rounded text-xs transition ${active ? 'bg-amber-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+              >
+                <span>{mode.icon}</span>
+                <span>{mode.name}</span>
+              </button>
+            );
+          })}
+        </div>
+        {turret.skipSlowed !== null && (
+          <label className="flex items-center gap-2 mt-2 text-gray-300 text-xs">
+            <input
+              type="checkbox"
+              checked={turret.skipSlowed}
+              onChange={(e) => onSetSkipSlowed(e.target.checked)}
+            />
+            Skip already-slowed zombies
+          </label>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {turret.upgrades.map((upgrade) => {
+          const maxed = upgrade.level >= upgrade.maxLevel;
+          return (
+            <button
+              key={upgrade.key}
+              onClick={() => onUpgrade(upgrade.key)}
+              disabled={!upgrade.canBuy}
+              title={upgrade.reason ?? undefined}
+              className={`w-full flex items-center gap-2 p-2 rounded-lg transition ${upgrade.canBuy ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-800/50 opacity-50'}`}
+            >
+              <span>{upgrade.icon}</span>
+              <span className="flex-1 text-left text-white text-sm">{upgrade.name}</span>
+              <span className="text-gray-400 text-xs">{upgrade.level}/{upgrade.maxLevel}</span>
+              <span className={`font-bold text-sm ${maxed ? 'text-green-400' : upgrade.canBuy ? 'text-yellow-400' : 'text-red-400'}`}>
+                {maxed ? 'MAX' : upgrade.cost}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {turret.branches.length > 0 && !turret.branch && (
+        <div className="mt-3">
+          <div className="text-gray-300 text-xs font-bold mb-1">Specialize (Tier III)</div>
+          <div className="space-y-2">
+            {turret.branches.map((branch) => (
+              <button
+                key={branch.key}
+                onClick={() => onSpecialize(branch.key)}
+                disabled={!branch.canBuy}
+                title={branch.reason ?? undefined}
+                className={`w-full flex items-center gap-2 p-2 rounded-lg transition ${branch.canBuy ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-800/50 opacity-50'}`}
+              >
+                <span>{branch.icon}</span>
+                <div className="flex-1 text-left">
+                  <div className="text-white text-sm">{branch.name}</div>
+                  <div className="text-gray-500 text-xs">{branch.description}</div>
+                </div>
+                <span className={`font-bold text-sm ${branch.canBuy ? 'text-yellow-400' : 'text-red-400'}`}>{branch.cost}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={onMove}
+          className="flex-1 bg-blue-700 text-white py-1.5 rounded-lg hover:bg-blue-600 transition text-sm"
+        >
+          Move
+        </button>
+        <button
+          onClick={onSell}
+          className="flex-1 bg-red-700 text-white py-1.5 rounded-lg hover:bg-red-600 transition text-sm"
+        >
+          Sell +{turret.sellValue}
+        </button>
+      </div>
+
+      <button
+        onClick={onClose}
+        className="w-full mt-2 bg-gray-700 text-white py-1.5 rounded-lg hover:bg-gray-600 transition text-sm"
+      >
+        Close (ESC)
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+export function AchievementToast({ toasts, achievements }) {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="absolute top-20 right-4 flex flex-col gap-2 pointer-events-none z-40">
+      {toasts.map(({ key, id }) => {
+        const achievement = achievements[id];
+        if (!achievement) return null;
+        return (
+          <div
+            key={key}
+            role="status"
+            className="bg-gray-900/90 border border-yellow-500 rounded-xl px-4 py-3 flex items-center gap-3 shadow-lg"
+          >
+            <span className="text-3xl">{achievement.icon}</span>
+            <div>
+              <div className="text-yellow-400 text-xs font-bold uppercase tracking-wide">Achievement Unlocked</div>
+              <div className="text-white font-bold">{achievement.name}</div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
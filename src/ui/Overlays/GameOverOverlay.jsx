@@ -4,8 +4,11 @@ export function GameOverOverlay({
   highScore,
   activeWaveNumber,
   endlessMode,
+  mutatorHistory = [],
+  mutators = {},
   onRestart,
   onOpenAchievements,
+  onExportReplay,
   onMainMenu
 }) {
   if (!isVisible) return null;
@@ -22,6 +25,13 @@ export function GameOverOverlay({
         <div className="text-lg text-gray-500 mb-2">High Score: {highScore}</div>
       )}
       <div className="text-xl text-gray-400 mb-2">Wave {activeWaveNumber} {endlessMode && '(Endless)'}</div>
+      {mutatorHistory.length > 0 && (
+        <div className="text-sm text-fuchsia-300 mb-2">
+          Mutators faced: {[...new Set(mutatorHistory.flatMap(entry => entry.mutators))]
+            .map(key => mutators[key]?.name ?? key).join(', ')}
+          {' '}({mutatorHistory.length} {mutatorHistory.length === 1 ? 'wave' : 'waves'})
+        </div>
+      )}
       <div className="space-y-3 mt-6">
         <button
           onClick={onRestart}
@@ -35,6 +45,12 @@ export function GameOverOverlay({
         >
           Achievements
         </button>
+        <button
+          onClick={onExportReplay}
+          className="block w-48 bg-gray-600 text-white py-3 rounded-lg hover:bg-gray-500 transition"
+        >
+          Export Replay
+        </button>
         <button
           onClick={onMainMenu}
           className="block w-48 bg-gray-700 text-white py-3 rounded-lg hover:bg-gray-600 transition"
@@ -1,4 +1,4 @@
-export function PauseOverlay({ isVisible, onResume, onOpenSettings, onOpenHelp, onQuitToMenu }) {
+export function PauseOverlay({ isVisible, onResume, onOpenSettings, onOpenHelp, onExportReplay, onQuitToMenu }) {
   if (!isVisible) return null;
 
   return (
@@ -23,6 +23,12 @@ export function PauseOverlay({ isVisible, onResume, onOpenSettings, onOpenHelp,
         >
           Help
         </button>
+        <button
+          onClick={onExportReplay}
+          className="block w-48 bg-gray-600 text-white py-3 rounded-lg hover:bg-gray-500 transition text-lg"
+        >
+          Export Replay
+        </button>
         <button
           onClick={onQuitToMenu}
           className="block w-48 bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-500 transition text-lg"
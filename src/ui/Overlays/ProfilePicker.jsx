@@ -0,0 +1,121 @@
+import { useRef, useState } from 'react';
+
+export function ProfilePicker({
+  profiles,
+  activeProfileId,
+  onSelectProfile,
+  onCreateProfile,
+  onDeleteProfile,
+  onExportProfile,
+  onImportProfile
+}) {
+  const [mode, setMode] = useState(null); // null | 'create' | 'delete'
+  const [name, setName] = useState('');
+  const importInputRef = useRef(null);
+  const activeProfile = profiles.find(p => p.id === activeProfileId);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (onCreateProfile?.(name)) {
+      setName('');
+      setMode(null);
+    }
+  };
+
+  const handleDelete = () => {
+    onDeleteProfile?.(activeProfileId);
+    setMode(null);
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImportProfile?.(file);
+  };
+
+  return (
+    <div className="bg-black/50 rounded-xl px-4 py-2 mb-4 flex items-center gap-2 text-sm">
+      <label htmlFor="profile-select" className="text-gray-400">Profile</label>
+      <select
+        id="profile-select"
+        value={activeProfileId}
+        onChange={(e) => onSelectProfile?.(e.target.value)}
+        className="bg-gray-800 text-white rounded px-2 py-1"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+
+      {mode === 'create' && (
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Profile name"
+            aria-label="Profile name"
+            className="bg-gray-800 text-white rounded px-2 py-1 w-32"
+          />
+          <button type="submit" className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-500 transition">
+            Create
+          </button>
+          <button type="button" onClick={() => setMode(null)} className="text-gray-400 px-2 hover:text-white">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {mode === 'delete' && (
+        <div className="flex items-center gap-2">
+          <span className="text-red-300">Delete {activeProfile?.name}?</span>
+          <button onClick={handleDelete} className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-500 transition">
+            Delete
+          </button>
+          <button onClick={() => setMode(null)} className="text-gray-400 px-2 hover:text-white">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {mode === null && (
+        <>
+          <button
+            onClick={() => setMode('create')}
+            className="bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 transition"
+          >
+            New Profile
+          </button>
+          {profiles.length > 1 && (
+            <button
+              onClick={() => setMode('delete')}
+              className="bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 transition"
+            >
+              Delete Profile
+            </button>
+          )}
+          <button
+            onClick={onExportProfile}
+            className="bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 transition"
+          >
+            Export
+          </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 transition"
+          >
+            Import
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            data-testid="profile-import-input"
+            onChange={handleImportFile}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,6 @@
+import { useRef } from 'react';
+import { ProfilePicker } from './ProfilePicker';
+
 export function StartScreen({
   highScore,
   playerStats,
@@ -5,8 +8,33 @@ export function StartScreen({
   achievementCount,
   controlsHint,
   onStartGame,
-  onOpenAchievements
+  difficulties,
+  difficulty,
+  onSelectDifficulty,
+  mutators,
+  runMutators = [],
+  onToggleMutator,
+  savedRun,
+  onContinue,
+  onOpenAchievements,
+  onLoadReplay,
+  errorMessage,
+  profiles,
+  activeProfileId,
+  onSelectProfile,
+  onCreateProfile,
+  onDeleteProfile,
+  onExportProfile,
+  onImportProfile
 }) {
+  const replayInputRef = useRef(null);
+
+  const handleReplayFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onLoadReplay?.(file);
+  };
+
   return (
     <div className="absolute inset-0 bg-black/80 flex flex-col items-center justify-center">
       <div className="text-6xl mb-4">🧟🏠🔱</div>
@@ -15,6 +43,18 @@ export function StartScreen({
       </h1>
       <p className="text-gray-400 mb-4 text-lg">Defend your barn from the zombie horde!</p>
 
+      {profiles && (
+        <ProfilePicker
+          profiles={profiles}
+          activeProfileId={activeProfileId}
+          onSelectProfile={onSelectProfile}
+          onCreateProfile={onCreateProfile}
+          onDeleteProfile={onDeleteProfile}
+          onExportProfile={onExportProfile}
+          onImportProfile={onImportProfile}
+        />
+      )}
+
       <div className="bg-black/50 rounded-xl px-6 py-3 mb-6 flex gap-6 text-sm">
         <div className="text-center">
           <div className="text-yellow-400 font-bold text-xl">{highScore}</div>
@@ -34,6 +74,55 @@ export function StartScreen({
         </div>
       </div>
 
+      {savedRun && (
+        <button
+          onClick={onContinue}
+          className="bg-gradient-to-r from-green-500 to-emerald-600 text-white text-xl font-bold px-10 py-4 rounded-xl hover:scale-105 transition shadow-lg mb-4"
+        >
+          Continue - Wave {savedRun.wave}{savedRun.endless ? ' (Endless)' : ''}
+        </button>
+      )}
+
+      {difficulties && (
+        <div className="mb-4 flex flex-col items-center">
+          <div role="radiogroup" aria-label="Difficulty" className="flex gap-2">
+            {Object.entries(difficulties).map(([key, preset]) => (
+              <button
+                key={key}
+                role="radio"
+                aria-checked={key === difficulty}
+                title={preset.description}
+                onClick={() => onSelectDifficulty?.(key)}
+                className={`px-4 py-2 rounded-lg text-sm font-bold transition ${
+                  key === difficulty ? 'bg-amber-500 text-black' : 'bg-gray-700 text-white hover:bg-gray-600'
+                }`}
+              >
+                {preset.name}
+              </button>
+            ))}
+          </div>
+          <div className="text-gray-400 text-sm mt-2">{difficulties[difficulty]?.description}</div>
+        </div>
+      )}
+
+      {mutators && (
+        <div role="group" aria-label="Mutators" className="mb-4 flex flex-wrap justify-center gap-2 max-w-xl">
+          {Object.entries(mutators).map(([key, mutator]) => (
+            <button
+              key={key}
+              aria-pressed={runMutators.includes(key)}
+              title={mutator.description}
+              onClick={() => onToggleMutator?.(key)}
+              className={`px-3 py-1 rounded-full text-xs font-bold transition ${
+                runMutators.includes(key) ? 'bg-fuchsia-500 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              {mutator.icon} {mutator.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="flex gap-4 mb-8">
         <button
           onClick={() => onStartGame(false)}
@@ -59,7 +148,24 @@ export function StartScreen({
         >
           Achievements ({unlockedCount}/{achievementCount})
         </button>
+        <button
+          onClick={() => replayInputRef.current?.click()}
+          className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition"
+        >
+          Watch Replay
+        </button>
+        <input
+          ref={replayInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          data-testid="replay-file-input"
+          onChange={handleReplayFile}
+        />
       </div>
+      {errorMessage && (
+        <div className="text-red-400 text-sm mt-3">{errorMessage}</div>
+      )}
     </div>
   );
 }
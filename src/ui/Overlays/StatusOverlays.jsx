@@ -1,6 +1,60 @@
-export function StatusOverlays({ banner, showStartWave, startWaveLabel, onStartWave }) {
+const MODIFIER_LABELS = { hp: 'HP', speed: 'Speed', damage: 'Damage', value: 'Bounty' };
+
+const toCssColor = (color) => `#${color.toString(16).padStart(6, '0')}`;
+
+function WavePreview({ preview, zombieTypes }) {
+  const { wave, total, counts, hasBoss, modifiers, threat } = preview;
+  const typeName = (type) => zombieTypes[type]?.name ?? type;
+
+  return (
+    <section aria-label="Wave preview" className="bg-gray-900/85 text-white text-sm rounded-lg border border-gray-600 px-4 py-3 w-60">
+      <div className="flex justify-between items-baseline font-bold mb-2">
+        <span>Wave {wave}</span>
+        <span style={{ color: threat.color }}>{threat.level} threat</span>
+      </div>
+      {hasBoss && <div className="text-red-400 font-bold mb-1">👑 Boss wave</div>}
+      <ul>
+        {Object.entries(counts).map(([type, count]) => (
+          <li key={type} className="flex justify-between">
+            <span className="flex items-center gap-2">
+              {zombieTypes[type]?.body !== undefined && (
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: toCssColor(zombieTypes[type].body) }} />
+              )}
+              {typeName(type)}
+            </span>
+            <span>×{count}</span>
+          </li>
+        ))}
+      </ul>
+      {modifiers.length > 0 && (
+        <ul className="mt-2 text-xs text-yellow-300">
+          {modifiers.map((mod, i) => (
+            <li key={i}>
+              {mod.count} {typeName(mod.type)}: {Object.keys(MODIFIER_LABELS).filter(key => mod[key] !== undefined)
+                .map(key => `${MODIFIER_LABELS[key]} ×${mod[key]}`).join(', ')}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-2 text-xs text-gray-400">{total} zombies</div>
+    </section>
+  );
+}
+
+export function StatusOverlays({
+  banner, notice, showStartWave, startWaveLabel, onStartWave,
+  incomingGates = [], wavePreview = null, zombieTypes = {}, isReplay = false
+}) {
   return (
     <>
+      {isReplay && (
+        <div className="absolute top-4 left-1/2 transform -translate-x-1/2 pointer-events-none z-30">
+          <div className="bg-red-600/80 text-white text-sm font-bold px-3 py-1 rounded-full tracking-widest">
+            ● REPLAY
+          </div>
+        </div>
+      )}
+
       {banner && (
         <div className="absolute top-1/3 left-1/2 transform -translate-x-1/2 -translate-y-1/2 pointer-events-none">
           <div
@@ -12,6 +66,14 @@ export function StatusOverlays({ banner, showStartWave, startWaveLabel, onStartW
         </div>
       )}
 
+      {notice && (
+        <div className="absolute top-40 left-1/2 transform -translate-x-1/2 pointer-events-none z-20">
+          <div role="status" className="bg-purple-900/80 text-purple-100 text-sm font-bold px-4 py-1.5 rounded-full border border-purple-400">
+            {notice}
+          </div>
+        </div>
+      )}
+
       {showStartWave && (
         <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-30">
           <button
@@ -22,6 +84,28 @@ export function StatusOverlays({ banner, showStartWave, startWaveLabel, onStartW
           </button>
         </div>
       )}
+
+      {showStartWave && wavePreview && (
+        <div className="absolute top-1/2 left-1/2 ml-40 transform -translate-y-1/2 z-30">
+          <WavePreview preview={wavePreview} zombieTypes={zombieTypes} />
+        </div>
+      )}
+
+      {showStartWave && incomingGates.length > 0 && (
+        <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 translate-y-16 pointer-events-none z-30">
+          <div role="status" aria-label="Incoming spawn gates" className="bg-red-950/80 text-red-100 text-sm px-4 py-2 rounded-lg border border-red-500 text-center">
+            <div className="font-bold mb-1">⚠️ Zombies incoming from</div>
+            <div className="flex gap-2 justify-center">
+              {incomingGates.map(gate => (
+                <span key={gate.key} className="bg-red-800/70 px-2 py-0.5 rounded">
+                  {gate.name} <span className="text-red-300 text-xs uppercase">{gate.side}</span>
+                  {gate.isNew && <span className="ml-1 text-yellow-300 text-xs font-bold">NEW</span>}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
     </>
   );
 }
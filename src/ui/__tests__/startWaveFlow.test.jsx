@@ -33,6 +33,8 @@ const createMockEngine = () => ({
     };
   }),
   getSnapshot: vi.fn(() => mockEngineSnapshot),
+  setDifficulty: vi.fn(() => true),
+  setRunMutators: vi.fn(() => true),
   startGame: vi.fn(),
   startWave: vi.fn(),
   togglePause: vi.fn(),
@@ -43,6 +45,16 @@ const createMockEngine = () => ({
   useAbility: vi.fn(),
   startTurretPlacement: vi.fn(),
   cancelTurretPlacement: vi.fn(),
+  startStructurePlacement: vi.fn(),
+  cancelStructurePlacement: vi.fn(),
+  selectTurret: vi.fn(() => true),
+  upgradeTurret: vi.fn(() => true),
+  specializeTurret: vi.fn(() => true),
+  startTurretMove: vi.fn(() => true),
+  sellTurret: vi.fn(() => 0),
+  setTurretTargeting: vi.fn(() => true),
+  setTurretSkipSlowed: vi.fn(() => true),
+  cancelAbilityTargeting: vi.fn(),
   setCameraMode: vi.fn(),
   takeScreenshot: vi.fn(),
   getUpgrades: vi.fn(() => ({ weaponDamage: 0, fireRate: 0, playerHealth: 0, houseArmor: 0, houseLevel: 0 })),
@@ -69,6 +81,9 @@ vi.mock('../../engine/GameEngine.js', () => ({
   TurretTypes: {
     BASIC: { name: 'Basic Turret', icon: 'BT', damage: 15, range: 8, fireRate: 1.5, cost: 100, description: 'Auto-targets enemies' }
   },
+  StructureTypes: {
+    WALL: { name: 'Stone Wall', icon: 'SW', cost: 30, health: 220, stackable: true, maxCourses: 3, description: 'Blocks zombies' }
+  },
   AbilityTypes: {
     AIRSTRIKE: { name: 'Artillery Strike', cost: 75 }
   }
@@ -77,6 +92,21 @@ vi.mock('../../engine/GameEngine.js', () => ({
 vi.mock('../../engine/GameConfig.js', () => ({
   Achievements: {
     FIRST_BLOOD: { name: 'First Blood', description: 'Kill your first zombie', icon: 'FB' }
+  },
+  AchievementTiers: {},
+  SpawnPoints: {
+    EAST: { name: 'East Treeline', side: 'east' }
+  }
+,
+  DifficultyPresets: {
+    CASUAL: { name: 'Casual', description: 'Slower waves' },
+    NORMAL: { name: 'Normal', description: 'The intended challenge' },
+    HARD: { name: 'Hard', description: 'Faster waves' }
+  }
+,
+  Mutators: {
+    FOG: { name: 'Fog', icon: 'FG', description: 'Thick fog' },
+    BOUNTY: { name: 'Bounty', icon: 'BY', description: 'Kills drop double corn' }
   }
 }));
 